@@ -0,0 +1,166 @@
+/**
+ * Admin Cancellation Policies Controller
+ * Handles management of the cancellation policies assigned to rooms and rate plans
+ */
+
+const { db } = require('../../db');
+const { cancellationPolicies } = require('../../db/schema');
+const { eq, asc } = require('drizzle-orm');
+const AppError = require('../../utils/appError');
+const { tiersProblem, normalizeTiers } = require('../../utils/booking/cancellation');
+
+/**
+ * Transform a cancellation policy row for frontend compatibility
+ */
+const formatPolicy = (policy) => ({
+  id: policy.id,
+  name: policy.name,
+  description: policy.description,
+  tiers: normalizeTiers(policy.tiers || []),
+  isActive: policy.isActive !== false,
+  createdAt: policy.createdAt,
+  updatedAt: policy.updatedAt
+});
+
+/**
+ * Turn request body fields into policy columns (only the fields present)
+ */
+const toPolicyValues = (body) => {
+  const values = {};
+  if (body.name !== undefined) values.name = body.name.trim();
+  if (body.description !== undefined) values.description = body.description || null;
+  if (body.tiers !== undefined) values.tiers = normalizeTiers(body.tiers);
+  if (body.isActive !== undefined) values.isActive = body.isActive === true || body.isActive === 'true';
+  return values;
+};
+
+/**
+ * Check whether another policy already uses a name
+ */
+const nameTaken = async (name, exceptId) => {
+  const [existing] = await db
+    .select({ id: cancellationPolicies.id })
+    .from(cancellationPolicies)
+    .where(eq(cancellationPolicies.name, name));
+  return Boolean(existing) && existing.id !== exceptId;
+};
+
+/**
+ * Get all cancellation policies
+ */
+const getCancellationPolicies = async (req, res, next) => {
+  try {
+    const policies = await db.select().from(cancellationPolicies).orderBy(asc(cancellationPolicies.name));
+
+    res.status(200).json({
+      success: true,
+      count: policies.length,
+      cancellationPolicies: policies.map(formatPolicy)
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Create a cancellation policy
+ */
+const createCancellationPolicy = async (req, res, next) => {
+  try {
+    const problem = tiersProblem(req.body.tiers);
+    if (problem) {
+      return next(new AppError(problem, 400));
+    }
+
+    const values = toPolicyValues(req.body);
+
+    if (await nameTaken(values.name)) {
+      return next(new AppError('A cancellation policy with this name already exists', 400));
+    }
+
+    const [newPolicy] = await db.insert(cancellationPolicies).values(values).returning();
+
+    res.status(201).json({
+      success: true,
+      message: 'Cancellation policy created successfully',
+      cancellationPolicy: formatPolicy(newPolicy)
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Update a cancellation policy. Existing bookings keep the terms they were
+ * made under; only new bookings pick up the change.
+ */
+const updateCancellationPolicy = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [existingPolicy] = await db.select().from(cancellationPolicies).where(eq(cancellationPolicies.id, id));
+
+    if (!existingPolicy) {
+      return next(new AppError('Cancellation policy not found', 404));
+    }
+
+    if (req.body.tiers !== undefined) {
+      const problem = tiersProblem(req.body.tiers);
+      if (problem) {
+        return next(new AppError(problem, 400));
+      }
+    }
+
+    const updateData = toPolicyValues(req.body);
+    updateData.updatedAt = new Date();
+
+    if (updateData.name && updateData.name !== existingPolicy.name && await nameTaken(updateData.name, id)) {
+      return next(new AppError('A cancellation policy with this name already exists', 400));
+    }
+
+    const [updatedPolicy] = await db
+      .update(cancellationPolicies)
+      .set(updateData)
+      .where(eq(cancellationPolicies.id, id))
+      .returning();
+
+    res.status(200).json({
+      success: true,
+      message: 'Cancellation policy updated successfully',
+      cancellationPolicy: formatPolicy(updatedPolicy)
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Delete a cancellation policy (rooms and rate plans using it fall back to
+ * free cancellation; existing bookings keep their snapshot)
+ */
+const deleteCancellationPolicy = async (req, res, next) => {
+  try {
+    const [deletedPolicy] = await db
+      .delete(cancellationPolicies)
+      .where(eq(cancellationPolicies.id, req.params.id))
+      .returning();
+
+    if (!deletedPolicy) {
+      return next(new AppError('Cancellation policy not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Cancellation policy deleted successfully'
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+module.exports = {
+  getCancellationPolicies,
+  createCancellationPolicy,
+  updateCancellationPolicy,
+  deleteCancellationPolicy
+};
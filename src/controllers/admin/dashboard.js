@@ -4,9 +4,10 @@
  */
 
 const { db } = require('../../db');
-const { users, rooms, bookings } = require('../../db/schema');
-const { count, desc, sql, eq } = require('drizzle-orm');
+const { users, rooms, bookings, refunds } = require('../../db/schema');
+const { and, count, desc, eq, inArray } = require('drizzle-orm');
 const AppError = require('../../utils/appError');
+const { REVENUE_STATUSES, summarizeRevenue } = require('../../utils/booking/revenue');
 
 /**
  * Get admin dashboard statistics
@@ -46,35 +47,47 @@ const getDashboardStats = async (req, res, next) => {
     .orderBy(desc(bookings.createdAt))
     .limit(5);
 
-    // Get revenue stats
+    // Get revenue stats: only bookings that hold the guest's money count
     const revenueData = await db
       .select({
+        status: bookings.status,
         totalPrice: bookings.totalPrice,
+        taxAndFees: bookings.taxAndFees,
         createdAt: bookings.createdAt
       })
       .from(bookings)
-      .where(sql`${bookings.status} != 'cancelled'`);
+      .where(inArray(bookings.status, REVENUE_STATUSES));
     
-    const totalRevenue = revenueData.reduce((sum, booking) => sum + (parseFloat(booking.totalPrice) || 0), 0);
-    
-    // Get monthly revenue for the current year
-    const currentYear = new Date().getFullYear();
-    const monthlyRevenue = Array(12).fill(0);
+    // Money refunded on those bookings, counted against the month they were booked in
+    const refundData = await db
+      .select({
+        amount: refunds.amount,
+        bookingStatus: bookings.status,
+        bookingCreatedAt: bookings.createdAt
+      })
+      .from(refunds)
+      .innerJoin(bookings, eq(refunds.bookingId, bookings.id))
+      .where(and(eq(refunds.status, 'succeeded'), inArray(bookings.status, REVENUE_STATUSES)));
     
-    revenueData.forEach(booking => {
-      const bookingDate = new Date(booking.createdAt);
-      if (bookingDate.getFullYear() === currentYear) {
-        const month = bookingDate.getMonth();
-        monthlyRevenue[month] += parseFloat(booking.totalPrice) || 0;
-      }
-    });
+    // totalRevenue is gross of taxes (collected on behalf of others) but net of refunds
+    const {
+      totalRevenue,
+      netRevenue,
+      refundsDeducted,
+      taxesCollected,
+      monthlyRevenue,
+      monthlyNetRevenue
+    } = summarizeRevenue(revenueData, refundData);
     
     // Get booking status counts
     const statusCounts = {
       confirmed: 0,
+      checked_in: 0,
       pending: 0,
       cancelled: 0,
-      completed: 0
+      completed: 0,
+      expired: 0,
+      no_show: 0
     };
     
     const statusData = await db
@@ -107,8 +120,12 @@ const getDashboardStats = async (req, res, next) => {
         totalUsers: usersCount?.count || 0,
         totalRooms: roomsCount?.count || 0,
         totalBookings: bookingsCount?.count || 0,
-        totalRevenue: parseFloat(totalRevenue.toFixed(2)),
-        monthlyRevenue: monthlyRevenue.map(amount => parseFloat(amount.toFixed(2))),
+        totalRevenue,
+        netRevenue,
+        refundsDeducted,
+        taxesCollected,
+        monthlyRevenue,
+        monthlyNetRevenue,
         statusCounts,
         recentBookings: recentBookingsData,
         recentUsers: recentUsersData
@@ -5,11 +5,33 @@
 
 const dashboard = require('./dashboard');
 const systemHealth = require('./system-health');
+const taxRules = require('./tax-rules');
+const promotions = require('./promotions');
+const cancellationPolicies = require('./cancellation-policies');
 
 module.exports = {
   // Dashboard functions
   getDashboardStats: dashboard.getDashboardStats,
   
   // System health functions
-  getSystemHealth: systemHealth.getSystemHealth
+  getSystemHealth: systemHealth.getSystemHealth,
+  
+  // Tax rule functions
+  getTaxRules: taxRules.getTaxRules,
+  createTaxRule: taxRules.createTaxRule,
+  updateTaxRule: taxRules.updateTaxRule,
+  deleteTaxRule: taxRules.deleteTaxRule,
+  
+  // Promotion functions
+  getPromotions: promotions.getPromotions,
+  getPromotionById: promotions.getPromotionById,
+  createPromotion: promotions.createPromotion,
+  updatePromotion: promotions.updatePromotion,
+  deletePromotion: promotions.deletePromotion,
+  
+  // Cancellation policy functions
+  getCancellationPolicies: cancellationPolicies.getCancellationPolicies,
+  createCancellationPolicy: cancellationPolicies.createCancellationPolicy,
+  updateCancellationPolicy: cancellationPolicies.updateCancellationPolicy,
+  deleteCancellationPolicy: cancellationPolicies.deleteCancellationPolicy
 };
@@ -0,0 +1,213 @@
+/**
+ * Admin Promotions Controller
+ * Handles management of promo codes and discount vouchers
+ */
+
+const { db } = require('../../db');
+const { promotions } = require('../../db/schema');
+const { eq, desc } = require('drizzle-orm');
+const AppError = require('../../utils/appError');
+const { normalizeCode } = require('../../utils/booking/promotions');
+
+/**
+ * Transform a promotion row for frontend compatibility
+ */
+const formatPromotion = (promotion) => ({
+  id: promotion.id,
+  code: promotion.code,
+  description: promotion.description,
+  discountType: promotion.discountType,
+  discountValue: parseFloat(promotion.discountValue),
+  startsAt: promotion.startsAt,
+  endsAt: promotion.endsAt,
+  maxRedemptions: promotion.maxRedemptions,
+  redemptionCount: promotion.redemptionCount || 0,
+  minNights: promotion.minNights,
+  eligibleCategories: promotion.eligibleCategories || [],
+  isActive: promotion.isActive !== false,
+  createdAt: promotion.createdAt,
+  updatedAt: promotion.updatedAt
+});
+
+/**
+ * Turn request body fields into promotion columns (only the fields present)
+ */
+const toPromotionValues = (body) => {
+  const values = {};
+  if (body.code !== undefined) values.code = normalizeCode(body.code);
+  if (body.description !== undefined) values.description = body.description || null;
+  if (body.discountType !== undefined) values.discountType = body.discountType;
+  if (body.discountValue !== undefined) values.discountValue = parseFloat(body.discountValue).toString();
+  if (body.startsAt !== undefined) values.startsAt = body.startsAt ? new Date(body.startsAt) : null;
+  if (body.endsAt !== undefined) values.endsAt = body.endsAt ? new Date(body.endsAt) : null;
+  if (body.maxRedemptions !== undefined) {
+    values.maxRedemptions = body.maxRedemptions === null ? null : parseInt(body.maxRedemptions);
+  }
+  if (body.minNights !== undefined) values.minNights = body.minNights ? parseInt(body.minNights) : null;
+  if (body.eligibleCategories !== undefined) {
+    values.eligibleCategories = body.eligibleCategories && body.eligibleCategories.length > 0
+      ? body.eligibleCategories
+      : null;
+  }
+  if (body.isActive !== undefined) values.isActive = body.isActive === true || body.isActive === 'true';
+  return values;
+};
+
+/**
+ * Check the combined promotion fields that single-field validation cannot
+ * @returns {string|null} Error message, or null if the promotion is consistent
+ */
+const checkPromotion = (promotion) => {
+  if (promotion.discountType === 'percentage' && parseFloat(promotion.discountValue) > 100) {
+    return 'Percentage discount cannot exceed 100';
+  }
+  if (promotion.startsAt && promotion.endsAt && new Date(promotion.endsAt) < new Date(promotion.startsAt)) {
+    return 'End of the validity window must not be before its start';
+  }
+  if (promotion.maxRedemptions !== null && promotion.maxRedemptions !== undefined &&
+    promotion.maxRedemptions < (promotion.redemptionCount || 0)) {
+    return 'Usage limit cannot be lower than the number of redemptions so far';
+  }
+  return null;
+};
+
+/**
+ * Get all promotions
+ */
+const getPromotions = async (req, res, next) => {
+  try {
+    const rows = await db.select().from(promotions).orderBy(desc(promotions.createdAt));
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      promotions: rows.map(formatPromotion)
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Get a promotion by ID
+ */
+const getPromotionById = async (req, res, next) => {
+  try {
+    const [promotion] = await db.select().from(promotions).where(eq(promotions.id, req.params.id));
+
+    if (!promotion) {
+      return next(new AppError('Promotion not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      promotion: formatPromotion(promotion)
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Create a promotion
+ */
+const createPromotion = async (req, res, next) => {
+  try {
+    const values = toPromotionValues(req.body);
+
+    const problem = checkPromotion(values);
+    if (problem) {
+      return next(new AppError(problem, 400));
+    }
+
+    const existing = await db.select({ id: promotions.id }).from(promotions).where(eq(promotions.code, values.code));
+    if (existing.length > 0) {
+      return next(new AppError('A promotion with this code already exists', 400));
+    }
+
+    const [newPromotion] = await db.insert(promotions).values(values).returning();
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      promotion: formatPromotion(newPromotion)
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Update a promotion
+ */
+const updatePromotion = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [existingPromotion] = await db.select().from(promotions).where(eq(promotions.id, id));
+
+    if (!existingPromotion) {
+      return next(new AppError('Promotion not found', 404));
+    }
+
+    const updateData = toPromotionValues(req.body);
+    updateData.updatedAt = new Date();
+
+    const problem = checkPromotion({ ...existingPromotion, ...updateData });
+    if (problem) {
+      return next(new AppError(problem, 400));
+    }
+
+    if (updateData.code && updateData.code !== existingPromotion.code) {
+      const existing = await db.select({ id: promotions.id }).from(promotions).where(eq(promotions.code, updateData.code));
+      if (existing.length > 0) {
+        return next(new AppError('A promotion with this code already exists', 400));
+      }
+    }
+
+    const [updatedPromotion] = await db
+      .update(promotions)
+      .set(updateData)
+      .where(eq(promotions.id, id))
+      .returning();
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion updated successfully',
+      promotion: formatPromotion(updatedPromotion)
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Delete a promotion (bookings keep the code they were made with)
+ */
+const deletePromotion = async (req, res, next) => {
+  try {
+    const [deletedPromotion] = await db
+      .delete(promotions)
+      .where(eq(promotions.id, req.params.id))
+      .returning();
+
+    if (!deletedPromotion) {
+      return next(new AppError('Promotion not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion deleted successfully'
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+module.exports = {
+  getPromotions,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+};
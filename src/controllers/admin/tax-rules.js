@@ -0,0 +1,144 @@
+/**
+ * Admin Tax Rules Controller
+ * Handles management of the tax and fee rules applied to bookings
+ */
+
+const { db } = require('../../db');
+const { taxRules } = require('../../db/schema');
+const { eq, desc } = require('drizzle-orm');
+const AppError = require('../../utils/appError');
+
+/**
+ * Transform a tax rule row for frontend compatibility
+ */
+const formatTaxRule = (rule) => ({
+  id: rule.id,
+  name: rule.name,
+  type: rule.type,
+  amount: parseFloat(rule.amount),
+  location: rule.location,
+  category: rule.category,
+  isActive: rule.isActive !== false,
+  createdAt: rule.createdAt,
+  updatedAt: rule.updatedAt
+});
+
+/**
+ * Get all tax rules
+ */
+const getTaxRules = async (req, res, next) => {
+  try {
+    const rules = await db.select().from(taxRules).orderBy(desc(taxRules.createdAt));
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      taxRules: rules.map(formatTaxRule)
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Create a tax rule
+ */
+const createTaxRule = async (req, res, next) => {
+  try {
+    const { name, type, amount, location, category, isActive } = req.body;
+
+    const [newRule] = await db.insert(taxRules).values({
+      name,
+      type,
+      amount: parseFloat(amount).toString(),
+      location: location || null,
+      category: category || null,
+      isActive: isActive !== undefined ? isActive === true || isActive === 'true' : true
+    }).returning();
+
+    res.status(201).json({
+      success: true,
+      message: 'Tax rule created successfully',
+      taxRule: formatTaxRule(newRule)
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Update a tax rule
+ */
+const updateTaxRule = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, type, amount, location, category, isActive } = req.body;
+
+    const [existingRule] = await db.select().from(taxRules).where(eq(taxRules.id, id));
+
+    if (!existingRule) {
+      return next(new AppError('Tax rule not found', 404));
+    }
+
+    // Prepare update data
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (type !== undefined) updateData.type = type;
+    if (amount !== undefined) updateData.amount = parseFloat(amount).toString();
+    if (location !== undefined) updateData.location = location || null;
+    if (category !== undefined) updateData.category = category || null;
+    if (isActive !== undefined) updateData.isActive = isActive === true || isActive === 'true';
+    updateData.updatedAt = new Date();
+
+    const resultingRule = { ...existingRule, ...updateData };
+    if (resultingRule.type === 'percentage' && parseFloat(resultingRule.amount) > 100) {
+      return next(new AppError('Percentage amount cannot exceed 100', 400));
+    }
+
+    const [updatedRule] = await db
+      .update(taxRules)
+      .set(updateData)
+      .where(eq(taxRules.id, id))
+      .returning();
+
+    res.status(200).json({
+      success: true,
+      message: 'Tax rule updated successfully',
+      taxRule: formatTaxRule(updatedRule)
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Delete a tax rule
+ */
+const deleteTaxRule = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [deletedRule] = await db
+      .delete(taxRules)
+      .where(eq(taxRules.id, id))
+      .returning();
+
+    if (!deletedRule) {
+      return next(new AppError('Tax rule not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Tax rule deleted successfully'
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+module.exports = {
+  getTaxRules,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule
+};
@@ -8,6 +8,15 @@ const { validationResult } = require('express-validator');
 const { supabaseClient } = require('../../config/supabase');
 const AppError = require('../../utils/appError');
 const { generateToken, verifyToken } = require('../../utils/jwt');
+const { sendMail } = require('../../utils/mailer');
+const { getEnv } = require('../../utils/env-validator');
+
+const FRONTEND_URL = getEnv('FRONTEND_URL', getEnv('CORS_ORIGIN', 'http://localhost:3000'));
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Same answer whether or not the email has an account, so the endpoint
+// cannot be used to find out who is registered
+const FORGOT_PASSWORD_MESSAGE = 'If an account exists for that email, password reset instructions have been sent to it';
 
 /**
  * Forgot password
@@ -19,14 +28,14 @@ const forgotPassword = async (req, res, next) => {
     // Check if user exists
     const { data: user, error } = await supabaseClient
       .from('users')
-      .select('id')
+      .select('id, name, email')
       .eq('email', email)
       .single();
 
     if (error || !user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
+      return res.status(200).json({
+        success: true,
+        message: FORGOT_PASSWORD_MESSAGE
       });
     }
 
@@ -40,16 +49,20 @@ const forgotPassword = async (req, res, next) => {
         {
           user_id: user.id,
           token: resetToken,
-          expires_at: new Date(Date.now() + 3600000).toISOString() // 1 hour
+          expires_at: new Date(Date.now() + RESET_TOKEN_TTL_MS).toISOString()
         }
       ]);
 
-    // In a real app, send email with reset link
-    // For now, just return the token in the response
+    // The token only ever leaves the server inside the emailed link
+    sendMail('password_reset', user.email, {
+      user,
+      resetUrl: `${FRONTEND_URL.replace(/\/$/, '')}/reset-password?token=${resetToken}`,
+      expiresIn: '1 hour'
+    });
+
     res.status(200).json({
       success: true,
-      message: 'Password reset instructions sent to email',
-      resetToken // Remove this in production
+      message: FORGOT_PASSWORD_MESSAGE
     });
   } catch (error) {
     next(new AppError(error.message, 500));
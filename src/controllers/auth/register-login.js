@@ -10,6 +10,7 @@ const { users } = require('../../db/schema');
 const { eq } = require('drizzle-orm');
 const AppError = require('../../utils/appError');
 const { generateToken } = require('../../utils/jwt');
+const { sendMail } = require('../../utils/mailer');
 
 /**
  * Register a new user
@@ -55,6 +56,8 @@ const register = async (req, res, next) => {
       role: users.role
     });
 
+    sendMail('welcome', newUser.email, { user: newUser });
+
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
@@ -7,6 +7,13 @@ const { db } = require('../../db');
 const { bookings, rooms, users } = require('../../db/schema');
 const { count, desc, eq, and, or, ilike, gte, lte } = require('drizzle-orm');
 const AppError = require('../../utils/appError');
+const { releaseToWaitlist } = require('../../utils/booking/waitlist');
+const { RELEASED_STATUSES } = require('../../utils/booking/availability');
+const { BOOKING_STATUSES, transitionBooking } = require('../../utils/booking/lifecycle');
+const { loadBookingEvents, summarizeTimeline } = require('../../utils/booking/events');
+const { loadFolio, closingBalanceNote } = require('../../utils/booking/folio');
+const { lockBooking } = require('../../utils/booking/payments');
+const { sendMail } = require('../../utils/mailer');
 
 /**
  * Get all bookings (admin only)
@@ -143,16 +150,23 @@ const getAllBookings = async (req, res, next) => {
         // Booking details
         checkIn: formatDate(booking.checkIn),
         checkOut: formatDate(booking.checkOut),
-        totalPrice: parseFloat(booking.totalPrice) || 0,
+        basePrice: parseFloat(booking.basePrice) || 0,
+        taxAndFees: parseFloat(booking.taxAndFees) || 0,
+        taxBreakdown: booking.taxBreakdown || [],
+        basePrice: parseFloat(booking.basePrice) || 0,
+      taxAndFees: parseFloat(booking.taxAndFees) || 0,
+      taxBreakdown: booking.taxBreakdown || [],
+      totalPrice: parseFloat(booking.totalPrice) || 0,
         nights: nightsCount || 1,
         status: booking.status || 'pending',
-        // paymentMethod: booking.paymentMethod || 'credit_card', // Not in schema
+        paymentMethod: booking.paymentMethod,
         paymentStatus: booking.paymentStatus || 'pending',
         
         // Additional information
         specialRequests: booking.specialRequests || '',
-        adults: parseInt(booking.adults) || 1,
-        children: 0, // Schema: guests is integer
+        guests: booking.guests,
+        adults: booking.adults,
+        children: booking.children,
         createdAt: booking.createdAt,
         updatedAt: booking.updatedAt || booking.createdAt
       };
@@ -187,27 +201,51 @@ const getAllBookings = async (req, res, next) => {
 const updateBookingStatus = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, waivePenalty, override, overrideReason } = req.body;
 
-    if (!status || !['pending', 'confirmed', 'cancelled', 'completed'].includes(status)) {
+    if (!status || !BOOKING_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
         message: 'Valid status is required'
       });
     }
 
-    // Update booking status
-    const [updatedBooking] = await db
-      .update(bookings)
-      .set({
-        status,
-        updatedAt: new Date()
-      })
-      .where(eq(bookings.id, id))
-      .returning();
+    const [existingBooking] = await db.select().from(bookings).where(eq(bookings.id, id));
 
-    if (!updatedBooking) {
-        return next(new AppError('Booking not found or update failed', 404));
+    if (!existingBooking) {
+      return next(new AppError('Booking not found', 404));
+    }
+
+    const { booking: updatedBooking, cancellation, noShow } = await db.transaction(async (tx) => {
+      // Completing a stay is checking the guest out, so a balance still due
+      // blocks it unless the admin overrides it with a reason. The balance is
+      // checked on the locked booking, so a charge posted meanwhile counts.
+      let current = existingBooking;
+      let note = null;
+      if (status === 'completed') {
+        current = await lockBooking(tx, id);
+        if (current.status !== 'completed') {
+          note = closingBalanceNote(await loadFolio(tx, current), { override, overrideReason });
+        }
+      }
+
+      // Invalid transitions are refused with a 409; cancelling applies the
+      // booking's cancellation policy unless the admin waives it
+      return transitionBooking(tx, current, status, {
+        actor: 'admin',
+        actorId: req.user.id,
+        note,
+        waivePenalty: waivePenalty === true || waivePenalty === 'true'
+      });
+    });
+
+    // Cancellations and no-shows free the room's remaining nights
+    if (RELEASED_STATUSES.includes(status)) {
+      await releaseToWaitlist(db, updatedBooking.roomId);
+    }
+
+    if (status === 'cancelled') {
+      sendMail('booking_cancellation', updatedBooking.email, { booking: updatedBooking });
     }
 
     // Fetch related updated data
@@ -238,13 +276,20 @@ const updateBookingStatus = async (req, res, next) => {
       userEmail: user?.email || booking.email || '',
       checkIn: booking.checkIn,
       checkOut: booking.checkOut,
+      basePrice: parseFloat(booking.basePrice) || 0,
+      taxAndFees: parseFloat(booking.taxAndFees) || 0,
+      taxBreakdown: booking.taxBreakdown || [],
       totalPrice: parseFloat(booking.totalPrice) || 0,
       nights: booking.nights,
       status: booking.status,
-      // paymentMethod: booking.paymentMethod,
+      cancellationPenalty: booking.cancellationPenalty !== null ? parseFloat(booking.cancellationPenalty) : null,
+      refundAmount: booking.refundAmount !== null ? parseFloat(booking.refundAmount) : null,
+      cancelledAt: booking.cancelledAt,
+      paymentMethod: booking.paymentMethod,
       specialRequests: booking.specialRequests,
+      guests: booking.guests,
       adults: booking.adults,
-      children: 0,
+      children: booking.children,
       createdAt: booking.createdAt,
       updatedAt: booking.updatedAt
     };
@@ -252,14 +297,56 @@ const updateBookingStatus = async (req, res, next) => {
     res.status(200).json({
       success: true,
       message: 'Booking status updated successfully',
-      booking: bookingResponse
+      booking: bookingResponse,
+      ...(cancellation && { cancellation }),
+      ...(noShow && { noShow })
+    });
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Get a booking's full change history (admin only)
+ */
+const getBookingHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [booking] = await db
+      .select({ id: bookings.id, bookingId: bookings.bookingId, status: bookings.status })
+      .from(bookings)
+      .where(eq(bookings.id, id));
+
+    if (!booking) {
+      return next(new AppError('Booking not found', 404));
+    }
+
+    const events = await loadBookingEvents(db, id);
+
+    res.status(200).json({
+      success: true,
+      booking,
+      count: events.length,
+      events: events.map(event => ({
+        id: event.id,
+        type: event.type,
+        actorType: event.actorType,
+        actorId: event.actorId,
+        actorName: event.actorName,
+        changes: event.changes,
+        note: event.note,
+        createdAt: event.createdAt
+      })),
+      timeline: summarizeTimeline(events)
     });
   } catch (error) {
-    next(new AppError(error.message, 500));
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
   }
 };
 
 module.exports = {
   getAllBookings,
-  updateBookingStatus
+  updateBookingStatus,
+  getBookingHistory
 };
@@ -5,8 +5,9 @@
 
 const { db } = require('../../db');
 const { rooms, bookings } = require('../../db/schema');
-const { eq, and, or, lte, gte, ne } = require('drizzle-orm');
+const { eq } = require('drizzle-orm');
 const AppError = require('../../utils/appError');
+const { findOverlappingBookings } = require('../../utils/booking/availability');
 
 /**
  * Check room availability for specific dates
@@ -41,24 +42,15 @@ const checkRoomAvailability = async (req, res, next) => {
     }
 
     // Check if room is already booked for the dates
-    const overlaps = await db
-      .select({ id: bookings.id })
-      .from(bookings)
-      .where(
-        and(
-          eq(bookings.roomId, roomId),
-          or(
-            and(lte(bookings.checkIn, checkOut), gte(bookings.checkOut, checkIn))
-          ),
-          ne(bookings.status, 'cancelled')
-        )
-      );
+    const overlaps = await findOverlappingBookings(db, { roomId, checkIn, checkOut });
 
     const isAvailable = overlaps.length === 0;
 
     res.status(200).json({
       success: true,
       available: isAvailable,
+      // Guests can join the waitlist (POST /api/waitlist) for booked dates
+      canJoinWaitlist: !isAvailable,
       message: isAvailable ? 'Room is available for the selected dates' : 'Room is already booked for the selected dates'
     });
   } catch (error) {
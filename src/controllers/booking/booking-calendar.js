@@ -0,0 +1,42 @@
+/**
+ * Booking Calendar Controller
+ * Lets guests download their stay as an iCalendar (.ics) file
+ */
+
+const { db } = require('../../db');
+const { bookings } = require('../../db/schema');
+const { eq } = require('drizzle-orm');
+const AppError = require('../../utils/appError');
+const { ownBookingCondition } = require('../../utils/booking/guest-access');
+const { buildBookingCalendar, calendarFileName } = require('../../utils/booking/ical');
+
+/**
+ * Download a booking as an .ics file
+ */
+const getBookingCalendar = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const isAdmin = req.user.role === 'admin';
+
+    const [booking] = await db
+      .select()
+      .from(bookings)
+      .where(isAdmin ? eq(bookings.id, id) : ownBookingCondition(req, id));
+
+    if (!booking) {
+      return next(new AppError('Booking not found or access denied', 404));
+    }
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${calendarFileName(booking)}"`
+    });
+    res.status(200).send(buildBookingCalendar(booking));
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+module.exports = {
+  getBookingCalendar
+};
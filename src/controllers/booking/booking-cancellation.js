@@ -0,0 +1,48 @@
+/**
+ * Booking Cancellation Controller
+ * Shows guests what they would get back before they cancel
+ */
+
+const { db } = require('../../db');
+const { bookings } = require('../../db/schema');
+const { eq } = require('drizzle-orm');
+const AppError = require('../../utils/appError');
+const { CURRENCY } = require('../../utils/booking/pricing');
+const { computeCancellation } = require('../../utils/booking/cancellation');
+const { assertTransition } = require('../../utils/booking/lifecycle');
+const { ownBookingCondition } = require('../../utils/booking/guest-access');
+
+/**
+ * Preview the penalty and refund for cancelling a booking now
+ */
+const getCancellationPreview = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const isAdmin = req.user.role === 'admin';
+
+    const [booking] = await db
+      .select()
+      .from(bookings)
+      .where(isAdmin ? eq(bookings.id, id) : ownBookingCondition(req, id));
+
+    if (!booking) {
+      return next(new AppError('Booking not found or access denied', 404));
+    }
+
+    // Same rules as the cancel endpoint, so the preview never promises a refund it cannot give
+    assertTransition(booking, 'cancelled', { actor: isAdmin ? 'admin' : 'guest' });
+
+    res.status(200).json({
+      success: true,
+      bookingId: booking.bookingId,
+      currency: CURRENCY,
+      cancellation: computeCancellation(booking)
+    });
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+module.exports = {
+  getCancellationPreview
+};
@@ -0,0 +1,168 @@
+/**
+ * Booking Holds Controller
+ * Holds a room while the guest completes checkout, then converts the hold
+ * into a confirmed booking
+ */
+
+const { db } = require('../../db');
+const { bookings, rooms } = require('../../db/schema');
+const { eq, and } = require('drizzle-orm');
+const AppError = require('../../utils/appError');
+const { BookingConflictError, sendConflict } = require('../../utils/booking/availability');
+const { pricesMatch } = require('../../utils/booking/pricing');
+const { transitionBooking } = require('../../utils/booking/lifecycle');
+const { HOLD_MINUTES, placeHold } = require('../../utils/booking/holds');
+const { sendMail } = require('../../utils/mailer');
+
+/**
+ * Transform a hold row for frontend compatibility
+ */
+const formatHold = (booking, quote) => ({
+  id: booking.id,
+  bookingId: booking.bookingId,
+  roomId: booking.roomId,
+  roomTitle: booking.roomTitle,
+  roomImage: booking.roomImage,
+  roomCategory: booking.roomCategory,
+  checkIn: booking.checkIn,
+  checkOut: booking.checkOut,
+  nights: booking.nights,
+  guests: booking.guests,
+  adults: booking.adults,
+  children: booking.children,
+  status: booking.status,
+  holdExpiresAt: booking.holdExpiresAt,
+  basePrice: parseFloat(booking.basePrice),
+  taxAndFees: parseFloat(booking.taxAndFees),
+  taxBreakdown: booking.taxBreakdown || [],
+  totalPrice: parseFloat(booking.totalPrice),
+  promoCode: booking.promoCode,
+  discountAmount: parseFloat(booking.discountAmount) || 0,
+  cancellationPolicy: booking.cancellationPolicy,
+  ...(quote && { pricing: quote }),
+  paymentMethod: booking.paymentMethod,
+  specialRequests: booking.specialRequests,
+  createdAt: booking.createdAt
+});
+
+/**
+ * Hold a room for the current user while they enter payment details
+ */
+const createHold = async (req, res, next) => {
+  try {
+    const {
+      roomId,
+      checkIn,
+      checkOut,
+      adults,
+      children,
+      promoCode,
+      firstName,
+      lastName,
+      email,
+      phone,
+      specialRequests
+    } = req.body;
+
+    const [room] = await db.select().from(rooms).where(eq(rooms.id, roomId));
+
+    if (!room) {
+      return next(new AppError('Room not found', 404));
+    }
+
+    if (room.isAvailable === false) {
+      return next(new AppError('Room is not available for booking', 409));
+    }
+
+    let placed;
+    try {
+      placed = await placeHold(db, {
+        room,
+        user: req.user,
+        checkIn,
+        checkOut,
+        adults,
+        children,
+        promoCode,
+        details: { firstName, lastName, email, phone, specialRequests }
+      });
+    } catch (holdError) {
+      if (holdError instanceof BookingConflictError) {
+        return sendConflict(res, holdError);
+      }
+      throw holdError;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Room held for ${HOLD_MINUTES} minutes`,
+      hold: formatHold(placed.hold, placed.quote)
+    });
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Confirm a hold, turning it into a booking
+ */
+const confirmHold = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { totalPrice, paymentMethod, specialRequests, firstName, lastName, email, phone } = req.body;
+
+    const [hold] = await db
+      .select()
+      .from(bookings)
+      .where(and(eq(bookings.id, id), eq(bookings.userId, req.user.id)));
+
+    if (!hold) {
+      return next(new AppError('Booking not found or access denied', 404));
+    }
+
+    if (hold.status !== 'pending' || !hold.holdExpiresAt) {
+      return next(new AppError('This booking is not an active hold', 409));
+    }
+
+    if (new Date(hold.holdExpiresAt) <= new Date()) {
+      return next(new AppError('This hold has expired', 410));
+    }
+
+    if (totalPrice !== undefined && !pricesMatch(totalPrice, { totalPrice: hold.totalPrice })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Total price does not match the held price for this stay',
+        totalPrice: parseFloat(hold.totalPrice)
+      });
+    }
+
+    const guestDetails = {};
+    if (specialRequests !== undefined) guestDetails.specialRequests = specialRequests;
+    if (firstName) guestDetails.firstName = firstName;
+    if (lastName) guestDetails.lastName = lastName;
+    if (email) guestDetails.email = email;
+    if (phone) guestDetails.phone = phone;
+    if (paymentMethod) guestDetails.paymentMethod = paymentMethod;
+
+    // The lifecycle re-checks the deadline in the UPDATE itself, so a hold the
+    // sweeper expires in the meantime cannot be confirmed
+    const { booking } = await db.transaction((tx) =>
+      transitionBooking(tx, hold, 'confirmed', { actorId: req.user.id, values: guestDetails })
+    );
+
+    sendMail('booking_confirmation', booking.email, { booking });
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking confirmed successfully',
+      booking: formatHold(booking)
+    });
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+module.exports = {
+  createHold,
+  confirmHold
+};
@@ -0,0 +1,164 @@
+/**
+ * Booking Invoices Controller
+ * Lets guests download the invoice for their stay as a PDF, and admins issue
+ * invoices with company billing details and credit notes that correct them
+ */
+
+const { db } = require('../../db');
+const { bookings } = require('../../db/schema');
+const { eq } = require('drizzle-orm');
+const AppError = require('../../utils/appError');
+const { actorFromRequest } = require('../../utils/booking/events');
+const { ownBookingCondition } = require('../../utils/booking/guest-access');
+const {
+  loadInvoices,
+  loadInvoice,
+  issueInvoice,
+  issueCreditNote,
+  formatInvoice,
+  renderInvoicePdf,
+  invoiceFileName
+} = require('../../utils/booking/invoices');
+
+/**
+ * Load a booking the requester may see
+ */
+const loadBooking = async (req) => {
+  const { id } = req.params;
+  const [booking] = await db
+    .select()
+    .from(bookings)
+    .where(req.user.role === 'admin' ? eq(bookings.id, id) : ownBookingCondition(req, id));
+  return booking;
+};
+
+/**
+ * Send an invoice or credit note as a PDF download
+ */
+const sendInvoicePdf = async (res, invoice) => {
+  const credited = invoice.creditedInvoiceId ? await loadInvoice(db, invoice.bookingId, invoice.creditedInvoiceId) : null;
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${invoiceFileName(invoice)}"`
+  });
+  res.status(200).send(renderInvoicePdf(invoice, { creditedInvoiceNumber: credited ? credited.invoiceNumber : null }));
+};
+
+/**
+ * Download the booking's current invoice, issuing it to the guest on the
+ * booking the first time it is asked for
+ */
+const getBookingInvoicePdf = async (req, res, next) => {
+  try {
+    const booking = await loadBooking(req);
+
+    if (!booking) {
+      return next(new AppError('Booking not found or access denied', 404));
+    }
+
+    const { invoice } = await issueInvoice(db, booking, { reuseCurrent: true, actor: actorFromRequest(req) });
+
+    await sendInvoicePdf(res, invoice);
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+/**
+ * List a booking's invoices and credit notes (admin only)
+ */
+const getBookingInvoices = async (req, res, next) => {
+  try {
+    const booking = await loadBooking(req);
+
+    if (!booking) {
+      return next(new AppError('Booking not found', 404));
+    }
+
+    const bookingInvoices = await loadInvoices(db, booking.id);
+
+    res.status(200).json({
+      success: true,
+      bookingId: booking.bookingId,
+      invoices: bookingInvoices.map(invoice => formatInvoice(invoice, bookingInvoices))
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Issue an invoice, optionally billed to a company (admin only)
+ */
+const createInvoice = async (req, res, next) => {
+  try {
+    const booking = await loadBooking(req);
+
+    if (!booking) {
+      return next(new AppError('Booking not found', 404));
+    }
+
+    const { invoice } = await issueInvoice(db, booking, { billTo: req.body.billTo, actor: actorFromRequest(req) });
+
+    res.status(201).json({
+      success: true,
+      message: `Invoice ${invoice.invoiceNumber} issued`,
+      invoice: formatInvoice(invoice)
+    });
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Download any of a booking's invoices or credit notes (admin only)
+ */
+const getInvoicePdf = async (req, res, next) => {
+  try {
+    const invoice = await loadInvoice(db, req.params.id, req.params.invoiceId);
+
+    if (!invoice) {
+      return next(new AppError('Invoice not found', 404));
+    }
+
+    await sendInvoicePdf(res, invoice);
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Cancel an invoice with a credit note so it can be issued again (admin only)
+ */
+const createCreditNote = async (req, res, next) => {
+  try {
+    const booking = await loadBooking(req);
+
+    if (!booking) {
+      return next(new AppError('Booking not found', 404));
+    }
+
+    const creditNote = await issueCreditNote(db, booking, req.params.invoiceId, {
+      reason: req.body.reason,
+      actor: actorFromRequest(req)
+    });
+    const bookingInvoices = await loadInvoices(db, booking.id);
+
+    res.status(201).json({
+      success: true,
+      message: `Credit note ${creditNote.invoiceNumber} issued`,
+      creditNote: formatInvoice(creditNote, bookingInvoices)
+    });
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+module.exports = {
+  getBookingInvoicePdf,
+  getBookingInvoices,
+  createInvoice,
+  getInvoicePdf,
+  createCreditNote
+};
@@ -6,14 +6,22 @@
 const { validationResult } = require('express-validator');
 const { db } = require('../../db');
 const { bookings, rooms } = require('../../db/schema');
-const { eq, and, or, lte, gte, ne } = require('drizzle-orm');
+const { eq } = require('drizzle-orm');
 const AppError = require('../../utils/appError');
-
-
-// Helper to generate booking ID
-const generateBookingId = () => {
-  return `BK-${Date.now().toString().slice(-6)}-${Math.random().toString(36).substring(2, 5).toUpperCase()}`;
-};
+const {
+  assertRoomAvailable,
+  toConflictError,
+  sendConflict,
+  toDateString
+} = require('../../utils/booking/availability');
+const { priceStay, pricesMatch } = require('../../utils/booking/pricing');
+const { redeemPromotion } = require('../../utils/booking/promotions');
+const { generateBookingId } = require('../../utils/booking/reference');
+const { releaseToWaitlist } = require('../../utils/booking/waitlist');
+const { isFinalStatus, transitionBooking } = require('../../utils/booking/lifecycle');
+const { ownBookingCondition } = require('../../utils/booking/guest-access');
+const { actorFromRequest, recordBookingEvents } = require('../../utils/booking/events');
+const { sendMail } = require('../../utils/mailer');
 
 /**
  * Create a new booking and save it to the database
@@ -31,22 +39,23 @@ const createBooking = async (req, res, next) => {
       });
     }
 
-    // Get user ID from request or use guest ID
-    const userId = req.user?.id || req.body.user_id || 'guest-' + Date.now();
+    // Bookings made without an account have no user; guests find them again
+    // by reference and email (see guest-lookup)
+    const userId = req.user?.id || null;
     
     // Extract booking data from request body - support both snake_case and camelCase
     const {
       check_in, checkIn,
       check_out, checkOut,
       total_price, totalPrice,
-      nights,
       adults,
       children,
       payment_method, paymentMethod,
       special_requests, specialRequests,
       user_email, email,
       user_name, firstName, lastName,
-      phone
+      phone,
+      promo_code, promoCode
     } = req.body;
     
     // Resolve values
@@ -56,6 +65,7 @@ const createBooking = async (req, res, next) => {
     const txPaymentMethod = payment_method || paymentMethod;
     const txSpecialRequests = special_requests || specialRequests;
     const txEmail = user_email || email;
+    const txPromoCode = promo_code || promoCode;
     
     // Extract room_id separately so we can modify it
     let roomId = req.body.room_id || req.body.roomId;
@@ -113,17 +123,25 @@ const createBooking = async (req, res, next) => {
       });
     }
 
-    // Create booking record in database with safety checks
-    const roomPrice = room && room.price ? room.price : 100; // Fallback price if none provided
-    const calculatedTotalPrice = txTotalPrice || (nights ? nights * roomPrice : roomPrice);
-    
-    // Log room data for debugging
-    console.log('Using room for booking:', {
-      id: room.id,
-      title: room.title,
-      price: room.price,
-      calculatedPrice: calculatedTotalPrice
+    // Price the stay on the server; a client total is only accepted if it matches
+    const adultCount = parseInt(adults) || 1;
+    const childCount = parseInt(children) || 0;
+    const guestCount = adultCount + childCount;
+    const quote = await priceStay(db, {
+      room,
+      checkIn: txCheckIn,
+      checkOut: txCheckOut,
+      guests: guestCount,
+      promoCode: txPromoCode
     });
+
+    if (txTotalPrice !== undefined && txTotalPrice !== null && !pricesMatch(txTotalPrice, quote)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Total price does not match the current price for this stay',
+        quote
+      });
+    }
     
     // Ensure the room_id is valid (we should have it from previous checks)
     if (!room || !room.id) {
@@ -168,44 +186,81 @@ const createBooking = async (req, res, next) => {
       roomImage: room.imageUrl,
       
       // Booking Details
-      checkIn: new Date(txCheckIn).toISOString().split('T')[0],
-      checkOut: new Date(txCheckOut).toISOString().split('T')[0],
-      nights: nights || 1,
-      guests: (parseInt(adults) || 1) + (parseInt(children) || 0),
-      adults: parseInt(adults) || 1,
+      checkIn: toDateString(txCheckIn),
+      checkOut: toDateString(txCheckOut),
+      nights: quote.nights,
+      guests: guestCount,
+      adults: adultCount,
+      children: childCount,
       
       specialRequests: txSpecialRequests || '',
-      basePrice: roomPrice.toString(),
-      taxAndFees: '0', 
-      totalPrice: calculatedTotalPrice.toString(),
+      basePrice: quote.subtotal.toString(),
+      taxAndFees: quote.taxAndFees.toString(),
+      taxBreakdown: quote.taxes,
+      totalPrice: quote.totalPrice.toString(),
+      promotionId: quote.promotionId,
+      promoCode: quote.promoCode,
+      discountAmount: quote.discountTotal.toString(),
+      cancellationPolicy: quote.cancellationPolicy,
       
       status: 'confirmed',
       paymentStatus: 'pending',
+      paymentMethod: txPaymentMethod || null,
       location: room.location,
       
       createdAt: new Date(),
       updatedAt: new Date()
     };
 
-    // Insert the booking into the database
-    const [newBooking] = await db.insert(bookings).values(bookingData).returning();
+    // Insert the booking while holding a lock on the room, so concurrent
+    // requests for the same room cannot both pass the overlap check. The promo
+    // code is redeemed in the same transaction so a failed booking uses nothing up.
+    const stay = { roomId, checkIn: bookingData.checkIn, checkOut: bookingData.checkOut };
+    let newBooking;
+    try {
+      newBooking = await db.transaction(async (tx) => {
+        await assertRoomAvailable(tx, stay);
+        if (quote.promotionId) {
+          await redeemPromotion(tx, quote.promotionId);
+        }
+        const [inserted] = await tx.insert(bookings).values(bookingData).returning();
+        await recordBookingEvents(tx, { type: 'created', before: null, after: inserted, ...actorFromRequest(req) });
+        return inserted;
+      });
+    } catch (writeError) {
+      const conflict = await toConflictError(db, writeError, stay);
+      if (conflict) {
+        return sendConflict(res, conflict);
+      }
+      throw writeError;
+    }
+
+    sendMail('booking_confirmation', newBooking.email, { booking: newBooking });
 
     // Transform the response for frontend compatibility
     const bookingResponse = {
       id: newBooking.id,
+      bookingId: newBooking.bookingId,
       roomId: newBooking.roomId,
       roomTitle: newBooking.roomTitle,
       roomImage: newBooking.roomImage,
       roomCategory: newBooking.roomCategory,
       checkIn: newBooking.checkIn,
       checkOut: newBooking.checkOut,
-      totalPrice: newBooking.totalPrice,
+      basePrice: parseFloat(newBooking.basePrice),
+      taxAndFees: parseFloat(newBooking.taxAndFees),
+      taxBreakdown: newBooking.taxBreakdown || [],
+      totalPrice: parseFloat(newBooking.totalPrice),
+      promoCode: newBooking.promoCode,
+      discountAmount: parseFloat(newBooking.discountAmount) || 0,
+      pricing: quote,
       nights: newBooking.nights,
+      guests: newBooking.guests,
+      adults: newBooking.adults,
+      children: newBooking.children,
       status: newBooking.status,
-      // paymentMethod: newBooking.payment_method, // Not in Drizzle schema? Checking...
-      // Schema has paymentStatus, but not paymentMethod. 
-      // The original code had payment_method. Drizzle schema doesn't seem to have it.
-      // We'll omit it from response or mock it.
+      paymentStatus: newBooking.paymentStatus,
+      paymentMethod: newBooking.paymentMethod,
       specialRequests: newBooking.specialRequests,
       createdAt: newBooking.createdAt
     };
@@ -216,6 +271,9 @@ const createBooking = async (req, res, next) => {
       booking: bookingResponse
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
     console.error('Error in createBooking:', error);
     return res.status(500).json({
       success: false,
@@ -241,93 +299,157 @@ const updateBooking = async (req, res, next) => {
     }
 
     const { id } = req.params;
-    const userId = req.user.id;
     const {
       checkIn,
       checkOut,
       totalPrice,
-      nights,
       paymentMethod,
       specialRequests,
       adults,
       children
     } = req.body;
 
-    // Check if booking exists and belongs to user
+    // Check if booking exists and belongs to the user (or the magic link's guest)
     const [existingBooking] = await db
       .select()
       .from(bookings)
-      .where(and(eq(bookings.id, id), eq(bookings.userId, userId)));
+      .where(ownBookingCondition(req, id));
 
     if (!existingBooking) {
       return next(new AppError('Booking not found or access denied', 404));
     }
 
-    // Cannot update cancelled bookings
-    if (existingBooking.status === 'cancelled') {
+    // Cannot update cancelled, expired or completed bookings
+    if (isFinalStatus(existingBooking.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot update a cancelled booking'
+        message: `Cannot update a ${existingBooking.status} booking`
       });
     }
 
-    // If dates are changed, check availability
-    if (checkIn !== undefined && checkOut !== undefined) {
-      // Check if room is already booked for the dates
-      // Using Drizzle to check for overlap
-      const [overlapBooking] = await db
-        .select()
-        .from(bookings)
-        .where(
-          and(
-            eq(bookings.roomId, existingBooking.roomId),
-            ne(bookings.id, id),
-            or(
-                and(lte(bookings.checkIn, checkOut), gte(bookings.checkOut, checkIn))
-            ),
-            ne(bookings.status, 'cancelled')
-          )
-        )
-        .limit(1);
+    // Resolve the stay after the update (either date may be changed alone)
+    const newCheckIn = checkIn !== undefined ? toDateString(checkIn) : existingBooking.checkIn;
+    const newCheckOut = checkOut !== undefined ? toDateString(checkOut) : existingBooking.checkOut;
+    const datesChanged = newCheckIn !== existingBooking.checkIn || newCheckOut !== existingBooking.checkOut;
 
-      if (overlapBooking) {
-        return res.status(400).json({
-          success: false,
-          message: 'The room is already booked for these dates',
-          available: false
-        });
+    if (newCheckOut <= newCheckIn) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-out date must be after check-in date'
+      });
+    }
+
+    // Once the guest has arrived only the departure can move
+    if (existingBooking.status === 'checked_in' && newCheckIn !== existingBooking.checkIn) {
+      return res.status(400).json({
+        success: false,
+        message: 'The guest has already checked in; only the check-out date can change'
+      });
+    }
+
+    // Rooms in a group reservation share the group's dates
+    if (datesChanged && existingBooking.reservationId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This room is part of a group reservation; change the dates on the reservation instead'
+      });
+    }
+
+    // Extra guest fees and per-person taxes depend on the party, so a guest change re-prices too
+    const newAdults = adults !== undefined ? parseInt(adults) : existingBooking.adults;
+    const newChildren = children !== undefined ? parseInt(children) : existingBooking.children;
+    const newGuests = newAdults + newChildren;
+    const guestsChanged = newAdults !== existingBooking.adults || newChildren !== existingBooking.children;
+
+    // Re-price the stay when the dates or party change; otherwise the booked price stands
+    let quote = null;
+    if (datesChanged || guestsChanged) {
+      const [room] = await db.select().from(rooms).where(eq(rooms.id, existingBooking.roomId));
+
+      if (!room) {
+        return next(new AppError('The room for this booking no longer exists', 404));
       }
+
+      quote = await priceStay(db, {
+        room,
+        checkIn: newCheckIn,
+        checkOut: newCheckOut,
+        guests: newGuests,
+        promotionId: existingBooking.promotionId
+      });
+    }
+
+    const expectedTotal = quote ? quote.totalPrice : existingBooking.totalPrice;
+    if (totalPrice !== undefined && !pricesMatch(totalPrice, { totalPrice: expectedTotal })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Total price does not match the current price for this stay',
+        quote
+      });
     }
 
     // Prepare update data
     const updateData = {};
-    if (checkIn !== undefined) updateData.checkIn = new Date(checkIn).toISOString().split('T')[0];
-    if (checkOut !== undefined) updateData.checkOut = new Date(checkOut).toISOString().split('T')[0];
-    if (totalPrice !== undefined) updateData.totalPrice = totalPrice.toString();
-    if (nights !== undefined) updateData.nights = nights;
-    // paymentMethod not in schema
+    if (checkIn !== undefined) updateData.checkIn = newCheckIn;
+    if (checkOut !== undefined) updateData.checkOut = newCheckOut;
+    if (quote) {
+      updateData.nights = quote.nights;
+      updateData.basePrice = quote.subtotal.toString();
+      updateData.taxAndFees = quote.taxAndFees.toString();
+      updateData.taxBreakdown = quote.taxes;
+      updateData.discountAmount = quote.discountTotal.toString();
+      updateData.totalPrice = quote.totalPrice.toString();
+    }
+    if (paymentMethod !== undefined) updateData.paymentMethod = paymentMethod;
     if (specialRequests !== undefined) updateData.specialRequests = specialRequests;
-    // adults/children not separate columns in schema, guests is integer
-    if (adults || children) {
-       const totalGuests = (parseInt(adults) || 0) + (parseInt(children) || 0);
-       if (totalGuests > 0) updateData.guests = totalGuests;
+    if (guestsChanged) {
+      updateData.guests = newGuests;
+      updateData.adults = newAdults;
+      updateData.children = newChildren;
     }
     updateData.updatedAt = new Date();
 
-    // Update booking
-    const [updatedBooking] = await db
-      .update(bookings)
-      .set(updateData)
-      .where(and(eq(bookings.id, id), eq(bookings.userId, userId)))
-      .returning();
+    // Update booking; date changes are re-checked under a room lock
+    const stay = { roomId: existingBooking.roomId, checkIn: newCheckIn, checkOut: newCheckOut, excludeId: id };
+    let updatedBooking;
+    try {
+      updatedBooking = await db.transaction(async (tx) => {
+        if (datesChanged) {
+          await assertRoomAvailable(tx, stay);
+        }
+
+        const [updated] = await tx
+          .update(bookings)
+          .set(updateData)
+          .where(ownBookingCondition(req, id))
+          .returning();
+        if (updated) {
+          await recordBookingEvents(tx, { type: 'updated', before: existingBooking, after: updated, ...actorFromRequest(req) });
+        }
+        return updated;
+      });
+    } catch (writeError) {
+      const conflict = await toConflictError(db, writeError, stay);
+      if (conflict) {
+        return sendConflict(res, conflict);
+      }
+      throw writeError;
+    }
     
-    // Fetch room details for response
-    const [bookedRoom] = await db.select().from(rooms).where(eq(rooms.id, updatedBooking.roomId));
-
     if (!updatedBooking) {
         return next(new AppError('Failed to update booking', 500));
     }
 
+    // Moving a stay frees its old nights for waitlisted guests
+    if (datesChanged) {
+      await releaseToWaitlist(db, updatedBooking.roomId);
+    }
+
+    sendMail('booking_modification', updatedBooking.email, { booking: updatedBooking });
+
+    // Fetch room details for response
+    const [bookedRoom] = await db.select().from(rooms).where(eq(rooms.id, updatedBooking.roomId));
+
     // Transform the response for frontend compatibility
     // Transform the response for frontend compatibility
     const bookingResponse = {
@@ -340,13 +462,21 @@ const updateBooking = async (req, res, next) => {
       roomLocation: bookedRoom?.location || '',
       checkIn: updatedBooking.checkIn,
       checkOut: updatedBooking.checkOut,
-      totalPrice: updatedBooking.totalPrice,
+      basePrice: parseFloat(updatedBooking.basePrice),
+      taxAndFees: parseFloat(updatedBooking.taxAndFees),
+      taxBreakdown: updatedBooking.taxBreakdown || [],
+      totalPrice: parseFloat(updatedBooking.totalPrice),
+      promoCode: updatedBooking.promoCode,
+      discountAmount: parseFloat(updatedBooking.discountAmount) || 0,
+      ...(quote && { pricing: quote }),
       nights: updatedBooking.nights,
       status: updatedBooking.status,
-      // paymentMethod: updatedBooking.payment_method,
+      paymentStatus: updatedBooking.paymentStatus,
+      paymentMethod: updatedBooking.paymentMethod,
       specialRequests: updatedBooking.specialRequests,
-      // adults: updatedBooking.adults,
-      // children: updatedBooking.children,
+      guests: updatedBooking.guests,
+      adults: updatedBooking.adults,
+      children: updatedBooking.children,
       createdAt: updatedBooking.createdAt,
       updatedAt: updatedBooking.updatedAt
     };
@@ -357,7 +487,7 @@ const updateBooking = async (req, res, next) => {
       booking: bookingResponse
     });
   } catch (error) {
-    next(new AppError(error.message, 500));
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
   }
 };
 
@@ -367,35 +497,30 @@ const updateBooking = async (req, res, next) => {
 const cancelBooking = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
+    const isAdmin = req.user.role === 'admin';
 
-    // Check if booking exists and belongs to user
+    // Check if booking exists and belongs to user (admins can cancel any booking)
     const [existingBooking] = await db
       .select()
       .from(bookings)
-      .where(and(eq(bookings.id, id), eq(bookings.userId, userId)));
+      .where(isAdmin ? eq(bookings.id, id) : ownBookingCondition(req, id));
 
     if (!existingBooking) {
       return next(new AppError('Booking not found or access denied', 404));
     }
 
-    // Already cancelled
-    if (existingBooking.status === 'cancelled') {
-      return res.status(400).json({
-        success: false,
-        message: 'Booking is already cancelled'
-      });
-    }
+    // The lifecycle applies the cancellation policy the booking was made
+    // under (admins may waive it) and refuses bookings that cannot be cancelled
+    const { booking: updatedBooking, cancellation } = await transitionBooking(db, existingBooking, 'cancelled', {
+      actor: isAdmin ? 'admin' : 'guest',
+      actorId: req.user.id,
+      waivePenalty: req.body.waivePenalty === true || req.body.waivePenalty === 'true'
+    });
 
-    // Update booking status
-    const [updatedBooking] = await db
-      .update(bookings)
-      .set({
-        status: 'cancelled',
-        updatedAt: new Date()
-      })
-      .where(eq(bookings.id, id))
-      .returning();
+    // Offer the freed nights to waitlisted guests
+    await releaseToWaitlist(db, updatedBooking.roomId);
+
+    sendMail('booking_cancellation', updatedBooking.email, { booking: updatedBooking });
       
     // Fetch room details for response
     const [bookedRoom] = await db.select().from(rooms).where(eq(rooms.id, updatedBooking.roomId));
@@ -413,7 +538,11 @@ const cancelBooking = async (req, res, next) => {
       totalPrice: updatedBooking.totalPrice,
       nights: updatedBooking.nights,
       status: updatedBooking.status,
-      // paymentMethod: updatedBooking.payment_method,
+      cancellationPenalty: parseFloat(updatedBooking.cancellationPenalty) || 0,
+      refundAmount: parseFloat(updatedBooking.refundAmount) || 0,
+      cancelledAt: updatedBooking.cancelledAt,
+      paymentStatus: updatedBooking.paymentStatus,
+      paymentMethod: updatedBooking.paymentMethod,
       createdAt: updatedBooking.createdAt,
       updatedAt: updatedBooking.updatedAt
     };
@@ -421,10 +550,11 @@ const cancelBooking = async (req, res, next) => {
     res.status(200).json({
       success: true,
       message: 'Booking cancelled successfully',
-      booking: bookingResponse
+      booking: bookingResponse,
+      cancellation
     });
   } catch (error) {
-    next(new AppError(error.message, 500));
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
   }
 };
 
@@ -0,0 +1,246 @@
+/**
+ * Booking Payments Controller
+ * Lets guests pay for their bookings by card or PayPal, and admins record
+ * cash and bank transfers, capture payments that were only authorized and
+ * refund captured money
+ */
+
+const { db } = require('../../db');
+const { bookings, payments } = require('../../db/schema');
+const { and, eq } = require('drizzle-orm');
+const AppError = require('../../utils/appError');
+const { GATEWAY_METHODS } = require('../../utils/payments');
+const { actorFromRequest } = require('../../utils/booking/events');
+const { ownBookingCondition } = require('../../utils/booking/guest-access');
+const {
+  formatPayment,
+  formatRefund,
+  formatPaymentSummary,
+  loadPayments,
+  loadRefunds,
+  loadFolioItems,
+  refundBooking,
+  takePayment,
+  confirmPayment: confirmGatewayPayment,
+  capturePayment: captureGatewayPayment
+} = require('../../utils/booking/payments');
+
+/**
+ * Load a booking the requester may see
+ */
+const loadBooking = async (req) => {
+  const { id } = req.params;
+  const [booking] = await db
+    .select()
+    .from(bookings)
+    .where(req.user.role === 'admin' ? eq(bookings.id, id) : ownBookingCondition(req, id));
+  return booking;
+};
+
+/**
+ * Load one of a booking's payments
+ */
+const loadPayment = async (bookingId, paymentId) => {
+  const [payment] = await db
+    .select()
+    .from(payments)
+    .where(and(eq(payments.id, paymentId), eq(payments.bookingId, bookingId)));
+  return payment;
+};
+
+/**
+ * Respond with the result of a payment step: 201/200 once the money is
+ * authorized or captured, 202 while 3-D Secure is pending and 402 when the
+ * payment was declined or failed
+ */
+const sendPaymentResult = (res, { payment, booking, nextAction = null }, successStatus) => {
+  const paymentResponse = formatPayment(payment);
+
+  if (payment.status === 'declined' || payment.status === 'failed') {
+    return res.status(402).json({
+      success: false,
+      message: payment.failureReason || 'The payment was declined',
+      payment: paymentResponse,
+      paymentStatus: booking.paymentStatus
+    });
+  }
+
+  if (payment.status === 'requires_action') {
+    return res.status(202).json({
+      success: true,
+      message: 'The payment needs to be confirmed with the card issuer',
+      payment: paymentResponse,
+      paymentStatus: booking.paymentStatus,
+      nextAction
+    });
+  }
+
+  res.status(successStatus).json({
+    success: true,
+    message: payment.status === 'captured' ? 'Payment received' : 'Payment authorized',
+    payment: paymentResponse,
+    paymentStatus: booking.paymentStatus
+  });
+};
+
+/**
+ * List a booking's payments and refunds with what is paid and still owed
+ */
+const getBookingPayments = async (req, res, next) => {
+  try {
+    const booking = await loadBooking(req);
+
+    if (!booking) {
+      return next(new AppError('Booking not found or access denied', 404));
+    }
+
+    const bookingPayments = await loadPayments(db, booking.id);
+    const bookingRefunds = await loadRefunds(db, booking.id);
+    const bookingFolioItems = await loadFolioItems(db, booking.id);
+
+    res.status(200).json({
+      success: true,
+      bookingId: booking.bookingId,
+      summary: formatPaymentSummary(booking, bookingPayments, bookingRefunds, bookingFolioItems),
+      payments: bookingPayments.map(formatPayment),
+      refunds: bookingRefunds.map(formatRefund)
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Pay for a booking. Guests pay everything outstanding by card or PayPal;
+ * admins can also record cash and bank transfers, take part of the balance
+ * or only authorize a card for capture later.
+ */
+const createPayment = async (req, res, next) => {
+  try {
+    const isAdmin = req.user.role === 'admin';
+    const booking = await loadBooking(req);
+
+    if (!booking) {
+      return next(new AppError('Booking not found or access denied', 404));
+    }
+
+    const method = req.body.paymentMethod || booking.paymentMethod || 'credit_card';
+    if (!isAdmin && !GATEWAY_METHODS.includes(method)) {
+      return next(new AppError('Cash and bank transfer payments are recorded by the front desk', 400));
+    }
+
+    const result = await takePayment(db, booking, {
+      method,
+      token: req.body.paymentToken,
+      amount: isAdmin ? req.body.amount : undefined,
+      captureMethod: isAdmin && req.body.capture === false ? 'manual' : 'automatic',
+      actor: actorFromRequest(req)
+    });
+
+    sendPaymentResult(res, result, 201);
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Finish a payment once the guest has passed 3-D Secure
+ */
+const confirmPayment = async (req, res, next) => {
+  try {
+    const booking = await loadBooking(req);
+
+    if (!booking) {
+      return next(new AppError('Booking not found or access denied', 404));
+    }
+
+    const payment = await loadPayment(booking.id, req.params.paymentId);
+
+    if (!payment) {
+      return next(new AppError('Payment not found', 404));
+    }
+
+    const result = await confirmGatewayPayment(db, payment, actorFromRequest(req));
+
+    sendPaymentResult(res, result, 200);
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Capture an authorized payment (admin only)
+ */
+const capturePayment = async (req, res, next) => {
+  try {
+    const booking = await loadBooking(req);
+
+    if (!booking) {
+      return next(new AppError('Booking not found', 404));
+    }
+
+    const payment = await loadPayment(booking.id, req.params.paymentId);
+
+    if (!payment) {
+      return next(new AppError('Payment not found', 404));
+    }
+
+    const result = await captureGatewayPayment(db, payment, actorFromRequest(req));
+
+    sendPaymentResult(res, result, 200);
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Refund a booking in full (no amount) or in part (admin only). Without a
+ * payment ID the amount is taken from the most recent payments first.
+ */
+const createRefund = async (req, res, next) => {
+  try {
+    const booking = await loadBooking(req);
+
+    if (!booking) {
+      return next(new AppError('Booking not found', 404));
+    }
+
+    const { amount, reason, paymentId } = req.body;
+
+    if (paymentId && !(await loadPayment(booking.id, paymentId))) {
+      return next(new AppError('Payment not found', 404));
+    }
+
+    const result = await refundBooking(db, booking, {
+      amount,
+      reason,
+      paymentId,
+      actor: actorFromRequest(req)
+    });
+
+    const failed = result.refunds.filter(refund => refund.status === 'failed');
+    const refunded = result.refunds
+      .filter(refund => refund.status === 'succeeded')
+      .reduce((sum, refund) => sum + (parseFloat(refund.amount) || 0), 0);
+
+    res.status(failed.length > 0 ? 502 : 201).json({
+      success: failed.length === 0,
+      message: failed.length > 0
+        ? `The payment gateway refused ${failed.length === result.refunds.length ? 'the' : 'part of the'} refund: ${failed[0].failureReason}`
+        : 'Refund issued successfully',
+      amountRefunded: parseFloat(refunded.toFixed(2)),
+      refunds: result.refunds.map(formatRefund),
+      paymentStatus: result.booking.paymentStatus
+    });
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+module.exports = {
+  getBookingPayments,
+  createPayment,
+  confirmPayment,
+  capturePayment,
+  createRefund
+};
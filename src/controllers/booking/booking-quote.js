@@ -0,0 +1,48 @@
+/**
+ * Booking Quote Controller
+ * Returns server-computed prices for a prospective stay
+ */
+
+const { db } = require('../../db');
+const { rooms } = require('../../db/schema');
+const { eq } = require('drizzle-orm');
+const AppError = require('../../utils/appError');
+const { priceStay } = require('../../utils/booking/pricing');
+
+/**
+ * Get a price quote for a room and date range
+ * The party is given as adults and children, or as a guest count
+ */
+const getBookingQuote = async (req, res, next) => {
+  try {
+    const { roomId, checkIn, checkOut, guests, adults, children, promoCode } = req.query;
+    const guestCount = adults !== undefined || children !== undefined
+      ? (parseInt(adults) || 1) + (parseInt(children) || 0)
+      : parseInt(guests) || 1;
+
+    const [room] = await db.select().from(rooms).where(eq(rooms.id, roomId));
+
+    if (!room) {
+      return next(new AppError('Room not found', 404));
+    }
+
+    const quote = await priceStay(db, {
+      room,
+      checkIn,
+      checkOut,
+      guests: guestCount,
+      promoCode
+    });
+
+    res.status(200).json({
+      success: true,
+      quote
+    });
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+module.exports = {
+  getBookingQuote
+};
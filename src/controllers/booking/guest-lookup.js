@@ -0,0 +1,70 @@
+/**
+ * Guest Lookup Controller
+ * Lets guests without an account find their booking by reference and email,
+ * and request a magic link to manage it
+ */
+
+const { db } = require('../../db');
+const AppError = require('../../utils/appError');
+const { sendMail } = require('../../utils/mailer');
+const {
+  BOOKING_LINK_EXPIRES_IN,
+  findBookingByReference,
+  signBookingAccessToken,
+  buildMagicLinkUrl,
+  formatBookingSummary
+} = require('../../utils/booking/guest-access');
+
+/**
+ * Look up a booking by its reference and email (limited, read-only view)
+ */
+const lookupBooking = async (req, res, next) => {
+  try {
+    const { bookingId, email } = req.body;
+    const booking = await findBookingByReference(db, bookingId, email);
+
+    // Same answer for a wrong reference and a wrong email
+    if (!booking) {
+      return next(new AppError('No booking matches that reference and email', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      booking: formatBookingSummary(booking)
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Email a magic link for managing a booking to the booking's address
+ */
+const sendBookingMagicLink = async (req, res, next) => {
+  try {
+    const { bookingId, email } = req.body;
+    const booking = await findBookingByReference(db, bookingId, email);
+
+    // The link only ever goes to the booking's own email, and the response
+    // never reveals whether a booking matched
+    if (booking) {
+      sendMail('booking_magic_link', booking.email, {
+        booking,
+        manageUrl: buildMagicLinkUrl(signBookingAccessToken(booking)),
+        expiresIn: BOOKING_LINK_EXPIRES_IN
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If a booking matches, a link to manage it has been sent to its email address'
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+module.exports = {
+  lookupBooking,
+  sendBookingMagicLink
+};
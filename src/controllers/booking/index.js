@@ -6,6 +6,13 @@
 const userBookings = require('./user-bookings');
 const bookingOperations = require('./booking-operations');
 const bookingAvailability = require('./booking-availability');
+const bookingQuote = require('./booking-quote');
+const bookingHolds = require('./booking-holds');
+const bookingCancellation = require('./booking-cancellation');
+const bookingCalendar = require('./booking-calendar');
+const bookingPayments = require('./booking-payments');
+const bookingInvoices = require('./booking-invoices');
+const guestLookup = require('./guest-lookup');
 const adminBookings = require('./admin-bookings');
 
 module.exports = {
@@ -18,10 +25,42 @@ module.exports = {
   updateBooking: bookingOperations.updateBooking,
   cancelBooking: bookingOperations.cancelBooking,
   
+  // Cancellation policies
+  getCancellationPreview: bookingCancellation.getCancellationPreview,
+  
+  // Calendar download
+  getBookingCalendar: bookingCalendar.getBookingCalendar,
+  
+  // Payments
+  getBookingPayments: bookingPayments.getBookingPayments,
+  createPayment: bookingPayments.createPayment,
+  confirmPayment: bookingPayments.confirmPayment,
+  capturePayment: bookingPayments.capturePayment,
+  createRefund: bookingPayments.createRefund,
+  
+  // Invoices and credit notes
+  getBookingInvoicePdf: bookingInvoices.getBookingInvoicePdf,
+  getBookingInvoices: bookingInvoices.getBookingInvoices,
+  createInvoice: bookingInvoices.createInvoice,
+  getInvoicePdf: bookingInvoices.getInvoicePdf,
+  createCreditNote: bookingInvoices.createCreditNote,
+  
+  // Checkout holds
+  createHold: bookingHolds.createHold,
+  confirmHold: bookingHolds.confirmHold,
+  
   // Availability checking
   checkRoomAvailability: bookingAvailability.checkRoomAvailability,
   
+  // Pricing
+  getBookingQuote: bookingQuote.getBookingQuote,
+  
+  // Guest lookup (no account needed)
+  lookupBooking: guestLookup.lookupBooking,
+  sendBookingMagicLink: guestLookup.sendBookingMagicLink,
+  
   // Admin booking functions
   getAllBookings: adminBookings.getAllBookings,
   updateBookingStatus: adminBookings.updateBookingStatus,
+  getBookingHistory: adminBookings.getBookingHistory,
 };
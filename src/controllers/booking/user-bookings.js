@@ -5,8 +5,11 @@
 
 const { db } = require('../../db');
 const { bookings, rooms } = require('../../db/schema');
-const { eq, desc, and } = require('drizzle-orm');
+const { eq, desc } = require('drizzle-orm');
 const AppError = require('../../utils/appError');
+const { ownBookingCondition } = require('../../utils/booking/guest-access');
+const { loadBookingEvents, summarizeTimeline } = require('../../utils/booking/events');
+const { loadFolio } = require('../../utils/booking/folio');
 
 /**
  * Get all bookings for the current user
@@ -36,13 +39,25 @@ const getUserBookings = async (req, res, next) => {
       roomLocation: room?.location || booking.location || '',
       checkIn: booking.checkIn,
       checkOut: booking.checkOut,
+      basePrice: parseFloat(booking.basePrice) || 0,
+      taxAndFees: parseFloat(booking.taxAndFees) || 0,
+      taxBreakdown: booking.taxBreakdown || [],
       totalPrice: parseFloat(booking.totalPrice) || 0,
       nights: booking.nights,
       status: booking.status,
-      // paymentMethod: booking.paymentMethod, // Not in Drizzle schema
+      holdExpiresAt: booking.holdExpiresAt,
+      cancellationPolicy: booking.cancellationPolicy,
+      cancellationPenalty: booking.cancellationPenalty !== null ? parseFloat(booking.cancellationPenalty) : null,
+      refundAmount: booking.refundAmount !== null ? parseFloat(booking.refundAmount) : null,
+      cancelledAt: booking.cancelledAt,
+      checkedInAt: booking.checkedInAt,
+      checkedOutAt: booking.checkedOutAt,
+      paymentStatus: booking.paymentStatus,
+      paymentMethod: booking.paymentMethod,
       specialRequests: booking.specialRequests,
-      adults: booking.adults || 1, // Defaulting if null
-      children: 0, // Schema doesn't have children column, explicitly 0
+      guests: booking.guests,
+      adults: booking.adults,
+      children: booking.children,
       createdAt: booking.createdAt
     }));
 
@@ -62,13 +77,9 @@ const getUserBookings = async (req, res, next) => {
 const getBookingById = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
 
-    // Build query conditions
-    let conditions = eq(bookings.id, id);
-    if (req.user.role !== 'admin') {
-      conditions = and(conditions, eq(bookings.userId, userId));
-    }
+    // Admins see any booking; others only their own (or the magic link's)
+    const conditions = req.user.role === 'admin' ? eq(bookings.id, id) : ownBookingCondition(req, id);
 
     const [result] = await db
       .select({
@@ -97,16 +108,35 @@ const getBookingById = async (req, res, next) => {
       roomAmenities: room?.amenities || [],
       checkIn: booking.checkIn,
       checkOut: booking.checkOut,
+      basePrice: parseFloat(booking.basePrice) || 0,
+      taxAndFees: parseFloat(booking.taxAndFees) || 0,
+      taxBreakdown: booking.taxBreakdown || [],
       totalPrice: parseFloat(booking.totalPrice) || 0,
       nights: booking.nights,
       status: booking.status,
-      // paymentMethod: booking.paymentMethod,
+      holdExpiresAt: booking.holdExpiresAt,
+      cancellationPolicy: booking.cancellationPolicy,
+      cancellationPenalty: booking.cancellationPenalty !== null ? parseFloat(booking.cancellationPenalty) : null,
+      refundAmount: booking.refundAmount !== null ? parseFloat(booking.refundAmount) : null,
+      cancelledAt: booking.cancelledAt,
+      checkedInAt: booking.checkedInAt,
+      checkedOutAt: booking.checkedOutAt,
+      paymentStatus: booking.paymentStatus,
+      paymentMethod: booking.paymentMethod,
       specialRequests: booking.specialRequests,
-      adults: booking.adults || 1,
-      children: 0,
-      createdAt: booking.createdAt
+      guests: booking.guests,
+      adults: booking.adults,
+      children: booking.children,
+      createdAt: booking.createdAt,
+      // Everything charged and paid on the stay so far, with the balance
+      folio: await loadFolio(db, booking)
     };
 
+    // Admins also get a summary of the booking's history
+    if (req.user.role === 'admin') {
+      bookingResponse.timeline = summarizeTimeline(await loadBookingEvents(db, booking.id));
+    }
+
     res.status(200).json({
       success: true,
       booking: bookingResponse
@@ -0,0 +1,10 @@
+/**
+ * Front Desk Controller
+ * Handles guest check-in and check-out and the daily arrivals and departures
+ * 
+ * This is a facade that redirects to the modular implementation
+ * in the front-desk/ directory for better maintainability.
+ */
+
+// Export all front-desk controller functions from the modular implementation
+module.exports = require('./front-desk/index');
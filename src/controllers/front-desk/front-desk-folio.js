@@ -0,0 +1,81 @@
+/**
+ * Front Desk Folio Controller
+ * Posts incidental charges (minibar, room service, laundry, damages) and
+ * adjustments to a stay's folio, and voids them when they were posted by
+ * mistake
+ */
+
+const { db } = require('../../db');
+const { bookings } = require('../../db/schema');
+const { eq } = require('drizzle-orm');
+const AppError = require('../../utils/appError');
+const { actorFromRequest } = require('../../utils/booking/events');
+const { loadFolio, postFolioItem, voidFolioItem } = require('../../utils/booking/folio');
+
+/**
+ * Post a charge or adjustment. Staff post charges; adjustments (credits and
+ * corrections) are for admins.
+ */
+const postFolioCharge = async (req, res, next) => {
+  try {
+    const { type, category, description, quantity, unitPrice, amount } = req.body;
+
+    if (type === 'adjustment' && req.user.role !== 'admin') {
+      return next(new AppError('Only a manager can post adjustments', 403));
+    }
+
+    const [booking] = await db.select().from(bookings).where(eq(bookings.id, req.params.id));
+
+    if (!booking) {
+      return next(new AppError('Booking not found', 404));
+    }
+
+    const result = await postFolioItem(db, booking, {
+      type,
+      category,
+      description,
+      quantity: type === 'charge' ? quantity || 1 : 1,
+      unitPrice: type === 'charge' ? unitPrice : amount,
+      actor: actorFromRequest(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: type === 'charge' ? 'Charge posted to the folio' : 'Adjustment posted to the folio',
+      folio: await loadFolio(db, result.booking)
+    });
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Void a charge or adjustment posted by mistake
+ */
+const voidFolioCharge = async (req, res, next) => {
+  try {
+    const [booking] = await db.select().from(bookings).where(eq(bookings.id, req.params.id));
+
+    if (!booking) {
+      return next(new AppError('Booking not found', 404));
+    }
+
+    const result = await voidFolioItem(db, booking, req.params.itemId, {
+      reason: req.body.reason,
+      actor: actorFromRequest(req)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Folio item voided',
+      folio: await loadFolio(db, result.booking)
+    });
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+module.exports = {
+  postFolioCharge,
+  voidFolioCharge
+};
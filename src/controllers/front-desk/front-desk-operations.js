@@ -0,0 +1,160 @@
+/**
+ * Front Desk Operations Controller
+ * Checks guests in and out and tracks housekeeping between stays
+ */
+
+const { db } = require('../../db');
+const { bookings, rooms } = require('../../db/schema');
+const { eq } = require('drizzle-orm');
+const AppError = require('../../utils/appError');
+const { BookingTransitionError, transitionBooking } = require('../../utils/booking/lifecycle');
+const { loadFolio, closingBalanceNote } = require('../../utils/booking/folio');
+const { lockBooking } = require('../../utils/booking/payments');
+const { formatStay } = require('./front-desk-query');
+
+/**
+ * Load a booking and its room
+ */
+const loadStay = async (id) => {
+  const [row] = await db
+    .select({ booking: bookings, room: rooms })
+    .from(bookings)
+    .leftJoin(rooms, eq(bookings.roomId, rooms.id))
+    .where(eq(bookings.id, id));
+  return row;
+};
+
+/**
+ * Check a guest in, recording the staff member and the ID they checked
+ */
+const checkInGuest = async (req, res, next) => {
+  try {
+    const { idVerificationNotes } = req.body;
+    const stay = await loadStay(req.params.id);
+
+    if (!stay) {
+      return next(new AppError('Booking not found', 404));
+    }
+
+    // The lifecycle only lets confirmed stays in from their check-in date
+    const { booking } = await transitionBooking(db, stay.booking, 'checked_in', {
+      actor: req.user.role === 'admin' ? 'admin' : 'staff',
+      actorId: req.user.id,
+      values: {
+        checkedInBy: req.user.id,
+        idVerificationNotes: idVerificationNotes || null
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Guest checked in successfully',
+      booking: formatStay(booking, stay.room)
+    });
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Check a guest out: close the stay, hand the room to housekeeping and
+ * return the final folio. A guest who still owes money can only be checked
+ * out when a manager (an admin) overrides the balance, giving a reason.
+ */
+const checkOutGuest = async (req, res, next) => {
+  try {
+    const stay = await loadStay(req.params.id);
+
+    if (!stay) {
+      return next(new AppError('Booking not found', 404));
+    }
+
+    const { override, overrideReason } = req.body;
+    const now = new Date();
+    const { booking, room } = await db.transaction(async (tx) => {
+      // The balance is checked on the locked booking, so a charge posted in
+      // the meantime cannot slip past it
+      const locked = await lockBooking(tx, stay.booking.id);
+      if (!locked) {
+        throw new AppError('Booking not found', 404);
+      }
+
+      // Confirmed stays can still be completed by an admin, but the front desk
+      // only checks out guests it checked in
+      if (locked.status !== 'checked_in') {
+        throw new BookingTransitionError(locked, 'completed', 'the guest has not checked in');
+      }
+
+      const note = closingBalanceNote(await loadFolio(tx, locked), { override, overrideReason });
+      if (note && req.user.role !== 'admin') {
+        throw new AppError('Only a manager can check out a guest with a balance due', 403);
+      }
+
+      const result = await transitionBooking(tx, locked, 'completed', {
+        actor: req.user.role === 'admin' ? 'admin' : 'staff',
+        actorId: req.user.id,
+        note,
+        at: now,
+        values: { checkedOutBy: req.user.id }
+      });
+
+      let updatedRoom = stay.room;
+      if (result.booking.roomId) {
+        [updatedRoom] = await tx
+          .update(rooms)
+          .set({ housekeepingStatus: 'dirty', updatedAt: now })
+          .where(eq(rooms.id, result.booking.roomId))
+          .returning();
+      }
+
+      return { booking: result.booking, room: updatedRoom };
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Guest checked out successfully',
+      booking: formatStay(booking, room),
+      folio: await loadFolio(db, booking)
+    });
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Update a room's housekeeping status (e.g. clean once it has been turned over)
+ */
+const updateHousekeepingStatus = async (req, res, next) => {
+  try {
+    const { status } = req.body;
+
+    const [room] = await db
+      .update(rooms)
+      .set({ housekeepingStatus: status, updatedAt: new Date() })
+      .where(eq(rooms.id, req.params.id))
+      .returning({
+        id: rooms.id,
+        title: rooms.title,
+        roomNumber: rooms.roomNumber,
+        housekeepingStatus: rooms.housekeepingStatus
+      });
+
+    if (!room) {
+      return next(new AppError('Room not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Housekeeping status updated',
+      room
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+module.exports = {
+  checkInGuest,
+  checkOutGuest,
+  updateHousekeepingStatus
+};
@@ -0,0 +1,130 @@
+/**
+ * Front Desk Query Controller
+ * Arrivals and departures lists and guest folios for front-desk staff
+ */
+
+const { db } = require('../../db');
+const { bookings, rooms } = require('../../db/schema');
+const { eq, and, inArray, asc } = require('drizzle-orm');
+const AppError = require('../../utils/appError');
+const { toDateString } = require('../../utils/booking/availability');
+const { hotelDate } = require('../../utils/booking/hotel-time');
+const { loadFolio } = require('../../utils/booking/folio');
+
+/**
+ * Transform a booking (and its room) for the front desk
+ */
+const formatStay = (booking, room = null) => ({
+  id: booking.id,
+  bookingId: booking.bookingId,
+  reservationId: booking.reservationId,
+  guestName: `${booking.firstName} ${booking.lastName}`,
+  email: booking.email,
+  phone: booking.phone,
+  guests: booking.guests,
+  adults: booking.adults,
+  children: booking.children,
+  specialRequests: booking.specialRequests,
+  checkIn: booking.checkIn,
+  checkOut: booking.checkOut,
+  nights: booking.nights,
+  status: booking.status,
+  paymentStatus: booking.paymentStatus,
+  paymentMethod: booking.paymentMethod,
+  totalPrice: parseFloat(booking.totalPrice) || 0,
+  checkedInAt: booking.checkedInAt,
+  checkedInBy: booking.checkedInBy,
+  idVerificationNotes: booking.idVerificationNotes,
+  checkedOutAt: booking.checkedOutAt,
+  checkedOutBy: booking.checkedOutBy,
+  room: {
+    id: booking.roomId,
+    title: room?.title || booking.roomTitle,
+    roomNumber: room?.roomNumber || null,
+    housekeepingStatus: room?.housekeepingStatus || null
+  }
+});
+
+/**
+ * Load the bookings on a date for one end of the stay
+ * @param {object} column - bookings.checkIn or bookings.checkOut
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string[]} statuses - Statuses to include
+ */
+const loadStaysOn = async (column, date, statuses) => {
+  const rows = await db
+    .select({ booking: bookings, room: rooms })
+    .from(bookings)
+    .leftJoin(rooms, eq(bookings.roomId, rooms.id))
+    .where(and(eq(column, date), inArray(bookings.status, statuses)))
+    .orderBy(asc(bookings.lastName), asc(bookings.firstName));
+
+  return rows.map(({ booking, room }) => formatStay(booking, room));
+};
+
+/**
+ * Get the guests due to arrive on a date (default: today at the hotel)
+ */
+const getArrivals = async (req, res, next) => {
+  try {
+    const date = req.query.date ? toDateString(req.query.date) : hotelDate();
+    const arrivals = await loadStaysOn(bookings.checkIn, date, ['confirmed', 'checked_in']);
+
+    res.status(200).json({
+      success: true,
+      date,
+      count: arrivals.length,
+      checkedIn: arrivals.filter(stay => stay.status === 'checked_in').length,
+      arrivals
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Get the guests due to leave on a date (default: today at the hotel)
+ */
+const getDepartures = async (req, res, next) => {
+  try {
+    const date = req.query.date ? toDateString(req.query.date) : hotelDate();
+    const departures = await loadStaysOn(bookings.checkOut, date, ['checked_in', 'completed']);
+
+    res.status(200).json({
+      success: true,
+      date,
+      count: departures.length,
+      checkedOut: departures.filter(stay => stay.status === 'completed').length,
+      departures
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Get the folio (itemised charges and balance) for a booking
+ */
+const getFolio = async (req, res, next) => {
+  try {
+    const [booking] = await db.select().from(bookings).where(eq(bookings.id, req.params.id));
+
+    if (!booking) {
+      return next(new AppError('Booking not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      folio: await loadFolio(db, booking)
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+module.exports = {
+  formatStay,
+  getArrivals,
+  getDepartures,
+  getFolio
+};
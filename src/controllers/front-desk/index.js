@@ -0,0 +1,26 @@
+/**
+ * Front Desk Controller - Index File
+ * Exports all front-desk controller functions
+ */
+
+const frontDeskQuery = require('./front-desk-query');
+const frontDeskOperations = require('./front-desk-operations');
+const frontDeskFolio = require('./front-desk-folio');
+
+module.exports = {
+  // Daily lists
+  getArrivals: frontDeskQuery.getArrivals,
+  getDepartures: frontDeskQuery.getDepartures,
+  
+  // Check-in and check-out
+  checkInGuest: frontDeskOperations.checkInGuest,
+  checkOutGuest: frontDeskOperations.checkOutGuest,
+  getFolio: frontDeskQuery.getFolio,
+  
+  // Folio charges
+  postFolioCharge: frontDeskFolio.postFolioCharge,
+  voidFolioCharge: frontDeskFolio.voidFolioCharge,
+  
+  // Housekeeping
+  updateHousekeepingStatus: frontDeskOperations.updateHousekeepingStatus
+};
@@ -0,0 +1,10 @@
+/**
+ * Reservation Controller
+ * Handles group reservations that book several rooms under one confirmation number
+ * 
+ * This is a facade that redirects to the modular implementation
+ * in the reservation/ directory for better maintainability.
+ */
+
+// Export all reservation controller functions from the modular implementation
+module.exports = require('./reservation/index');
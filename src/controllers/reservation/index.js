@@ -0,0 +1,20 @@
+/**
+ * Reservation Controller - Index File
+ * Exports all group reservation controller functions
+ */
+
+const reservationQuery = require('./reservation-query');
+const reservationOperations = require('./reservation-operations');
+
+module.exports = {
+  // Query functions
+  getUserReservations: reservationQuery.getUserReservations,
+  getReservationById: reservationQuery.getReservationById,
+  getCancellationPreview: reservationQuery.getCancellationPreview,
+  getAllReservations: reservationQuery.getAllReservations,
+  
+  // Reservation operations
+  createReservation: reservationOperations.createReservation,
+  updateReservation: reservationOperations.updateReservation,
+  cancelReservation: reservationOperations.cancelReservation
+};
@@ -0,0 +1,442 @@
+/**
+ * Reservation Operations Controller
+ * Handles creating, modifying and cancelling group reservations.
+ * Every room in a reservation is booked, moved or cancelled in one
+ * transaction: either all rooms change or none do.
+ */
+
+const { db } = require('../../db');
+const { reservations, bookings, rooms } = require('../../db/schema');
+const { eq, and, inArray, notInArray } = require('drizzle-orm');
+const AppError = require('../../utils/appError');
+const {
+  RELEASED_STATUSES,
+  assertRoomsAvailable,
+  toConflictError,
+  sendConflict,
+  toDateString
+} = require('../../utils/booking/availability');
+const { priceStay, pricesMatch, toCents, fromCents } = require('../../utils/booking/pricing');
+const { generateBookingId, generateConfirmationNumber } = require('../../utils/booking/reference');
+const { releaseToWaitlist } = require('../../utils/booking/waitlist');
+const { isFinalStatus, transitionBooking } = require('../../utils/booking/lifecycle');
+const { actorFromRequest, recordBookingEvents } = require('../../utils/booking/events');
+const { sendMail } = require('../../utils/mailer');
+const {
+  reservationScope,
+  loadReservationBookings,
+  formatReservation,
+  summarizeCancellations
+} = require('./reservation-query');
+
+/**
+ * Add up the totals of several quotes
+ * @param {object[]} quotes - Stay quotes
+ * @returns {number} Combined total in currency units
+ */
+const combinedTotal = (quotes) => fromCents(quotes.reduce((sum, quote) => sum + toCents(quote.totalPrice), 0));
+
+/**
+ * Generate a booking reference not already used in this batch
+ */
+const uniqueBookingId = (taken) => {
+  let bookingId = generateBookingId();
+  while (taken.has(bookingId)) {
+    bookingId = generateBookingId();
+  }
+  taken.add(bookingId);
+  return bookingId;
+};
+
+/**
+ * Create a reservation holding several rooms for the same stay
+ */
+const createReservation = async (req, res, next) => {
+  try {
+    const {
+      rooms: requestedRooms,
+      checkIn,
+      checkOut,
+      firstName,
+      lastName,
+      email,
+      phone,
+      specialRequests,
+      paymentMethod,
+      totalPrice
+    } = req.body;
+
+    const roomIds = requestedRooms.map(item => item.roomId);
+    const roomRows = await db.select().from(rooms).where(inArray(rooms.id, roomIds));
+    const roomsById = new Map(roomRows.map(room => [room.id, room]));
+
+    const missing = roomIds.filter(id => !roomsById.has(id));
+    if (missing.length > 0) {
+      return next(new AppError(`Room not found: ${missing.join(', ')}`, 404));
+    }
+
+    const unavailable = roomRows.filter(room => room.isAvailable === false);
+    if (unavailable.length > 0) {
+      return next(new AppError(`Room is not available for booking: ${unavailable.map(room => room.title).join(', ')}`, 409));
+    }
+
+    // Price every room on the server
+    const lines = [];
+    for (const item of requestedRooms) {
+      const room = roomsById.get(item.roomId);
+      const adults = parseInt(item.adults) || 1;
+      const children = parseInt(item.children) || 0;
+      const guests = adults + children;
+      const quote = await priceStay(db, { room, checkIn, checkOut, guests });
+      lines.push({ room, adults, children, guests, quote });
+    }
+
+    const quotes = lines.map(line => line.quote);
+    if (totalPrice !== undefined && !pricesMatch(totalPrice, { totalPrice: combinedTotal(quotes) })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Total price does not match the current price for this stay',
+        totalPrice: combinedTotal(quotes),
+        quotes
+      });
+    }
+
+    const [defaultFirstName, ...defaultLastNames] = (req.user.name || 'Guest User').split(' ');
+    const guest = {
+      firstName: firstName || defaultFirstName,
+      lastName: lastName || defaultLastNames.join(' ') || 'User',
+      email: email || req.user.email,
+      phone: phone || 'N/A'
+    };
+    const stayDates = { checkIn: toDateString(checkIn), checkOut: toDateString(checkOut) };
+    const stays = lines.map(line => ({ roomId: line.room.id, ...stayDates }));
+
+    let created;
+    try {
+      created = await db.transaction(async (tx) => {
+        await assertRoomsAvailable(tx, stays);
+
+        const [reservation] = await tx.insert(reservations).values({
+          confirmationNumber: generateConfirmationNumber(),
+          userId: req.user.id,
+          ...guest,
+          ...stayDates,
+          status: 'confirmed',
+          specialRequests: specialRequests || ''
+        }).returning();
+
+        const takenIds = new Set();
+        const roomBookings = await tx.insert(bookings).values(lines.map(({ room, adults, children, guests, quote }) => ({
+          bookingId: uniqueBookingId(takenIds),
+          userId: req.user.id,
+          roomId: room.id,
+          reservationId: reservation.id,
+          ...guest,
+          roomType: room.type || 'standard',
+          roomTitle: room.title,
+          roomCategory: room.category,
+          roomImage: room.imageUrl,
+          ...stayDates,
+          nights: quote.nights,
+          guests,
+          adults,
+          children,
+          specialRequests: specialRequests || '',
+          basePrice: quote.subtotal.toString(),
+          taxAndFees: quote.taxAndFees.toString(),
+          taxBreakdown: quote.taxes,
+          totalPrice: quote.totalPrice.toString(),
+          discountAmount: quote.discountTotal.toString(),
+          cancellationPolicy: quote.cancellationPolicy,
+          status: 'confirmed',
+          paymentStatus: 'pending',
+          paymentMethod: paymentMethod || null,
+          location: room.location
+        }))).returning();
+
+        await recordBookingEvents(tx, roomBookings.map(booking => ({
+          type: 'created',
+          before: null,
+          after: booking,
+          ...actorFromRequest(req),
+          note: `Booked under reservation ${reservation.confirmationNumber}`
+        })));
+
+        return { reservation, roomBookings };
+      });
+    } catch (writeError) {
+      const conflict = await toConflictError(db, writeError, stays);
+      if (conflict) {
+        return sendConflict(res, conflict);
+      }
+      throw writeError;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Reservation created successfully',
+      reservation: formatReservation(created.reservation, created.roomBookings)
+    });
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Modify a reservation: move every room to new dates and/or update the
+ * guest details shared by the group
+ */
+const updateReservation = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const {
+      checkIn,
+      checkOut,
+      firstName,
+      lastName,
+      email,
+      phone,
+      specialRequests,
+      totalPrice
+    } = req.body;
+
+    const [reservation] = await db.select().from(reservations).where(reservationScope(req, id));
+
+    if (!reservation) {
+      return next(new AppError('Reservation not found or access denied', 404));
+    }
+
+    if (reservation.status === 'cancelled') {
+      return next(new AppError('Cannot update a cancelled reservation', 400));
+    }
+
+    const heldBookings = await db
+      .select()
+      .from(bookings)
+      .where(and(eq(bookings.reservationId, id), notInArray(bookings.status, RELEASED_STATUSES)));
+
+    // Completed stays are left as they are, like a single completed booking
+    const activeBookings = heldBookings.filter(booking => !isFinalStatus(booking.status));
+
+    if (activeBookings.length === 0) {
+      return next(new AppError('No room in this reservation can still be changed', 400));
+    }
+
+    const newCheckIn = checkIn !== undefined ? toDateString(checkIn) : reservation.checkIn;
+    const newCheckOut = checkOut !== undefined ? toDateString(checkOut) : reservation.checkOut;
+    const datesChanged = newCheckIn !== reservation.checkIn || newCheckOut !== reservation.checkOut;
+
+    if (newCheckOut <= newCheckIn) {
+      return next(new AppError('Check-out date must be after check-in date', 400));
+    }
+
+    // Rooms share the group's dates, so they cannot move once any stay has ended
+    if (datesChanged && activeBookings.length < heldBookings.length) {
+      return next(new AppError('A stay in this reservation has already ended; its dates can no longer change', 400));
+    }
+
+    // Once a guest has arrived only the departure can move
+    if (newCheckIn !== reservation.checkIn && activeBookings.some(booking => booking.status === 'checked_in')) {
+      return next(new AppError('A guest in this reservation has already checked in; only the check-out date can change', 400));
+    }
+
+    // Re-price every room when the dates move
+    const quotes = new Map();
+    if (datesChanged) {
+      const roomRows = await db
+        .select()
+        .from(rooms)
+        .where(inArray(rooms.id, activeBookings.map(booking => booking.roomId)));
+      const roomsById = new Map(roomRows.map(room => [room.id, room]));
+
+      for (const booking of activeBookings) {
+        const room = roomsById.get(booking.roomId);
+        if (!room) {
+          return next(new AppError(`The room for booking ${booking.bookingId} no longer exists`, 404));
+        }
+        quotes.set(booking.id, await priceStay(db, {
+          room,
+          checkIn: newCheckIn,
+          checkOut: newCheckOut,
+          guests: booking.guests,
+          promotionId: booking.promotionId
+        }));
+      }
+    }
+
+    const expectedTotal = datesChanged
+      ? combinedTotal([...quotes.values()])
+      : fromCents(activeBookings.reduce((sum, booking) => sum + toCents(booking.totalPrice), 0));
+    if (totalPrice !== undefined && !pricesMatch(totalPrice, { totalPrice: expectedTotal })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Total price does not match the current price for this stay',
+        totalPrice: expectedTotal
+      });
+    }
+
+    // Guest details are shared by the reservation and its room bookings
+    const sharedData = {};
+    if (firstName !== undefined) sharedData.firstName = firstName;
+    if (lastName !== undefined) sharedData.lastName = lastName;
+    if (email !== undefined) sharedData.email = email;
+    if (phone !== undefined) sharedData.phone = phone;
+    if (specialRequests !== undefined) sharedData.specialRequests = specialRequests;
+
+    const stays = activeBookings.map(booking => ({
+      roomId: booking.roomId,
+      checkIn: newCheckIn,
+      checkOut: newCheckOut,
+      excludeId: booking.id
+    }));
+
+    let updatedBookings;
+    try {
+      updatedBookings = await db.transaction(async (tx) => {
+        const results = [];
+        if (datesChanged) {
+          await assertRoomsAvailable(tx, stays);
+        }
+
+        for (const booking of activeBookings) {
+          const quote = quotes.get(booking.id);
+          const [updated] = await tx
+            .update(bookings)
+            .set({
+              ...sharedData,
+              ...(quote && {
+                checkIn: newCheckIn,
+                checkOut: newCheckOut,
+                nights: quote.nights,
+                basePrice: quote.subtotal.toString(),
+                taxAndFees: quote.taxAndFees.toString(),
+                taxBreakdown: quote.taxes,
+                totalPrice: quote.totalPrice.toString(),
+                discountAmount: quote.discountTotal.toString()
+              }),
+              updatedAt: new Date()
+            })
+            .where(eq(bookings.id, booking.id))
+            .returning();
+
+          await recordBookingEvents(tx, {
+            type: 'updated',
+            before: booking,
+            after: updated,
+            ...actorFromRequest(req),
+            note: `Changed with reservation ${reservation.confirmationNumber}`
+          });
+          results.push(updated);
+        }
+
+        await tx
+          .update(reservations)
+          .set({ ...sharedData, checkIn: newCheckIn, checkOut: newCheckOut, updatedAt: new Date() })
+          .where(eq(reservations.id, id));
+        return results;
+      });
+    } catch (writeError) {
+      const conflict = await toConflictError(db, writeError, stays);
+      if (conflict) {
+        return sendConflict(res, conflict);
+      }
+      throw writeError;
+    }
+
+    // Offer the nights the rooms no longer use to waitlisted guests
+    if (datesChanged) {
+      await releaseToWaitlist(db, ...updatedBookings.map(booking => booking.roomId));
+    }
+
+    for (const booking of updatedBookings) {
+      sendMail('booking_modification', booking.email, { booking });
+    }
+
+    const [updatedReservation] = await db.select().from(reservations).where(eq(reservations.id, id));
+    const grouped = await loadReservationBookings(db, [id]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reservation updated successfully',
+      reservation: formatReservation(updatedReservation, grouped.get(id))
+    });
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Cancel a reservation and every room booked under it
+ */
+const cancelReservation = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [reservation] = await db.select().from(reservations).where(reservationScope(req, id));
+
+    if (!reservation) {
+      return next(new AppError('Reservation not found or access denied', 404));
+    }
+
+    if (reservation.status === 'cancelled') {
+      return next(new AppError('Reservation is already cancelled', 400));
+    }
+
+    const heldBookings = await db
+      .select()
+      .from(bookings)
+      .where(and(eq(bookings.reservationId, id), notInArray(bookings.status, RELEASED_STATUSES)));
+    const activeBookings = heldBookings.filter(booking => !isFinalStatus(booking.status));
+
+    // Every room is cancelled under the policy it was booked with; if any room
+    // cannot be cancelled the whole reservation stays as it is
+    const actor = req.user.role === 'admin' ? 'admin' : 'guest';
+    const waivePenalty = req.body.waivePenalty === true || req.body.waivePenalty === 'true';
+    const cancelledAt = new Date();
+
+    const { updatedReservation, cancellations } = await db.transaction(async (tx) => {
+      const results = [];
+      for (const booking of activeBookings) {
+        const { booking: updated, cancellation } = await transitionBooking(tx, booking, 'cancelled', {
+          actor,
+          actorId: req.user.id,
+          waivePenalty,
+          at: cancelledAt,
+          note: `Cancelled with reservation ${reservation.confirmationNumber}`
+        });
+        results.push({ booking: updated, cancellation });
+      }
+
+      const [cancelled] = await tx
+        .update(reservations)
+        .set({ status: 'cancelled', updatedAt: cancelledAt })
+        .where(eq(reservations.id, id))
+        .returning();
+      return { updatedReservation: cancelled, cancellations: results };
+    });
+
+    // Offer the freed rooms to waitlisted guests
+    await releaseToWaitlist(db, ...activeBookings.map(booking => booking.roomId));
+
+    for (const { booking } of cancellations) {
+      sendMail('booking_cancellation', booking.email, { booking });
+    }
+
+    const grouped = await loadReservationBookings(db, [id]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reservation cancelled successfully',
+      reservation: formatReservation(updatedReservation, grouped.get(id)),
+      cancellation: summarizeCancellations(cancellations)
+    });
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+module.exports = {
+  createReservation,
+  updateReservation,
+  cancelReservation
+};
@@ -0,0 +1,266 @@
+/**
+ * Reservation Query Controller
+ * Handles read operations for group reservations
+ */
+
+const { db } = require('../../db');
+const { reservations, bookings } = require('../../db/schema');
+const { count, desc, eq, and, or, ilike, inArray, asc } = require('drizzle-orm');
+const AppError = require('../../utils/appError');
+const { RELEASED_STATUSES } = require('../../utils/booking/availability');
+const { CURRENCY, toCents, fromCents } = require('../../utils/booking/pricing');
+const { computeCancellation } = require('../../utils/booking/cancellation');
+const { assertTransition } = require('../../utils/booking/lifecycle');
+
+/**
+ * Condition matching a reservation the current user may access
+ * (admins may access any reservation)
+ */
+const reservationScope = (req, id) => (
+  req.user.role === 'admin'
+    ? eq(reservations.id, id)
+    : and(eq(reservations.id, id), eq(reservations.userId, req.user.id))
+);
+
+/**
+ * Load the room bookings belonging to reservations, grouped by reservation ID
+ * @param {object} executor - Drizzle db or transaction
+ * @param {string[]} reservationIds - Reservation IDs
+ * @returns {Promise<Map<string, object[]>>} Bookings per reservation
+ */
+const loadReservationBookings = async (executor, reservationIds) => {
+  const grouped = new Map(reservationIds.map(id => [id, []]));
+  if (reservationIds.length === 0) return grouped;
+
+  const rows = await executor
+    .select()
+    .from(bookings)
+    .where(inArray(bookings.reservationId, reservationIds))
+    .orderBy(asc(bookings.createdAt));
+
+  rows.forEach(booking => grouped.get(booking.reservationId).push(booking));
+  return grouped;
+};
+
+/**
+ * Transform a reservation and its room bookings for frontend compatibility.
+ * Totals only count rooms that are still booked.
+ */
+const formatReservation = (reservation, roomBookings = []) => {
+  const active = roomBookings.filter(booking => !RELEASED_STATUSES.includes(booking.status));
+  const sum = (field) => fromCents(active.reduce((total, booking) => total + toCents(booking[field]), 0));
+
+  return {
+    id: reservation.id,
+    confirmationNumber: reservation.confirmationNumber,
+    userId: reservation.userId,
+    firstName: reservation.firstName,
+    lastName: reservation.lastName,
+    email: reservation.email,
+    phone: reservation.phone,
+    checkIn: reservation.checkIn,
+    checkOut: reservation.checkOut,
+    status: reservation.status,
+    specialRequests: reservation.specialRequests,
+    roomCount: active.length,
+    rooms: roomBookings.map(booking => ({
+      id: booking.id,
+      bookingId: booking.bookingId,
+      roomId: booking.roomId,
+      roomTitle: booking.roomTitle,
+      roomCategory: booking.roomCategory,
+      roomImage: booking.roomImage,
+      guests: booking.guests,
+      adults: booking.adults,
+      children: booking.children,
+      nights: booking.nights,
+      status: booking.status,
+      basePrice: parseFloat(booking.basePrice) || 0,
+      taxAndFees: parseFloat(booking.taxAndFees) || 0,
+      totalPrice: parseFloat(booking.totalPrice) || 0,
+      cancellationPolicy: booking.cancellationPolicy,
+      cancellationPenalty: booking.cancellationPenalty !== null ? parseFloat(booking.cancellationPenalty) : null,
+      refundAmount: booking.refundAmount !== null ? parseFloat(booking.refundAmount) : null
+    })),
+    currency: CURRENCY,
+    basePrice: sum('basePrice'),
+    taxAndFees: sum('taxAndFees'),
+    discountAmount: sum('discountAmount'),
+    totalPrice: sum('totalPrice'),
+    createdAt: reservation.createdAt,
+    updatedAt: reservation.updatedAt
+  };
+};
+
+/**
+ * Combine the cancellation terms of every room in a reservation
+ * @param {Array<{booking: object, cancellation: object}>} cancellations - Per-room results
+ * @returns {object} Combined penalty and refund with the per-room breakdown
+ */
+const summarizeCancellations = (cancellations) => ({
+  penalty: fromCents(cancellations.reduce((sum, { cancellation }) => sum + toCents(cancellation.penalty), 0)),
+  refundAmount: fromCents(cancellations.reduce((sum, { cancellation }) => sum + toCents(cancellation.refundAmount), 0)),
+  rooms: cancellations.map(({ booking, cancellation }) => ({
+    bookingId: booking.bookingId,
+    roomId: booking.roomId,
+    roomTitle: booking.roomTitle,
+    ...cancellation
+  }))
+});
+
+/**
+ * Get the current user's reservations
+ */
+const getUserReservations = async (req, res, next) => {
+  try {
+    const rows = await db
+      .select()
+      .from(reservations)
+      .where(eq(reservations.userId, req.user.id))
+      .orderBy(desc(reservations.createdAt));
+
+    const grouped = await loadReservationBookings(db, rows.map(reservation => reservation.id));
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      reservations: rows.map(reservation => formatReservation(reservation, grouped.get(reservation.id)))
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Get a reservation by ID
+ */
+const getReservationById = async (req, res, next) => {
+  try {
+    const [reservation] = await db
+      .select()
+      .from(reservations)
+      .where(reservationScope(req, req.params.id));
+
+    if (!reservation) {
+      return next(new AppError('Reservation not found or access denied', 404));
+    }
+
+    const grouped = await loadReservationBookings(db, [reservation.id]);
+
+    res.status(200).json({
+      success: true,
+      reservation: formatReservation(reservation, grouped.get(reservation.id))
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Preview what cancelling a reservation would cost, room by room
+ */
+const getCancellationPreview = async (req, res, next) => {
+  try {
+    const [reservation] = await db
+      .select()
+      .from(reservations)
+      .where(reservationScope(req, req.params.id));
+
+    if (!reservation) {
+      return next(new AppError('Reservation not found or access denied', 404));
+    }
+
+    if (reservation.status === 'cancelled') {
+      return next(new AppError('Reservation is already cancelled', 400));
+    }
+
+    const grouped = await loadReservationBookings(db, [reservation.id]);
+    const actor = req.user.role === 'admin' ? 'admin' : 'guest';
+    const now = new Date();
+    const cancellations = grouped.get(reservation.id)
+      .filter(booking => !RELEASED_STATUSES.includes(booking.status))
+      .map(booking => {
+        assertTransition(booking, 'cancelled', { actor, at: now });
+        return { booking, cancellation: computeCancellation(booking, now) };
+      });
+
+    res.status(200).json({
+      success: true,
+      currency: CURRENCY,
+      cancellation: summarizeCancellations(cancellations)
+    });
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Get all reservations (admin only)
+ */
+const getAllReservations = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 5), 50);
+    const startIndex = (page - 1) * limit;
+    const { status, search } = req.query;
+
+    // Build filters
+    const filters = [];
+
+    if (status) {
+      filters.push(eq(reservations.status, status));
+    }
+
+    if (search) {
+      filters.push(or(
+        ilike(reservations.confirmationNumber, `%${search}%`),
+        ilike(reservations.lastName, `%${search}%`),
+        ilike(reservations.email, `%${search}%`)
+      ));
+    }
+
+    const whereClause = filters.length > 0 ? and(...filters) : undefined;
+
+    const [countResult] = await db
+      .select({ count: count() })
+      .from(reservations)
+      .where(whereClause);
+
+    const totalCount = countResult?.count || 0;
+
+    const rows = await db
+      .select()
+      .from(reservations)
+      .where(whereClause)
+      .orderBy(desc(reservations.createdAt))
+      .limit(limit)
+      .offset(startIndex);
+
+    const grouped = await loadReservationBookings(db, rows.map(reservation => reservation.id));
+
+    res.status(200).json({
+      success: true,
+      count: totalCount,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit) || 1,
+        totalItems: totalCount,
+        itemsPerPage: limit
+      },
+      reservations: rows.map(reservation => formatReservation(reservation, grouped.get(reservation.id)))
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+module.exports = {
+  reservationScope,
+  loadReservationBookings,
+  formatReservation,
+  summarizeCancellations,
+  getUserReservations,
+  getReservationById,
+  getCancellationPreview,
+  getAllReservations
+};
@@ -1,12 +1,18 @@
 /**
  * Room Controller Index
- * Aggregates room operations and queries
+ * Aggregates room operations, queries, rate plans, channel sync and blocks
  */
 
 const roomOperations = require('./room-operations');
 const roomQueries = require('./room-query');
+const roomRates = require('./room-rates');
+const roomChannels = require('./room-channels');
+const roomBlocks = require('./room-blocks');
 
 module.exports = {
   ...roomOperations,
-  ...roomQueries
+  ...roomQueries,
+  ...roomRates,
+  ...roomChannels,
+  ...roomBlocks
 };
@@ -0,0 +1,117 @@
+/**
+ * Room Blocks Controller
+ * Lets staff block a room's nights for maintenance. Blocks imported from
+ * booking platform feeds are managed through the feed (see room-channels.js).
+ */
+
+const crypto = require('crypto');
+const { db } = require('../../db');
+const { rooms, roomBlocks } = require('../../db/schema');
+const { eq, and, isNull } = require('drizzle-orm');
+const AppError = require('../../utils/appError');
+const {
+  BookingConflictError,
+  lockRoom,
+  findOverlappingBookings,
+  sendConflict,
+  toDateString
+} = require('../../utils/booking/availability');
+const { releaseToWaitlist } = require('../../utils/booking/waitlist');
+
+/**
+ * Block a room's nights for maintenance (admin only). Nights that guests
+ * have already booked or are holding cannot be blocked.
+ */
+const createRoomBlock = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { summary } = req.body;
+    const startDate = toDateString(req.body.startDate);
+    const endDate = toDateString(req.body.endDate);
+
+    const [room] = await db.select({ id: rooms.id }).from(rooms).where(eq(rooms.id, id));
+
+    if (!room) {
+      return next(new AppError('Room not found', 404));
+    }
+
+    let block;
+    try {
+      block = await db.transaction(async (tx) => {
+        await lockRoom(tx, room.id);
+
+        const bookingOverlaps = (await findOverlappingBookings(tx, { roomId: room.id, checkIn: startDate, checkOut: endDate }))
+          .filter(overlap => !overlap.blocked);
+        if (bookingOverlaps.length > 0) {
+          throw new BookingConflictError(
+            bookingOverlaps.map(({ checkIn, checkOut }) => ({ checkIn, checkOut })),
+            'The room is booked for some of these dates'
+          );
+        }
+
+        const [created] = await tx.insert(roomBlocks).values({
+          roomId: room.id,
+          uid: `maintenance-${crypto.randomUUID()}`,
+          reason: 'maintenance',
+          startDate,
+          endDate,
+          summary: summary || 'Maintenance'
+        }).returning();
+
+        return created;
+      });
+    } catch (blockError) {
+      if (blockError instanceof BookingConflictError) {
+        return sendConflict(res, blockError);
+      }
+      throw blockError;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Room blocked successfully',
+      block: {
+        id: block.id,
+        reason: block.reason,
+        startDate: block.startDate,
+        endDate: block.endDate,
+        summary: block.summary
+      }
+    });
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Remove a maintenance block (admin only)
+ */
+const deleteRoomBlock = async (req, res, next) => {
+  try {
+    const { id, blockId } = req.params;
+
+    const [deleted] = await db
+      .delete(roomBlocks)
+      .where(and(eq(roomBlocks.id, blockId), eq(roomBlocks.roomId, id), isNull(roomBlocks.feedId)))
+      .returning();
+
+    if (!deleted) {
+      return next(new AppError('Room block not found', 404));
+    }
+
+    // The nights are free again, so offer them to the waitlist
+    await releaseToWaitlist(db, id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Room block removed successfully'
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+module.exports = {
+  createRoomBlock,
+  deleteRoomBlock
+};
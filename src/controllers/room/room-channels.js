@@ -0,0 +1,238 @@
+/**
+ * Room Channels Controller
+ * Publishes each room's availability as an iCal feed and imports the
+ * feeds of the booking platforms the room is listed on as room blocks
+ */
+
+const { db } = require('../../db');
+const { rooms, icalFeeds, roomBlocks } = require('../../db/schema');
+const { eq, and, asc, desc } = require('drizzle-orm');
+const AppError = require('../../utils/appError');
+const { buildAvailabilityCalendar } = require('../../utils/booking/ical');
+const {
+  feedToken,
+  verifyFeedToken,
+  loadTakenRanges,
+  fetchFeed,
+  syncFeed,
+  recordSyncFailure
+} = require('../../utils/booking/channel-sync');
+const { releaseToWaitlist } = require('../../utils/booking/waitlist');
+
+/**
+ * Transform a feed row for frontend compatibility
+ */
+const formatFeed = (feed) => ({
+  id: feed.id,
+  roomId: feed.roomId,
+  name: feed.name,
+  url: feed.url,
+  isActive: feed.isActive,
+  lastSyncedAt: feed.lastSyncedAt,
+  lastSyncStatus: feed.lastSyncStatus,
+  lastSyncError: feed.lastSyncError,
+  eventCount: feed.eventCount,
+  createdAt: feed.createdAt
+});
+
+/**
+ * Public URL of a room's availability feed
+ */
+const availabilityFeedUrl = (req, roomId) =>
+  `${req.protocol}://${req.get('host')}/api/rooms/${roomId}/availability.ics?token=${feedToken(roomId)}`;
+
+/**
+ * Public availability feed for a room (opened by its token, no login)
+ */
+const getAvailabilityFeed = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Same answer for a bad token and an unknown room, so tokens cannot be probed
+    if (!verifyFeedToken(id, req.query.token)) {
+      return next(new AppError('Calendar feed not found', 404));
+    }
+
+    const [room] = await db.select().from(rooms).where(eq(rooms.id, id));
+
+    if (!room) {
+      return next(new AppError('Calendar feed not found', 404));
+    }
+
+    const ranges = await loadTakenRanges(db, room.id);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Cache-Control': 'no-cache'
+    });
+    res.status(200).send(buildAvailabilityCalendar(room, ranges));
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Get a room's export feed URL, its import feeds and their blocks (admin only)
+ */
+const getRoomChannels = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [room] = await db.select().from(rooms).where(eq(rooms.id, id));
+
+    if (!room) {
+      return next(new AppError('Room not found', 404));
+    }
+
+    const feeds = await db
+      .select()
+      .from(icalFeeds)
+      .where(eq(icalFeeds.roomId, id))
+      .orderBy(desc(icalFeeds.createdAt));
+
+    const blocks = await db
+      .select()
+      .from(roomBlocks)
+      .where(eq(roomBlocks.roomId, id))
+      .orderBy(asc(roomBlocks.startDate));
+
+    res.status(200).json({
+      success: true,
+      exportUrl: availabilityFeedUrl(req, room.id),
+      feeds: feeds.map(formatFeed),
+      blocks: blocks.map(block => ({
+        id: block.id,
+        feedId: block.feedId,
+        uid: block.uid,
+        reason: block.reason,
+        startDate: block.startDate,
+        endDate: block.endDate,
+        summary: block.summary
+      }))
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Add a feed to import for a room (admin only)
+ */
+const createIcalFeed = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, url, isActive } = req.body;
+
+    const [room] = await db.select().from(rooms).where(eq(rooms.id, id));
+
+    if (!room) {
+      return next(new AppError('Room not found', 404));
+    }
+
+    const [feed] = await db.insert(icalFeeds).values({
+      roomId: room.id,
+      name,
+      url: url || null,
+      isActive: isActive !== undefined ? isActive === true || isActive === 'true' : true
+    }).returning();
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed added successfully',
+      feed: formatFeed(feed)
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Remove an import feed and the blocks it created (admin only)
+ */
+const deleteIcalFeed = async (req, res, next) => {
+  try {
+    const { id, feedId } = req.params;
+
+    const [deleted] = await db
+      .delete(icalFeeds)
+      .where(and(eq(icalFeeds.id, feedId), eq(icalFeeds.roomId, id)))
+      .returning();
+
+    if (!deleted) {
+      return next(new AppError('Calendar feed not found', 404));
+    }
+
+    // Its blocks went with it, so their nights may be free for the waitlist
+    await releaseToWaitlist(db, id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed removed successfully'
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Sync an import feed now, from an uploaded .ics file or else from its URL (admin only)
+ */
+const syncIcalFeed = async (req, res, next) => {
+  try {
+    const { id, feedId } = req.params;
+
+    const [feed] = await db
+      .select()
+      .from(icalFeeds)
+      .where(and(eq(icalFeeds.id, feedId), eq(icalFeeds.roomId, id)));
+
+    if (!feed) {
+      return next(new AppError('Calendar feed not found', 404));
+    }
+
+    if (!req.file && !feed.url) {
+      return next(new AppError('Upload an .ics file; this feed has no URL to fetch', 400));
+    }
+
+    let text;
+    try {
+      text = req.file ? req.file.buffer.toString('utf8') : await fetchFeed(feed.url);
+    } catch (fetchError) {
+      await recordSyncFailure(db, feed, fetchError);
+      return next(new AppError(`Could not fetch the calendar feed: ${fetchError.message}`, 502));
+    }
+
+    if (!/BEGIN:VCALENDAR/i.test(text)) {
+      const invalid = new Error('The file is not an iCalendar (.ics) feed');
+      await recordSyncFailure(db, feed, invalid);
+      return next(new AppError(invalid.message, 400));
+    }
+
+    const result = await syncFeed(db, feed, text);
+
+    if (result.removed > 0) {
+      await releaseToWaitlist(db, feed.roomId);
+    }
+
+    const [updatedFeed] = await db.select().from(icalFeeds).where(eq(icalFeeds.id, feed.id));
+
+    res.status(200).json({
+      success: true,
+      message: result.conflicts.length > 0
+        ? 'Calendar feed synced; some imported dates clash with existing bookings'
+        : 'Calendar feed synced successfully',
+      feed: formatFeed(updatedFeed),
+      sync: result
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+module.exports = {
+  getAvailabilityFeed,
+  getRoomChannels,
+  createIcalFeed,
+  deleteIcalFeed,
+  syncIcalFeed
+};
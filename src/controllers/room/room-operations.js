@@ -8,6 +8,7 @@ const { db } = require('../../db');
 const { rooms } = require('../../db/schema');
 const { eq } = require('drizzle-orm');
 const AppError = require('../../utils/appError');
+const { findCancellationPolicy } = require('../../utils/booking/cancellation');
 
 /**
  * Create room
@@ -20,14 +21,28 @@ const createRoom = async (req, res, next) => {
       price,
       discount,
       capacity,
+      maxOccupancy,
+      extraGuestFee,
       size,
       category,
       location,
       amenities,
       featured,
-      image_url
+      image_url,
+      cancellationPolicyId
     } = req.body;
 
+    if (cancellationPolicyId && !(await findCancellationPolicy(db, cancellationPolicyId))) {
+      return next(new AppError('Cancellation policy not found', 400));
+    }
+
+    // A room must sleep at least the guests its price covers
+    const roomCapacity = parseInt(capacity);
+    const roomMaxOccupancy = maxOccupancy !== undefined ? parseInt(maxOccupancy) : Math.max(roomCapacity, 2);
+    if (!(roomMaxOccupancy >= roomCapacity)) {
+      return next(new AppError('Maximum occupancy cannot be less than capacity', 400));
+    }
+
     // Parse array fields if needed
     const parsedAmenities = parseArrayField(amenities);
 
@@ -37,7 +52,9 @@ const createRoom = async (req, res, next) => {
       description,
       price: parseFloat(price),
       discount: discount ? parseFloat(discount) : 0,
-      capacity: parseInt(capacity),
+      capacity: roomCapacity,
+      maxOccupancy: roomMaxOccupancy,
+      extraGuestFee: extraGuestFee ? parseFloat(extraGuestFee) : 0,
       roomSize: size ? `${size} sq m` : undefined, // Mapping size to roomSize text field based on schema
       category,
       location,
@@ -45,6 +62,7 @@ const createRoom = async (req, res, next) => {
       featured: featured === 'true' || featured === true,
       imageUrl: image_url,
       images: [],
+      cancellationPolicyId: cancellationPolicyId || null,
       createdAt: new Date(), // Drizzle handles Date objects for timestamp
     }).returning();
 
@@ -58,6 +76,8 @@ const createRoom = async (req, res, next) => {
       price: newRoom.price,
       discount: newRoom.discount || 0,
       capacity: newRoom.capacity,
+      maxOccupancy: newRoom.maxOccupancy,
+      extraGuestFee: parseFloat(newRoom.extraGuestFee) || 0,
       size: parseInt(newRoom.roomSize) || 0, // Converting back if needed, though schema says text
       category: newRoom.category,
       location: newRoom.location,
@@ -65,6 +85,7 @@ const createRoom = async (req, res, next) => {
       featured: newRoom.featured || false,
       imageUrl: newRoom.imageUrl,
       images: newRoom.images || [],
+      cancellationPolicyId: newRoom.cancellationPolicyId,
       createdAt: newRoom.createdAt
     };
 
@@ -114,12 +135,15 @@ const updateRoom = async (req, res, next) => {
       price,
       discount,
       capacity,
+      maxOccupancy,
+      extraGuestFee,
       size,
       category,
       location,
       amenities,
       featured,
-      image_url
+      image_url,
+      cancellationPolicyId
     } = req.body;
 
     // Check if room exists
@@ -129,6 +153,16 @@ const updateRoom = async (req, res, next) => {
       return next(new AppError('Room not found', 404));
     }
 
+    if (cancellationPolicyId && !(await findCancellationPolicy(db, cancellationPolicyId))) {
+      return next(new AppError('Cancellation policy not found', 400));
+    }
+
+    const newCapacity = capacity !== undefined ? parseInt(capacity) : room.capacity;
+    const newMaxOccupancy = maxOccupancy !== undefined ? parseInt(maxOccupancy) : room.maxOccupancy;
+    if (!(newMaxOccupancy >= newCapacity)) {
+      return next(new AppError('Maximum occupancy cannot be less than capacity', 400));
+    }
+
     // Parse array fields if needed
     const parsedAmenities = parseArrayField(amenities);
 
@@ -138,13 +172,16 @@ const updateRoom = async (req, res, next) => {
     if (description !== undefined) updateData.description = description;
     if (price !== undefined) updateData.price = parseFloat(price);
     if (discount !== undefined) updateData.discount = parseFloat(discount);
-    if (capacity !== undefined) updateData.capacity = parseInt(capacity);
+    if (capacity !== undefined) updateData.capacity = newCapacity;
+    if (maxOccupancy !== undefined) updateData.maxOccupancy = newMaxOccupancy;
+    if (extraGuestFee !== undefined) updateData.extraGuestFee = parseFloat(extraGuestFee) || 0;
     if (size !== undefined) updateData.roomSize = `${size} sq m`; // Mapping size to roomSize
     if (category !== undefined) updateData.category = category;
     if (location !== undefined) updateData.location = location;
     if (amenities !== undefined) updateData.amenities = parsedAmenities;
     if (featured !== undefined) updateData.featured = featured === 'true' || featured === true;
     if (image_url !== undefined) updateData.imageUrl = image_url;
+    if (cancellationPolicyId !== undefined) updateData.cancellationPolicyId = cancellationPolicyId || null;
     updateData.updatedAt = new Date();
 
     // Update room
@@ -162,6 +199,8 @@ const updateRoom = async (req, res, next) => {
       price: updatedRoom.price,
       discount: updatedRoom.discount || 0,
       capacity: updatedRoom.capacity,
+      maxOccupancy: updatedRoom.maxOccupancy,
+      extraGuestFee: parseFloat(updatedRoom.extraGuestFee) || 0,
       size: parseInt(updatedRoom.roomSize) || 0,
       category: updatedRoom.category,
       location: updatedRoom.location,
@@ -169,6 +208,7 @@ const updateRoom = async (req, res, next) => {
       featured: updatedRoom.featured || false,
       imageUrl: updatedRoom.imageUrl,
       images: updatedRoom.images || [],
+      cancellationPolicyId: updatedRoom.cancellationPolicyId,
       createdAt: updatedRoom.createdAt,
       updatedAt: updatedRoom.updatedAt
     };
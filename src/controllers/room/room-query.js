@@ -4,9 +4,18 @@
  */
 
 const { db } = require('../../db');
-const { rooms, reviews, users } = require('../../db/schema');
+const { rooms, reviews, users, bookings, roomBlocks } = require('../../db/schema');
 const { count, desc, eq, ilike, or, and, gte, lte, sql } = require('drizzle-orm');
 const AppError = require('../../utils/appError');
+const { eachNight, CURRENCY } = require('../../utils/booking/pricing');
+const { loadTaxRules } = require('../../utils/booking/taxes');
+const { loadRatePlans, buildRateCalendar } = require('../../utils/booking/rates');
+const { overlapsStay, blockOverlapsStay, nightStatuses, toDateString } = require('../../utils/booking/availability');
+const { hotelDate } = require('../../utils/booking/hotel-time');
+const { stayAvailabilityFilters, stayTotals } = require('../../utils/booking/room-search');
+
+// Longest range the availability calendar returns in one request
+const MAX_CALENDAR_NIGHTS = 366;
 
 /**
  * Get all rooms
@@ -169,6 +178,9 @@ const getRoomCategories = async (req, res, next) => {
 
 /**
  * Search rooms
+ * With checkIn and checkOut only rooms free for the whole stay are returned,
+ * each with the price of the stay; guests leaves out rooms that do not sleep
+ * that many and prices any extra guests
  */
 const searchRooms = async (req, res, next) => {
   try {
@@ -180,6 +192,9 @@ const searchRooms = async (req, res, next) => {
       location,
       capacity,
       search,
+      checkIn,
+      checkOut,
+      guests,
       page = 1,
       limit = 10
     } = req.query;
@@ -207,6 +222,10 @@ const searchRooms = async (req, res, next) => {
       filters.push(gte(rooms.capacity, capacity));
     }
 
+    if (guests && (!/^\d+$/.test(guests) || parseInt(guests) < 1)) {
+      return next(new AppError('Guests must be a positive whole number', 400));
+    }
+
     if (search) {
       filters.push(or(
         ilike(rooms.title, `%${search}%`),
@@ -214,6 +233,21 @@ const searchRooms = async (req, res, next) => {
       ));
     }
 
+    // Leave out rooms too small for the party, and rooms that are off sale,
+    // or booked, held or blocked for any night of the stay
+    const hasDates = Boolean(checkIn || checkOut);
+    if (hasDates && (!checkIn || !checkOut || isNaN(Date.parse(checkIn)) || isNaN(Date.parse(checkOut)) ||
+      toDateString(checkOut) <= toDateString(checkIn))) {
+      return next(new AppError('Provide valid check-in and check-out dates, with check-out after check-in', 400));
+    }
+
+    const stay = {
+      checkIn: hasDates ? toDateString(checkIn) : null,
+      checkOut: hasDates ? toDateString(checkOut) : null,
+      guests: parseInt(guests) || null
+    };
+    filters.push(...stayAvailabilityFilters(db, stay));
+
     // Apply filters
     const whereClause = filters.length > 0 ? and(...filters) : undefined;
 
@@ -237,6 +271,15 @@ const searchRooms = async (req, res, next) => {
       .limit(limit)
       .offset(startIndex);
 
+    // Price the stay in every room on the page, loading rate plans and taxes once
+    let stayQuotes = {};
+    if (hasDates && roomsData.length > 0) {
+      const nights = eachNight(stay.checkIn, stay.checkOut);
+      const ratePlans = await loadRatePlans(db, roomsData, nights[0], nights[nights.length - 1]);
+      const taxRules = await loadTaxRules(db);
+      stayQuotes = stayTotals(roomsData, { ...stay, ratePlans, taxRules });
+    }
+
     // Transform data for frontend compatibility
     const roomsResponse = roomsData.map(room => ({
       id: room.id,
@@ -255,7 +298,8 @@ const searchRooms = async (req, res, next) => {
       amenities: room.amenities || [],
       featured: room.featured || false,
       createdAt: room.createdAt,
-      updatedAt: room.updatedAt
+      updatedAt: room.updatedAt,
+      ...(stayQuotes[room.id] && { stay: stayQuotes[room.id] })
     }));
 
     // Calculate pagination info
@@ -347,10 +391,16 @@ const getRoomsByCategory = async (req, res, next) => {
 
 /**
  * Get room by ID
+ * Pass ?month=YYYY-MM to include the nightly rate calendar for that month
  */
 const getRoomById = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const { month } = req.query;
+
+    if (month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return next(new AppError('Month must be in YYYY-MM format', 400));
+    }
 
     // Get room by ID
     const [room] = await db.select().from(rooms).where(eq(rooms.id, id));
@@ -359,6 +409,21 @@ const getRoomById = async (req, res, next) => {
       return next(new AppError('Room not found', 404));
     }
 
+    // Build the rate calendar for the requested month
+    let rateCalendar;
+    if (month) {
+      const [year, monthNumber] = month.split('-').map(Number);
+      const firstNight = `${month}-01`;
+      const nextMonth = new Date(Date.UTC(year, monthNumber, 1));
+      const nights = eachNight(firstNight, nextMonth);
+      const plans = await loadRatePlans(db, room, firstNight, nights[nights.length - 1]);
+
+      rateCalendar = {
+        month,
+        nights: buildRateCalendar(room, plans, nights)
+      };
+    }
+
     // Get room reviews (if we had a reviews table)
     // Note: Reviews table isn't fully defined in schema.js provided, skipping unless added
     const formattedReviews = [];
@@ -371,6 +436,8 @@ const getRoomById = async (req, res, next) => {
       price: parseFloat(room.price),
       discount: parseFloat(room.discount) || 0,
       capacity: room.capacity,
+      maxOccupancy: room.maxOccupancy,
+      extraGuestFee: parseFloat(room.extraGuestFee) || 0,
       size: parseInt(room.roomSize) || 0,
       category: room.category,
       location: room.location,
@@ -382,7 +449,8 @@ const getRoomById = async (req, res, next) => {
       createdAt: room.createdAt,
       updatedAt: room.updatedAt,
       reviews: formattedReviews,
-      reviewCount: formattedReviews.length
+      reviewCount: formattedReviews.length,
+      ...(rateCalendar && { rateCalendar })
     };
 
     res.status(200).json({
@@ -394,11 +462,85 @@ const getRoomById = async (req, res, next) => {
   }
 };
 
+/**
+ * Get a room's availability calendar: the state and price of every night
+ * from ?from= up to (not including) ?to=. Defaults to one month from today.
+ */
+const getRoomCalendar = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+
+    const from = req.query.from || hotelDate();
+    if (!isDate(from) || (req.query.to && !isDate(req.query.to))) {
+      return next(new AppError('from and to must be dates in YYYY-MM-DD format', 400));
+    }
+
+    let to = req.query.to;
+    if (!to) {
+      const nextMonth = new Date(`${from}T00:00:00Z`);
+      nextMonth.setUTCMonth(nextMonth.getUTCMonth() + 1);
+      to = toDateString(nextMonth);
+    }
+
+    const nights = eachNight(from, to);
+    if (nights.length === 0) {
+      return next(new AppError('to must be after from', 400));
+    }
+    if (nights.length > MAX_CALENDAR_NIGHTS) {
+      return next(new AppError(`The calendar covers at most ${MAX_CALENDAR_NIGHTS} nights per request`, 400));
+    }
+
+    const [room] = await db.select().from(rooms).where(eq(rooms.id, id));
+
+    if (!room) {
+      return next(new AppError('Room not found', 404));
+    }
+
+    // One range query each for the stays and blocks covering any night
+    const stays = await db
+      .select({ checkIn: bookings.checkIn, checkOut: bookings.checkOut, holdExpiresAt: bookings.holdExpiresAt })
+      .from(bookings)
+      .where(and(eq(bookings.roomId, room.id), overlapsStay(from, to)));
+
+    const blocks = await db
+      .select({ startDate: roomBlocks.startDate, endDate: roomBlocks.endDate })
+      .from(roomBlocks)
+      .where(and(eq(roomBlocks.roomId, room.id), blockOverlapsStay(from, to)));
+
+    const plans = await loadRatePlans(db, room, from, nights[nights.length - 1]);
+    const rates = buildRateCalendar(room, plans, nights);
+    // A room taken off sale is blocked on every night
+    const statuses = room.isAvailable === false
+      ? Object.fromEntries(nights.map(night => [night, 'blocked']))
+      : nightStatuses(nights, stays, blocks);
+
+    res.status(200).json({
+      success: true,
+      roomId: room.id,
+      from,
+      to,
+      currency: CURRENCY,
+      discount: parseFloat(room.discount) || 0,
+      nights: rates.map(({ date, price, ratePlan }) => ({
+        date,
+        status: statuses[date],
+        available: statuses[date] === 'free',
+        price,
+        ratePlan
+      }))
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
 module.exports = {
   getAllRooms,
   getTopRatedRooms,
   getRoomCategories,
   searchRooms,
   getRoomsByCategory,
-  getRoomById
+  getRoomById,
+  getRoomCalendar
 };
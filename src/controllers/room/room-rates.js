@@ -0,0 +1,229 @@
+/**
+ * Room Rates Controller
+ * Handles admin management of seasonal and day-of-week rate plans
+ */
+
+const { db } = require('../../db');
+const { rooms, roomRates } = require('../../db/schema');
+const { eq, and, or, isNull, desc } = require('drizzle-orm');
+const AppError = require('../../utils/appError');
+const { toDateString } = require('../../utils/booking/availability');
+const { findCancellationPolicy } = require('../../utils/booking/cancellation');
+
+/**
+ * Transform a rate plan row for frontend compatibility
+ */
+const formatRatePlan = (plan) => ({
+  id: plan.id,
+  appliesTo: plan.roomId ? 'room' : 'category',
+  roomId: plan.roomId,
+  category: plan.category,
+  name: plan.name,
+  price: parseFloat(plan.price),
+  startDate: plan.startDate,
+  endDate: plan.endDate,
+  daysOfWeek: plan.daysOfWeek || [],
+  priority: plan.priority || 0,
+  cancellationPolicyId: plan.cancellationPolicyId || null,
+  isActive: plan.isActive !== false,
+  createdAt: plan.createdAt,
+  updatedAt: plan.updatedAt
+});
+
+/**
+ * Condition matching the plans that belong to a room (its own and its category's)
+ */
+const plansForRoom = (room) => or(
+  eq(roomRates.roomId, room.id),
+  and(isNull(roomRates.roomId), eq(roomRates.category, room.category))
+);
+
+/**
+ * Get all rate plans for a room
+ */
+const getRoomRates = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [room] = await db.select().from(rooms).where(eq(rooms.id, id));
+
+    if (!room) {
+      return next(new AppError('Room not found', 404));
+    }
+
+    const plans = await db
+      .select()
+      .from(roomRates)
+      .where(plansForRoom(room))
+      .orderBy(desc(roomRates.priority), desc(roomRates.createdAt));
+
+    res.status(200).json({
+      success: true,
+      count: plans.length,
+      basePrice: parseFloat(room.price),
+      rates: plans.map(formatRatePlan)
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Create a rate plan for a room or for the room's category
+ */
+const createRoomRate = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const {
+      name,
+      price,
+      startDate,
+      endDate,
+      daysOfWeek,
+      priority,
+      isActive,
+      cancellationPolicyId,
+      appliesTo = 'room'
+    } = req.body;
+
+    const [room] = await db.select().from(rooms).where(eq(rooms.id, id));
+
+    if (!room) {
+      return next(new AppError('Room not found', 404));
+    }
+
+    if (cancellationPolicyId && !(await findCancellationPolicy(db, cancellationPolicyId))) {
+      return next(new AppError('Cancellation policy not found', 400));
+    }
+
+    const [newPlan] = await db.insert(roomRates).values({
+      roomId: appliesTo === 'category' ? null : room.id,
+      category: appliesTo === 'category' ? room.category : null,
+      name,
+      price: parseFloat(price).toString(),
+      startDate: startDate ? toDateString(startDate) : null,
+      endDate: endDate ? toDateString(endDate) : null,
+      daysOfWeek: daysOfWeek && daysOfWeek.length > 0 ? daysOfWeek.map(day => parseInt(day)) : null,
+      priority: priority !== undefined ? parseInt(priority) : 0,
+      cancellationPolicyId: cancellationPolicyId || null,
+      isActive: isActive !== undefined ? isActive === true || isActive === 'true' : true
+    }).returning();
+
+    res.status(201).json({
+      success: true,
+      message: 'Rate plan created successfully',
+      rate: formatRatePlan(newPlan)
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Update a rate plan
+ */
+const updateRoomRate = async (req, res, next) => {
+  try {
+    const { id, rateId } = req.params;
+    const {
+      name,
+      price,
+      startDate,
+      endDate,
+      daysOfWeek,
+      priority,
+      isActive,
+      cancellationPolicyId
+    } = req.body;
+
+    const [room] = await db.select().from(rooms).where(eq(rooms.id, id));
+
+    if (!room) {
+      return next(new AppError('Room not found', 404));
+    }
+
+    const [existingPlan] = await db
+      .select()
+      .from(roomRates)
+      .where(and(eq(roomRates.id, rateId), plansForRoom(room)));
+
+    if (!existingPlan) {
+      return next(new AppError('Rate plan not found', 404));
+    }
+
+    if (cancellationPolicyId && !(await findCancellationPolicy(db, cancellationPolicyId))) {
+      return next(new AppError('Cancellation policy not found', 400));
+    }
+
+    // Prepare update data
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (price !== undefined) updateData.price = parseFloat(price).toString();
+    if (startDate !== undefined) updateData.startDate = startDate ? toDateString(startDate) : null;
+    if (endDate !== undefined) updateData.endDate = endDate ? toDateString(endDate) : null;
+    if (daysOfWeek !== undefined) {
+      updateData.daysOfWeek = daysOfWeek && daysOfWeek.length > 0 ? daysOfWeek.map(day => parseInt(day)) : null;
+    }
+    if (priority !== undefined) updateData.priority = parseInt(priority);
+    if (isActive !== undefined) updateData.isActive = isActive === true || isActive === 'true';
+    if (cancellationPolicyId !== undefined) updateData.cancellationPolicyId = cancellationPolicyId || null;
+    updateData.updatedAt = new Date();
+
+    const resultingPlan = { ...existingPlan, ...updateData };
+    if (resultingPlan.startDate && resultingPlan.endDate && resultingPlan.endDate < resultingPlan.startDate) {
+      return next(new AppError('End date must not be before start date', 400));
+    }
+
+    const [updatedPlan] = await db
+      .update(roomRates)
+      .set(updateData)
+      .where(eq(roomRates.id, rateId))
+      .returning();
+
+    res.status(200).json({
+      success: true,
+      message: 'Rate plan updated successfully',
+      rate: formatRatePlan(updatedPlan)
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Delete a rate plan
+ */
+const deleteRoomRate = async (req, res, next) => {
+  try {
+    const { id, rateId } = req.params;
+
+    const [room] = await db.select().from(rooms).where(eq(rooms.id, id));
+
+    if (!room) {
+      return next(new AppError('Room not found', 404));
+    }
+
+    const [deletedPlan] = await db
+      .delete(roomRates)
+      .where(and(eq(roomRates.id, rateId), plansForRoom(room)))
+      .returning();
+
+    if (!deletedPlan) {
+      return next(new AppError('Rate plan not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Rate plan deleted successfully'
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+module.exports = {
+  getRoomRates,
+  createRoomRate,
+  updateRoomRate,
+  deleteRoomRate
+};
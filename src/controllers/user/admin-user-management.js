@@ -101,6 +101,11 @@ const updateUser = async (req, res, next) => {
       return next(new AppError('User not found', 404));
     }
 
+    // Staff accounts run the front desk; admins have full access
+    if (role !== undefined && !['user', 'staff', 'admin'].includes(role)) {
+      return next(new AppError('Role must be one of: user, staff, admin', 400));
+    }
+
     // If email is being updated, check if it's already in use
     if (email) {
       const [duplicateEmail] = await db
@@ -0,0 +1,10 @@
+/**
+ * Waitlist Controller
+ * Handles waitlisting for fully booked rooms and claiming freed rooms
+ * 
+ * This is a facade that redirects to the modular implementation
+ * in the waitlist/ directory for better maintainability.
+ */
+
+// Export all waitlist controller functions from the modular implementation
+module.exports = require('./waitlist/index');
@@ -0,0 +1,17 @@
+/**
+ * Waitlist Controller - Index File
+ * Exports all waitlist controller functions
+ */
+
+const waitlistEntries = require('./waitlist-entries');
+
+module.exports = {
+  // Guest waitlist functions
+  joinWaitlist: waitlistEntries.joinWaitlist,
+  getMyWaitlist: waitlistEntries.getMyWaitlist,
+  leaveWaitlist: waitlistEntries.leaveWaitlist,
+  claimWaitlistOffer: waitlistEntries.claimWaitlistOffer,
+  
+  // Admin waitlist functions
+  getAllWaitlistEntries: waitlistEntries.getAllWaitlistEntries
+};
@@ -0,0 +1,298 @@
+/**
+ * Waitlist Controller
+ * Lets guests wait for fully booked rooms or categories and claim the room
+ * when it is offered to them
+ */
+
+const crypto = require('crypto');
+const { db } = require('../../db');
+const { waitlistEntries, rooms, users } = require('../../db/schema');
+const { eq, and, desc, inArray } = require('drizzle-orm');
+const AppError = require('../../utils/appError');
+const {
+  BookingConflictError,
+  findOverlappingBookings,
+  sendConflict,
+  toDateString
+} = require('../../utils/booking/availability');
+const { HOLD_MINUTES, placeHold } = require('../../utils/booking/holds');
+const { hashClaimToken, releaseToWaitlist } = require('../../utils/booking/waitlist');
+
+/**
+ * Transform a waitlist entry for frontend compatibility
+ */
+const formatEntry = (entry) => ({
+  id: entry.id,
+  userId: entry.userId,
+  roomId: entry.roomId,
+  category: entry.category,
+  checkIn: entry.checkIn,
+  checkOut: entry.checkOut,
+  guests: entry.guests,
+  status: entry.status,
+  offeredRoomId: entry.offeredRoomId,
+  claimExpiresAt: entry.claimExpiresAt,
+  notifiedAt: entry.notifiedAt,
+  holdBookingId: entry.holdBookingId,
+  createdAt: entry.createdAt,
+  updatedAt: entry.updatedAt
+});
+
+/**
+ * Join the waitlist for a room or a room category
+ */
+const joinWaitlist = async (req, res, next) => {
+  try {
+    const { roomId, category, checkIn, checkOut, guests } = req.body;
+    const stay = { checkIn: toDateString(checkIn), checkOut: toDateString(checkOut) };
+
+    // Rooms the entry could be satisfied by
+    const candidateRooms = roomId
+      ? await db.select().from(rooms).where(eq(rooms.id, roomId))
+      : await db.select().from(rooms).where(eq(rooms.category, category));
+
+    if (candidateRooms.length === 0) {
+      return next(new AppError(roomId ? 'Room not found' : 'No rooms found in this category', 404));
+    }
+
+    // No point waiting for something that can be booked right now
+    for (const room of candidateRooms) {
+      if (room.isAvailable === false) continue;
+      const overlaps = await findOverlappingBookings(db, { roomId: room.id, ...stay });
+      if (overlaps.length === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'A room is available for these dates; book it instead of joining the waitlist',
+          availableRoomId: room.id
+        });
+      }
+    }
+
+    const [existing] = await db
+      .select({ id: waitlistEntries.id })
+      .from(waitlistEntries)
+      .where(and(
+        eq(waitlistEntries.userId, req.user.id),
+        inArray(waitlistEntries.status, ['waiting', 'offered']),
+        roomId ? eq(waitlistEntries.roomId, roomId) : eq(waitlistEntries.category, category),
+        eq(waitlistEntries.checkIn, stay.checkIn),
+        eq(waitlistEntries.checkOut, stay.checkOut)
+      ));
+
+    if (existing) {
+      return next(new AppError('You are already on the waitlist for these dates', 409));
+    }
+
+    const [entry] = await db.insert(waitlistEntries).values({
+      userId: req.user.id,
+      roomId: roomId || null,
+      category: roomId ? candidateRooms[0].category : category,
+      ...stay,
+      guests: parseInt(guests) || 1
+    }).returning();
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to the waitlist; we will notify you if a room frees up',
+      entry: formatEntry(entry)
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Get the current user's waitlist entries
+ */
+const getMyWaitlist = async (req, res, next) => {
+  try {
+    const entries = await db
+      .select()
+      .from(waitlistEntries)
+      .where(eq(waitlistEntries.userId, req.user.id))
+      .orderBy(desc(waitlistEntries.createdAt));
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      entries: entries.map(formatEntry)
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Leave the waitlist. An open offer is passed on to the next guest in line.
+ */
+const leaveWaitlist = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [entry] = await db
+      .update(waitlistEntries)
+      .set({ status: 'cancelled', claimTokenHash: null, updatedAt: new Date() })
+      .where(and(
+        eq(waitlistEntries.id, id),
+        eq(waitlistEntries.userId, req.user.id),
+        inArray(waitlistEntries.status, ['waiting', 'offered'])
+      ))
+      .returning();
+
+    if (!entry) {
+      return next(new AppError('Active waitlist entry not found', 404));
+    }
+
+    if (entry.offeredRoomId) {
+      await releaseToWaitlist(db, entry.offeredRoomId);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Removed from the waitlist',
+      entry: formatEntry(entry)
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Claim an offered room with the token from the offer notification.
+ * The room is held for the guest, who then confirms the hold as usual.
+ */
+const claimWaitlistOffer = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { token } = req.body;
+
+    const [entry] = await db
+      .select()
+      .from(waitlistEntries)
+      .where(and(eq(waitlistEntries.id, id), eq(waitlistEntries.userId, req.user.id)));
+
+    if (!entry) {
+      return next(new AppError('Waitlist entry not found', 404));
+    }
+
+    if (entry.status !== 'offered') {
+      return next(new AppError('There is no open offer for this waitlist entry', 409));
+    }
+
+    if (!entry.claimExpiresAt || new Date(entry.claimExpiresAt) <= new Date()) {
+      return next(new AppError('This offer has expired', 410));
+    }
+
+    const expected = Buffer.from(entry.claimTokenHash || '', 'hex');
+    const given = Buffer.from(hashClaimToken(token), 'hex');
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return next(new AppError('Invalid claim token', 403));
+    }
+
+    // Take the offer first so a second claim with the same token cannot also succeed
+    const [claimed] = await db
+      .update(waitlistEntries)
+      .set({ status: 'claimed', claimTokenHash: null, updatedAt: new Date() })
+      .where(and(eq(waitlistEntries.id, id), eq(waitlistEntries.status, 'offered')))
+      .returning();
+
+    if (!claimed) {
+      return next(new AppError('There is no open offer for this waitlist entry', 409));
+    }
+
+    const [room] = await db.select().from(rooms).where(eq(rooms.id, entry.offeredRoomId));
+
+    let placed;
+    try {
+      if (!room) {
+        throw new AppError('The offered room no longer exists', 404);
+      }
+
+      placed = await placeHold(db, {
+        room,
+        user: req.user,
+        checkIn: entry.checkIn,
+        checkOut: entry.checkOut,
+        adults: entry.guests,
+        note: 'Claimed from the waitlist'
+      });
+    } catch (holdError) {
+      // Give the offer back so the guest can retry until it expires
+      await db
+        .update(waitlistEntries)
+        .set({ status: 'offered', claimTokenHash: entry.claimTokenHash, updatedAt: new Date() })
+        .where(eq(waitlistEntries.id, id));
+
+      if (holdError instanceof BookingConflictError) {
+        return sendConflict(res, holdError);
+      }
+      throw holdError;
+    }
+
+    const [updatedEntry] = await db
+      .update(waitlistEntries)
+      .set({ holdBookingId: placed.hold.id, updatedAt: new Date() })
+      .where(eq(waitlistEntries.id, id))
+      .returning();
+
+    res.status(201).json({
+      success: true,
+      message: `Room held for ${HOLD_MINUTES} minutes; confirm the booking to keep it`,
+      entry: formatEntry(updatedEntry),
+      hold: {
+        id: placed.hold.id,
+        bookingId: placed.hold.bookingId,
+        roomId: placed.hold.roomId,
+        roomTitle: placed.hold.roomTitle,
+        checkIn: placed.hold.checkIn,
+        checkOut: placed.hold.checkOut,
+        status: placed.hold.status,
+        holdExpiresAt: placed.hold.holdExpiresAt,
+        totalPrice: parseFloat(placed.hold.totalPrice),
+        pricing: placed.quote
+      }
+    });
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+/**
+ * Get all waitlist entries (admin only)
+ */
+const getAllWaitlistEntries = async (req, res, next) => {
+  try {
+    const { status, roomId } = req.query;
+
+    const filters = [];
+    if (status) filters.push(eq(waitlistEntries.status, status));
+    if (roomId) filters.push(eq(waitlistEntries.roomId, roomId));
+
+    const rows = await db
+      .select({ entry: waitlistEntries, user: { name: users.name, email: users.email } })
+      .from(waitlistEntries)
+      .leftJoin(users, eq(waitlistEntries.userId, users.id))
+      .where(filters.length > 0 ? and(...filters) : undefined)
+      .orderBy(desc(waitlistEntries.createdAt));
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      entries: rows.map(({ entry, user }) => ({
+        ...formatEntry(entry),
+        userName: user?.name || '',
+        userEmail: user?.email || ''
+      }))
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+  claimWaitlistOffer,
+  getAllWaitlistEntries
+};
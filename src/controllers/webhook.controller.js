@@ -0,0 +1,10 @@
+/**
+ * Webhook Controller
+ * Handles events pushed to us by third-party services
+ * 
+ * This is a facade that redirects to the modular implementation
+ * in the webhook/ directory for better maintainability.
+ */
+
+// Export all webhook controller functions from the modular implementation
+module.exports = require('./webhook/index');
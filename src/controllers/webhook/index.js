@@ -0,0 +1,11 @@
+/**
+ * Webhook Controller - Index File
+ * Exports all webhook controller functions
+ */
+
+const paymentWebhooks = require('./payment-webhooks');
+
+module.exports = {
+  // Payment provider events
+  receivePaymentWebhook: paymentWebhooks.receivePaymentWebhook
+};
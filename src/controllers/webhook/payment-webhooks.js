@@ -0,0 +1,55 @@
+/**
+ * Payment Webhooks Controller
+ * Receives signed event deliveries from payment providers
+ */
+
+const { db } = require('../../db');
+const AppError = require('../../utils/appError');
+const { getGateway } = require('../../utils/payments');
+const { WEBHOOK_SECRET, verifyWebhookSignature, processWebhookEvent } = require('../../utils/payments/webhooks');
+
+/**
+ * Apply a payment provider's event. Anything other than a 2xx makes the
+ * provider deliver the event again later, so events that are understood but
+ * change nothing are still acknowledged.
+ */
+const receivePaymentWebhook = async (req, res, next) => {
+  try {
+    const { provider } = req.params;
+
+    try {
+      getGateway(provider);
+    } catch (unknownProvider) {
+      return next(new AppError('Unknown payment provider', 404));
+    }
+
+    if (!WEBHOOK_SECRET) {
+      return next(new AppError('Payment webhooks are not configured', 503));
+    }
+
+    // Signed over the exact bytes sent, which the JSON parser keeps as rawBody
+    if (!req.rawBody || !verifyWebhookSignature(req.rawBody, req.get('X-Webhook-Signature'), WEBHOOK_SECRET)) {
+      return next(new AppError('Invalid webhook signature', 401));
+    }
+
+    const event = req.body || {};
+    if (!event.id || typeof event.type !== 'string') {
+      return next(new AppError('Webhook event must have an id and a type', 400));
+    }
+
+    const result = await processWebhookEvent(db, provider, event);
+
+    res.status(200).json({
+      success: true,
+      received: true,
+      status: result.status,
+      message: result.note || 'Event processed'
+    });
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
+  }
+};
+
+module.exports = {
+  receivePaymentWebhook
+};
@@ -0,0 +1,80 @@
+/**
+ * Database Migration Script
+ * Applies the hand-written SQL migrations in src/db/migrations in filename order.
+ *
+ * Drizzle's schema.js covers tables and plain indexes; these migrations hold
+ * what it cannot express (exclusion constraints, extensions, data backfills).
+ * Applied files are recorded in `schema_migrations` so re-running is safe.
+ *
+ * Uses its OWN dedicated DB connection, like seed.js.
+ *
+ * Usage: node src/db/migrate.js
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const postgres = require('postgres');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const main = async () => {
+  if (!process.env.DATABASE_URL) {
+    console.error('DATABASE_URL is not defined in environment variables');
+    process.exit(1);
+  }
+
+  const sql = postgres(process.env.DATABASE_URL, {
+    prepare: false,
+    max: 1,
+    connect_timeout: 10,
+    idle_timeout: 5
+  });
+
+  let exitCode = 0;
+
+  try {
+    await sql`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name TEXT PRIMARY KEY,
+        applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `;
+
+    const applied = new Set(
+      (await sql`SELECT name FROM schema_migrations`).map(row => row.name)
+    );
+
+    const files = fs.readdirSync(MIGRATIONS_DIR)
+      .filter(file => file.endsWith('.sql'))
+      .sort();
+
+    const pending = files.filter(file => !applied.has(file));
+
+    if (pending.length === 0) {
+      console.log('✔ Database is up to date');
+      return;
+    }
+
+    for (const file of pending) {
+      const statements = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+
+      console.log(`⏳ Applying ${file}...`);
+      await sql.begin(async (tx) => {
+        await tx.unsafe(statements);
+        await tx`INSERT INTO schema_migrations (name) VALUES (${file})`;
+      });
+      console.log(`   ✔ ${file}`);
+    }
+
+    console.log(`\n✔ Applied ${pending.length} migration(s)`);
+  } catch (error) {
+    console.error('❌ Migration FAILED:', error.message);
+    exitCode = 1;
+  } finally {
+    await sql.end();
+    process.exit(exitCode);
+  }
+};
+
+main();
@@ -0,0 +1,24 @@
+-- Guarantee that a room can never hold two active bookings for the same night.
+--
+-- Stays are half-open ranges: a guest checking out on the 10th does not clash
+-- with one checking in on the 10th. Cancelled bookings release their nights.
+--
+-- If this fails on an existing database, list the clashing rows with:
+--   SELECT a.booking_id, b.booking_id, a.room_id
+--   FROM bookings a JOIN bookings b
+--     ON a.room_id = b.room_id AND a.id < b.id
+--    AND a.status <> 'cancelled' AND b.status <> 'cancelled'
+--    AND daterange(a.check_in, a.check_out, '[)') && daterange(b.check_in, b.check_out, '[)');
+-- and cancel or move one side of each pair before re-running.
+
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_no_overlap;
+
+ALTER TABLE bookings
+  ADD CONSTRAINT bookings_no_overlap
+  EXCLUDE USING gist (
+    room_id WITH =,
+    daterange(check_in, check_out, '[)') WITH &&
+  )
+  WHERE (status <> 'cancelled');
@@ -0,0 +1,17 @@
+-- Checkout holds are pending bookings with a hold_expires_at deadline. Once a
+-- hold runs out it moves to status 'expired' and must release its nights, so
+-- the overlap constraint now ignores expired rows as well as cancelled ones.
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS hold_expires_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_no_overlap;
+
+ALTER TABLE bookings
+  ADD CONSTRAINT bookings_no_overlap
+  EXCLUDE USING gist (
+    room_id WITH =,
+    daterange(check_in, check_out, '[)') WITH &&
+  )
+  WHERE (status NOT IN ('cancelled', 'expired'));
+
+CREATE INDEX IF NOT EXISTS bookings_hold_expiry_idx ON bookings(hold_expires_at) WHERE status = 'pending';
@@ -0,0 +1,12 @@
+-- Standard cancellation policies. Each tier is the penalty (percent of the
+-- booking total) for cancelling at least minHoursBefore hours before check-in;
+-- cancelling later than every tier costs the full total.
+
+INSERT INTO cancellation_policies (name, description, tiers) VALUES
+  ('flexible', 'Free cancellation up to 24 hours before check-in, 50% refund after that',
+    '[{"minHoursBefore": 24, "penaltyPercent": 0}, {"minHoursBefore": 0, "penaltyPercent": 50}]'),
+  ('moderate', 'Free cancellation up to 5 days before check-in, 50% refund up to 24 hours before',
+    '[{"minHoursBefore": 120, "penaltyPercent": 0}, {"minHoursBefore": 24, "penaltyPercent": 50}, {"minHoursBefore": 0, "penaltyPercent": 100}]'),
+  ('non_refundable', 'No refund once booked',
+    '[{"minHoursBefore": 0, "penaltyPercent": 100}]')
+ON CONFLICT (name) DO NOTHING;
@@ -0,0 +1,24 @@
+-- Front-desk check-in and check-out. Bookings gain a checked_in status and
+-- record when (and by whom) the guest actually arrived and left; rooms track
+-- whether housekeeping has turned them over since the last departure. Staff
+-- users run the front desk without full admin access.
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users
+  ADD CONSTRAINT users_role_check CHECK (role IN ('user', 'staff', 'admin'));
+
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS housekeeping_status TEXT DEFAULT 'clean';
+ALTER TABLE rooms DROP CONSTRAINT IF EXISTS rooms_housekeeping_status_check;
+ALTER TABLE rooms
+  ADD CONSTRAINT rooms_housekeeping_status_check CHECK (housekeeping_status IN ('clean', 'dirty', 'in_progress'));
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_status_check;
+ALTER TABLE bookings
+  ADD CONSTRAINT bookings_status_check
+  CHECK (status IN ('pending', 'confirmed', 'checked_in', 'cancelled', 'completed', 'expired'));
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS checked_in_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS checked_in_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS id_verification_notes TEXT;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS checked_out_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS checked_out_by UUID REFERENCES users(id) ON DELETE SET NULL;
@@ -0,0 +1,26 @@
+-- Automatic stay processing. Confirmed guests who never check in become
+-- no_show, which frees the rest of their stay like a cancellation, so the
+-- overlap constraint now ignores no_show rows too.
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_status_check;
+ALTER TABLE bookings
+  ADD CONSTRAINT bookings_status_check
+  CHECK (status IN ('pending', 'confirmed', 'checked_in', 'cancelled', 'completed', 'expired', 'no_show'));
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_no_overlap;
+
+ALTER TABLE bookings
+  ADD CONSTRAINT bookings_no_overlap
+  EXCLUDE USING gist (
+    room_id WITH =,
+    daterange(check_in, check_out, '[)') WITH &&
+  )
+  WHERE (status NOT IN ('cancelled', 'expired', 'no_show'));
+
+-- Stays that ended before the front desk recorded check-ins were never
+-- checked in, so the no-show rule would wrongly catch them. Close them as
+-- completed once, here; the stay processor handles everything after this.
+UPDATE bookings
+SET status = 'completed', updated_at = NOW()
+WHERE status = 'confirmed'
+  AND check_out <= CURRENT_DATE;
@@ -0,0 +1,11 @@
+-- Room blocks are no longer only imported from booking platform feeds:
+-- staff can block a room's nights for maintenance too. Existing blocks all
+-- came from feeds.
+
+ALTER TABLE room_blocks
+  ADD COLUMN IF NOT EXISTS reason TEXT NOT NULL DEFAULT 'channel';
+
+ALTER TABLE room_blocks DROP CONSTRAINT IF EXISTS room_blocks_reason_check;
+ALTER TABLE room_blocks
+  ADD CONSTRAINT room_blocks_reason_check
+  CHECK (reason IN ('channel', 'maintenance'));
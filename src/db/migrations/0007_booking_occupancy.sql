@@ -0,0 +1,44 @@
+-- Bookings record the party as adults and children, and how the guest
+-- chose to pay. Rooms charge a nightly fee for each guest above their
+-- capacity, up to max_occupancy.
+
+ALTER TABLE rooms
+  ADD COLUMN IF NOT EXISTS extra_guest_fee NUMERIC DEFAULT 0;
+
+ALTER TABLE rooms DROP CONSTRAINT IF EXISTS rooms_extra_guest_fee_check;
+ALTER TABLE rooms
+  ADD CONSTRAINT rooms_extra_guest_fee_check CHECK (extra_guest_fee >= 0);
+
+-- max_occupancy is now enforced, so it must never be below the capacity
+-- the room is priced for
+UPDATE rooms
+SET max_occupancy = capacity, updated_at = NOW()
+WHERE max_occupancy < capacity;
+
+ALTER TABLE bookings
+  ADD COLUMN IF NOT EXISTS adults INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS children INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS payment_method TEXT;
+
+-- Only the party size was kept before, so existing parties are all adults
+UPDATE bookings
+SET adults = GREATEST(guests, 1),
+    children = 0,
+    guests = GREATEST(guests, 1);
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_adults_check;
+ALTER TABLE bookings
+  ADD CONSTRAINT bookings_adults_check CHECK (adults >= 1);
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_children_check;
+ALTER TABLE bookings
+  ADD CONSTRAINT bookings_children_check CHECK (children >= 0);
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_payment_method_check;
+ALTER TABLE bookings
+  ADD CONSTRAINT bookings_payment_method_check
+  CHECK (payment_method IN ('credit_card', 'paypal', 'cash', 'bank_transfer'));
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_occupancy_check;
+ALTER TABLE bookings
+  ADD CONSTRAINT bookings_occupancy_check CHECK (guests = adults + children);
@@ -0,0 +1,9 @@
+-- Payments are now taken through a gateway and recorded in the payments
+-- table, which drives the booking's payment_status. A booking can be
+-- authorized (money held, not yet taken) or failed (its last attempt was
+-- declined) as well as pending, paid or refunded.
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_payment_status_check;
+ALTER TABLE bookings
+  ADD CONSTRAINT bookings_payment_status_check
+  CHECK (payment_status IN ('pending', 'authorized', 'paid', 'failed', 'refunded'));
@@ -0,0 +1,8 @@
+-- Refunds are sent back through the payment gateway and recorded in the
+-- refunds table. A booking with some of its payments refunded is
+-- partially_refunded.
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_payment_status_check;
+ALTER TABLE bookings
+  ADD CONSTRAINT bookings_payment_status_check
+  CHECK (payment_status IN ('pending', 'authorized', 'paid', 'failed', 'partially_refunded', 'refunded'));
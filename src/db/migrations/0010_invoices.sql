@@ -0,0 +1,33 @@
+-- Invoices and credit notes. An issued invoice is a legal record: it is
+-- never changed, and a correction is made by crediting it in full with a
+-- credit note (which names the invoice and why) and issuing a new one.
+-- invoice_sequences hands out numbers without gaps, so they can never go
+-- below one.
+
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS invoices_type_check;
+ALTER TABLE invoices
+  ADD CONSTRAINT invoices_type_check
+  CHECK (type IN ('invoice', 'credit_note'));
+
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS invoices_credit_note_check;
+ALTER TABLE invoices
+  ADD CONSTRAINT invoices_credit_note_check
+  CHECK ((type = 'credit_note') = (credited_invoice_id IS NOT NULL AND reason IS NOT NULL));
+
+ALTER TABLE invoice_sequences DROP CONSTRAINT IF EXISTS invoice_sequences_last_number_check;
+ALTER TABLE invoice_sequences
+  ADD CONSTRAINT invoice_sequences_last_number_check
+  CHECK (last_number > 0);
+
+CREATE OR REPLACE FUNCTION prevent_invoice_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'Invoice % has been issued and cannot be changed; issue a credit note instead', OLD.invoice_number;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS invoices_immutable ON invoices;
+CREATE TRIGGER invoices_immutable
+BEFORE UPDATE ON invoices
+FOR EACH ROW
+EXECUTE FUNCTION prevent_invoice_update();
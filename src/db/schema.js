@@ -1,4 +1,4 @@
-const { pgTable, uuid, text, numeric, integer, boolean, timestamp, date, uniqueIndex, index } = require('drizzle-orm/pg-core');
+const { pgTable, uuid, text, numeric, integer, boolean, timestamp, date, jsonb, uniqueIndex, index } = require('drizzle-orm/pg-core');
 const { sql } = require('drizzle-orm');
 
 // Users Table
@@ -8,7 +8,7 @@ const users = pgTable('users', {
   email: text('email').notNull().unique(),
   password: text('password').notNull(),
   profilePic: text('profile_pic').default('/images/default-user.png'),
-  role: text('role').default('user'), // user, admin
+  role: text('role').default('user'), // user, staff, admin
   createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
   updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
 });
@@ -42,6 +42,7 @@ const rooms = pgTable('rooms', {
   description: text('description'),
   fullDescription: text('full_description'),
   price: numeric('price').notNull(),
+  discount: numeric('discount').default('0'), // percentage off the nightly price
   imageUrl: text('image_url').default('/images/room-placeholder.jpg'),
   images: text('images').array().default([]), // Postgres array
   location: text('location').default('Taguig, Metro Manila'),
@@ -49,7 +50,8 @@ const rooms = pgTable('rooms', {
   rating: numeric('rating').default('4.5'),
   reviews: integer('reviews').default(0),
   capacity: integer('capacity').default(1),
-  maxOccupancy: integer('max_occupancy').default(2),
+  maxOccupancy: integer('max_occupancy').default(2), // most guests (adults + children) the room sleeps
+  extraGuestFee: numeric('extra_guest_fee').default('0'), // per night, for each guest above capacity
   bedType: text('bed_type').default('Queen'),
   roomSize: text('room_size').default('30 sq m'),
   viewType: text('view_type').default('City view'),
@@ -57,6 +59,8 @@ const rooms = pgTable('rooms', {
   additionalAmenities: text('additional_amenities').array().default(["WiFi", "Air conditioning", "Daily housekeeping", "Mini bar"]),
   features: text('features').array().default([]),
   isAvailable: boolean('is_available').default(true),
+  housekeepingStatus: text('housekeeping_status').default('clean'), // clean, dirty, in_progress
+  cancellationPolicyId: uuid('cancellation_policy_id').references(() => cancellationPolicies.id, { onDelete: 'set null' }),
   href: text('href'),
   createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
   updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
@@ -66,6 +70,49 @@ const rooms = pgTable('rooms', {
   };
 });
 
+// Room Rates Table (seasonal / day-of-week overrides of rooms.price)
+const roomRates = pgTable('room_rates', {
+  id: uuid('id').defaultRandom().primaryKey(),
+  roomId: uuid('room_id').references(() => rooms.id, { onDelete: 'cascade' }), // set for room-specific plans
+  category: text('category'), // set for category-wide plans (room_id is null)
+  name: text('name').notNull(),
+  price: numeric('price').notNull(),
+  startDate: date('start_date'), // first night covered, null = open-ended
+  endDate: date('end_date'), // last night covered (inclusive), null = open-ended
+  daysOfWeek: integer('days_of_week').array(), // 0 = Sunday ... 6 = Saturday, null = every day
+  priority: integer('priority').default(0), // higher wins when plans overlap
+  cancellationPolicyId: uuid('cancellation_policy_id').references(() => cancellationPolicies.id, { onDelete: 'set null' }), // overrides the room's policy
+  isActive: boolean('is_active').default(true),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    roomIdx: index('room_rates_room_idx').on(table.roomId),
+    categoryIdx: index('room_rates_category_idx').on(table.category),
+  };
+});
+
+// Reservations Table (a group of room bookings under one confirmation number)
+const reservations = pgTable('reservations', {
+  id: uuid('id').defaultRandom().primaryKey(),
+  confirmationNumber: text('confirmation_number').notNull().unique(),
+  userId: uuid('user_id').references(() => users.id, { onDelete: 'set null' }),
+  firstName: text('first_name').notNull(),
+  lastName: text('last_name').notNull(),
+  email: text('email').notNull(),
+  phone: text('phone').notNull(),
+  checkIn: date('check_in').notNull(),
+  checkOut: date('check_out').notNull(),
+  status: text('status').default('confirmed'), // confirmed, cancelled
+  specialRequests: text('special_requests'),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    userIdx: index('reservations_user_idx').on(table.userId),
+  };
+});
+
 // Bookings Table
 const bookings = pgTable('bookings', {
   id: uuid('id').defaultRandom().primaryKey(),
@@ -76,6 +123,7 @@ const bookings = pgTable('bookings', {
   email: text('email').notNull(),
   phone: text('phone').notNull(),
   roomId: uuid('room_id').references(() => rooms.id, { onDelete: 'set null' }),
+  reservationId: uuid('reservation_id').references(() => reservations.id, { onDelete: 'set null' }), // set for group bookings
   roomType: text('room_type').notNull(),
   roomTitle: text('room_title').notNull(),
   roomCategory: text('room_category').notNull(),
@@ -83,13 +131,30 @@ const bookings = pgTable('bookings', {
   checkIn: date('check_in').notNull(),
   checkOut: date('check_out').notNull(),
   nights: integer('nights').notNull(),
-  guests: integer('guests').notNull(),
+  guests: integer('guests').notNull(), // adults + children
+  adults: integer('adults').notNull().default(1),
+  children: integer('children').notNull().default(0),
   specialRequests: text('special_requests'),
   basePrice: numeric('base_price').notNull(),
   taxAndFees: numeric('tax_and_fees').notNull(),
+  taxBreakdown: jsonb('tax_breakdown').default([]), // [{ ruleId, name, type, rate, amount }]
   totalPrice: numeric('total_price').notNull(),
-  status: text('status').default('pending'), // pending, confirmed, cancelled, completed
-  paymentStatus: text('payment_status').default('pending'), // pending, paid, refunded
+  promotionId: uuid('promotion_id').references(() => promotions.id, { onDelete: 'set null' }),
+  promoCode: text('promo_code'),
+  discountAmount: numeric('discount_amount').default('0'), // room and promo discounts, before tax
+  status: text('status').default('pending'), // pending, confirmed, checked_in, cancelled, completed, expired, no_show
+  holdExpiresAt: timestamp('hold_expires_at', { withTimezone: true }), // set while a pending booking is a checkout hold
+  cancellationPolicy: jsonb('cancellation_policy'), // snapshot { id, name, tiers } taken at booking time, null = free cancellation
+  cancellationPenalty: numeric('cancellation_penalty'), // kept on cancellation or no-show
+  refundAmount: numeric('refund_amount'),
+  cancelledAt: timestamp('cancelled_at', { withTimezone: true }),
+  checkedInAt: timestamp('checked_in_at', { withTimezone: true }), // actual arrival
+  checkedInBy: uuid('checked_in_by').references(() => users.id, { onDelete: 'set null' }), // staff member
+  idVerificationNotes: text('id_verification_notes'), // ID checked at the front desk
+  checkedOutAt: timestamp('checked_out_at', { withTimezone: true }), // actual departure
+  checkedOutBy: uuid('checked_out_by').references(() => users.id, { onDelete: 'set null' }),
+  paymentStatus: text('payment_status').default('pending'), // pending, authorized, paid, failed, partially_refunded, refunded (kept in step with payments)
+  paymentMethod: text('payment_method'), // credit_card, paypal, cash, bank_transfer
   location: text('location'),
   createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
   updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
@@ -97,6 +162,251 @@ const bookings = pgTable('bookings', {
   return {
     roomStatusIdx: index('bookings_room_status_idx').on(table.roomTitle, table.roomCategory, table.status),
     datesIdx: index('bookings_dates_idx').on(table.checkIn, table.checkOut),
+    reservationIdx: index('bookings_reservation_idx').on(table.reservationId),
+    checkOutIdx: index('bookings_check_out_idx').on(table.checkOut), // front-desk departures
+  };
+});
+
+// Booking Events Table (audit trail of every change to a booking)
+const bookingEvents = pgTable('booking_events', {
+  id: uuid('id').defaultRandom().primaryKey(),
+  bookingId: uuid('booking_id').references(() => bookings.id, { onDelete: 'cascade' }).notNull(),
+  type: text('type').notNull(), // created, updated, status_changed, cancelled, payment_changed
+  actorType: text('actor_type').notNull(), // user, guest, staff, admin, system
+  actorId: uuid('actor_id').references(() => users.id, { onDelete: 'set null' }),
+  changes: jsonb('changes').notNull().default({}), // { field: { from, to } }
+  note: text('note'),
+  // clock_timestamp() rather than now(), so events written in one transaction keep their order
+  createdAt: timestamp('created_at', { withTimezone: true }).default(sql`clock_timestamp()`),
+}, (table) => {
+  return {
+    bookingIdx: index('booking_events_booking_idx').on(table.bookingId, table.createdAt),
+  };
+});
+
+// Payments Table (ledger of every attempt to take money for a booking)
+const payments = pgTable('payments', {
+  id: uuid('id').defaultRandom().primaryKey(),
+  bookingId: uuid('booking_id').references(() => bookings.id, { onDelete: 'cascade' }).notNull(),
+  amount: numeric('amount').notNull(),
+  currency: text('currency').notNull(),
+  method: text('method').notNull(), // credit_card, paypal, cash, bank_transfer
+  provider: text('provider').notNull(), // gateway name, or manual for payments taken by staff
+  providerReference: text('provider_reference'), // the gateway's ID for the payment
+  status: text('status').notNull().default('pending'), // pending, requires_action, authorized, captured, declined, failed
+  captureMethod: text('capture_method').notNull().default('automatic'), // automatic (on authorization), manual (by staff)
+  failureReason: text('failure_reason'),
+  authorizedAt: timestamp('authorized_at', { withTimezone: true }),
+  capturedAt: timestamp('captured_at', { withTimezone: true }),
+  createdBy: uuid('created_by').references(() => users.id, { onDelete: 'set null' }),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    bookingIdx: index('payments_booking_idx').on(table.bookingId, table.createdAt),
+    providerReferenceIdx: uniqueIndex('payments_provider_reference_idx').on(table.provider, table.providerReference),
+  };
+});
+
+// Refunds Table (money sent back against a captured payment)
+const refunds = pgTable('refunds', {
+  id: uuid('id').defaultRandom().primaryKey(),
+  bookingId: uuid('booking_id').references(() => bookings.id, { onDelete: 'cascade' }).notNull(),
+  paymentId: uuid('payment_id').references(() => payments.id, { onDelete: 'cascade' }).notNull(),
+  amount: numeric('amount').notNull(),
+  currency: text('currency').notNull(),
+  reason: text('reason').notNull(),
+  status: text('status').notNull().default('pending'), // pending (sent to the gateway), succeeded, failed
+  providerReference: text('provider_reference'), // the gateway's ID for the refund
+  failureReason: text('failure_reason'),
+  actorType: text('actor_type').notNull(), // admin, system (see booking_events)
+  createdBy: uuid('created_by').references(() => users.id, { onDelete: 'set null' }),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    bookingIdx: index('refunds_booking_idx').on(table.bookingId, table.createdAt),
+    paymentIdx: index('refunds_payment_idx').on(table.paymentId),
+  };
+});
+
+// Folio Items Table (incidental charges and adjustments posted to a stay)
+const folioItems = pgTable('folio_items', {
+  id: uuid('id').defaultRandom().primaryKey(),
+  bookingId: uuid('booking_id').references(() => bookings.id, { onDelete: 'cascade' }).notNull(),
+  type: text('type').notNull(), // charge, adjustment
+  category: text('category'), // minibar, room_service, laundry, damages, other (charges only)
+  description: text('description').notNull(),
+  quantity: integer('quantity').notNull().default(1),
+  unitPrice: numeric('unit_price').notNull(),
+  amount: numeric('amount').notNull(), // quantity x unit price; negative for credits
+  currency: text('currency').notNull(),
+  postedBy: uuid('posted_by').references(() => users.id, { onDelete: 'set null' }),
+  voidedAt: timestamp('voided_at', { withTimezone: true }),
+  voidedBy: uuid('voided_by').references(() => users.id, { onDelete: 'set null' }),
+  voidReason: text('void_reason'),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    bookingIdx: index('folio_items_booking_idx').on(table.bookingId, table.createdAt),
+  };
+});
+
+// Invoices Table (invoices and credit notes; never changed once issued)
+const invoices = pgTable('invoices', {
+  id: uuid('id').defaultRandom().primaryKey(),
+  invoiceNumber: text('invoice_number').notNull(), // e.g. INV-2030-000001, CN-2030-000001
+  type: text('type').notNull(), // invoice, credit_note
+  bookingId: uuid('booking_id').references(() => bookings.id, { onDelete: 'cascade' }).notNull(),
+  creditedInvoiceId: uuid('credited_invoice_id').references(() => invoices.id), // the invoice a credit note cancels
+  reason: text('reason'), // why a credit note was issued
+  seller: jsonb('seller').notNull(), // hotel details as they were when issued
+  billTo: jsonb('bill_to').notNull(), // { name, company, address, taxId, email, phone }
+  stay: jsonb('stay').notNull(), // { bookingId, roomTitle, checkIn, checkOut, nights }
+  lines: jsonb('lines').notNull(), // [{ description, quantity, unitPrice, amount }]
+  taxes: jsonb('taxes').notNull(), // [{ name, amount }]
+  payments: jsonb('payments').notNull(), // [{ type, description, date, amount }]
+  currency: text('currency').notNull(),
+  subtotal: numeric('subtotal').notNull(),
+  taxTotal: numeric('tax_total').notNull(),
+  total: numeric('total').notNull(),
+  amountPaid: numeric('amount_paid').notNull(),
+  balanceDue: numeric('balance_due').notNull(),
+  issuedAt: timestamp('issued_at', { withTimezone: true }).defaultNow().notNull(),
+  issuedBy: uuid('issued_by').references(() => users.id, { onDelete: 'set null' }),
+}, (table) => {
+  return {
+    numberIdx: uniqueIndex('invoices_number_idx').on(table.invoiceNumber),
+    bookingIdx: index('invoices_booking_idx').on(table.bookingId, table.issuedAt),
+    creditedIdx: uniqueIndex('invoices_credited_invoice_idx').on(table.creditedInvoiceId),
+  };
+});
+
+// Invoice Sequences Table (last number used in each series, so numbers never skip)
+const invoiceSequences = pgTable('invoice_sequences', {
+  series: text('series').primaryKey(), // e.g. INV-2030
+  lastNumber: integer('last_number').notNull(),
+});
+
+// Payment Webhook Events Table (every delivery from a payment provider, once per event ID)
+const paymentWebhookEvents = pgTable('payment_webhook_events', {
+  id: uuid('id').defaultRandom().primaryKey(),
+  provider: text('provider').notNull(), // gateway that sent it
+  eventId: text('event_id').notNull(), // the provider's ID for the event
+  type: text('type').notNull(), // e.g. payment.captured
+  payload: jsonb('payload').notNull(),
+  status: text('status').notNull(), // processed, ignored
+  note: text('note'), // why an event was ignored
+  paymentId: uuid('payment_id').references(() => payments.id, { onDelete: 'set null' }),
+  receivedAt: timestamp('received_at', { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    providerEventIdx: uniqueIndex('payment_webhook_events_provider_event_idx').on(table.provider, table.eventId),
+  };
+});
+
+// Cancellation Policies Table (penalty tiers by notice before check-in)
+const cancellationPolicies = pgTable('cancellation_policies', {
+  id: uuid('id').defaultRandom().primaryKey(),
+  name: text('name').notNull().unique(), // flexible, moderate, non_refundable, ...
+  description: text('description'),
+  tiers: jsonb('tiers').notNull().default([]), // [{ minHoursBefore, penaltyPercent }]
+  isActive: boolean('is_active').default(true),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+});
+
+// Tax Rules Table (VAT, city tax, service charges applied at booking time)
+const taxRules = pgTable('tax_rules', {
+  id: uuid('id').defaultRandom().primaryKey(),
+  name: text('name').notNull(),
+  type: text('type').notNull(), // percentage, per_night, per_person_per_night, fixed
+  amount: numeric('amount').notNull(), // percent for 'percentage', currency amount otherwise
+  location: text('location'), // null = every location
+  category: text('category'), // null = every room category
+  isActive: boolean('is_active').default(true),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+});
+
+// Promotions Table (promo codes redeemed at checkout)
+const promotions = pgTable('promotions', {
+  id: uuid('id').defaultRandom().primaryKey(),
+  code: text('code').notNull().unique(), // stored upper-case
+  description: text('description'),
+  discountType: text('discount_type').notNull(), // percentage, fixed
+  discountValue: numeric('discount_value').notNull(),
+  startsAt: timestamp('starts_at', { withTimezone: true }),
+  endsAt: timestamp('ends_at', { withTimezone: true }),
+  maxRedemptions: integer('max_redemptions'), // null = unlimited
+  redemptionCount: integer('redemption_count').notNull().default(0),
+  minNights: integer('min_nights'),
+  eligibleCategories: text('eligible_categories').array(), // null/empty = every category
+  isActive: boolean('is_active').default(true),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+});
+
+// Waitlist Entries Table (guests waiting for a fully booked room or category)
+const waitlistEntries = pgTable('waitlist_entries', {
+  id: uuid('id').defaultRandom().primaryKey(),
+  userId: uuid('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  roomId: uuid('room_id').references(() => rooms.id, { onDelete: 'cascade' }), // null = any room in the category
+  category: text('category'),
+  checkIn: date('check_in').notNull(),
+  checkOut: date('check_out').notNull(),
+  guests: integer('guests').notNull().default(1),
+  status: text('status').notNull().default('waiting'), // waiting, offered, claimed, expired, cancelled
+  offeredRoomId: uuid('offered_room_id').references(() => rooms.id, { onDelete: 'set null' }),
+  claimTokenHash: text('claim_token_hash'), // sha256 of the token sent to the guest
+  claimExpiresAt: timestamp('claim_expires_at', { withTimezone: true }),
+  notifiedAt: timestamp('notified_at', { withTimezone: true }),
+  holdBookingId: uuid('hold_booking_id').references(() => bookings.id, { onDelete: 'set null' }),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    statusIdx: index('waitlist_entries_status_idx').on(table.status, table.createdAt),
+    userIdx: index('waitlist_entries_user_idx').on(table.userId),
+  };
+});
+
+// iCal Feeds Table (external calendars, e.g. from booking platforms, imported per room)
+const icalFeeds = pgTable('ical_feeds', {
+  id: uuid('id').defaultRandom().primaryKey(),
+  roomId: uuid('room_id').references(() => rooms.id, { onDelete: 'cascade' }).notNull(),
+  name: text('name').notNull(), // e.g. the platform the room is listed on
+  url: text('url'), // null for feeds only ever uploaded as files
+  isActive: boolean('is_active').notNull().default(true),
+  lastSyncedAt: timestamp('last_synced_at', { withTimezone: true }),
+  lastSyncStatus: text('last_sync_status'), // ok, failed
+  lastSyncError: text('last_sync_error'),
+  eventCount: integer('event_count').notNull().default(0),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    roomIdx: index('ical_feeds_room_idx').on(table.roomId),
+  };
+});
+
+// Room Blocks Table (nights a room cannot be booked, e.g. sold on another platform)
+const roomBlocks = pgTable('room_blocks', {
+  id: uuid('id').defaultRandom().primaryKey(),
+  roomId: uuid('room_id').references(() => rooms.id, { onDelete: 'cascade' }).notNull(),
+  feedId: uuid('feed_id').references(() => icalFeeds.id, { onDelete: 'cascade' }),
+  uid: text('uid').notNull(), // iCal UID of the imported event
+  reason: text('reason').notNull().default('channel'), // channel (imported), maintenance (added by staff)
+  startDate: date('start_date').notNull(),
+  endDate: date('end_date').notNull(), // exclusive, like a booking's check-out
+  summary: text('summary'),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    feedUidIdx: uniqueIndex('room_blocks_feed_uid_idx').on(table.feedId, table.uid),
+    roomDatesIdx: index('room_blocks_room_dates_idx').on(table.roomId, table.startDate),
   };
 });
 
@@ -134,7 +444,22 @@ module.exports = {
   users,
   hotels,
   rooms,
+  roomRates,
+  reservations,
   bookings,
+  bookingEvents,
+  payments,
+  refunds,
+  folioItems,
+  invoices,
+  invoiceSequences,
+  paymentWebhookEvents,
+  cancellationPolicies,
+  taxRules,
+  promotions,
+  waitlistEntries,
+  icalFeeds,
+  roomBlocks,
   refreshTokens,
   passwordResets,
 };
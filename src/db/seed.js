@@ -91,6 +91,26 @@ const main = async () => {
     }).returning();
     console.log('   ✔ admin@admin.com / admin123\n');
 
+    // ── Hotel ──────────────────────────────────────
+    // Invoices are issued with these details
+    console.log('🏨 Creating hotel...');
+    await db.delete(schema.hotels);
+    await db.insert(schema.hotels).values({
+      name: 'Grand Vista Hotel',
+      description: 'A seaside hotel with rooms for every kind of stay.',
+      address: '123 Roxas Boulevard',
+      city: 'Manila',
+      state: 'Metro Manila',
+      zipCode: '1000',
+      phone: '+63 2 8123 4567',
+      email: 'frontdesk@grandvista.example.com',
+      website: 'https://grandvista.example.com',
+      rating: '4.5',
+      roomsCount: SEED_COUNTS.ROOMS,
+      price: '8000'
+    });
+    console.log('   ✔ Grand Vista Hotel\n');
+
     // ── Users ──────────────────────────────────────
     console.log(`👥 Creating ${SEED_COUNTS.USERS} users...`);
     const userHash = await bcrypt.hash('password123', 10);
@@ -111,6 +131,7 @@ const main = async () => {
     console.log(`🏨 Creating ${SEED_COUNTS.ROOMS} rooms...`);
     const roomsData = ROOM_TITLES.slice(0, SEED_COUNTS.ROOMS).map((title, i) => {
       const ti = i % TYPES.length;
+      const capacity = rand(1, 3);
       return {
         title,
         roomNumber: `${(i + 1) * 100 + rand(1, 9)}`,
@@ -124,8 +145,8 @@ const main = async () => {
         category: CATS[ti],
         rating: (rand(35, 50) / 10).toString(),
         reviews: rand(5, 200),
-        capacity: rand(1, 3),
-        maxOccupancy: rand(2, 6),
+        capacity,
+        maxOccupancy: rand(Math.max(capacity, 2), 6),
         amenities: AMENITIES.slice(0, rand(4, AMENITIES.length)),
         isAvailable: true
       };
@@ -137,6 +158,7 @@ const main = async () => {
     console.log(`📅 Creating ${SEED_COUNTS.BOOKINGS} bookings...`);
     const allUsers = [admin, ...createdUsers];
     const bookingsData = [];
+    const takenNights = new Map(); // roomId -> [[checkIn, checkOut]] of active bookings
 
     for (let i = 0; i < SEED_COUNTS.BOOKINGS; i++) {
       const u = pick(allUsers);
@@ -145,8 +167,18 @@ const main = async () => {
       const n = rand(1, 7);
       const co = new Date(ci);
       co.setDate(ci.getDate() + n);
+      const status = pick(['confirmed', 'pending', 'cancelled', 'completed', 'completed', 'completed']);
+
+      // Active bookings must not overlap (bookings_no_overlap constraint)
+      if (status !== 'cancelled') {
+        const ranges = takenNights.get(r.id) || [];
+        if (ranges.some(([s, e]) => s < fmtDate(co) && e > fmtDate(ci))) continue;
+        takenNights.set(r.id, [...ranges, [fmtDate(ci), fmtDate(co)]]);
+      }
       const p = parseFloat(r.price);
       const tax = Math.round(p * n * 0.12);
+      const adults = rand(1, r.maxOccupancy || 2);
+      const children = rand(0, (r.maxOccupancy || 2) - adults);
 
       bookingsData.push({
         bookingId: `BK-${String(i).padStart(3, '0')}-${Date.now()}`,
@@ -163,22 +195,45 @@ const main = async () => {
         checkIn: fmtDate(ci),
         checkOut: fmtDate(co),
         nights: n,
-        guests: rand(1, r.maxOccupancy || 2),
+        guests: adults + children,
+        adults,
+        children,
         specialRequests: pick(['', '', '', 'Late check-out', 'Extra pillows', 'Airport transfer']),
         basePrice: (p * n).toString(),
         taxAndFees: tax.toString(),
         totalPrice: (p * n + tax).toString(),
-        status: pick(['confirmed', 'pending', 'cancelled', 'completed', 'completed', 'completed']),
+        status,
         paymentStatus: pick(['paid', 'paid', 'paid', 'pending']),
+        paymentMethod: pick(['credit_card', 'credit_card', 'paypal', 'cash', 'bank_transfer']),
         location: r.location
       });
     }
 
     const CHUNK = 20;
+    const createdBookings = [];
     for (let i = 0; i < bookingsData.length; i += CHUNK) {
-      await db.insert(schema.bookings).values(bookingsData.slice(i, i + CHUNK));
+      createdBookings.push(...await db.insert(schema.bookings).values(bookingsData.slice(i, i + CHUNK)).returning());
+    }
+    console.log(`   ✔ ${createdBookings.length} bookings\n`);
+
+    // Paid bookings get their payment in the ledger, as if taken at the desk
+    console.log('💳 Creating payments...');
+    const paymentsData = createdBookings
+      .filter(b => b.paymentStatus === 'paid')
+      .map(b => ({
+        bookingId: b.id,
+        amount: b.totalPrice,
+        currency: process.env.CURRENCY || 'PHP',
+        method: b.paymentMethod,
+        provider: 'manual',
+        status: 'captured',
+        authorizedAt: b.createdAt,
+        capturedAt: b.createdAt
+      }));
+    if (paymentsData.length > 0) {
+      await db.insert(schema.payments).values(paymentsData);
     }
-    console.log(`   ✔ ${bookingsData.length} bookings\n`);
+    console.log(`   ✔ ${paymentsData.length} payments\n`);
 
     console.log('═══════════════════════════════════════');
     console.log('  🎉  Seed completed successfully!');
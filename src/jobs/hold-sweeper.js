@@ -0,0 +1,50 @@
+/**
+ * Hold Sweeper Job
+ * Periodically expires checkout holds whose deadline has passed, so their
+ * nights show up as free again. Booking writes also release lapsed holds on
+ * the room they lock, so a late sweep never blocks a new booking.
+ */
+
+const { db } = require('../db');
+const { expireLapsedHolds } = require('../utils/booking/lifecycle');
+const { releaseToWaitlist } = require('../utils/booking/waitlist');
+const { getEnv } = require('../utils/env-validator');
+
+const SWEEP_INTERVAL_SECONDS = parseInt(getEnv('HOLD_SWEEP_INTERVAL_SECONDS', '60')) || 60;
+
+/**
+ * Expire every lapsed hold once
+ * @returns {Promise<number>} Number of holds released
+ */
+const sweepExpiredHolds = async () => {
+  const released = await expireLapsedHolds(db);
+
+  if (released.length > 0) {
+    console.log(`Hold sweeper: released ${released.length} expired hold(s)`);
+    await releaseToWaitlist(db, ...released.map(hold => hold.roomId));
+  }
+
+  return released.length;
+};
+
+/**
+ * Start sweeping on an interval. The timer is unref'd so it never keeps
+ * the process alive on its own.
+ * @param {number} [intervalSeconds] - Seconds between sweeps
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startHoldSweeper = (intervalSeconds = SWEEP_INTERVAL_SECONDS) => {
+  const timer = setInterval(() => {
+    sweepExpiredHolds().catch(error => {
+      console.error('Hold sweeper failed:', error.message);
+    });
+  }, intervalSeconds * 1000);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  sweepExpiredHolds,
+  startHoldSweeper
+};
@@ -0,0 +1,73 @@
+/**
+ * iCal Sync Job
+ * Periodically pulls every active feed that has a URL, so bookings made on
+ * the platforms block their rooms here without anyone uploading a file
+ */
+
+const { db } = require('../db');
+const { icalFeeds } = require('../db/schema');
+const { and, eq, isNotNull } = require('drizzle-orm');
+const { fetchFeed, syncFeed, recordSyncFailure } = require('../utils/booking/channel-sync');
+const { releaseToWaitlist } = require('../utils/booking/waitlist');
+const { getEnv } = require('../utils/env-validator');
+
+const SYNC_INTERVAL_MINUTES = parseInt(getEnv('ICAL_SYNC_INTERVAL_MINUTES', '30')) || 30;
+
+/**
+ * Sync every active URL feed once. A feed that fails is recorded on the
+ * feed and does not stop the others.
+ * @returns {Promise<{synced: number, failed: number}>} Feeds synced and failed
+ */
+const syncIcalFeeds = async () => {
+  const feeds = await db
+    .select()
+    .from(icalFeeds)
+    .where(and(eq(icalFeeds.isActive, true), isNotNull(icalFeeds.url)));
+
+  let synced = 0;
+  let failed = 0;
+
+  for (const feed of feeds) {
+    try {
+      const result = await syncFeed(db, feed, await fetchFeed(feed.url));
+      if (result.removed > 0) {
+        await releaseToWaitlist(db, feed.roomId);
+      }
+      if (result.conflicts.length > 0) {
+        console.warn(`iCal sync: feed ${feed.id} clashes with ${result.conflicts.length} booking(s)`);
+      }
+      synced++;
+    } catch (error) {
+      failed++;
+      await recordSyncFailure(db, feed, error).catch(() => {});
+    }
+  }
+
+  if (failed > 0) {
+    console.log(`iCal sync: ${synced} feed(s) synced, ${failed} failed`);
+  }
+
+  return { synced, failed };
+};
+
+/**
+ * Start syncing on an interval. The timer is unref'd so it never keeps
+ * the process alive on its own.
+ * @param {number} [intervalMinutes] - Minutes between syncs
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startIcalSync = (intervalMinutes = SYNC_INTERVAL_MINUTES) => {
+  const timer = setInterval(() => {
+    syncIcalFeeds().catch(error => {
+      console.error('iCal sync failed:', error.message);
+    });
+  }, intervalMinutes * 60 * 1000);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  syncIcalFeeds,
+  startIcalSync
+};
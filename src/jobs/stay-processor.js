@@ -0,0 +1,160 @@
+/**
+ * Stay Processor Job
+ * Moves stays on once their dates pass: guests still checked in after
+ * check-out time are checked out (completed) once their folio is settled,
+ * and confirmed guests who have
+ * not checked in by the no-show cutoff become no_show and are charged the
+ * configured no-show penalty. Every change is logged.
+ *
+ * Runs on an interval inside the server, or once from the command line:
+ *   node src/jobs/stay-processor.js
+ */
+
+const { db } = require('../db');
+const { bookings, rooms } = require('../db/schema');
+const { and, eq, lte } = require('drizzle-orm');
+const { BookingTransitionError, transitionBooking } = require('../utils/booking/lifecycle');
+const { noShowCutoff } = require('../utils/booking/no-show');
+const { hotelDate, checkOutMoment } = require('../utils/booking/hotel-time');
+const { releaseToWaitlist } = require('../utils/booking/waitlist');
+const { loadFolio } = require('../utils/booking/folio');
+const { lockBooking } = require('../utils/booking/payments');
+const { getEnv } = require('../utils/env-validator');
+
+const PROCESS_INTERVAL_SECONDS = parseInt(getEnv('STAY_PROCESS_INTERVAL_SECONDS', '900')) || 900;
+
+/**
+ * Apply one automatic transition, logging the outcome. A booking changed by
+ * someone else since it was loaded is skipped; the next run sees its new status.
+ * @param {object} booking - Booking row
+ * @param {string} to - Status to move to
+ * @param {Function} apply - Runs the transition, resolving to its result (or null to skip it)
+ * @returns {Promise<object|null>} Transition result, or null if skipped
+ */
+const applyTransition = async (booking, to, apply) => {
+  try {
+    const result = await apply();
+    if (!result) {
+      return null;
+    }
+    const penalty = result.noShow
+      ? ` (penalty ${result.noShow.penalty} of ${result.noShow.totalPrice}, ${result.noShow.policy} policy)`
+      : '';
+    console.log(`Stay processor: ${booking.bookingId} ${booking.status} -> ${to}${penalty}`);
+    return result;
+  } catch (error) {
+    if (error instanceof BookingTransitionError) {
+      console.warn(`Stay processor: skipped ${booking.bookingId}: ${error.message}`);
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Complete overdue stays and flag no-shows once
+ * @param {Date} [at] - Moment to process at
+ * @returns {Promise<{completed: number, noShows: number, unsettled: number}>} Number of bookings changed, and
+ *   overdue stays left checked in because the guest still owes money
+ */
+const processStays = async (at = new Date()) => {
+  const today = hotelDate(at);
+
+  // Guests still in house after check-out time are checked out, and their
+  // rooms go to housekeeping as they would at the front desk. A guest who
+  // still owes money stays checked in for the front desk to settle or a
+  // manager to override.
+  const overdue = await db
+    .select()
+    .from(bookings)
+    .where(and(eq(bookings.status, 'checked_in'), lte(bookings.checkOut, today)));
+
+  let completed = 0;
+  let unsettled = 0;
+  for (const booking of overdue.filter(stay => checkOutMoment(stay.checkOut) <= at)) {
+    // The balance is checked on the locked booking, so a charge posted in the
+    // meantime keeps the guest checked in
+    const result = await applyTransition(booking, 'completed', () => db.transaction(async (tx) => {
+      const locked = await lockBooking(tx, booking.id);
+      if (!locked) {
+        return null;
+      }
+      const { currency, balanceDue } = await loadFolio(tx, locked);
+      if (balanceDue > 0) {
+        console.warn(`Stay processor: left ${booking.bookingId} checked in: ${currency} ${balanceDue.toFixed(2)} still due`);
+        unsettled++;
+        return null;
+      }
+
+      const transition = await transitionBooking(tx, locked, 'completed', { actor: 'system', at });
+      if (booking.roomId) {
+        await tx
+          .update(rooms)
+          .set({ housekeepingStatus: 'dirty', updatedAt: at })
+          .where(eq(rooms.id, booking.roomId));
+      }
+      return transition;
+    }));
+    if (result) completed++;
+  }
+
+  // Confirmed guests who have not arrived by the cutoff are no-shows
+  const arriving = await db
+    .select()
+    .from(bookings)
+    .where(and(eq(bookings.status, 'confirmed'), lte(bookings.checkIn, today)));
+
+  const freedRoomIds = [];
+  for (const booking of arriving.filter(stay => noShowCutoff(stay) <= at)) {
+    const result = await applyTransition(booking, 'no_show', () =>
+      transitionBooking(db, booking, 'no_show', { actor: 'system', at })
+    );
+    if (result && booking.roomId) freedRoomIds.push(booking.roomId);
+  }
+
+  // The rest of a no-show's stay is free again
+  if (freedRoomIds.length > 0) {
+    await releaseToWaitlist(db, ...freedRoomIds);
+  }
+
+  if (completed > 0 || freedRoomIds.length > 0 || unsettled > 0) {
+    console.log(`Stay processor: completed ${completed} stay(s), flagged ${freedRoomIds.length} no-show(s), ${unsettled} overdue stay(s) with a balance due`);
+  }
+
+  return { completed, noShows: freedRoomIds.length, unsettled };
+};
+
+/**
+ * Start processing on an interval. The timer is unref'd so it never keeps
+ * the process alive on its own.
+ * @param {number} [intervalSeconds] - Seconds between runs
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startStayProcessor = (intervalSeconds = PROCESS_INTERVAL_SECONDS) => {
+  const timer = setInterval(() => {
+    processStays().catch(error => {
+      console.error('Stay processor failed:', error.message);
+    });
+  }, intervalSeconds * 1000);
+
+  timer.unref();
+  return timer;
+};
+
+// Run once from the command line (e.g. from cron on hosts without a long-running server)
+if (require.main === module) {
+  processStays()
+    .then(({ completed, noShows, unsettled }) => {
+      console.log(`Stay processor finished: ${completed} completed, ${noShows} no-show(s), ${unsettled} left with a balance due`);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Stay processor failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  processStays,
+  startStayProcessor
+};
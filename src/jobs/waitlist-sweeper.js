@@ -0,0 +1,47 @@
+/**
+ * Waitlist Sweeper Job
+ * Periodically expires waitlist offers that were not claimed in time and
+ * offers the rooms to the next guests in line
+ */
+
+const { db } = require('../db');
+const { expireWaitlistOffers } = require('../utils/booking/waitlist');
+const { getEnv } = require('../utils/env-validator');
+
+const SWEEP_INTERVAL_SECONDS = parseInt(getEnv('WAITLIST_SWEEP_INTERVAL_SECONDS', '60')) || 60;
+
+/**
+ * Expire every lapsed offer once
+ * @returns {Promise<number>} Number of offers expired
+ */
+const sweepWaitlistOffers = async () => {
+  const expired = await expireWaitlistOffers(db);
+
+  if (expired > 0) {
+    console.log(`Waitlist sweeper: expired ${expired} unclaimed offer(s)`);
+  }
+
+  return expired;
+};
+
+/**
+ * Start sweeping on an interval. The timer is unref'd so it never keeps
+ * the process alive on its own.
+ * @param {number} [intervalSeconds] - Seconds between sweeps
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startWaitlistSweeper = (intervalSeconds = SWEEP_INTERVAL_SECONDS) => {
+  const timer = setInterval(() => {
+    sweepWaitlistOffers().catch(error => {
+      console.error('Waitlist sweeper failed:', error.message);
+    });
+  }, intervalSeconds * 1000);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  sweepWaitlistOffers,
+  startWaitlistSweeper
+};
@@ -1,10 +1,11 @@
 const jwt = require('jsonwebtoken');
 const { verifyToken, refreshAccessToken } = require('../utils/jwt');
 const { db } = require('../db');
-const { users } = require('../db/schema');
+const { users, bookings } = require('../db/schema');
 const { eq } = require('drizzle-orm');
 const AppError = require('../utils/appError');
 const { getEnv } = require('../utils/env-validator');
+const { verifyBookingAccessToken, normalizeEmail } = require('../utils/booking/guest-access');
 
 // Get JWT configuration
 const JWT_SECRET = getEnv('JWT_SECRET', 'your-secret-key');
@@ -64,6 +65,62 @@ exports.verifyToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware for routes open to guests without an account: attaches the
+ * user when a login token is sent and otherwise lets the request through
+ * with no req.user. A token that is sent but invalid or expired is still
+ * refused, so a lapsed session is never quietly treated as a guest.
+ */
+exports.optionalToken = (req, res, next) => {
+  const hasToken = (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) ||
+    (req.cookies && req.cookies.token);
+
+  if (!hasToken) {
+    return next();
+  }
+
+  return exports.verifyToken(req, res, next);
+};
+
+/**
+ * Middleware to accept a booking magic-link token instead of a login. The
+ * token comes from the X-Booking-Token header or a `token` body field, never
+ * the query string, where access logs would record it. The request is treated as an anonymous guest who may manage only
+ * the booking in the token, whose ID is set as req.params.id.
+ */
+exports.verifyBookingToken = async (req, res, next) => {
+  try {
+    const token = req.headers['x-booking-token'] || (req.body && req.body.token);
+
+    if (!token) {
+      return next(new AppError('Booking link token is required', 401));
+    }
+
+    const decoded = verifyBookingAccessToken(token);
+    if (!decoded) {
+      return next(new AppError('This booking link is invalid or has expired', 401));
+    }
+
+    // A link stops working once the booking's email changes
+    const [booking] = await db
+      .select({ id: bookings.id, email: bookings.email })
+      .from(bookings)
+      .where(eq(bookings.id, decoded.bookingId));
+
+    if (!booking || normalizeEmail(booking.email) !== decoded.email) {
+      return next(new AppError('This booking link is invalid or has expired', 401));
+    }
+
+    req.user = { id: null, role: 'guest' };
+    req.bookingAccess = { bookingId: booking.id };
+    req.params.id = booking.id;
+
+    next();
+  } catch (error) {
+    return next(new AppError('Not authorized to access this booking', 401));
+  }
+};
+
 /**
  * Middleware to restrict access to specific roles
  * @param {...string} roles - Roles allowed to access the route
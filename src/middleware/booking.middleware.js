@@ -5,6 +5,8 @@
 
 const { body, param, query, validationResult } = require('express-validator');
 const AppError = require('../utils/appError');
+const { BOOKING_STATUSES } = require('../utils/booking/lifecycle');
+const { PAYMENT_METHODS } = require('../utils/booking/pricing');
 
 /**
  * Validate create booking request
@@ -43,8 +45,9 @@ exports.validateCreateBooking = [
       return true;
     }),
   
+  // Optional: the server computes the price and rejects a mismatching total
   body('totalPrice')
-    .notEmpty().withMessage('Total price is required')
+    .optional()
     .isNumeric().withMessage('Total price must be a number')
     .custom((value) => {
       if (parseFloat(value) <= 0) {
@@ -54,7 +57,7 @@ exports.validateCreateBooking = [
     }),
   
   body('nights')
-    .notEmpty().withMessage('Number of nights is required')
+    .optional()
     .isInt({ min: 1 }).withMessage('Number of nights must be at least 1'),
   
   body('adults')
@@ -67,13 +70,37 @@ exports.validateCreateBooking = [
   
   body('paymentMethod')
     .notEmpty().withMessage('Payment method is required')
-    .isIn(['credit_card', 'paypal', 'cash', 'bank_transfer']).withMessage('Invalid payment method'),
+    .isIn(PAYMENT_METHODS).withMessage('Invalid payment method'),
   
   body('specialRequests')
     .optional()
     .isString().withMessage('Special requests must be a string')
     .isLength({ max: 500 }).withMessage('Special requests cannot exceed 500 characters'),
   
+  body('promoCode')
+    .optional()
+    .isString().withMessage('Promo code must be a string')
+    .trim()
+    .isLength({ min: 1, max: 50 }).withMessage('Promo code must be between 1 and 50 characters'),
+  
+  // Guests without an account are found again by reference and email
+  // (sent as email or user_email, like the booking controller reads it)
+  body('email')
+    .custom((value, { req }) => {
+      if (!req.user && !value && !req.body.user_email) {
+        throw new Error('Email is required to book without an account');
+      }
+      return true;
+    }),
+  
+  body('email')
+    .optional()
+    .isEmail().withMessage('Email must be a valid email address'),
+  
+  body('user_email')
+    .optional()
+    .isEmail().withMessage('Email must be a valid email address'),
+  
   // Validation result handler
   (req, res, next) => {
     const errors = validationResult(req);
@@ -150,7 +177,7 @@ exports.validateUpdateBooking = [
   
   body('paymentMethod')
     .optional()
-    .isIn(['credit_card', 'paypal', 'cash', 'bank_transfer']).withMessage('Invalid payment method'),
+    .isIn(PAYMENT_METHODS).withMessage('Invalid payment method'),
   
   body('specialRequests')
     .optional()
@@ -212,6 +239,173 @@ exports.validateCheckAvailability = [
   }
 ];
 
+/**
+ * Validate booking quote request
+ */
+exports.validateQuote = [
+  query('roomId')
+    .notEmpty().withMessage('Room ID is required')
+    .isUUID().withMessage('Invalid room ID format'),
+  
+  query('checkIn')
+    .notEmpty().withMessage('Check-in date is required')
+    .isISO8601().withMessage('Check-in date must be a valid ISO 8601 date'),
+  
+  query('checkOut')
+    .notEmpty().withMessage('Check-out date is required')
+    .isISO8601().withMessage('Check-out date must be a valid ISO 8601 date')
+    .custom((value, { req }) => {
+      if (!req.query.checkIn) return true;
+      
+      const checkInDate = new Date(req.query.checkIn);
+      const checkOutDate = new Date(value);
+      
+      if (checkOutDate <= checkInDate) {
+        throw new Error('Check-out date must be after check-in date');
+      }
+      return true;
+    }),
+  
+  query('guests')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Guests must be at least 1'),
+  
+  query('adults')
+    .optional()
+    .isInt({ min: 1 }).withMessage('At least one adult is required'),
+  
+  query('children')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Number of children must be a non-negative integer'),
+  
+  query('promoCode')
+    .optional()
+    .isLength({ min: 1, max: 50 }).withMessage('Promo code must be between 1 and 50 characters'),
+  
+  // Validation result handler
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+/**
+ * Validate create hold request
+ */
+exports.validateCreateHold = [
+  body('roomId')
+    .notEmpty().withMessage('Room ID is required')
+    .isUUID().withMessage('Invalid room ID format'),
+  
+  body('checkIn')
+    .notEmpty().withMessage('Check-in date is required')
+    .isISO8601().withMessage('Check-in date must be a valid ISO 8601 date')
+    .custom((value) => {
+      const checkInDate = new Date(value);
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      
+      if (checkInDate < today) {
+        throw new Error('Check-in date cannot be in the past');
+      }
+      return true;
+    }),
+  
+  body('checkOut')
+    .notEmpty().withMessage('Check-out date is required')
+    .isISO8601().withMessage('Check-out date must be a valid ISO 8601 date')
+    .custom((value, { req }) => {
+      if (!req.body.checkIn) return true;
+      
+      if (new Date(value) <= new Date(req.body.checkIn)) {
+        throw new Error('Check-out date must be after check-in date');
+      }
+      return true;
+    }),
+  
+  body('adults')
+    .optional()
+    .isInt({ min: 1 }).withMessage('At least one adult is required'),
+  
+  body('children')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Number of children must be a non-negative integer'),
+  
+  body('promoCode')
+    .optional()
+    .isString().withMessage('Promo code must be a string')
+    .trim()
+    .isLength({ min: 1, max: 50 }).withMessage('Promo code must be between 1 and 50 characters'),
+  
+  body('email')
+    .optional()
+    .isEmail().withMessage('Email must be a valid email address'),
+  
+  body('specialRequests')
+    .optional()
+    .isString().withMessage('Special requests must be a string')
+    .isLength({ max: 500 }).withMessage('Special requests cannot exceed 500 characters'),
+  
+  // Validation result handler
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+/**
+ * Validate confirm hold request
+ */
+exports.validateConfirmHold = [
+  param('id')
+    .notEmpty().withMessage('Booking ID is required')
+    .isUUID().withMessage('Invalid booking ID format'),
+  
+  body('totalPrice')
+    .optional()
+    .isNumeric().withMessage('Total price must be a number'),
+  
+  body('email')
+    .optional()
+    .isEmail().withMessage('Email must be a valid email address'),
+  
+  body('paymentMethod')
+    .optional()
+    .isIn(PAYMENT_METHODS).withMessage('Invalid payment method'),
+  
+  body('specialRequests')
+    .optional()
+    .isString().withMessage('Special requests must be a string')
+    .isLength({ max: 500 }).withMessage('Special requests cannot exceed 500 characters'),
+  
+  // Validation result handler
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
 /**
  * Validate booking status update request
  */
@@ -222,7 +416,287 @@ exports.validateStatusUpdate = [
   
   body('status')
     .notEmpty().withMessage('Status is required')
-    .isIn(['pending', 'confirmed', 'cancelled', 'completed']).withMessage('Invalid status value'),
+    .isIn(BOOKING_STATUSES).withMessage('Invalid status value'),
+  
+  body('waivePenalty')
+    .optional()
+    .isBoolean().withMessage('waivePenalty must be a boolean'),
+
+  body('override')
+    .optional()
+    .isBoolean().withMessage('Override must be a boolean')
+    .toBoolean(),
+
+  body('overrideReason')
+    .custom((value, { req }) => {
+      if (req.body.override && !value) {
+        throw new Error('A reason is required to complete a stay with a balance due');
+      }
+      return true;
+    })
+    .trim()
+    .isLength({ max: 500 }).withMessage('Override reason cannot exceed 500 characters'),
+  
+  // Validation result handler
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+/**
+ * Validate booking ID parameter
+ */
+exports.validateBookingId = [
+  param('id')
+    .notEmpty().withMessage('Booking ID is required')
+    .isUUID().withMessage('Invalid booking ID format'),
+  
+  // Validation result handler
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+/**
+ * Validate create payment request
+ */
+exports.validateCreatePayment = [
+  param('id')
+    .notEmpty().withMessage('Booking ID is required')
+    .isUUID().withMessage('Invalid booking ID format'),
+  
+  body('paymentMethod')
+    .optional()
+    .isIn(PAYMENT_METHODS).withMessage('Invalid payment method'),
+  
+  body('paymentToken')
+    .optional()
+    .isString().withMessage('Payment token must be a string')
+    .isLength({ max: 255 }).withMessage('Payment token cannot exceed 255 characters'),
+  
+  // Admin only: part payments and authorize-only card payments
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+  
+  body('capture')
+    .optional()
+    .isBoolean().withMessage('Capture must be a boolean')
+    .toBoolean(),
+  
+  // Validation result handler
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+/**
+ * Validate create refund request
+ */
+exports.validateCreateRefund = [
+  param('id')
+    .notEmpty().withMessage('Booking ID is required')
+    .isUUID().withMessage('Invalid booking ID format'),
+  
+  // Leave out for a full refund
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+  
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('Refund reason is required')
+    .isLength({ max: 500 }).withMessage('Refund reason cannot exceed 500 characters'),
+  
+  body('paymentId')
+    .optional()
+    .isUUID().withMessage('Invalid payment ID format'),
+  
+  // Validation result handler
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+/**
+ * Validate booking payment ID request (confirm and capture)
+ */
+exports.validatePaymentId = [
+  param('id')
+    .notEmpty().withMessage('Booking ID is required')
+    .isUUID().withMessage('Invalid booking ID format'),
+  
+  param('paymentId')
+    .isUUID().withMessage('Invalid payment ID format'),
+  
+  // Validation result handler
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+/**
+ * Validate invoice request (billing details default to the guest on the booking)
+ */
+exports.validateCreateInvoice = [
+  param('id')
+    .notEmpty().withMessage('Booking ID is required')
+    .isUUID().withMessage('Invalid booking ID format'),
+  
+  body('billTo')
+    .optional()
+    .isObject().withMessage('Billing details must be an object'),
+  
+  body('billTo.name')
+    .optional()
+    .isString().withMessage('Billing name must be a string')
+    .trim()
+    .isLength({ max: 200 }).withMessage('Billing name cannot exceed 200 characters'),
+  
+  body('billTo.company')
+    .optional()
+    .isString().withMessage('Company must be a string')
+    .trim()
+    .isLength({ max: 200 }).withMessage('Company cannot exceed 200 characters'),
+  
+  body('billTo.address')
+    .optional()
+    .isString().withMessage('Billing address must be a string')
+    .trim()
+    .isLength({ max: 500 }).withMessage('Billing address cannot exceed 500 characters'),
+  
+  body('billTo.taxId')
+    .optional()
+    .isString().withMessage('Tax ID must be a string')
+    .trim()
+    .isLength({ max: 50 }).withMessage('Tax ID cannot exceed 50 characters'),
+  
+  body('billTo.email')
+    .optional()
+    .isEmail().withMessage('Billing email must be a valid email address'),
+  
+  // Validation result handler
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+/**
+ * Validate booking invoice ID request (download)
+ */
+exports.validateInvoiceId = [
+  param('id')
+    .notEmpty().withMessage('Booking ID is required')
+    .isUUID().withMessage('Invalid booking ID format'),
+  
+  param('invoiceId')
+    .isUUID().withMessage('Invalid invoice ID format'),
+  
+  // Validation result handler
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+/**
+ * Validate credit note request
+ */
+exports.validateCreateCreditNote = [
+  param('id')
+    .notEmpty().withMessage('Booking ID is required')
+    .isUUID().withMessage('Invalid booking ID format'),
+  
+  param('invoiceId')
+    .isUUID().withMessage('Invalid invoice ID format'),
+  
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('Credit note reason is required')
+    .isLength({ max: 500 }).withMessage('Credit note reason cannot exceed 500 characters'),
+  
+  // Validation result handler
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+/**
+ * Validate guest booking lookup request
+ */
+exports.validateBookingLookup = [
+  body('bookingId')
+    .notEmpty().withMessage('Booking reference is required')
+    .isString().withMessage('Booking reference must be a string')
+    .trim()
+    .isLength({ max: 50 }).withMessage('Booking reference cannot exceed 50 characters'),
+  
+  body('email')
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Email must be a valid email address'),
   
   // Validation result handler
   (req, res, next) => {
@@ -0,0 +1,77 @@
+/**
+ * Cancellation Policy Validation Middleware
+ * Validates cancellation policy requests
+ */
+
+const { body, param, validationResult } = require('express-validator');
+const { tiersProblem } = require('../utils/booking/cancellation');
+
+// Validation result handler
+const handleValidationResult = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Tiers are checked as a whole: thresholds must be distinct, penalties 0-100
+const tiersRule = (chain) => chain.custom((value) => {
+  const problem = tiersProblem(value);
+  if (problem) {
+    throw new Error(problem);
+  }
+  return true;
+});
+
+/**
+ * Validate create cancellation policy request
+ */
+exports.validateCreateCancellationPolicy = [
+  body('name')
+    .isString().withMessage('Policy name must be a string')
+    .trim()
+    .notEmpty().withMessage('Policy name is required'),
+
+  body('description')
+    .optional({ values: 'null' })
+    .isString().withMessage('Description must be a string'),
+
+  tiersRule(body('tiers')),
+
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean'),
+
+  handleValidationResult
+];
+
+/**
+ * Validate update cancellation policy request
+ */
+exports.validateUpdateCancellationPolicy = [
+  param('id')
+    .isUUID().withMessage('Invalid cancellation policy ID format'),
+
+  body('name')
+    .optional()
+    .isString().withMessage('Policy name must be a string')
+    .trim()
+    .notEmpty().withMessage('Policy name cannot be empty'),
+
+  body('description')
+    .optional({ values: 'null' })
+    .isString().withMessage('Description must be a string'),
+
+  tiersRule(body('tiers').optional()),
+
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean'),
+
+  handleValidationResult
+];
@@ -0,0 +1,155 @@
+/**
+ * Channel Sync Middleware
+ * Validates iCal feed and room block requests and handles .ics uploads
+ */
+
+const multer = require('multer');
+const { body, param, query, validationResult } = require('express-validator');
+const AppError = require('../utils/appError');
+const { MAX_FEED_BYTES } = require('../utils/booking/channel-sync');
+
+// Validation result handler
+const handleValidationResult = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Accept .ics files only; platforms and browsers disagree on the MIME type
+const calendarFilter = (req, file, cb) => {
+  if (!/\.ics$/i.test(file.originalname) && file.mimetype !== 'text/calendar') {
+    return cb(new AppError('Only .ics calendar files are allowed', 400), false);
+  }
+  cb(null, true);
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: calendarFilter,
+  limits: {
+    fileSize: MAX_FEED_BYTES,
+    files: 1
+  }
+});
+
+/**
+ * Optional 'calendar' file upload for a feed sync
+ */
+exports.uploadCalendar = (req, res, next) => {
+  upload.single('calendar')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return next(new AppError('Calendar file exceeds the 2MB limit', 400));
+      }
+      return next(new AppError(`File upload error: ${err.message}`, 400));
+    }
+    next(err);
+  });
+};
+
+/**
+ * Validate public availability feed request
+ */
+exports.validateAvailabilityFeed = [
+  param('id')
+    .isUUID().withMessage('Invalid room ID format'),
+
+  query('token')
+    .notEmpty().withMessage('Feed token is required'),
+
+  handleValidationResult
+];
+
+/**
+ * Validate room channels request
+ */
+exports.validateRoomChannels = [
+  param('id')
+    .isUUID().withMessage('Invalid room ID format'),
+
+  handleValidationResult
+];
+
+/**
+ * Validate create iCal feed request
+ */
+exports.validateCreateFeed = [
+  param('id')
+    .isUUID().withMessage('Invalid room ID format'),
+
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Feed name is required')
+    .isLength({ max: 100 }).withMessage('Feed name must be at most 100 characters'),
+
+  body('url')
+    .optional({ values: 'falsy' })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Feed URL must be an http or https URL'),
+
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean'),
+
+  handleValidationResult
+];
+
+/**
+ * Validate iCal feed ID request (sync and delete)
+ */
+exports.validateFeedId = [
+  param('id')
+    .isUUID().withMessage('Invalid room ID format'),
+
+  param('feedId')
+    .isUUID().withMessage('Invalid feed ID format'),
+
+  handleValidationResult
+];
+
+/**
+ * Validate create maintenance block request
+ */
+exports.validateCreateBlock = [
+  param('id')
+    .isUUID().withMessage('Invalid room ID format'),
+
+  body('startDate')
+    .notEmpty().withMessage('Start date is required')
+    .isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
+
+  body('endDate')
+    .notEmpty().withMessage('End date is required')
+    .isISO8601().withMessage('End date must be a valid ISO 8601 date')
+    .custom((value, { req }) => {
+      if (new Date(value) <= new Date(req.body.startDate)) {
+        throw new Error('End date must be after start date');
+      }
+      return true;
+    }),
+
+  body('summary')
+    .optional()
+    .isLength({ max: 200 }).withMessage('Summary must be at most 200 characters'),
+
+  handleValidationResult
+];
+
+/**
+ * Validate room block ID request
+ */
+exports.validateBlockId = [
+  param('id')
+    .isUUID().withMessage('Invalid room ID format'),
+
+  param('blockId')
+    .isUUID().withMessage('Invalid block ID format'),
+
+  handleValidationResult
+];
@@ -0,0 +1,165 @@
+/**
+ * Front Desk Validation Middleware
+ * Validates check-in, check-out, folio and housekeeping requests
+ */
+
+const { body, param, query, validationResult } = require('express-validator');
+const { FOLIO_ITEM_TYPES, CHARGE_CATEGORIES } = require('../utils/booking/folio');
+
+// Validation result handler
+const handleValidationResult = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * Validate arrivals/departures list request
+ */
+exports.validateStayList = [
+  query('date')
+    .optional()
+    .isISO8601().withMessage('Date must be a valid ISO 8601 date'),
+
+  handleValidationResult
+];
+
+/**
+ * Validate check-in request
+ */
+exports.validateCheckIn = [
+  param('id')
+    .isUUID().withMessage('Invalid booking ID format'),
+
+  body('idVerificationNotes')
+    .optional()
+    .isString().withMessage('ID verification notes must be a string')
+    .trim()
+    .isLength({ max: 500 }).withMessage('ID verification notes cannot exceed 500 characters'),
+
+  handleValidationResult
+];
+
+/**
+ * Validate check-out request
+ */
+exports.validateCheckOut = [
+  param('id')
+    .isUUID().withMessage('Invalid booking ID format'),
+
+  body('override')
+    .optional()
+    .isBoolean().withMessage('Override must be a boolean')
+    .toBoolean(),
+
+  body('overrideReason')
+    .custom((value, { req }) => {
+      if (req.body.override && !value) {
+        throw new Error('A reason is required to check out a guest with a balance due');
+      }
+      return true;
+    })
+    .trim()
+    .isLength({ max: 500 }).withMessage('Override reason cannot exceed 500 characters'),
+
+  handleValidationResult
+];
+
+/**
+ * Validate folio charge or adjustment
+ */
+exports.validateFolioItem = [
+  param('id')
+    .isUUID().withMessage('Invalid booking ID format'),
+
+  body('type')
+    .notEmpty().withMessage('Item type is required')
+    .isIn(FOLIO_ITEM_TYPES).withMessage(`Item type must be one of: ${FOLIO_ITEM_TYPES.join(', ')}`),
+
+  body('category')
+    .custom((value, { req }) => {
+      if (req.body.type === 'charge' && !CHARGE_CATEGORIES.includes(value)) {
+        throw new Error(`Charge category must be one of: ${CHARGE_CATEGORIES.join(', ')}`);
+      }
+      return true;
+    }),
+
+  body('description')
+    .notEmpty().withMessage('Description is required')
+    .isString().withMessage('Description must be a string')
+    .trim()
+    .isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+
+  body('quantity')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Quantity must be a whole number from 1 to 100')
+    .toInt(),
+
+  body('unitPrice')
+    .custom((value, { req }) => {
+      if (req.body.type === 'charge' && !(Number(value) > 0)) {
+        throw new Error('Unit price must be greater than 0');
+      }
+      return true;
+    }),
+
+  // Adjustments are a signed amount: negative to credit the guest
+  body('amount')
+    .custom((value, { req }) => {
+      if (req.body.type === 'adjustment' && !Number(value)) {
+        throw new Error('Adjustment amount must be a number other than 0');
+      }
+      return true;
+    }),
+
+  handleValidationResult
+];
+
+/**
+ * Validate voiding a folio item
+ */
+exports.validateVoidFolioItem = [
+  param('id')
+    .isUUID().withMessage('Invalid booking ID format'),
+
+  param('itemId')
+    .isUUID().withMessage('Invalid folio item ID format'),
+
+  body('reason')
+    .notEmpty().withMessage('A reason is required to void a folio item')
+    .isString().withMessage('Reason must be a string')
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+
+  handleValidationResult
+];
+
+/**
+ * Validate booking ID parameter (folio)
+ */
+exports.validateBookingId = [
+  param('id')
+    .isUUID().withMessage('Invalid booking ID format'),
+
+  handleValidationResult
+];
+
+/**
+ * Validate housekeeping status update
+ */
+exports.validateHousekeepingStatus = [
+  param('id')
+    .isUUID().withMessage('Invalid room ID format'),
+
+  body('status')
+    .notEmpty().withMessage('Housekeeping status is required')
+    .isIn(['clean', 'dirty', 'in_progress']).withMessage('Housekeeping status must be clean, dirty or in_progress'),
+
+  handleValidationResult
+];
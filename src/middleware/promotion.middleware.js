@@ -0,0 +1,101 @@
+/**
+ * Promotion Validation Middleware
+ * Validates promo code management requests
+ */
+
+const { body, param, validationResult } = require('express-validator');
+const { DISCOUNT_TYPES } = require('../utils/booking/promotions');
+
+// Validation result handler
+const handleValidationResult = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Rules shared by create and update (every field is optional on update)
+const promotionRules = [
+  body('description')
+    .optional({ values: 'null' })
+    .isString().withMessage('Description must be a string'),
+
+  body('startsAt')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('Start of the validity window must be a valid ISO 8601 date'),
+
+  body('endsAt')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('End of the validity window must be a valid ISO 8601 date'),
+
+  body('maxRedemptions')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 }).withMessage('Usage limit must be a non-negative integer'),
+
+  body('minNights')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 }).withMessage('Minimum nights must be at least 1'),
+
+  body('eligibleCategories')
+    .optional({ values: 'null' })
+    .isArray().withMessage('Eligible categories must be an array'),
+
+  body('eligibleCategories.*')
+    .isString().withMessage('Eligible categories must be strings'),
+
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean')
+];
+
+/**
+ * Validate create promotion request
+ */
+exports.validateCreatePromotion = [
+  body('code')
+    .notEmpty().withMessage('Promo code is required')
+    .isLength({ max: 50 }).withMessage('Promo code cannot exceed 50 characters')
+    .matches(/^[A-Za-z0-9_-]+$/).withMessage('Promo code may only contain letters, numbers, dashes and underscores'),
+
+  body('discountType')
+    .notEmpty().withMessage('Discount type is required')
+    .isIn(DISCOUNT_TYPES).withMessage(`Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`),
+
+  body('discountValue')
+    .notEmpty().withMessage('Discount value is required')
+    .isFloat({ min: 0 }).withMessage('Discount value must be a non-negative number'),
+
+  ...promotionRules,
+
+  handleValidationResult
+];
+
+/**
+ * Validate update promotion request
+ */
+exports.validateUpdatePromotion = [
+  param('id')
+    .isUUID().withMessage('Invalid promotion ID format'),
+
+  body('code')
+    .optional()
+    .isLength({ min: 1, max: 50 }).withMessage('Promo code must be between 1 and 50 characters')
+    .matches(/^[A-Za-z0-9_-]+$/).withMessage('Promo code may only contain letters, numbers, dashes and underscores'),
+
+  body('discountType')
+    .optional()
+    .isIn(DISCOUNT_TYPES).withMessage(`Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`),
+
+  body('discountValue')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Discount value must be a non-negative number'),
+
+  ...promotionRules,
+
+  handleValidationResult
+];
@@ -0,0 +1,124 @@
+/**
+ * Rate Plan Validation Middleware
+ * Validates room rate plan requests
+ */
+
+const { body, param, validationResult } = require('express-validator');
+
+// Validation result handler
+const handleValidationResult = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Date range and day-of-week rules shared by create and update
+const rateScheduleRules = [
+  body('startDate')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
+
+  body('endDate')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('End date must be a valid ISO 8601 date')
+    .custom((value, { req }) => {
+      if (req.body.startDate && new Date(value) < new Date(req.body.startDate)) {
+        throw new Error('End date must not be before start date');
+      }
+      return true;
+    }),
+
+  body('daysOfWeek')
+    .optional({ values: 'null' })
+    .isArray().withMessage('Days of week must be an array'),
+
+  body('daysOfWeek.*')
+    .isInt({ min: 0, max: 6 }).withMessage('Days of week must be integers from 0 (Sunday) to 6 (Saturday)'),
+
+  body('priority')
+    .optional()
+    .isInt().withMessage('Priority must be an integer'),
+
+  body('cancellationPolicyId')
+    .optional({ values: 'null' })
+    .isUUID().withMessage('Invalid cancellation policy ID format'),
+
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean')
+];
+
+/**
+ * Validate create rate plan request
+ */
+exports.validateCreateRatePlan = [
+  param('id')
+    .isUUID().withMessage('Invalid room ID format'),
+
+  body('name')
+    .notEmpty().withMessage('Rate plan name is required'),
+
+  body('price')
+    .notEmpty().withMessage('Price is required')
+    .isFloat({ min: 0 }).withMessage('Price must be a non-negative number'),
+
+  body('appliesTo')
+    .optional()
+    .isIn(['room', 'category']).withMessage('appliesTo must be either room or category'),
+
+  ...rateScheduleRules,
+
+  handleValidationResult
+];
+
+/**
+ * Validate update rate plan request
+ */
+exports.validateUpdateRatePlan = [
+  param('id')
+    .isUUID().withMessage('Invalid room ID format'),
+
+  param('rateId')
+    .isUUID().withMessage('Invalid rate plan ID format'),
+
+  body('name')
+    .optional()
+    .notEmpty().withMessage('Rate plan name cannot be empty'),
+
+  body('price')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Price must be a non-negative number'),
+
+  ...rateScheduleRules,
+
+  handleValidationResult
+];
+
+/**
+ * Validate list room rate plans request
+ */
+exports.validateRoomRates = [
+  param('id')
+    .isUUID().withMessage('Invalid room ID format'),
+
+  handleValidationResult
+];
+
+/**
+ * Validate delete rate plan request
+ */
+exports.validateRateId = [
+  param('id')
+    .isUUID().withMessage('Invalid room ID format'),
+
+  param('rateId')
+    .isUUID().withMessage('Invalid rate plan ID format'),
+
+  handleValidationResult
+];
@@ -0,0 +1,136 @@
+/**
+ * Reservation Validation Middleware
+ * Validates group reservation requests
+ */
+
+const { body, param, validationResult } = require('express-validator');
+const { PAYMENT_METHODS } = require('../utils/booking/pricing');
+
+// Largest number of rooms a single reservation may hold
+const MAX_ROOMS_PER_RESERVATION = 10;
+
+// Validation result handler
+const handleValidationResult = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Guest details shared by create and update
+const guestRules = [
+  body('email')
+    .optional()
+    .isEmail().withMessage('Email must be a valid email address'),
+
+  body('specialRequests')
+    .optional()
+    .isString().withMessage('Special requests must be a string')
+    .isLength({ max: 500 }).withMessage('Special requests cannot exceed 500 characters'),
+
+  body('totalPrice')
+    .optional()
+    .isNumeric().withMessage('Total price must be a number')
+];
+
+// Check-in must not be in the past
+const notInPast = (value) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  if (new Date(value) < today) {
+    throw new Error('Check-in date cannot be in the past');
+  }
+  return true;
+};
+
+// Check-out must come after check-in when both are given
+const afterCheckIn = (value, { req }) => {
+  if (req.body.checkIn && new Date(value) <= new Date(req.body.checkIn)) {
+    throw new Error('Check-out date must be after check-in date');
+  }
+  return true;
+};
+
+/**
+ * Validate create reservation request
+ */
+exports.validateCreateReservation = [
+  body('rooms')
+    .isArray({ min: 1, max: MAX_ROOMS_PER_RESERVATION })
+    .withMessage(`Rooms must be a list of 1 to ${MAX_ROOMS_PER_RESERVATION} rooms`)
+    .custom((value) => {
+      const roomIds = value.map(item => item && item.roomId);
+      if (new Set(roomIds).size !== roomIds.length) {
+        throw new Error('Each room can only be listed once');
+      }
+      return true;
+    }),
+
+  body('rooms.*.roomId')
+    .notEmpty().withMessage('Room ID is required')
+    .isUUID().withMessage('Invalid room ID format'),
+
+  body('rooms.*.adults')
+    .optional()
+    .isInt({ min: 1 }).withMessage('At least one adult is required'),
+
+  body('rooms.*.children')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Number of children must be a non-negative integer'),
+
+  body('checkIn')
+    .notEmpty().withMessage('Check-in date is required')
+    .isISO8601().withMessage('Check-in date must be a valid ISO 8601 date')
+    .custom(notInPast),
+
+  body('checkOut')
+    .notEmpty().withMessage('Check-out date is required')
+    .isISO8601().withMessage('Check-out date must be a valid ISO 8601 date')
+    .custom(afterCheckIn),
+
+  body('paymentMethod')
+    .optional()
+    .isIn(PAYMENT_METHODS).withMessage('Invalid payment method'),
+
+  ...guestRules,
+
+  handleValidationResult
+];
+
+/**
+ * Validate update reservation request
+ */
+exports.validateUpdateReservation = [
+  param('id')
+    .isUUID().withMessage('Invalid reservation ID format'),
+
+  body('checkIn')
+    .optional()
+    .isISO8601().withMessage('Check-in date must be a valid ISO 8601 date')
+    .custom(notInPast),
+
+  body('checkOut')
+    .optional()
+    .isISO8601().withMessage('Check-out date must be a valid ISO 8601 date')
+    .custom(afterCheckIn),
+
+  ...guestRules,
+
+  handleValidationResult
+];
+
+/**
+ * Validate reservation ID parameter
+ */
+exports.validateReservationId = [
+  param('id')
+    .isUUID().withMessage('Invalid reservation ID format'),
+
+  handleValidationResult
+];
@@ -0,0 +1,74 @@
+/**
+ * Tax Rule Validation Middleware
+ * Validates tax and fee rule requests
+ */
+
+const { body, param, validationResult } = require('express-validator');
+const { TAX_RULE_TYPES } = require('../utils/booking/taxes');
+
+// Validation result handler
+const handleValidationResult = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Percentages are capped at 100; flat amounts only need to be non-negative
+const amountRule = (chain) => chain
+  .isFloat({ min: 0 }).withMessage('Amount must be a non-negative number')
+  .custom((value, { req }) => {
+    if (req.body.type === 'percentage' && parseFloat(value) > 100) {
+      throw new Error('Percentage amount cannot exceed 100');
+    }
+    return true;
+  });
+
+/**
+ * Validate create tax rule request
+ */
+exports.validateCreateTaxRule = [
+  body('name')
+    .notEmpty().withMessage('Tax rule name is required'),
+
+  body('type')
+    .notEmpty().withMessage('Tax rule type is required')
+    .isIn(TAX_RULE_TYPES).withMessage(`Type must be one of: ${TAX_RULE_TYPES.join(', ')}`),
+
+  amountRule(body('amount').notEmpty().withMessage('Amount is required')),
+
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean'),
+
+  handleValidationResult
+];
+
+/**
+ * Validate update tax rule request
+ */
+exports.validateUpdateTaxRule = [
+  param('id')
+    .isUUID().withMessage('Invalid tax rule ID format'),
+
+  body('name')
+    .optional()
+    .notEmpty().withMessage('Tax rule name cannot be empty'),
+
+  body('type')
+    .optional()
+    .isIn(TAX_RULE_TYPES).withMessage(`Type must be one of: ${TAX_RULE_TYPES.join(', ')}`),
+
+  amountRule(body('amount').optional()),
+
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean'),
+
+  handleValidationResult
+];
@@ -0,0 +1,98 @@
+/**
+ * Waitlist Validation Middleware
+ * Validates waitlist requests
+ */
+
+const { body, param, validationResult } = require('express-validator');
+
+// Validation result handler
+const handleValidationResult = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * Validate join waitlist request
+ */
+exports.validateJoinWaitlist = [
+  body('roomId')
+    .optional()
+    .isUUID().withMessage('Invalid room ID format'),
+
+  body('category')
+    .optional()
+    .isString().withMessage('Category must be a string')
+    .custom((value, { req }) => {
+      if (req.body.roomId) {
+        throw new Error('Provide either a room ID or a category, not both');
+      }
+      return true;
+    }),
+
+  body()
+    .custom((value) => {
+      if (!value.roomId && !value.category) {
+        throw new Error('A room ID or a category is required');
+      }
+      return true;
+    }),
+
+  body('checkIn')
+    .notEmpty().withMessage('Check-in date is required')
+    .isISO8601().withMessage('Check-in date must be a valid ISO 8601 date')
+    .custom((value) => {
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+
+      if (new Date(value) < today) {
+        throw new Error('Check-in date cannot be in the past');
+      }
+      return true;
+    }),
+
+  body('checkOut')
+    .notEmpty().withMessage('Check-out date is required')
+    .isISO8601().withMessage('Check-out date must be a valid ISO 8601 date')
+    .custom((value, { req }) => {
+      if (req.body.checkIn && new Date(value) <= new Date(req.body.checkIn)) {
+        throw new Error('Check-out date must be after check-in date');
+      }
+      return true;
+    }),
+
+  body('guests')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Guests must be at least 1'),
+
+  handleValidationResult
+];
+
+/**
+ * Validate claim offer request
+ */
+exports.validateClaimOffer = [
+  param('id')
+    .isUUID().withMessage('Invalid waitlist entry ID format'),
+
+  body('token')
+    .notEmpty().withMessage('Claim token is required'),
+
+  handleValidationResult
+];
+
+/**
+ * Validate waitlist entry ID parameter
+ */
+exports.validateEntryId = [
+  param('id')
+    .isUUID().withMessage('Invalid waitlist entry ID format'),
+
+  handleValidationResult
+];
@@ -21,6 +21,24 @@ router.get('/', bookingController.getAllBookings);
 // Update booking status with validation
 router.put('/:id/status', bookingMiddleware.validateStatusUpdate, bookingController.updateBookingStatus);
 
+// Get a booking's change history
+router.get('/:id/history', bookingMiddleware.validateBookingId, bookingController.getBookingHistory);
+
+// A booking's payments: record cash and bank transfers, charge a card and capture authorized payments
+router.get('/:id/payments', bookingMiddleware.validateBookingId, bookingController.getBookingPayments);
+router.post('/:id/payments', bookingMiddleware.validateCreatePayment, bookingController.createPayment);
+router.post('/:id/payments/:paymentId/capture', bookingMiddleware.validatePaymentId, bookingController.capturePayment);
+
+// Refund captured money in full or in part (the refunds are listed with the payments)
+router.post('/:id/refunds', bookingMiddleware.validateCreateRefund, bookingController.createRefund);
+
+// Invoices and the credit notes that correct them
+router.get('/:id/invoice.pdf', bookingMiddleware.validateBookingId, bookingController.getBookingInvoicePdf);
+router.get('/:id/invoices', bookingMiddleware.validateBookingId, bookingController.getBookingInvoices);
+router.post('/:id/invoices', bookingMiddleware.validateCreateInvoice, bookingController.createInvoice);
+router.get('/:id/invoices/:invoiceId.pdf', bookingMiddleware.validateInvoiceId, bookingController.getInvoicePdf);
+router.post('/:id/invoices/:invoiceId/credit-note', bookingMiddleware.validateCreateCreditNote, bookingController.createCreditNote);
+
 // Get a specific booking by ID
 router.get('/:id', bookingController.getBookingById);
 
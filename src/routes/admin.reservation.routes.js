@@ -0,0 +1,29 @@
+/**
+ * Admin Reservation Routes
+ * These routes are only accessible to admin users
+ */
+
+const express = require('express');
+const reservationController = require('../controllers/reservation.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+const reservationMiddleware = require('../middleware/reservation.middleware');
+
+const router = express.Router();
+
+// All admin routes require authentication and admin role
+router.use(authMiddleware.verifyToken);
+router.use(authMiddleware.isAdmin);
+
+// Get all reservations with pagination
+router.get('/', reservationController.getAllReservations);
+
+// Get a specific reservation by ID
+router.get('/:id', reservationMiddleware.validateReservationId, reservationController.getReservationById);
+
+// Modify a reservation
+router.put('/:id', reservationMiddleware.validateUpdateReservation, reservationController.updateReservation);
+
+// Cancel a reservation
+router.put('/:id/cancel', reservationMiddleware.validateReservationId, reservationController.cancelReservation);
+
+module.exports = router;
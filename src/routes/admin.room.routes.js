@@ -8,6 +8,8 @@ const { body } = require('express-validator');
 const roomController = require('../controllers/room.controller');
 const authMiddleware = require('../middleware/auth.middleware');
 const { uploadRoomImage, uploadRoomImages, handleMulterError } = require('../middleware/roomUpload.middleware');
+const rateMiddleware = require('../middleware/rate.middleware');
+const channelMiddleware = require('../middleware/channel.middleware');
 
 const router = express.Router();
 
@@ -21,6 +23,8 @@ const roomValidation = [
   body('description').notEmpty().withMessage('Description is required'),
   body('price').isNumeric().withMessage('Price must be a number'),
   body('capacity').isNumeric().withMessage('Capacity must be a number'),
+  body('maxOccupancy').optional().isInt({ min: 1 }).withMessage('Maximum occupancy must be a positive integer'),
+  body('extraGuestFee').optional().isFloat({ min: 0 }).withMessage('Extra guest fee must be a non-negative number'),
   body('size').isNumeric().withMessage('Size must be a number'),
   body('category').notEmpty().withMessage('Category is required'),
   body('location').notEmpty().withMessage('Location is required')
@@ -68,6 +72,26 @@ router.post('/:id/images',
 // Delete a room
 router.delete('/:id', roomController.deleteRoom);
 
+// Rate plans (seasonal and day-of-week prices) for a room or its category
+router.get('/:id/rates', rateMiddleware.validateRoomRates, roomController.getRoomRates);
+router.post('/:id/rates', rateMiddleware.validateCreateRatePlan, roomController.createRoomRate);
+router.put('/:id/rates/:rateId', rateMiddleware.validateUpdateRatePlan, roomController.updateRoomRate);
+router.delete('/:id/rates/:rateId', rateMiddleware.validateRateId, roomController.deleteRoomRate);
+
+// iCal channel sync: the room's export feed URL and the platform feeds it imports
+router.get('/:id/ical', channelMiddleware.validateRoomChannels, roomController.getRoomChannels);
+router.post('/:id/ical/feeds', channelMiddleware.validateCreateFeed, roomController.createIcalFeed);
+router.delete('/:id/ical/feeds/:feedId', channelMiddleware.validateFeedId, roomController.deleteIcalFeed);
+router.post('/:id/ical/feeds/:feedId/sync',
+  channelMiddleware.uploadCalendar,
+  channelMiddleware.validateFeedId,
+  roomController.syncIcalFeed
+);
+
+// Maintenance blocks (nights the room cannot be sold)
+router.post('/:id/blocks', channelMiddleware.validateCreateBlock, roomController.createRoomBlock);
+router.delete('/:id/blocks/:blockId', channelMiddleware.validateBlockId, roomController.deleteRoomBlock);
+
 // Health check endpoint
 router.get('/health', (req, res) => {
   res.status(200).json({ status: 'OK', message: 'Admin room management service is running' });
@@ -3,7 +3,11 @@ const router = express.Router();
 const userController = require('../controllers/user.controller');
 const bookingController = require('../controllers/booking.controller');
 const adminController = require('../controllers/admin.controller');
+const waitlistController = require('../controllers/waitlist.controller');
 const authMiddleware = require('../middleware/auth.middleware');
+const taxMiddleware = require('../middleware/tax.middleware');
+const promotionMiddleware = require('../middleware/promotion.middleware');
+const cancellationMiddleware = require('../middleware/cancellation.middleware');
 const adminBookingRoutes = require('./admin.booking.routes');
 const { supabaseClient } = require('../config/supabase');
 const AppError = require('../utils/appError');
@@ -15,6 +19,10 @@ router.use(authMiddleware.isAdmin);
 // Use admin sub-routes
 router.use('/bookings', adminBookingRoutes);
 
+// Import admin reservation routes
+const adminReservationRoutes = require('./admin.reservation.routes');
+router.use('/reservations', adminReservationRoutes);
+
 // Import admin room routes
 const adminRoomRoutes = require('./admin.room.routes');
 router.use('/rooms', adminRoomRoutes);
@@ -25,6 +33,28 @@ router.get('/dashboard', adminController.getDashboardStats);
 // System health status
 router.get('/system-health', adminController.getSystemHealth);
 
+// Tax and fee rules applied to booking prices
+router.get('/tax-rules', adminController.getTaxRules);
+router.post('/tax-rules', taxMiddleware.validateCreateTaxRule, adminController.createTaxRule);
+router.put('/tax-rules/:id', taxMiddleware.validateUpdateTaxRule, adminController.updateTaxRule);
+router.delete('/tax-rules/:id', adminController.deleteTaxRule);
+
+// Promo codes redeemable at checkout
+router.get('/promotions', adminController.getPromotions);
+router.get('/promotions/:id', adminController.getPromotionById);
+router.post('/promotions', promotionMiddleware.validateCreatePromotion, adminController.createPromotion);
+router.put('/promotions/:id', promotionMiddleware.validateUpdatePromotion, adminController.updatePromotion);
+router.delete('/promotions/:id', adminController.deletePromotion);
+
+// Cancellation policies assigned to rooms and rate plans
+router.get('/cancellation-policies', adminController.getCancellationPolicies);
+router.post('/cancellation-policies', cancellationMiddleware.validateCreateCancellationPolicy, adminController.createCancellationPolicy);
+router.put('/cancellation-policies/:id', cancellationMiddleware.validateUpdateCancellationPolicy, adminController.updateCancellationPolicy);
+router.delete('/cancellation-policies/:id', adminController.deleteCancellationPolicy);
+
+// Waitlist overview
+router.get('/waitlist', waitlistController.getAllWaitlistEntries);
+
 // User management routes
 router.get('/users', userController.getAllUsers);
 router.get('/users/:id', userController.getUserById);
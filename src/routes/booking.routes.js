@@ -1,4 +1,5 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const { body } = require('express-validator');
 const bookingController = require('../controllers/booking.controller');
 const authMiddleware = require('../middleware/auth.middleware');
@@ -8,14 +9,47 @@ const AppError = require('../utils/appError');
 
 const router = express.Router();
 
+// Guest lookups are public, so guessing references is kept slow
+const lookupLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // Limit each IP to 10 lookups per windowMs
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, message: 'Too many booking lookups from this IP, please try again after 15 minutes' }
+});
+
 // Public route for checking availability
 router.get('/check-availability', bookingMiddleware.validateCheckAvailability, bookingController.checkRoomAvailability);
 
+// Public route for pricing a stay before booking
+router.get('/quote', bookingMiddleware.validateQuote, bookingController.getBookingQuote);
+
+// Guests without an account find their booking by reference and email,
+// or have a magic link for managing it sent to the booking's email
+router.post('/lookup', lookupLimiter, bookingMiddleware.validateBookingLookup, bookingController.lookupBooking);
+router.post('/lookup/magic-link', lookupLimiter, bookingMiddleware.validateBookingLookup, bookingController.sendBookingMagicLink);
+
+// A magic-link holder can view, change or cancel that one booking
+router.get('/manage', authMiddleware.verifyBookingToken, bookingController.getBookingById);
+router.put('/manage', authMiddleware.verifyBookingToken, bookingMiddleware.validateUpdateBooking, bookingController.updateBooking);
+router.get('/manage/cancellation-preview', authMiddleware.verifyBookingToken, bookingController.getCancellationPreview);
+router.put('/manage/cancel', authMiddleware.verifyBookingToken, bookingController.cancelBooking);
+router.get('/manage/calendar.ics', authMiddleware.verifyBookingToken, bookingController.getBookingCalendar);
+router.get('/manage/invoice.pdf', authMiddleware.verifyBookingToken, bookingController.getBookingInvoicePdf);
+router.get('/manage/payments', authMiddleware.verifyBookingToken, bookingController.getBookingPayments);
+router.post('/manage/payments', authMiddleware.verifyBookingToken, bookingMiddleware.validateCreatePayment, bookingController.createPayment);
+router.post('/manage/payments/:paymentId/confirm', authMiddleware.verifyBookingToken, bookingMiddleware.validatePaymentId, bookingController.confirmPayment);
+
+// Create a new booking; guests without an account book with their email
+// and find the booking again by reference (see /lookup)
+router.post('/', authMiddleware.optionalToken, bookingMiddleware.validateCreateBooking, bookingController.createBooking);
+
 // All other booking routes require authentication
 router.use(authMiddleware.verifyToken);
 
-// Create a new booking with validation
-router.post('/', bookingMiddleware.validateCreateBooking, bookingController.createBooking);
+// Hold a room during checkout, then confirm the hold once payment details are in
+router.post('/hold', bookingMiddleware.validateCreateHold, bookingController.createHold);
+router.post('/:id/confirm', bookingMiddleware.validateConfirmHold, bookingController.confirmHold);
 
 // Get all bookings (optionally filtered by email)
 router.get('/', bookingController.getUserBookings);
@@ -234,9 +268,26 @@ router.get('/history/:email', authMiddleware.isAdmin, async (req, res, next) =>
 // Get a specific booking by ID
 router.get('/:id', bookingController.getBookingById);
 
+// Update a booking (dates, guests, special requests)
+router.put('/:id', bookingMiddleware.validateUpdateBooking, bookingController.updateBooking);
+
+// Preview the penalty and refund before cancelling
+router.get('/:id/cancellation-preview', bookingMiddleware.validateBookingId, bookingController.getCancellationPreview);
+
 // Cancel a booking
 router.put('/:id/cancel', bookingController.cancelBooking);
 
+// Download the stay as an iCalendar file
+router.get('/:id/calendar.ics', bookingMiddleware.validateBookingId, bookingController.getBookingCalendar);
+
+// Download the invoice for the stay as a PDF
+router.get('/:id/invoice.pdf', bookingMiddleware.validateBookingId, bookingController.getBookingInvoicePdf);
+
+// Pay for a booking, and finish a payment that needed 3-D Secure
+router.get('/:id/payments', bookingMiddleware.validateBookingId, bookingController.getBookingPayments);
+router.post('/:id/payments', bookingMiddleware.validateCreatePayment, bookingController.createPayment);
+router.post('/:id/payments/:paymentId/confirm', bookingMiddleware.validatePaymentId, bookingController.confirmPayment);
+
 // Health check endpoint
 router.get('/health', (req, res) => {
   res.status(200).json({ status: 'OK', message: 'Booking service is running' });
@@ -0,0 +1,35 @@
+/**
+ * Front Desk Routes
+ * Check-in, check-out and daily lists for front-desk staff and admins
+ */
+
+const express = require('express');
+const frontDeskController = require('../controllers/front-desk.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+const frontDeskMiddleware = require('../middleware/front-desk.middleware');
+
+const router = express.Router();
+
+// All front-desk routes require a staff or admin account
+router.use(authMiddleware.verifyToken);
+router.use(authMiddleware.restrictTo('staff', 'admin'));
+
+// Guests arriving and leaving on a date (default: today)
+router.get('/arrivals', frontDeskMiddleware.validateStayList, frontDeskController.getArrivals);
+router.get('/departures', frontDeskMiddleware.validateStayList, frontDeskController.getDepartures);
+
+// Check a guest in and out
+router.post('/bookings/:id/check-in', frontDeskMiddleware.validateCheckIn, frontDeskController.checkInGuest);
+router.post('/bookings/:id/check-out', frontDeskMiddleware.validateCheckOut, frontDeskController.checkOutGuest);
+
+// Itemised charges and balance for a stay
+router.get('/bookings/:id/folio', frontDeskMiddleware.validateBookingId, frontDeskController.getFolio);
+
+// Post incidental charges and adjustments, and void ones posted by mistake
+router.post('/bookings/:id/folio/items', frontDeskMiddleware.validateFolioItem, frontDeskController.postFolioCharge);
+router.post('/bookings/:id/folio/items/:itemId/void', frontDeskMiddleware.validateVoidFolioItem, frontDeskController.voidFolioCharge);
+
+// Mark a room clean (or dirty) after housekeeping
+router.put('/rooms/:id/housekeeping', frontDeskMiddleware.validateHousekeepingStatus, frontDeskController.updateHousekeepingStatus);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+/**
+ * Reservation Routes
+ * Group reservations that book several rooms under one confirmation number
+ */
+
+const express = require('express');
+const reservationController = require('../controllers/reservation.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+const reservationMiddleware = require('../middleware/reservation.middleware');
+
+const router = express.Router();
+
+// All reservation routes require authentication
+router.use(authMiddleware.verifyToken);
+
+// Create a reservation for several rooms (all rooms are booked or none are)
+router.post('/', reservationMiddleware.validateCreateReservation, reservationController.createReservation);
+
+// Get the current user's reservations
+router.get('/', reservationController.getUserReservations);
+
+// Get a specific reservation with its rooms and combined total
+router.get('/:id', reservationMiddleware.validateReservationId, reservationController.getReservationById);
+
+// Move the whole group to new dates or update the shared guest details
+router.put('/:id', reservationMiddleware.validateUpdateReservation, reservationController.updateReservation);
+
+// Preview the penalty and refund for cancelling every room
+router.get('/:id/cancellation-preview', reservationMiddleware.validateReservationId, reservationController.getCancellationPreview);
+
+// Cancel the reservation and every room in it
+router.put('/:id/cancel', reservationMiddleware.validateReservationId, reservationController.cancelReservation);
+
+module.exports = router;
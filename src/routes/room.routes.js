@@ -3,6 +3,7 @@ const { body } = require('express-validator');
 const roomController = require('../controllers/room.controller');
 const authMiddleware = require('../middleware/auth.middleware');
 const { uploadRoomImage, uploadRoomImages, handleMulterError } = require('../middleware/roomUpload.middleware');
+const channelMiddleware = require('../middleware/channel.middleware');
 
 const router = express.Router();
 
@@ -28,6 +29,12 @@ router.get('/category/:category', roomController.getRoomsByCategory);
 // GET check room availability
 router.get('/:id/availability', roomController.checkRoomAvailability);
 
+// GET the state and price of each night in a date range
+router.get('/:id/calendar', roomController.getRoomCalendar);
+
+// GET a room's availability as an iCal feed for booking platforms (token in the URL)
+router.get('/:id/availability.ics', channelMiddleware.validateAvailabilityFeed, roomController.getAvailabilityFeed);
+
 // GET a single room by ID
 router.get('/:id', roomController.getRoomById);
 
@@ -37,6 +44,8 @@ const roomValidation = [
   body('description').notEmpty().withMessage('Description is required'),
   body('price').isNumeric().withMessage('Price must be a number'),
   body('capacity').isNumeric().withMessage('Capacity must be a number'),
+  body('maxOccupancy').optional().isInt({ min: 1 }).withMessage('Maximum occupancy must be a positive integer'),
+  body('extraGuestFee').optional().isFloat({ min: 0 }).withMessage('Extra guest fee must be a non-negative number'),
   body('size').isNumeric().withMessage('Size must be a number'),
   body('category').notEmpty().withMessage('Category is required'),
   body('location').notEmpty().withMessage('Location is required')
@@ -0,0 +1,28 @@
+/**
+ * Waitlist Routes
+ * Guests can wait for fully booked rooms and claim them when they free up
+ */
+
+const express = require('express');
+const waitlistController = require('../controllers/waitlist.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+const waitlistMiddleware = require('../middleware/waitlist.middleware');
+
+const router = express.Router();
+
+// All waitlist routes require authentication
+router.use(authMiddleware.verifyToken);
+
+// Join the waitlist for a room or category
+router.post('/', waitlistMiddleware.validateJoinWaitlist, waitlistController.joinWaitlist);
+
+// Get the current user's waitlist entries
+router.get('/', waitlistController.getMyWaitlist);
+
+// Claim an offered room (places a checkout hold)
+router.post('/:id/claim', waitlistMiddleware.validateClaimOffer, waitlistController.claimWaitlistOffer);
+
+// Leave the waitlist
+router.delete('/:id', waitlistMiddleware.validateEntryId, waitlistController.leaveWaitlist);
+
+module.exports = router;
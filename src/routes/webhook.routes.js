@@ -0,0 +1,15 @@
+/**
+ * Webhook Routes
+ * Third-party services push events here. There is no login: each delivery
+ * is authenticated by its signature instead.
+ */
+
+const express = require('express');
+const webhookController = require('../controllers/webhook.controller');
+
+const router = express.Router();
+
+// Payment provider events (payment authorized, captured, declined, ...)
+router.post('/payments/:provider', webhookController.receivePaymentWebhook);
+
+module.exports = router;
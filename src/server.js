@@ -17,10 +17,20 @@ dotenv.config();
 const authRoutes = require('./routes/auth.routes');
 const hotelRoutes = require('./routes/room.routes');
 const bookingRoutes = require('./routes/booking.routes');
+const reservationRoutes = require('./routes/reservation.routes');
+const waitlistRoutes = require('./routes/waitlist.routes');
+const frontDeskRoutes = require('./routes/front-desk.routes');
+const webhookRoutes = require('./routes/webhook.routes');
 const userRoutes = require('./routes/user.routes');
 const adminRoutes = require('./routes/admin.routes');
 const adminAuthRoutes = require('./routes/admin.auth.routes');
 
+// Import background jobs
+const { startHoldSweeper } = require('./jobs/hold-sweeper');
+const { startWaitlistSweeper } = require('./jobs/waitlist-sweeper');
+const { startStayProcessor } = require('./jobs/stay-processor');
+const { startIcalSync } = require('./jobs/ical-sync');
+
 // Initialize express app
 const app = express();
 const PORT = process.env.PORT || 10000;
@@ -41,7 +51,9 @@ const limiter = rateLimit({
   max: 100, // Limit each IP to 100 requests per windowMs
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
-  message: 'Too many requests from this IP, please try again after 15 minutes'
+  message: 'Too many requests from this IP, please try again after 15 minutes',
+  // Payment providers deliver every event from a few addresses
+  skip: (req) => req.originalUrl.startsWith('/api/webhooks/')
 });
 app.use('/api', limiter); // Apply to API routes
 
@@ -81,7 +93,12 @@ app.use(cors({
 
 // Handle preflight requests
 app.options('*', cors());
-app.use(express.json()); // Parse JSON bodies
+// Parse JSON bodies, keeping the raw bytes for webhook signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 app.use(cookieParser()); // Parse cookies
 
@@ -96,6 +113,10 @@ app.use('/api/hotels', hotelRoutes); // Map to room.routes.js but keep the old p
 app.use('/api/rooms', hotelRoutes); // Duplicate mount point for compatibility with frontend
 
 app.use('/api/bookings', bookingRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/front-desk', frontDeskRoutes); // Staff and admins
+app.use('/api/webhooks', webhookRoutes); // Signed deliveries from payment providers
 app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/admin/auth', adminAuthRoutes); // Admin-specific auth routes
@@ -111,6 +132,16 @@ app.use(errorHandler);
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT} in ${process.env.NODE_ENV || 'development'} mode`);
+
+  // Release checkout holds that ran out and pass on unclaimed waitlist offers
+  startHoldSweeper();
+  startWaitlistSweeper();
+
+  // Complete stays past check-out and flag guests who never arrived
+  startStayProcessor();
+
+  // Pull booking platform calendars into room blocks
+  startIcalSync();
 });
 
 module.exports = app; // Export for testing
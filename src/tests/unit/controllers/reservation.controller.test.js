@@ -0,0 +1,228 @@
+/**
+ * Unit Tests for Reservation Operations Controller
+ *
+ * Tests modifying and cancelling group reservations under the same rules as
+ * single bookings, using stubs for the database, pricing, lifecycle, waitlist
+ * and mailer
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const AppError = require('../../../utils/appError');
+
+describe('Reservation Operations Controller', () => {
+  const reservation = {
+    id: 'res-1',
+    confirmationNumber: 'GRP-1',
+    status: 'confirmed',
+    checkIn: '2030-07-10',
+    checkOut: '2030-07-12'
+  };
+  const booking = (id, overrides = {}) => ({
+    id,
+    bookingId: `BK-${id}`,
+    roomId: `room-${id}`,
+    reservationId: 'res-1',
+    email: 'ann@example.com',
+    status: 'confirmed',
+    checkIn: '2030-07-10',
+    checkOut: '2030-07-12',
+    guests: 2,
+    totalPrice: '5600.00',
+    ...overrides
+  });
+  const quote = {
+    nights: 3,
+    subtotal: 7500,
+    taxAndFees: 900,
+    taxes: [{ name: 'VAT', amount: 900 }],
+    totalPrice: 8400,
+    discountTotal: 0
+  };
+
+  let controller;
+  let selectResults;
+  let updatedRows;
+  let transaction;
+  let priceStay;
+  let transitionBooking;
+  let releaseToWaitlist;
+  let sendMail;
+  let req, res, next;
+
+  beforeEach(() => {
+    selectResults = [];
+    updatedRows = [];
+
+    // Each select() resolves to the next queued list of rows; an update that
+    // returns its row hands back the next queued booking with the new values
+    const tx = {
+      update: () => ({
+        set: (values) => ({
+          where: () => Object.assign(Promise.resolve(), {
+            returning: async () => [{ ...updatedRows.shift(), ...values }]
+          })
+        })
+      })
+    };
+    transaction = sinon.stub().callsFake((fn) => fn(tx));
+    const db = {
+      select: () => ({ from: () => ({ where: () => Promise.resolve(selectResults.shift() || []) }) }),
+      transaction
+    };
+
+    priceStay = sinon.stub().resolves(quote);
+    transitionBooking = sinon.stub().callsFake(async (executor, current, to) => ({
+      booking: { ...current, status: to },
+      cancellation: { penalty: 0, refundAmount: 0 }
+    }));
+    releaseToWaitlist = sinon.stub().resolves([]);
+    sendMail = sinon.stub();
+
+    controller = proxyquire('../../../controllers/reservation/reservation-operations', {
+      '../../db': { db },
+      '../../utils/booking/availability': { assertRoomsAvailable: sinon.stub().resolves() },
+      '../../utils/booking/pricing': { priceStay },
+      '../../utils/booking/lifecycle': { transitionBooking },
+      '../../utils/booking/waitlist': { releaseToWaitlist },
+      '../../utils/booking/events': { recordBookingEvents: sinon.stub().resolves() },
+      '../../utils/mailer': { sendMail },
+      './reservation-query': {
+        reservationScope: sinon.stub(),
+        loadReservationBookings: sinon.stub().resolves(new Map()),
+        formatReservation: (row) => row
+      }
+    });
+
+    req = { params: { id: 'res-1' }, body: {}, user: { id: 'user-1', role: 'user' } };
+    res = { status: sinon.stub().returnsThis(), json: sinon.spy() };
+    next = sinon.spy();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  const expectError = (statusCode, message) => {
+    expect(next.calledOnce).to.be.true;
+    const error = next.firstCall.args[0];
+    expect(error).to.be.instanceOf(AppError);
+    expect(error.statusCode).to.equal(statusCode);
+    expect(error.message).to.include(message);
+  };
+
+  describe('updateReservation', () => {
+    it('should move every room, free the old nights and email each booking', async () => {
+      const roomBookings = [booking('1'), booking('2')];
+      selectResults = [[reservation], roomBookings, [{ id: 'room-1' }, { id: 'room-2' }], [reservation]];
+      updatedRows = [...roomBookings];
+      req.body = { checkOut: '2030-07-13' };
+
+      await controller.updateReservation(req, res, next);
+
+      expect(next.called).to.be.false;
+      expect(res.status.calledWith(200)).to.be.true;
+      expect(priceStay.callCount).to.equal(2);
+      expect(releaseToWaitlist.calledOnceWith(sinon.match.any, 'room-1', 'room-2')).to.be.true;
+      expect(sendMail.callCount).to.equal(2);
+      expect(sendMail.firstCall.args[0]).to.equal('booking_modification');
+      expect(sendMail.firstCall.args[2].booking).to.include({ bookingId: 'BK-1', checkOut: '2030-07-13' });
+    });
+
+    it('should not offer rooms to the waitlist when only guest details change', async () => {
+      selectResults = [[reservation], [booking('1')], [reservation]];
+      updatedRows = [booking('1')];
+      req.body = { phone: '+63 900 000 0000' };
+
+      await controller.updateReservation(req, res, next);
+
+      expect(releaseToWaitlist.called).to.be.false;
+      expect(sendMail.calledOnceWith('booking_modification', 'ann@example.com')).to.be.true;
+    });
+
+    it('should refuse to move the check-in date once a guest has checked in', async () => {
+      selectResults = [[reservation], [booking('1', { status: 'checked_in' }), booking('2')]];
+      req.body = { checkIn: '2030-07-09' };
+
+      await controller.updateReservation(req, res, next);
+
+      expectError(400, 'only the check-out date can change');
+      expect(transaction.called).to.be.false;
+      expect(sendMail.called).to.be.false;
+    });
+
+    it('should let the check-out date move after a guest has checked in', async () => {
+      const roomBookings = [booking('1', { status: 'checked_in' }), booking('2')];
+      selectResults = [[reservation], roomBookings, [{ id: 'room-1' }, { id: 'room-2' }], [reservation]];
+      updatedRows = [...roomBookings];
+      req.body = { checkOut: '2030-07-13' };
+
+      await controller.updateReservation(req, res, next);
+
+      expect(next.called).to.be.false;
+      expect(res.status.calledWith(200)).to.be.true;
+    });
+
+    it('should leave completed stays untouched and refuse to move their dates', async () => {
+      const roomBookings = [booking('1', { status: 'completed' }), booking('2')];
+      selectResults = [[reservation], roomBookings];
+      req.body = { checkOut: '2030-07-13' };
+
+      await controller.updateReservation(req, res, next);
+
+      expectError(400, 'already ended');
+      expect(transaction.called).to.be.false;
+
+      next.resetHistory();
+      selectResults = [[reservation], roomBookings, [reservation]];
+      updatedRows = [booking('2')];
+      req.body = { phone: '+63 900 000 0000' };
+
+      await controller.updateReservation(req, res, next);
+
+      expect(next.called).to.be.false;
+      expect(sendMail.calledOnce).to.be.true;
+      expect(sendMail.firstCall.args[2].booking.bookingId).to.equal('BK-2');
+    });
+  });
+
+  describe('cancelReservation', () => {
+    it('should cancel every room, free them and email each cancellation', async () => {
+      selectResults = [[reservation], [booking('1'), booking('2')]];
+      updatedRows = [{ ...reservation, status: 'cancelled' }];
+
+      await controller.cancelReservation(req, res, next);
+
+      expect(next.called).to.be.false;
+      expect(transitionBooking.callCount).to.equal(2);
+      expect(transitionBooking.firstCall.args[3]).to.include({ actor: 'guest', actorId: 'user-1' });
+      expect(releaseToWaitlist.calledOnceWith(sinon.match.any, 'room-1', 'room-2')).to.be.true;
+      expect(sendMail.callCount).to.equal(2);
+      expect(sendMail.firstCall.args[0]).to.equal('booking_cancellation');
+      expect(sendMail.firstCall.args[2].booking).to.include({ bookingId: 'BK-1', status: 'cancelled' });
+    });
+
+    it('should leave completed stays out of the cancellation', async () => {
+      selectResults = [[reservation], [booking('1', { status: 'completed' }), booking('2')]];
+      updatedRows = [{ ...reservation, status: 'cancelled' }];
+
+      await controller.cancelReservation(req, res, next);
+
+      expect(transitionBooking.calledOnce).to.be.true;
+      expect(transitionBooking.firstCall.args[1].id).to.equal('2');
+      expect(sendMail.calledOnce).to.be.true;
+    });
+
+    it('should send no email when a room cannot be cancelled', async () => {
+      selectResults = [[reservation], [booking('1', { status: 'checked_in' })]];
+      transitionBooking.rejects(new AppError('Cannot move a checked_in booking to cancelled', 409));
+
+      await controller.cancelReservation(req, res, next);
+
+      expectError(409, 'checked_in');
+      expect(releaseToWaitlist.called).to.be.false;
+      expect(sendMail.called).to.be.false;
+    });
+  });
+});
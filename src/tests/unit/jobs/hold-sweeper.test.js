@@ -0,0 +1,52 @@
+/**
+ * Unit Test for Hold Sweeper Job
+ *
+ * Tests that lapsed checkout holds are expired and their rooms offered to
+ * the waitlist, using stubs for the booking lifecycle and waitlist
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+
+describe('Hold Sweeper Job', () => {
+  let sweepExpiredHolds;
+  let expireLapsedHolds;
+  let releaseToWaitlist;
+
+  beforeEach(() => {
+    expireLapsedHolds = sinon.stub();
+    releaseToWaitlist = sinon.stub().resolves();
+
+    ({ sweepExpiredHolds } = proxyquire('../../../jobs/hold-sweeper', {
+      '../db': { db: {} },
+      '../utils/booking/lifecycle': { expireLapsedHolds },
+      '../utils/booking/waitlist': { releaseToWaitlist }
+    }));
+
+    sinon.stub(console, 'log');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('sweepExpiredHolds', () => {
+    it('should expire lapsed holds and offer their rooms to the waitlist', async () => {
+      expireLapsedHolds.resolves([{ id: 'b1', roomId: 'room-1' }, { id: 'b2', roomId: 'room-2' }]);
+
+      const released = await sweepExpiredHolds();
+
+      expect(released).to.equal(2);
+      expect(releaseToWaitlist.calledOnce).to.be.true;
+      expect(releaseToWaitlist.firstCall.args.slice(1)).to.deep.equal(['room-1', 'room-2']);
+    });
+
+    it('should leave the waitlist alone when no hold has lapsed', async () => {
+      expireLapsedHolds.resolves([]);
+
+      expect(await sweepExpiredHolds()).to.equal(0);
+      expect(releaseToWaitlist.called).to.be.false;
+    });
+  });
+});
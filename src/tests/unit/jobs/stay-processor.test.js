@@ -0,0 +1,111 @@
+/**
+ * Unit Test for Stay Processor Job
+ *
+ * Tests that overdue stays are completed only once their folio is settled,
+ * using stubs for the database, folio and booking lifecycle
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+
+describe('Stay Processor Job', () => {
+  const at = new Date('2030-07-13T06:00:00Z');
+  const stay = (id, overrides = {}) => ({
+    id,
+    bookingId: `BK-${id}`,
+    roomId: `room-${id}`,
+    status: 'checked_in',
+    checkIn: '2030-07-10',
+    checkOut: '2030-07-12',
+    ...overrides
+  });
+
+  let processStays;
+  let transitionBooking;
+  let loadFolio;
+  let lockBooking;
+  let selectResults;
+
+  beforeEach(() => {
+    selectResults = [];
+
+    // Each select() resolves to the next queued list of bookings
+    const tx = {
+      update: () => ({ set: () => ({ where: () => Promise.resolve() }) })
+    };
+    const db = {
+      select: () => ({ from: () => ({ where: () => Promise.resolve(selectResults.shift() || []) }) }),
+      transaction: (fn) => fn(tx)
+    };
+
+    transitionBooking = sinon.stub().callsFake(async (executor, booking, to) => ({ booking: { ...booking, status: to } }));
+    loadFolio = sinon.stub();
+    lockBooking = sinon.stub().callsFake(async (executor, id) => stay(id));
+
+    ({ processStays } = proxyquire('../../../jobs/stay-processor', {
+      '../db': { db },
+      '../utils/booking/folio': { loadFolio },
+      '../utils/booking/payments': { lockBooking },
+      '../utils/booking/lifecycle': { BookingTransitionError: class extends Error {}, transitionBooking },
+      '../utils/booking/waitlist': { releaseToWaitlist: sinon.stub().resolves() }
+    }));
+
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'warn');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('processStays', () => {
+    it('should complete an overdue stay whose folio is settled', async () => {
+      selectResults = [[stay('1')], []];
+      loadFolio.resolves({ currency: 'PHP', balanceDue: 0 });
+
+      const result = await processStays(at);
+
+      expect(result).to.deep.equal({ completed: 1, noShows: 0, unsettled: 0 });
+      expect(transitionBooking.calledOnce).to.be.true;
+      expect(transitionBooking.firstCall.args[2]).to.equal('completed');
+    });
+
+    it('should leave an overdue stay with a balance due checked in', async () => {
+      selectResults = [[stay('1'), stay('2')], []];
+      loadFolio.withArgs(sinon.match.any, sinon.match({ id: '1' })).resolves({ currency: 'PHP', balanceDue: 300 });
+      loadFolio.withArgs(sinon.match.any, sinon.match({ id: '2' })).resolves({ currency: 'PHP', balanceDue: 0 });
+
+      const result = await processStays(at);
+
+      expect(result).to.deep.equal({ completed: 1, noShows: 0, unsettled: 1 });
+      expect(transitionBooking.calledOnce).to.be.true;
+      expect(transitionBooking.firstCall.args[1].id).to.equal('2');
+      expect(console.warn.calledWithMatch('BK-1')).to.be.true;
+    });
+
+    it('should check the balance on the booking locked for the check-out', async () => {
+      selectResults = [[stay('1')], []];
+      // A charge posted after the overdue stays were listed shows on the locked row's folio
+      lockBooking.resolves(stay('1', { paymentStatus: 'partially_paid' }));
+      loadFolio.withArgs(sinon.match.any, sinon.match({ paymentStatus: 'partially_paid' })).resolves({ currency: 'PHP', balanceDue: 150 });
+
+      const result = await processStays(at);
+
+      expect(result).to.deep.equal({ completed: 0, noShows: 0, unsettled: 1 });
+      expect(lockBooking.calledBefore(loadFolio)).to.be.true;
+      expect(loadFolio.firstCall.args[0]).to.equal(lockBooking.firstCall.args[0]);
+      expect(transitionBooking.called).to.be.false;
+    });
+
+    it('should not touch stays before their check-out time', async () => {
+      selectResults = [[stay('1', { checkOut: '2030-07-14' })], []];
+
+      const result = await processStays(at);
+
+      expect(result.completed).to.equal(0);
+      expect(loadFolio.called).to.be.false;
+      expect(transitionBooking.called).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Unit Test for Booking Availability Utility
+ *
+ * Tests the night-by-night state behind the room availability calendar,
+ * the room lock taken before a booking write, and how overlap constraint
+ * violations become 409 conflicts
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const { PgDialect } = require('drizzle-orm/pg-core');
+const {
+  BookingConflictError,
+  nightStatuses,
+  isOverlapViolation,
+  toConflictError,
+  sendConflict
+} = require('../../../utils/booking/availability');
+
+describe('Booking Availability Utility', () => {
+  describe('nightStatuses', () => {
+    const nights = ['2030-07-10', '2030-07-11', '2030-07-12', '2030-07-13', '2030-07-14'];
+
+    it('should mark every night free when nothing covers it', () => {
+      expect(Object.values(nightStatuses(nights, [], []))).to.deep.equal(['free', 'free', 'free', 'free', 'free']);
+    });
+
+    it('should free the check-out night for the next guest', () => {
+      const statuses = nightStatuses(nights, [{ checkIn: '2030-07-10', checkOut: '2030-07-12', holdExpiresAt: null }], []);
+
+      expect(statuses['2030-07-11']).to.equal('booked');
+      expect(statuses['2030-07-12']).to.equal('free');
+    });
+
+    it('should tell holds and blocks apart from bookings', () => {
+      const statuses = nightStatuses(
+        nights,
+        [{ checkIn: '2030-07-12', checkOut: '2030-07-13', holdExpiresAt: new Date('2030-07-01T00:15:00Z') }],
+        [{ startDate: '2030-07-13', endDate: '2030-07-15' }]
+      );
+
+      expect(statuses).to.deep.equal({
+        '2030-07-10': 'free',
+        '2030-07-11': 'free',
+        '2030-07-12': 'held',
+        '2030-07-13': 'blocked',
+        '2030-07-14': 'blocked'
+      });
+    });
+
+    it('should show a booking over a hold or block on the same night', () => {
+      const statuses = nightStatuses(
+        ['2030-07-10'],
+        [
+          { checkIn: '2030-07-10', checkOut: '2030-07-11', holdExpiresAt: new Date() },
+          { checkIn: '2030-07-09', checkOut: '2030-07-11', holdExpiresAt: null }
+        ],
+        [{ startDate: '2030-07-10', endDate: '2030-07-11' }]
+      );
+
+      expect(statuses['2030-07-10']).to.equal('booked');
+    });
+  });
+
+  // Fake executor: each select() resolves to the next queued rows, and raw
+  // statements are kept as SQL text
+  const fakeExecutor = (selectResults = []) => {
+    const executor = {
+      statements: [],
+      execute: async (query) => {
+        executor.statements.push(new PgDialect().sqlToQuery(query).sql);
+      },
+      select: () => ({ from: () => ({ where: async () => selectResults.shift() || [] }) })
+    };
+    return executor;
+  };
+
+  const stay = { roomId: 'room-1', checkIn: '2030-07-10', checkOut: '2030-07-12' };
+  const overlapViolation = () => Object.assign(new Error('conflicting key value violates exclusion constraint "bookings_no_overlap"'), { code: '23P01' });
+
+  describe('assertRoomAvailable', () => {
+    let assertRoomAvailable;
+    let LockedConflictError;
+    let expireLapsedHolds;
+
+    beforeEach(() => {
+      expireLapsedHolds = sinon.stub().resolves([]);
+      ({ assertRoomAvailable, BookingConflictError: LockedConflictError } = proxyquire('../../../utils/booking/availability', {
+        './lifecycle': { expireLapsedHolds }
+      }));
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('should lock the room row before checking for overlaps', async () => {
+      const tx = fakeExecutor([[], []]);
+
+      await assertRoomAvailable(tx, stay);
+
+      expect(tx.statements).to.deep.equal(['SELECT id FROM rooms WHERE id = $1 FOR UPDATE']);
+      expect(expireLapsedHolds.calledWith(tx, 'room-1')).to.be.true;
+    });
+
+    it('should refuse a stay that overlaps a booking or block', async () => {
+      const tx = fakeExecutor([
+        [{ id: 'b1', checkIn: '2030-07-11', checkOut: '2030-07-13' }],
+        [{ id: 'k1', checkIn: '2030-07-09', checkOut: '2030-07-10' }]
+      ]);
+
+      let error;
+      try {
+        await assertRoomAvailable(tx, stay);
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).to.be.instanceOf(LockedConflictError);
+      expect(error.statusCode).to.equal(409);
+      expect(error.conflicts).to.deep.equal([
+        { checkIn: '2030-07-09', checkOut: '2030-07-10' },
+        { checkIn: '2030-07-11', checkOut: '2030-07-13' }
+      ]);
+    });
+  });
+
+  describe('isOverlapViolation', () => {
+    it('should recognise the overlap constraint, also when wrapped by the driver', () => {
+      expect(isOverlapViolation(overlapViolation())).to.be.true;
+      expect(isOverlapViolation(new Error('Query failed', { cause: overlapViolation() }))).to.be.true;
+      expect(isOverlapViolation(Object.assign(new Error('duplicate key'), { code: '23505' }))).to.be.false;
+      expect(isOverlapViolation(undefined)).to.be.false;
+    });
+  });
+
+  describe('toConflictError', () => {
+    it('should turn an overlap violation into a 409 listing the clashing stays', async () => {
+      const db = fakeExecutor([[{ id: 'b1', checkIn: '2030-07-11', checkOut: '2030-07-13' }], []]);
+
+      const error = await toConflictError(db, overlapViolation(), stay);
+
+      expect(error).to.be.instanceOf(BookingConflictError);
+      expect(error.statusCode).to.equal(409);
+      expect(error.conflicts).to.deep.equal([{ checkIn: '2030-07-11', checkOut: '2030-07-13' }]);
+    });
+
+    it('should pass a conflict found under the lock through unchanged', async () => {
+      const conflict = new BookingConflictError([{ checkIn: '2030-07-11', checkOut: '2030-07-13' }]);
+
+      expect(await toConflictError(fakeExecutor(), conflict, stay)).to.equal(conflict);
+    });
+
+    it('should leave unrelated errors alone', async () => {
+      expect(await toConflictError(fakeExecutor(), new Error('Connection lost'), stay)).to.equal(null);
+    });
+  });
+
+  describe('sendConflict', () => {
+    it('should respond 409 with the clashing stays', () => {
+      const res = { status: sinon.stub().returnsThis(), json: sinon.stub().returnsThis() };
+
+      sendConflict(res, new BookingConflictError([{ checkIn: '2030-07-11', checkOut: '2030-07-13' }]));
+
+      expect(res.status.calledWith(409)).to.be.true;
+      expect(res.json.firstCall.args[0]).to.deep.equal({
+        success: false,
+        message: 'The room is already booked for these dates',
+        available: false,
+        conflicts: [{ checkIn: '2030-07-11', checkOut: '2030-07-13' }]
+      });
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Unit Test for Cancellation Policy Utility
+ *
+ * Tests tier validation, penalty tiers and refund calculation
+ */
+
+const { expect } = require('chai');
+const {
+  tiersProblem,
+  normalizeTiers,
+  hoursBeforeCheckIn,
+  penaltyPercentFor,
+  computeCancellation,
+  waiveCancellationPenalty
+} = require('../../../utils/booking/cancellation');
+
+describe('Cancellation Policy Utility', () => {
+  const moderate = {
+    id: 'policy-1',
+    name: 'moderate',
+    tiers: [
+      { minHoursBefore: 0, penaltyPercent: 100 },
+      { minHoursBefore: 120, penaltyPercent: 0 },
+      { minHoursBefore: 24, penaltyPercent: 50 }
+    ]
+  };
+
+  // Check-in is at 14:00 hotel time (+08:00), i.e. 06:00 UTC
+  const booking = {
+    checkIn: '2030-07-10',
+    totalPrice: '1234.50',
+    status: 'confirmed',
+    cancellationPolicy: moderate
+  };
+
+  describe('tiersProblem', () => {
+    it('should accept valid tiers', () => {
+      expect(tiersProblem(moderate.tiers)).to.be.null;
+    });
+
+    it('should reject empty, out-of-range and duplicate tiers', () => {
+      expect(tiersProblem([])).to.be.a('string');
+      expect(tiersProblem('flexible')).to.be.a('string');
+      expect(tiersProblem([{ minHoursBefore: -1, penaltyPercent: 0 }])).to.be.a('string');
+      expect(tiersProblem([{ minHoursBefore: 24, penaltyPercent: 120 }])).to.be.a('string');
+      expect(tiersProblem([
+        { minHoursBefore: 24, penaltyPercent: 0 },
+        { minHoursBefore: 24, penaltyPercent: 50 }
+      ])).to.be.a('string');
+    });
+  });
+
+  describe('normalizeTiers', () => {
+    it('should order tiers from the longest notice down', () => {
+      expect(normalizeTiers(moderate.tiers).map(tier => tier.minHoursBefore)).to.deep.equal([120, 24, 0]);
+    });
+  });
+
+  describe('hoursBeforeCheckIn', () => {
+    it('should measure notice up to check-in time', () => {
+      expect(hoursBeforeCheckIn('2030-07-10', new Date('2030-07-09T06:00:00Z'))).to.equal(24);
+      expect(hoursBeforeCheckIn('2030-07-10', new Date('2030-07-10T08:00:00Z'))).to.equal(-2);
+    });
+  });
+
+  describe('penaltyPercentFor', () => {
+    it('should apply the tier with the largest threshold still met', () => {
+      expect(penaltyPercentFor(moderate, 200)).to.equal(0);
+      expect(penaltyPercentFor(moderate, 120)).to.equal(0);
+      expect(penaltyPercentFor(moderate, 119)).to.equal(50);
+      expect(penaltyPercentFor(moderate, 23)).to.equal(100);
+    });
+
+    it('should charge the full total after check-in', () => {
+      expect(penaltyPercentFor({ tiers: [{ minHoursBefore: 0, penaltyPercent: 20 }] }, -5)).to.equal(100);
+    });
+  });
+
+  describe('computeCancellation', () => {
+    it('should split the total into penalty and refund', () => {
+      const result = computeCancellation(booking, new Date('2030-07-07T06:00:00Z'));
+
+      expect(result.hoursBeforeCheckIn).to.equal(72);
+      expect(result.penaltyPercent).to.equal(50);
+      expect(result.penalty).to.equal(617.25);
+      expect(result.refundAmount).to.equal(617.25);
+      expect(result.policy.name).to.equal('moderate');
+    });
+
+    it('should keep penalty and refund adding up to the total', () => {
+      const result = computeCancellation({ ...booking, totalPrice: '100.01' }, new Date('2030-07-07T06:00:00Z'));
+      expect(Math.round((result.penalty + result.refundAmount) * 100)).to.equal(10001);
+    });
+
+    it('should refund in full when the booking has no policy', () => {
+      const result = computeCancellation({ ...booking, cancellationPolicy: null }, new Date('2030-07-10T05:00:00Z'));
+
+      expect(result.penalty).to.equal(0);
+      expect(result.refundAmount).to.equal(1234.5);
+      expect(result.policy).to.be.null;
+    });
+
+    it('should not charge for cancelling a checkout hold', () => {
+      const hold = { ...booking, status: 'pending', holdExpiresAt: new Date('2030-07-09T06:15:00Z') };
+      const result = computeCancellation(hold, new Date('2030-07-09T06:00:00Z'));
+
+      expect(result.penalty).to.equal(0);
+    });
+  });
+
+  describe('waiveCancellationPenalty', () => {
+    it('should turn a cancellation into a full refund', () => {
+      const result = waiveCancellationPenalty(computeCancellation(booking, new Date('2030-07-10T00:00:00Z')));
+
+      expect(result.penalty).to.equal(0);
+      expect(result.refundAmount).to.equal(1234.5);
+      expect(result.waived).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Unit Test for Channel Sync Utility
+ *
+ * Tests feed tokens, downloading feeds only from public addresses and within
+ * the size limit, and turning an imported feed into room blocks
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const dns = require('dns');
+const http = require('http');
+const { EventEmitter } = require('events');
+const { Readable } = require('stream');
+const net = require('net');
+const {
+  MAX_FEED_BYTES,
+  feedToken,
+  verifyFeedToken,
+  isPrivateAddress,
+  fetchFeed,
+  eventsToBlocks
+} = require('../../../utils/booking/channel-sync');
+
+describe('Channel Sync Utility', () => {
+  const roomId = '6f1c1f8e-2f55-4c8e-9d8a-0c1f6f6b9a11';
+
+  describe('feedToken', () => {
+    it('should open only the room it was made for', () => {
+      const token = feedToken(roomId);
+
+      expect(verifyFeedToken(roomId, token)).to.be.true;
+      expect(verifyFeedToken('7a2d2f8e-2f55-4c8e-9d8a-0c1f6f6b9a11', token)).to.be.false;
+    });
+
+    it('should reject missing and malformed tokens', () => {
+      expect(verifyFeedToken(roomId, undefined)).to.be.false;
+      expect(verifyFeedToken(roomId, 'abc')).to.be.false;
+    });
+  });
+
+  describe('isPrivateAddress', () => {
+    it('should flag loopback, private, link-local and metadata addresses', () => {
+      for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1']) {
+        expect(isPrivateAddress(address), address).to.be.true;
+      }
+    });
+
+    it('should allow public addresses', () => {
+      for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::6810:84e5', '::ffff:8.8.8.8']) {
+        expect(isPrivateAddress(address), address).to.be.false;
+      }
+    });
+  });
+
+  describe('fetchFeed', () => {
+    let chunksRead;
+
+    // Answers every request with the given status, headers and body chunks
+    const respondWith = ({ statusCode = 200, headers = {}, chunks = [] }) => {
+      chunksRead = 0;
+      return sinon.stub(http, 'get').callsFake((url, options, callback) => {
+        const response = Readable.from((function* () {
+          for (const chunk of chunks) {
+            chunksRead++;
+            yield chunk;
+          }
+        })());
+        Object.assign(response, { statusCode, headers });
+        process.nextTick(callback, response);
+        return new EventEmitter();
+      });
+    };
+
+    // Message of the error a download fails with
+    const failure = async (download) => {
+      try {
+        await download;
+      } catch (error) {
+        return error.message;
+      }
+      expect.fail('Expected the download to fail');
+    };
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('should return the feed text', async () => {
+      respondWith({ chunks: [Buffer.from('BEGIN:VCALENDAR\r\n'), Buffer.from('END:VCALENDAR')] });
+
+      expect(await fetchFeed('http://feeds.example.com/room.ics')).to.equal('BEGIN:VCALENDAR\r\nEND:VCALENDAR');
+    });
+
+    it('should refuse URLs that name a private address', async () => {
+      const get = respondWith({});
+
+      for (const url of ['http://127.0.0.1/feed.ics', 'http://169.254.169.254/latest/meta-data', 'https://[::1]/feed.ics']) {
+        expect(await failure(fetchFeed(url))).to.include('private address');
+      }
+      expect(get.called).to.be.false;
+    });
+
+    it('should refuse hosts that resolve to a private address', async () => {
+      sinon.stub(dns, 'lookup').callsFake((hostname, options, callback) => callback(null, [{ address: '10.0.0.5', family: 4 }]));
+
+      expect(await failure(fetchFeed('http://intranet.example.com/feed.ics'))).to.include('resolves to a private address');
+    });
+
+    it('should refuse other protocols', async () => {
+      expect(await failure(fetchFeed('file:///etc/passwd'))).to.include('Only http and https');
+    });
+
+    it('should reject a feed whose declared length is too large without reading it', async () => {
+      respondWith({ headers: { 'content-length': String(MAX_FEED_BYTES + 1) }, chunks: [Buffer.alloc(10)] });
+
+      expect(await failure(fetchFeed('http://feeds.example.com/room.ics'))).to.include('larger than 2 MB');
+      expect(chunksRead).to.equal(0);
+    });
+
+    it('should stop reading once the feed passes the size limit', async () => {
+      const chunk = Buffer.alloc(512 * 1024);
+      respondWith({ chunks: Array(10).fill(chunk) });
+
+      expect(await failure(fetchFeed('http://feeds.example.com/room.ics'))).to.include('larger than 2 MB');
+      expect(chunksRead).to.equal(5);
+    });
+
+    it('should refuse a redirect to a private address', async () => {
+      respondWith({ statusCode: 302, headers: { location: 'http://169.254.169.254/latest/meta-data' } });
+
+      expect(await failure(fetchFeed('http://feeds.example.com/room.ics'))).to.include('private address');
+    });
+
+    describe('with ICAL_ALLOWED_HOSTS', () => {
+      let allowedFetchFeed;
+
+      beforeEach(() => {
+        ({ fetchFeed: allowedFetchFeed } = proxyquire('../../../utils/booking/channel-sync', {
+          '../env-validator': {
+            getEnv: (key, fallback) => (key === 'ICAL_ALLOWED_HOSTS' ? 'calendar.hotel.lan, 192.168.1.20' : fallback)
+          }
+        }));
+
+        // Connect the way a socket would: through the request's lookup
+        sinon.stub(http, 'get').callsFake((url, options, callback) => {
+          const request = new EventEmitter();
+          const connect = () => {
+            const response = Readable.from([Buffer.from('BEGIN:VCALENDAR')]);
+            Object.assign(response, { statusCode: 200, headers: {} });
+            callback(response);
+          };
+          const host = url.hostname.replace(/^\[|\]$/g, '');
+          if (net.isIP(host)) {
+            process.nextTick(connect);
+          } else {
+            options.lookup(host, {}, (error) => (error ? request.emit('error', error) : connect()));
+          }
+          return request;
+        });
+        sinon.stub(dns, 'lookup').callsFake((hostname, options, callback) => callback(null, [{ address: '192.168.1.20', family: 4 }]));
+      });
+
+      it('should fetch feeds from an allowed private host', async () => {
+        expect(await allowedFetchFeed('http://calendar.hotel.lan/room.ics')).to.equal('BEGIN:VCALENDAR');
+        expect(await allowedFetchFeed('http://192.168.1.20/room.ics')).to.equal('BEGIN:VCALENDAR');
+      });
+
+      it('should still refuse private hosts that are not allowed', async () => {
+        expect(await failure(allowedFetchFeed('http://intranet.example.com/room.ics'))).to.include('resolves to a private address');
+        expect(await failure(allowedFetchFeed('http://169.254.169.254/latest/meta-data'))).to.include('private address');
+      });
+    });
+  });
+
+  describe('eventsToBlocks', () => {
+    const event = (uid, start, end, extra = []) => [
+      'BEGIN:VEVENT',
+      ...(uid ? [`UID:${uid}`] : []),
+      `DTSTART;VALUE=DATE:${start}`,
+      `DTEND;VALUE=DATE:${end}`,
+      ...extra,
+      'END:VEVENT'
+    ];
+
+    it('should keep the last occurrence of a repeated UID', () => {
+      const text = ['BEGIN:VCALENDAR', ...event('a', '20300710', '20300712'), ...event('a', '20300711', '20300714'), 'END:VCALENDAR'].join('\r\n');
+      const { blocks } = eventsToBlocks(text);
+
+      expect(blocks).to.deep.equal([{ uid: 'a', startDate: '2030-07-11', endDate: '2030-07-14', summary: null }]);
+    });
+
+    it('should skip cancelled events, events without a UID and backwards ranges', () => {
+      const text = [
+        'BEGIN:VCALENDAR',
+        ...event('cancelled', '20300710', '20300712', ['STATUS:CANCELLED']),
+        ...event(null, '20300710', '20300712'),
+        ...event('backwards', '20300712', '20300710'),
+        ...event('ok', '20300720', '20300721'),
+        'END:VCALENDAR'
+      ].join('\r\n');
+      const { blocks, skipped } = eventsToBlocks(text);
+
+      expect(blocks.map(block => block.uid)).to.deep.equal(['ok']);
+      expect(skipped).to.equal(3);
+    });
+  });
+});
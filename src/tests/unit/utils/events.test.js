@@ -0,0 +1,116 @@
+/**
+ * Unit Test for Booking Events Utility
+ *
+ * Tests change diffs, actor detection and timeline summaries
+ */
+
+const { expect } = require('chai');
+const {
+  diffBooking,
+  actorFromRequest,
+  describeEvent,
+  summarizeTimeline
+} = require('../../../utils/booking/events');
+
+describe('Booking Events Utility', () => {
+  const booking = {
+    id: '6f1c1f8e-2f55-4c8e-9d8a-0c1f6f6b9a11',
+    status: 'confirmed',
+    checkIn: '2030-07-10',
+    checkOut: '2030-07-12',
+    nights: 2,
+    totalPrice: '5600.00',
+    specialRequests: '',
+    checkedInAt: null,
+    updatedAt: new Date('2030-07-01T00:00:00Z')
+  };
+
+  describe('diffBooking', () => {
+    it('should list only the tracked fields that changed', () => {
+      const after = {
+        ...booking,
+        checkOut: '2030-07-13',
+        nights: 3,
+        totalPrice: '8400.00',
+        updatedAt: new Date('2030-07-02T00:00:00Z')
+      };
+
+      expect(diffBooking(booking, after)).to.deep.equal({
+        checkOut: { from: '2030-07-12', to: '2030-07-13' },
+        nights: { from: 2, to: 3 },
+        totalPrice: { from: '5600.00', to: '8400.00' }
+      });
+    });
+
+    it('should record dates as ISO strings', () => {
+      const checkedInAt = new Date('2030-07-10T07:00:00Z');
+      const changes = diffBooking(booking, { ...booking, status: 'checked_in', checkedInAt });
+
+      expect(changes.checkedInAt).to.deep.equal({ from: null, to: '2030-07-10T07:00:00.000Z' });
+    });
+
+    it('should treat empty strings and nulls alike', () => {
+      expect(diffBooking(booking, { ...booking, specialRequests: null })).to.deep.equal({});
+    });
+
+    it('should diff a new booking against nothing', () => {
+      const changes = diffBooking(null, booking);
+
+      expect(changes.status).to.deep.equal({ from: null, to: 'confirmed' });
+      expect(changes).to.not.have.property('specialRequests');
+    });
+  });
+
+  describe('actorFromRequest', () => {
+    it('should record signed-in guests as users', () => {
+      expect(actorFromRequest({ user: { id: 'u1', role: 'user' } }))
+        .to.deep.equal({ actorType: 'user', actorId: 'u1' });
+    });
+
+    it('should record staff and admins by role', () => {
+      expect(actorFromRequest({ user: { id: 's1', role: 'staff' } }).actorType).to.equal('staff');
+      expect(actorFromRequest({ user: { id: 'a1', role: 'admin' } }).actorType).to.equal('admin');
+    });
+
+    it('should record magic-link and anonymous requests as guests', () => {
+      const magicLink = { user: { id: null, role: 'guest' }, bookingAccess: { bookingId: booking.id } };
+
+      expect(actorFromRequest(magicLink)).to.deep.equal({ actorType: 'guest', actorId: null });
+      expect(actorFromRequest({})).to.deep.equal({ actorType: 'guest', actorId: null });
+    });
+  });
+
+  describe('describeEvent', () => {
+    it('should describe status changes', () => {
+      const event = { type: 'status_changed', changes: { status: { from: 'confirmed', to: 'no_show' } } };
+
+      expect(describeEvent(event)).to.equal('Status changed from confirmed to no_show');
+    });
+
+    it('should list the fields an update changed', () => {
+      const event = { type: 'updated', changes: { checkOut: {}, nights: {}, totalPrice: {} } };
+
+      expect(describeEvent(event)).to.equal('Changed checkOut, nights, totalPrice');
+    });
+
+    it('should describe creation and cancellation', () => {
+      expect(describeEvent({ type: 'created', changes: {} })).to.equal('Booking created');
+      expect(describeEvent({ type: 'cancelled', changes: {} })).to.equal('Booking cancelled');
+    });
+  });
+
+  describe('summarizeTimeline', () => {
+    it('should name the acting user when known', () => {
+      const createdAt = new Date('2030-07-01T00:00:00Z');
+      const timeline = summarizeTimeline([
+        { type: 'created', actorType: 'user', actorName: 'Gina Guest', changes: {}, createdAt },
+        { type: 'status_changed', actorType: 'system', actorName: null, changes: { status: { from: 'pending', to: 'expired' } }, createdAt }
+      ]);
+
+      expect(timeline).to.deep.equal([
+        { at: createdAt, type: 'created', actor: 'user (Gina Guest)', summary: 'Booking created' },
+        { at: createdAt, type: 'status_changed', actor: 'system', summary: 'Status changed from pending to expired' }
+      ]);
+    });
+  });
+});
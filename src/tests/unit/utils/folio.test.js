@@ -0,0 +1,101 @@
+/**
+ * Unit Test for Booking Folio Utility
+ *
+ * Tests the folio lines for a stay, its incidental charges, payments and
+ * refunds, and the balance running down them
+ */
+
+const { expect } = require('chai');
+const { buildFolio, closingBalanceNote } = require('../../../utils/booking/folio');
+
+describe('Booking Folio Utility', () => {
+  const booking = {
+    bookingId: 'BK-1',
+    firstName: 'Ann',
+    lastName: 'Lee',
+    roomTitle: 'Deluxe',
+    nights: 2,
+    basePrice: '5000.00',
+    discountAmount: '0',
+    taxBreakdown: [{ name: 'VAT', amount: '600.00' }],
+    totalPrice: '5600.00',
+    paymentStatus: 'pending',
+    createdAt: new Date('2030-07-01T08:00:00Z')
+  };
+  const at = (time) => new Date(`2030-07-10T${time}:00Z`);
+  const captured = { id: 'p1', status: 'captured', method: 'credit_card', amount: '5600.00', capturedAt: at('10:00') };
+  const minibar = {
+    id: 'f1', type: 'charge', category: 'minibar', description: '2 x Beer',
+    quantity: 2, unitPrice: '150.00', amount: '300.00', createdAt: at('21:00')
+  };
+
+  describe('buildFolio', () => {
+    it('should list the stay, then posted charges and payments in the order they happened', () => {
+      const folio = buildFolio(booking, [captured], [], [minibar]);
+
+      expect(folio.items.map(item => [item.type, item.amount, item.balance])).to.deep.equal([
+        ['room', 5000, 5000],
+        ['tax', 600, 5600],
+        ['payment', -5600, 0],
+        ['charge', 300, 300]
+      ]);
+      expect(folio.total).to.equal(5900);
+      expect(folio.amountPaid).to.equal(5600);
+      expect(folio.balanceDue).to.equal(300);
+    });
+
+    it('should show voided items without counting them', () => {
+      const voided = { ...minibar, voidedAt: at('22:00'), voidReason: 'Posted to the wrong room' };
+      const folio = buildFolio(booking, [captured], [], [voided]);
+
+      const line = folio.items.find(item => item.id === 'f1');
+      expect(line.voided).to.equal(true);
+      expect(line.balance).to.equal(0);
+      expect(folio.total).to.equal(5600);
+      expect(folio.balanceDue).to.equal(0);
+    });
+
+    it('should credit the guest for a negative adjustment', () => {
+      const credit = { id: 'f2', type: 'adjustment', category: null, description: 'Late check-in', quantity: 1, unitPrice: '-500.00', amount: '-500.00', createdAt: at('12:00') };
+      const folio = buildFolio(booking, [], [], [credit]);
+
+      expect(folio.total).to.equal(5100);
+      expect(folio.balanceDue).to.equal(5100);
+    });
+
+    it('should list refunds without reopening the balance', () => {
+      const refund = { id: 'r1', status: 'succeeded', amount: '600.00', reason: 'Noisy room', updatedAt: at('11:00') };
+      const folio = buildFolio(booking, [captured], [refund, { ...refund, id: 'r2', status: 'failed' }], []);
+
+      expect(folio.items.filter(item => item.type === 'refund')).to.have.length(1);
+      expect(folio.amountRefunded).to.equal(600);
+      expect(folio.balanceDue).to.equal(0);
+    });
+
+    it('should count a booking marked paid before the ledger as paid', () => {
+      const folio = buildFolio({ ...booking, paymentStatus: 'paid' }, [], [], [minibar]);
+
+      expect(folio.amountPaid).to.equal(5600);
+      expect(folio.balanceDue).to.equal(300);
+    });
+  });
+
+  describe('closingBalanceNote', () => {
+    it('should close a settled stay without a note', () => {
+      expect(closingBalanceNote(buildFolio(booking, [captured]))).to.equal(null);
+    });
+
+    it('should refuse to close a stay with a balance due', () => {
+      const folio = buildFolio(booking, [captured], [], [minibar]);
+
+      expect(() => closingBalanceNote(folio)).to.throw('The guest still owes PHP 300.00').with.property('statusCode', 409);
+    });
+
+    it('should record why a balance was overridden', () => {
+      const folio = buildFolio(booking, [captured], [], [minibar]);
+
+      expect(closingBalanceNote(folio, { override: true, overrideReason: 'Invoice to company' }))
+        .to.equal('Checked out with PHP 300.00 outstanding: Invoice to company');
+    });
+  });
+});
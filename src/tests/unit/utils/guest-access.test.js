@@ -0,0 +1,80 @@
+/**
+ * Unit Test for Guest Booking Access Utility
+ *
+ * Tests magic-link tokens and the limited lookup view
+ */
+
+const { expect } = require('chai');
+const jwt = require('jsonwebtoken');
+const {
+  normalizeEmail,
+  signBookingAccessToken,
+  verifyBookingAccessToken,
+  buildMagicLinkUrl,
+  formatBookingSummary
+} = require('../../../utils/booking/guest-access');
+const { generateToken } = require('../../../utils/jwt');
+
+describe('Guest Booking Access Utility', () => {
+  const booking = {
+    id: '6f1c1f8e-2f55-4c8e-9d8a-0c1f6f6b9a11',
+    bookingId: 'BK-123456-ABC',
+    firstName: 'Gina',
+    lastName: 'Guest',
+    email: ' Gina@Example.com ',
+    phone: '+63 900 000 0000',
+    roomTitle: 'Deluxe King',
+    roomCategory: 'deluxe-room',
+    checkIn: '2030-07-10',
+    checkOut: '2030-07-12',
+    nights: 2,
+    guests: 2,
+    totalPrice: '5600.00',
+    status: 'confirmed',
+    cancellationPolicy: { id: 'p1', name: 'moderate', tiers: [] }
+  };
+
+  describe('normalizeEmail', () => {
+    it('should trim and lower-case emails', () => {
+      expect(normalizeEmail(booking.email)).to.equal('gina@example.com');
+    });
+  });
+
+  describe('booking access tokens', () => {
+    it('should round-trip the booking ID and normalized email', () => {
+      const decoded = verifyBookingAccessToken(signBookingAccessToken(booking));
+      expect(decoded.bookingId).to.equal(booking.id);
+      expect(decoded.email).to.equal('gina@example.com');
+    });
+
+    it('should reject login tokens and tampered tokens', () => {
+      expect(verifyBookingAccessToken(generateToken('user-1', 'user'))).to.be.null;
+      expect(verifyBookingAccessToken(`${signBookingAccessToken(booking)}x`)).to.be.null;
+    });
+
+    it('should reject expired tokens', () => {
+      const token = jwt.sign(
+        { purpose: 'booking_access', bookingId: booking.id, email: 'gina@example.com' },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: -1 }
+      );
+      expect(verifyBookingAccessToken(token)).to.be.null;
+    });
+  });
+
+  describe('buildMagicLinkUrl', () => {
+    it('should keep the token in the URL fragment', () => {
+      expect(buildMagicLinkUrl('abc.def')).to.match(/\/bookings\/manage#token=abc\.def$/);
+    });
+  });
+
+  describe('formatBookingSummary', () => {
+    it('should leave out contact details', () => {
+      const summary = formatBookingSummary(booking);
+      expect(summary.guestName).to.equal('Gina G.');
+      expect(summary.totalPrice).to.equal(5600);
+      expect(summary.cancellationPolicy).to.equal('moderate');
+      expect(summary).not.to.have.any.keys('email', 'phone', 'id');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Unit Test for Booking Holds Utility
+ *
+ * Tests placing checkout holds, using stubs for the database, pricing and
+ * room availability
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const { BookingConflictError } = require('../../../utils/booking/availability');
+
+describe('Booking Holds Utility', () => {
+  const room = { id: 'room-1', title: 'Deluxe', category: 'deluxe', location: 'A' };
+  const user = { id: 'user-1', name: 'Ann Lee', email: 'ann@example.com' };
+  const quote = {
+    nights: 2,
+    subtotal: 5000,
+    taxAndFees: 600,
+    taxes: [{ name: 'VAT', amount: 600 }],
+    totalPrice: 5600,
+    discountTotal: 0,
+    promotionId: null,
+    promoCode: null,
+    cancellationPolicy: null
+  };
+
+  let placeHold;
+  let HOLD_MINUTES;
+  let assertRoomAvailable;
+  let recordBookingEvents;
+  let inserted;
+  let db;
+
+  beforeEach(() => {
+    inserted = [];
+    const tx = {
+      insert: () => ({
+        values: (values) => ({
+          returning: async () => {
+            inserted.push(values);
+            return [{ id: 'booking-1', ...values }];
+          }
+        })
+      })
+    };
+    db = { transaction: (fn) => fn(tx) };
+
+    assertRoomAvailable = sinon.stub().resolves();
+    recordBookingEvents = sinon.stub().resolves();
+
+    ({ placeHold, HOLD_MINUTES } = proxyquire('../../../utils/booking/holds', {
+      './availability': { assertRoomAvailable },
+      './pricing': { priceStay: sinon.stub().resolves(quote) },
+      './events': { recordBookingEvents }
+    }));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('placeHold', () => {
+    it('should hold the room as a pending booking that lapses after the hold time', async () => {
+      const before = Date.now();
+      const { hold } = await placeHold(db, { room, user, checkIn: '2030-07-10', checkOut: '2030-07-12', adults: 2 });
+
+      expect(hold).to.include({ status: 'pending', paymentStatus: 'pending', roomId: 'room-1', checkIn: '2030-07-10', checkOut: '2030-07-12' });
+      expect(hold).to.include({ firstName: 'Ann', lastName: 'Lee', guests: 2, totalPrice: '5600' });
+
+      const lapsesIn = hold.holdExpiresAt.getTime() - before;
+      expect(lapsesIn).to.be.at.least(HOLD_MINUTES * 60 * 1000);
+      expect(lapsesIn).to.be.below(HOLD_MINUTES * 60 * 1000 + 5000);
+    });
+
+    it('should check availability and record the hold in the booking history', async () => {
+      await placeHold(db, { room, user, checkIn: '2030-07-10', checkOut: '2030-07-12', note: 'From the waitlist' });
+
+      expect(assertRoomAvailable.calledOnce).to.be.true;
+      expect(assertRoomAvailable.firstCall.args[1]).to.deep.equal({ roomId: 'room-1', checkIn: '2030-07-10', checkOut: '2030-07-12' });
+      expect(recordBookingEvents.firstCall.args[1]).to.include({ type: 'created', actorType: 'user', actorId: 'user-1', note: 'From the waitlist' });
+    });
+
+    it('should not hold a room that is already taken', async () => {
+      assertRoomAvailable.rejects(new BookingConflictError([{ checkIn: '2030-07-11', checkOut: '2030-07-13' }]));
+
+      let error;
+      try {
+        await placeHold(db, { room, user, checkIn: '2030-07-10', checkOut: '2030-07-12' });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).to.be.instanceOf(BookingConflictError);
+      expect(error.statusCode).to.equal(409);
+      expect(inserted).to.have.length(0);
+    });
+  });
+});
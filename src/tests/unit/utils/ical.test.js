@@ -0,0 +1,163 @@
+/**
+ * Unit Test for Booking iCalendar Utility
+ *
+ * Tests the .ics output for a booking (times, escaping and line folding),
+ * room availability feeds and parsing of external feeds
+ */
+
+const { expect } = require('chai');
+const {
+  formatIcalDate,
+  escapeText,
+  foldLine,
+  buildBookingCalendar,
+  buildAvailabilityCalendar,
+  parseCalendar,
+  calendarFileName
+} = require('../../../utils/booking/ical');
+const { checkInMoment, checkOutMoment } = require('../../../utils/booking/hotel-time');
+
+describe('Booking iCalendar Utility', () => {
+  const booking = {
+    id: '6f1c1f8e-2f55-4c8e-9d8a-0c1f6f6b9a11',
+    bookingId: 'BK-123456-ABC',
+    roomTitle: 'Deluxe King, Sea View',
+    location: 'Tower A; Floor 12',
+    checkIn: '2030-07-10',
+    checkOut: '2030-07-12',
+    guests: 2,
+    status: 'confirmed',
+    updatedAt: new Date('2030-07-01T00:00:00Z')
+  };
+
+  describe('formatIcalDate', () => {
+    it('should format moments as UTC date-times', () => {
+      expect(formatIcalDate(new Date('2030-07-10T06:00:00.000Z'))).to.equal('20300710T060000Z');
+    });
+  });
+
+  describe('escapeText', () => {
+    it('should escape commas, semicolons, backslashes and newlines', () => {
+      expect(escapeText('a,b;c\\d\ne')).to.equal('a\\,b\\;c\\\\d\\ne');
+    });
+  });
+
+  describe('foldLine', () => {
+    it('should leave short lines alone', () => {
+      expect(foldLine('SUMMARY:Stay')).to.equal('SUMMARY:Stay');
+    });
+
+    it('should fold long lines at 75 octets without splitting characters', () => {
+      const folded = foldLine(`DESCRIPTION:${'é'.repeat(80)}`);
+      const lines = folded.split('\r\n');
+
+      expect(lines.length).to.be.greaterThan(1);
+      lines.forEach(line => expect(Buffer.byteLength(line)).to.be.at.most(75));
+      expect(lines.slice(1).every(line => line.startsWith(' '))).to.be.true;
+      expect(lines.map((line, index) => (index === 0 ? line : line.slice(1))).join('')).to.equal(`DESCRIPTION:${'é'.repeat(80)}`);
+    });
+  });
+
+  describe('buildBookingCalendar', () => {
+    const ics = buildBookingCalendar(booking, new Date('2030-07-02T00:00:00Z'));
+    const lines = ics.split('\r\n');
+
+    it('should be one VEVENT in a VCALENDAR with CRLF line endings', () => {
+      expect(lines[0]).to.equal('BEGIN:VCALENDAR');
+      expect(lines).to.include('BEGIN:VEVENT');
+      expect(lines).to.include('END:VEVENT');
+      expect(ics.endsWith('END:VCALENDAR\r\n')).to.be.true;
+      expect(ics.replace(/\r\n/g, '')).to.not.include('\n');
+    });
+
+    it('should run from check-in time to check-out time rather than all day', () => {
+      expect(lines).to.include(`DTSTART:${formatIcalDate(checkInMoment('2030-07-10'))}`);
+      expect(lines).to.include(`DTEND:${formatIcalDate(checkOutMoment('2030-07-12'))}`);
+      expect(ics).to.not.include('VALUE=DATE');
+    });
+
+    it('should include the room, location and booking reference', () => {
+      const unfolded = ics.replace(/\r\n /g, '');
+
+      expect(unfolded).to.include(`UID:${booking.id}`);
+      expect(unfolded).to.match(/SUMMARY:.*Deluxe King\\, Sea View/);
+      expect(unfolded).to.include('LOCATION:Tower A\\; Floor 12');
+      expect(unfolded).to.include('Booking reference: BK-123456-ABC');
+      expect(unfolded).to.include('STATUS:CONFIRMED');
+    });
+
+    it('should mark cancelled bookings as cancelled', () => {
+      expect(buildBookingCalendar({ ...booking, status: 'cancelled' })).to.include('STATUS:CANCELLED');
+    });
+  });
+
+  describe('buildAvailabilityCalendar', () => {
+    const ics = buildAvailabilityCalendar(
+      { id: 'room-1', title: 'Deluxe King' },
+      [{ id: 'b1', checkIn: '2030-07-10', checkOut: '2030-07-12' }],
+      new Date('2030-07-02T00:00:00Z')
+    );
+
+    it('should list taken ranges as all-day events ending on check-out', () => {
+      expect(ics).to.include('DTSTART;VALUE=DATE:20300710');
+      expect(ics).to.include('DTEND;VALUE=DATE:20300712');
+      expect(ics).to.include('UID:availability-b1');
+    });
+
+    it('should not reveal anything about the guest', () => {
+      expect(ics).to.include('SUMMARY:Not available');
+      expect(ics).to.not.include('DESCRIPTION');
+    });
+  });
+
+  describe('parseCalendar', () => {
+    const feed = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:abc@platform.example',
+      'DTSTART;VALUE=DATE:20300710',
+      'DTEND;VALUE=DATE:20300713',
+      'SUMMARY:Reserved\, Jane',
+      'BEGIN:VALARM',
+      'UID:alarm',
+      'END:VALARM',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:one-day',
+      'DTSTART;TZID="Europe/Paris:x":20300801T150000',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    it('should read all-day events as date ranges', () => {
+      const [event] = parseCalendar(feed);
+
+      expect(event).to.include({ uid: 'abc@platform.example', startDate: '2030-07-10', endDate: '2030-07-13', summary: 'Reserved, Jane' });
+    });
+
+    it('should give an event without an end one day, even with quoted parameters', () => {
+      const events = parseCalendar(feed);
+
+      expect(events).to.have.lengthOf(2);
+      expect(events[1]).to.include({ uid: 'one-day', startDate: '2030-08-01', endDate: '2030-08-02' });
+    });
+
+    it('should unfold folded lines', () => {
+      const [event] = parseCalendar('BEGIN:VEVENT\r\nUID:long\r\n -uid\r\nDTSTART:20300710\r\nEND:VEVENT');
+
+      expect(event.uid).to.equal('long-uid');
+    });
+
+    it('should read back the feed it writes', () => {
+      const ics = buildAvailabilityCalendar({ id: 'room-1', title: 'Room' }, [{ id: 'b1', checkIn: '2030-07-10', checkOut: '2030-07-12' }]);
+
+      expect(parseCalendar(ics)[0]).to.include({ uid: 'availability-b1', startDate: '2030-07-10', endDate: '2030-07-12' });
+    });
+  });
+
+  describe('calendarFileName', () => {
+    it('should name the file after the booking reference', () => {
+      expect(calendarFileName(booking)).to.equal('BK-123456-ABC.ics');
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Unit Test for Booking Invoices Utility
+ *
+ * Tests what goes on an invoice and the credit note that cancels it, which
+ * invoice stands for a booking, and the PDF they are rendered to
+ */
+
+const { expect } = require('chai');
+const { buildFolio } = require('../../../utils/booking/folio');
+const {
+  billingDetails,
+  invoiceContent,
+  creditNoteContent,
+  currentInvoice,
+  renderInvoicePdf
+} = require('../../../utils/booking/invoices');
+
+describe('Booking Invoices Utility', () => {
+  const booking = {
+    bookingId: 'BK-1',
+    firstName: 'Ann',
+    lastName: 'Lee',
+    email: 'ann@example.com',
+    roomTitle: 'Deluxe',
+    checkIn: '2030-07-10',
+    checkOut: '2030-07-12',
+    nights: 2,
+    basePrice: '5000.00',
+    discountAmount: '0',
+    taxBreakdown: [{ name: 'VAT', amount: '600.00' }],
+    totalPrice: '5600.00',
+    paymentStatus: 'pending',
+    createdAt: new Date('2030-07-01T08:00:00Z')
+  };
+  const at = (time) => new Date(`2030-07-10T${time}:00Z`);
+  const deposit = { id: 'p1', status: 'captured', method: 'credit_card', amount: '2000.00', capturedAt: at('10:00') };
+  const minibar = {
+    id: 'f1', type: 'charge', category: 'minibar', description: '2 x Beer',
+    quantity: 2, unitPrice: '150.00', amount: '300.00', createdAt: at('21:00')
+  };
+
+  describe('billingDetails', () => {
+    it('should bill the guest on the booking by default', () => {
+      expect(billingDetails(booking)).to.include({ name: 'Ann Lee', company: null, email: 'ann@example.com' });
+    });
+
+    it('should bill a company when given', () => {
+      const billTo = billingDetails(booking, { name: 'Accounts', company: 'Acme Corp', taxId: '123-456' });
+      expect(billTo).to.include({ name: 'Accounts', company: 'Acme Corp', taxId: '123-456', email: 'ann@example.com' });
+    });
+  });
+
+  describe('invoiceContent', () => {
+    it('should list billed lines, taxes and payments with totals', () => {
+      const content = invoiceContent(buildFolio(booking, [deposit], [], [minibar]));
+
+      expect(content.lines.map(line => [line.description, line.quantity, line.unitPrice, line.amount])).to.deep.equal([
+        ['Deluxe (2 nights)', 1, 5000, 5000],
+        ['2 x Beer', 2, 150, 300]
+      ]);
+      expect(content.taxes).to.deep.equal([{ name: 'VAT', amount: 600 }]);
+      expect(content.payments.map(payment => payment.amount)).to.deep.equal([2000]);
+      expect(content).to.include({ subtotal: 5300, taxTotal: 600, total: 5900, amountPaid: 2000, balanceDue: 3900 });
+      expect(content.stay).to.include({ bookingId: 'BK-1', checkIn: '2030-07-10', nights: 2 });
+    });
+
+    it('should leave voided charges off the invoice', () => {
+      const voided = { ...minibar, voidedAt: at('22:00'), voidReason: 'Wrong room' };
+      const content = invoiceContent(buildFolio(booking, [], [], [voided]));
+
+      expect(content.lines).to.have.length(1);
+      expect(content.total).to.equal(5600);
+    });
+
+    it('should show refunds as money sent back', () => {
+      const refund = { id: 'r1', status: 'succeeded', amount: '500.00', updatedAt: at('11:00') };
+      const content = invoiceContent(buildFolio(booking, [deposit], [refund], []));
+
+      expect(content.payments.map(payment => [payment.type, payment.amount])).to.deep.equal([
+        ['payment', 2000],
+        ['refund', -500]
+      ]);
+      expect(content.amountPaid).to.equal(1500);
+    });
+  });
+
+  describe('creditNoteContent', () => {
+    it('should reverse every line and tax of the invoice', () => {
+      const invoice = { ...invoiceContent(buildFolio(booking, [deposit], [], [minibar])), currency: 'PHP' };
+      const content = creditNoteContent(invoice);
+
+      expect(content.lines.map(line => line.amount)).to.deep.equal([-5000, -300]);
+      expect(content.lines[1].unitPrice).to.equal(-150);
+      expect(content.taxes).to.deep.equal([{ name: 'VAT', amount: -600 }]);
+      expect(content).to.include({ subtotal: -5300, taxTotal: -600, total: -5900, amountPaid: 0 });
+      expect(content.payments).to.deep.equal([]);
+    });
+  });
+
+  describe('currentInvoice', () => {
+    it('should return the latest invoice that has not been credited', () => {
+      const documents = [
+        { id: 'i1', type: 'invoice', invoiceNumber: 'INV-2030-000001' },
+        { id: 'c1', type: 'credit_note', invoiceNumber: 'CN-2030-000001', creditedInvoiceId: 'i1' },
+        { id: 'i2', type: 'invoice', invoiceNumber: 'INV-2030-000002' }
+      ];
+
+      expect(currentInvoice(documents).id).to.equal('i2');
+      expect(currentInvoice(documents.slice(0, 2))).to.equal(null);
+      expect(currentInvoice([])).to.equal(null);
+    });
+  });
+
+  describe('renderInvoicePdf', () => {
+    const invoice = {
+      ...invoiceContent(buildFolio(booking, [deposit], [], [minibar])),
+      invoiceNumber: 'INV-2030-000001',
+      type: 'invoice',
+      seller: { name: 'Grand Vista Hotel', address: '123 Roxas Boulevard', city: 'Manila', phone: '+63 2 8123 4567', email: 'frontdesk@example.com' },
+      billTo: billingDetails(booking, { company: 'Acme (Phil.) Corp' }),
+      issuedAt: at('12:00')
+    };
+
+    it('should write a complete PDF with the invoice details', () => {
+      const pdf = renderInvoicePdf(invoice);
+      const text = pdf.toString('latin1');
+
+      expect(text.startsWith('%PDF-1.4')).to.equal(true);
+      expect(text.trimEnd().endsWith('%%EOF')).to.equal(true);
+      expect(text).to.include('(INVOICE)');
+      expect(text).to.include('(Number: INV-2030-000001)');
+      expect(text).to.include('(Grand Vista Hotel)');
+      expect(text).to.include('(Acme \\(Phil.\\) Corp)');
+      expect(text).to.include('(5,900.00)');
+      expect(text).to.include('(3,900.00)');
+    });
+
+    it('should render the same invoice to the same bytes', () => {
+      expect(renderInvoicePdf(invoice).equals(renderInvoicePdf(invoice))).to.equal(true);
+    });
+
+    it('should name the invoice a credit note cancels', () => {
+      const creditNote = {
+        ...invoice,
+        ...creditNoteContent(invoice),
+        invoiceNumber: 'CN-2030-000001',
+        type: 'credit_note',
+        reason: 'Billed to the wrong company'
+      };
+      const text = renderInvoicePdf(creditNote, { creditedInvoiceNumber: 'INV-2030-000001' }).toString('latin1');
+
+      expect(text).to.include('(CREDIT NOTE)');
+      expect(text).to.include('(Credits invoice: INV-2030-000001)');
+      expect(text).to.include('(-5,900.00)');
+    });
+  });
+});
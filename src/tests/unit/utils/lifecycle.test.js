@@ -0,0 +1,135 @@
+/**
+ * Unit Test for Booking Lifecycle Utility
+ *
+ * Tests the transition table, guards and transition errors
+ */
+
+const { expect } = require('chai');
+const {
+  BookingTransitionError,
+  isFinalStatus,
+  canTransition,
+  assertTransition
+} = require('../../../utils/booking/lifecycle');
+
+describe('Booking Lifecycle Utility', () => {
+  // Check-out is at 12:00 hotel time (+08:00), i.e. 04:00 UTC
+  const confirmed = {
+    bookingId: 'BK-1',
+    status: 'confirmed',
+    checkIn: '2030-07-10',
+    checkOut: '2030-07-12'
+  };
+
+  const hold = {
+    bookingId: 'BK-2',
+    status: 'pending',
+    checkIn: '2030-07-10',
+    checkOut: '2030-07-12',
+    holdExpiresAt: new Date('2030-07-01T10:15:00Z')
+  };
+
+  describe('canTransition', () => {
+    it('should allow the documented transitions', () => {
+      expect(canTransition('pending', 'confirmed')).to.be.true;
+      expect(canTransition('pending', 'expired')).to.be.true;
+      expect(canTransition('confirmed', 'completed')).to.be.true;
+      expect(canTransition('confirmed', 'cancelled')).to.be.true;
+      expect(canTransition('confirmed', 'checked_in')).to.be.true;
+      expect(canTransition('checked_in', 'completed')).to.be.true;
+    });
+
+    it('should not let a checked-in guest cancel', () => {
+      expect(canTransition('checked_in', 'cancelled')).to.be.false;
+    });
+
+    it('should refuse transitions out of final statuses', () => {
+      expect(canTransition('cancelled', 'confirmed')).to.be.false;
+      expect(canTransition('completed', 'cancelled')).to.be.false;
+      expect(canTransition('expired', 'confirmed')).to.be.false;
+      expect(canTransition('confirmed', 'pending')).to.be.false;
+    });
+  });
+
+  describe('isFinalStatus', () => {
+    it('should treat cancelled, completed, expired and no_show as final', () => {
+      expect(['cancelled', 'completed', 'expired', 'no_show'].every(isFinalStatus)).to.be.true;
+      expect(isFinalStatus('pending')).to.be.false;
+      expect(isFinalStatus('confirmed')).to.be.false;
+      expect(isFinalStatus('checked_in')).to.be.false;
+    });
+  });
+
+  describe('assertTransition', () => {
+    it('should reject unknown statuses with a 400', () => {
+      expect(() => assertTransition(confirmed, 'archived'))
+        .to.throw('Unknown booking status').with.property('statusCode', 400);
+    });
+
+    it('should reject moving to the current status', () => {
+      expect(() => assertTransition(confirmed, 'confirmed'))
+        .to.throw(BookingTransitionError, 'already confirmed');
+    });
+
+    it('should explain which statuses a booking can move to', () => {
+      try {
+        assertTransition({ ...confirmed, status: 'cancelled' }, 'completed');
+        expect.fail('expected a transition error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(BookingTransitionError);
+        expect(error.statusCode).to.equal(409);
+        expect(error.message).to.equal('Cannot change booking BK-1 from cancelled to completed: cancelled is a final status');
+        expect(error.allowed).to.deep.equal([]);
+      }
+    });
+
+    it('should only complete a stay once check-out day arrives', () => {
+      expect(() => assertTransition(confirmed, 'completed', { at: new Date('2030-07-11T10:00:00Z') }))
+        .to.throw(BookingTransitionError, 'does not end until 2030-07-12');
+      expect(() => assertTransition(confirmed, 'completed', { at: new Date('2030-07-11T17:00:00Z') }))
+        .not.to.throw();
+    });
+
+    it('should only check guests in during their stay', () => {
+      expect(() => assertTransition(confirmed, 'checked_in', { actor: 'staff', at: new Date('2030-07-09T10:00:00Z') }))
+        .to.throw(BookingTransitionError, 'does not start until 2030-07-10');
+      expect(() => assertTransition(confirmed, 'checked_in', { actor: 'staff', at: new Date('2030-07-09T17:00:00Z') }))
+        .not.to.throw();
+      expect(() => assertTransition(confirmed, 'checked_in', { actor: 'staff', at: new Date('2030-07-12T01:00:00Z') }))
+        .to.throw(BookingTransitionError, 'already ended');
+    });
+
+    it('should only let the hotel flag a no-show after the cutoff', () => {
+      // Cutoff is 12 hours after 14:00 hotel time on the check-in date
+      const afterCutoff = new Date('2030-07-10T19:00:00Z');
+      expect(() => assertTransition(confirmed, 'no_show', { actor: 'guest', at: afterCutoff }))
+        .to.throw(BookingTransitionError, 'only the hotel');
+      expect(() => assertTransition(confirmed, 'no_show', { actor: 'system', at: new Date('2030-07-10T12:00:00Z') }))
+        .to.throw(BookingTransitionError, 'to check in');
+      expect(() => assertTransition(confirmed, 'no_show', { actor: 'system', at: afterCutoff })).not.to.throw();
+    });
+
+    it('should refuse cancelling a stay that has ended', () => {
+      expect(() => assertTransition(confirmed, 'cancelled', { at: new Date('2030-07-12T01:00:00Z') }))
+        .to.throw(BookingTransitionError, 'already ended');
+      expect(() => assertTransition(confirmed, 'cancelled', { at: new Date('2030-07-11T01:00:00Z') }))
+        .not.to.throw();
+    });
+
+    it('should refuse confirming a lapsed hold', () => {
+      expect(() => assertTransition(hold, 'confirmed', { at: new Date('2030-07-01T10:20:00Z') }))
+        .to.throw(BookingTransitionError, 'hold has expired');
+      expect(() => assertTransition(hold, 'confirmed', { at: new Date('2030-07-01T10:00:00Z') }))
+        .not.to.throw();
+    });
+
+    it('should only let the system expire lapsed holds', () => {
+      const after = new Date('2030-07-01T10:20:00Z');
+      expect(() => assertTransition(hold, 'expired', { actor: 'admin', at: after }))
+        .to.throw(BookingTransitionError, 'expire on their own');
+      expect(() => assertTransition(hold, 'expired', { actor: 'system', at: new Date('2030-07-01T10:00:00Z') }))
+        .to.throw(BookingTransitionError, 'past their deadline');
+      expect(() => assertTransition(hold, 'expired', { actor: 'system', at: after })).not.to.throw();
+    });
+  });
+});
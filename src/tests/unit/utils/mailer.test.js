@@ -0,0 +1,158 @@
+/**
+ * Unit Test for Mailer Utility
+ *
+ * Tests email templates and queued delivery through the memory transport
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const mailer = require('../../../utils/mailer');
+const memoryTransport = require('../../../utils/mailer/memoryTransport');
+const jsonTransport = require('../../../utils/mailer/jsonTransport');
+const { TEMPLATE_NAMES, escapeHtml, renderTemplate } = require('../../../utils/mailer/templates');
+const notifications = require('../../../utils/notifications');
+
+describe('Mailer Utility', () => {
+  const booking = {
+    bookingId: 'BK-123456-ABC',
+    firstName: 'Gina',
+    email: 'gina@example.com',
+    roomTitle: 'Deluxe <King>',
+    checkIn: '2030-07-10',
+    checkOut: '2030-07-12',
+    nights: 2,
+    guests: 2,
+    totalPrice: '5600.00',
+    cancellationPenalty: '2800.00',
+    refundAmount: '2800.00'
+  };
+
+  describe('renderTemplate', () => {
+    it('should have a template for each transactional email', () => {
+      expect(TEMPLATE_NAMES).to.include.members([
+        'welcome', 'booking_confirmation', 'booking_modification', 'booking_cancellation', 'booking_magic_link', 'password_reset'
+      ]);
+    });
+
+    it('should render booking details in text and escaped HTML', () => {
+      const mail = renderTemplate('booking_confirmation', { booking });
+
+      expect(mail.subject).to.equal('Booking confirmed: BK-123456-ABC');
+      expect(mail.text).to.include('Check-in: 2030-07-10');
+      expect(mail.text).to.match(/Total: \w+ 5,600\.00/);
+      expect(mail.html).to.include('Deluxe &lt;King&gt;');
+      expect(mail.html).to.not.include('<King>');
+    });
+
+    it('should attach the stay as an .ics file to a confirmation', () => {
+      const [attachment] = renderTemplate('booking_confirmation', { booking }).attachments;
+
+      expect(attachment.filename).to.equal('BK-123456-ABC.ics');
+      expect(attachment.contentType).to.match(/^text\/calendar/);
+      expect(attachment.content).to.include('BEGIN:VEVENT');
+    });
+
+    it('should show the fee and refund on a cancellation', () => {
+      const mail = renderTemplate('booking_cancellation', { booking });
+
+      expect(mail.text).to.match(/Cancellation fee: \w+ 2,800\.00/);
+      expect(mail.text).to.match(/Refund: \w+ 2,800\.00/);
+    });
+
+    it('should put the manage link in a booking magic-link email', () => {
+      const manageUrl = 'http://localhost:3000/bookings/manage#token=abc';
+      const mail = renderTemplate('booking_magic_link', { booking, manageUrl, expiresIn: '48h' });
+
+      expect(mail.subject).to.equal('Manage your booking BK-123456-ABC');
+      expect(mail.text).to.include(`Manage your booking: ${manageUrl}`);
+      expect(mail.text).to.include('expires in 48h');
+      expect(mail.html).to.include(`href="${manageUrl}"`);
+    });
+
+    it('should put the reset link in a password reset email', () => {
+      const resetUrl = 'http://localhost:3000/reset-password?token=abc';
+      const mail = renderTemplate('password_reset', { user: { name: 'Gina' }, resetUrl, expiresIn: '1 hour' });
+
+      expect(mail.text).to.include(resetUrl);
+      expect(mail.html).to.include(`href="${escapeHtml(resetUrl)}"`);
+    });
+
+    it('should reject unknown templates', () => {
+      expect(() => renderTemplate('nope', {})).to.throw('Unknown email template: nope');
+    });
+  });
+
+  describe('sendMail', () => {
+    const original = mailer.getTransport();
+
+    beforeEach(() => {
+      memoryTransport.clear();
+      mailer.setTransport(memoryTransport);
+    });
+
+    afterEach(() => {
+      mailer.setTransport(original);
+    });
+
+    it('should queue emails without waiting for delivery', async () => {
+      const mail = mailer.sendMail('welcome', 'gina@example.com', { user: { name: 'Gina' } });
+
+      expect(mail.subject).to.match(/^Welcome to /);
+      expect(memoryTransport.sent).to.have.lengthOf(0);
+
+      await mailer.flushMail();
+
+      expect(memoryTransport.sent).to.have.lengthOf(1);
+      expect(memoryTransport.sent[0]).to.include({ template: 'welcome', to: 'gina@example.com' });
+    });
+
+    it('should not throw when the transport fails', async () => {
+      let attempts = 0;
+      mailer.setTransport({ name: 'broken', send: async () => { attempts += 1; throw new Error('SMTP down'); } });
+
+      expect(mailer.sendMail('welcome', 'gina@example.com', { user: { name: 'Gina' } })).to.be.an('object');
+      await mailer.flushMail();
+
+      expect(attempts).to.equal(1);
+    });
+
+    it('should skip emails that cannot be rendered or have no recipient', () => {
+      expect(mailer.sendMail('nope', 'gina@example.com', {})).to.be.null;
+      expect(mailer.sendMail('welcome', '', { user: { name: 'Gina' } })).to.be.null;
+    });
+
+    it('should deliver notifications through the email notifier', async () => {
+      const originalNotifier = notifications.getNotifier();
+      notifications.setNotifier('email');
+
+      try {
+        await notifications.notify({ type: 'booking_magic_link', to: 'gina@example.com', subject: 'Manage your booking', text: 'Link:\nhttp://x' });
+        await mailer.flushMail();
+      } finally {
+        notifications.setNotifier(originalNotifier);
+      }
+
+      expect(memoryTransport.sent).to.have.lengthOf(1);
+      expect(memoryTransport.sent[0]).to.include({ template: 'notification', subject: 'Manage your booking' });
+      expect(memoryTransport.sent[0].html).to.include('Link:<br>http://x');
+    });
+  });
+
+  describe('jsonTransport', () => {
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('should log who an email went to without its body when no directory is set', async () => {
+      sinon.stub(console, 'log');
+      const mail = renderTemplate('password_reset', { user: { name: 'Gina' }, resetUrl: 'http://localhost/reset?token=secret-token', expiresIn: '1 hour' });
+
+      const { messageId } = await jsonTransport.send({ ...mail, template: 'password_reset', to: 'gina@example.com' });
+
+      expect(console.log.calledOnce).to.be.true;
+      const line = console.log.firstCall.args[0];
+      expect(line).to.include('password_reset -> gina@example.com').and.include(mail.subject).and.include(messageId);
+      expect(line).not.to.include('secret-token');
+    });
+  });
+});
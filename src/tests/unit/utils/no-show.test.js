@@ -0,0 +1,50 @@
+/**
+ * Unit Test for No-Show Utility
+ *
+ * Tests the no-show cutoff and penalty policies
+ */
+
+const { expect } = require('chai');
+const { noShowCutoff, computeNoShowPenalty } = require('../../../utils/booking/no-show');
+
+describe('No-Show Utility', () => {
+  const booking = {
+    checkIn: '2030-07-10',
+    checkOut: '2030-07-13',
+    nights: 3,
+    totalPrice: '1000.00'
+  };
+
+  describe('noShowCutoff', () => {
+    it('should fall the configured hours after check-in time', () => {
+      // 14:00 hotel time (+08:00) is 06:00 UTC; the default cutoff is 12 hours later
+      expect(noShowCutoff(booking).toISOString()).to.equal('2030-07-10T18:00:00.000Z');
+    });
+
+    it('should never fall after check-out time', () => {
+      const sameDay = { ...booking, checkIn: '2030-07-10', checkOut: '2030-07-10' };
+      expect(noShowCutoff(sameDay).toISOString()).to.equal('2030-07-10T04:00:00.000Z');
+    });
+  });
+
+  describe('computeNoShowPenalty', () => {
+    it('should charge one night under the first_night policy', () => {
+      const penalty = computeNoShowPenalty(booking, 'first_night');
+      expect(penalty.penalty).to.equal(333.33);
+      expect(penalty.refundAmount).to.equal(666.67);
+      expect(penalty.policy).to.equal('first_night');
+    });
+
+    it('should charge the whole stay under the full_stay policy', () => {
+      const penalty = computeNoShowPenalty(booking, 'full_stay');
+      expect(penalty.penalty).to.equal(1000);
+      expect(penalty.refundAmount).to.equal(0);
+    });
+
+    it('should charge nothing under the none policy', () => {
+      const penalty = computeNoShowPenalty(booking, 'none');
+      expect(penalty.penalty).to.equal(0);
+      expect(penalty.refundAmount).to.equal(1000);
+    });
+  });
+});
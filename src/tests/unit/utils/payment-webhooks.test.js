@@ -0,0 +1,64 @@
+/**
+ * Unit Test for Payment Webhooks Utility
+ *
+ * Tests webhook signatures and how events change payments
+ */
+
+const { expect } = require('chai');
+const { signWebhookPayload, verifyWebhookSignature, webhookTransition } = require('../../../utils/payments/webhooks');
+
+describe('Payment Webhooks Utility', () => {
+  const secret = 'whsec_test';
+  const body = JSON.stringify({ id: 'evt_1', type: 'payment.captured', data: { reference: 'mock_1' } });
+
+  describe('verifyWebhookSignature', () => {
+    const now = Date.parse('2030-07-10T12:00:00Z');
+    const timestamp = Math.floor(now / 1000);
+
+    it('should accept a body signed with the secret', () => {
+      const header = signWebhookPayload(body, secret, timestamp);
+
+      expect(header).to.match(/^t=\d+,v1=[0-9a-f]{64}$/);
+      expect(verifyWebhookSignature(Buffer.from(body), header, secret, now)).to.equal(true);
+    });
+
+    it('should reject a changed body, another secret or a missing header', () => {
+      const header = signWebhookPayload(body, secret, timestamp);
+
+      expect(verifyWebhookSignature(body.replace('captured', 'declined'), header, secret, now)).to.equal(false);
+      expect(verifyWebhookSignature(body, header, 'whsec_other', now)).to.equal(false);
+      expect(verifyWebhookSignature(body, undefined, secret, now)).to.equal(false);
+    });
+
+    it('should reject a delivery signed too long ago', () => {
+      const header = signWebhookPayload(body, secret, timestamp - 301);
+
+      expect(verifyWebhookSignature(body, header, secret, now)).to.equal(false);
+    });
+
+    it('should accept any one of several signatures while the secret rotates', () => {
+      const current = signWebhookPayload(body, secret, timestamp).split(',')[1];
+      const header = `t=${timestamp},v1=${'0'.repeat(64)},${current}`;
+
+      expect(verifyWebhookSignature(body, header, secret, now)).to.equal(true);
+    });
+  });
+
+  describe('webhookTransition', () => {
+    const event = (type, data = {}) => ({ id: 'evt_1', type, data: { reference: 'mock_1', ...data } });
+
+    it('should move a payment to the reported status', () => {
+      expect(webhookTransition({ status: 'requires_action' }, event('payment.captured')))
+        .to.deep.equal({ values: { status: 'captured', failureReason: null } });
+      expect(webhookTransition({ status: 'authorized' }, event('payment.declined', { message: 'Card expired' })))
+        .to.deep.equal({ values: { status: 'declined', failureReason: 'Card expired' } });
+    });
+
+    it('should ignore events that change nothing', () => {
+      expect(webhookTransition({ status: 'captured' }, event('payment.captured')).ignore).to.equal('The payment is already captured');
+      expect(webhookTransition({ status: 'captured' }, event('payment.declined')).ignore).to.equal('A captured payment cannot become declined');
+      expect(webhookTransition(undefined, event('payment.captured')).ignore).to.equal('No payment has this reference');
+      expect(webhookTransition({ status: 'pending' }, event('payout.paid')).ignore).to.equal('Unhandled event type payout.paid');
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Unit Test for Booking Payments Utility
+ *
+ * Tests payment totals, the booking payment status they drive, how refunds
+ * are split across payments and the mock payment gateway
+ */
+
+const { expect } = require('chai');
+const {
+  summarizePayments,
+  bookingPaymentStatus,
+  refundablePayments,
+  allocateRefund
+} = require('../../../utils/booking/payments');
+const { registerGateway, getGateway } = require('../../../utils/payments');
+const mockGateway = require('../../../utils/payments/mockGateway');
+
+describe('Booking Payments Utility', () => {
+  const booking = { totalPrice: '5600.00', paymentStatus: 'pending' };
+  const payment = (status, amount = '5600.00') => ({ status, amount });
+
+  describe('summarizePayments', () => {
+    it('should count captured payments as paid and open ones as in progress', () => {
+      const summary = summarizePayments(booking, [
+        payment('captured', '1000.00'),
+        payment('authorized', '2000.00'),
+        payment('declined', '2600.00')
+      ]);
+
+      expect(summary).to.deep.equal({
+        totalCents: 560000,
+        capturedCents: 100000,
+        openCents: 200000,
+        refundedCents: 0,
+        balanceCents: 460000,
+        outstandingCents: 260000
+      });
+    });
+
+    it('should add folio charges that are not voided to what is owed', () => {
+      const summary = summarizePayments(booking, [payment('captured')], [], [
+        { amount: '300.00', voidedAt: null },
+        { amount: '200.00', voidedAt: new Date() }
+      ]);
+
+      expect(summary.totalCents).to.equal(590000);
+      expect(summary.balanceCents).to.equal(30000);
+    });
+
+    it('should treat a booking marked paid before the ledger as fully paid', () => {
+      const summary = summarizePayments({ ...booking, paymentStatus: 'paid' }, []);
+
+      expect(summary.capturedCents).to.equal(560000);
+      expect(summary.outstandingCents).to.equal(0);
+    });
+  });
+
+  describe('bookingPaymentStatus', () => {
+    it('should be paid once captured payments cover the total', () => {
+      expect(bookingPaymentStatus(booking, [payment('captured', '600.00'), payment('captured', '5000.00')])).to.equal('paid');
+    });
+
+    it('should be authorized while part of the total is only authorized', () => {
+      expect(bookingPaymentStatus(booking, [payment('captured', '600.00'), payment('authorized', '5000.00')])).to.equal('authorized');
+    });
+
+    it('should be failed when the last attempt failed and nothing else is under way', () => {
+      expect(bookingPaymentStatus(booking, [payment('declined')])).to.equal('failed');
+      expect(bookingPaymentStatus(booking, [payment('declined'), payment('requires_action')])).to.equal('pending');
+    });
+
+    it('should stay pending for a part payment', () => {
+      expect(bookingPaymentStatus(booking, [payment('captured', '600.00')])).to.equal('pending');
+    });
+
+    it('should follow succeeded refunds', () => {
+      const captured = [payment('captured')];
+
+      expect(bookingPaymentStatus(booking, captured, [{ status: 'succeeded', amount: '600.00' }])).to.equal('partially_refunded');
+      expect(bookingPaymentStatus(booking, captured, [{ status: 'succeeded', amount: '5600.00' }])).to.equal('refunded');
+      expect(bookingPaymentStatus(booking, captured, [{ status: 'failed', amount: '5600.00' }])).to.equal('paid');
+    });
+  });
+
+  describe('refunds', () => {
+    const older = { id: 'p1', status: 'captured', amount: '1000.00' };
+    const newer = { id: 'p2', status: 'captured', amount: '4600.00' };
+    const declined = { id: 'p3', status: 'declined', amount: '4600.00' };
+
+    it('should offer what is left on each captured payment, newest first', () => {
+      const refundable = refundablePayments([older, newer, declined], [
+        { paymentId: 'p2', status: 'succeeded', amount: '600.00' },
+        { paymentId: 'p2', status: 'pending', amount: '1000.00' },
+        { paymentId: 'p1', status: 'failed', amount: '1000.00' }
+      ]);
+
+      expect(refundable.map(({ payment, refundableCents }) => [payment.id, refundableCents]))
+        .to.deep.equal([['p2', 300000], ['p1', 100000]]);
+    });
+
+    it('should leave out payments that are fully refunded', () => {
+      const refundable = refundablePayments([older], [{ paymentId: 'p1', status: 'succeeded', amount: '1000.00' }]);
+
+      expect(refundable).to.deep.equal([]);
+    });
+
+    it('should take a refund from the newest payments first', () => {
+      const refundable = refundablePayments([older, newer], []);
+
+      expect(allocateRefund(refundable, 500000).map(({ payment, amountCents }) => [payment.id, amountCents]))
+        .to.deep.equal([['p2', 460000], ['p1', 40000]]);
+      expect(allocateRefund(refundable, 100000).map(({ payment, amountCents }) => [payment.id, amountCents]))
+        .to.deep.equal([['p2', 100000]]);
+    });
+  });
+
+  describe('mock gateway', () => {
+    beforeEach(() => mockGateway.reset());
+
+    it('should authorize, capture and refund a payment', async () => {
+      const outcome = await mockGateway.authorize({ amount: 5000, currency: 'PHP', method: 'credit_card', token: 'tok_success' });
+      expect(outcome.status).to.equal('authorized');
+
+      expect((await mockGateway.capture(outcome.reference, 5000)).status).to.equal('captured');
+      expect((await mockGateway.refund(outcome.reference, 2000)).status).to.equal('refunded');
+
+      try {
+        await mockGateway.refund(outcome.reference, 4000);
+        expect.fail('Expected the refund to be rejected');
+      } catch (error) {
+        expect(error.message).to.include('3000 cents');
+      }
+    });
+
+    it('should decline the decline test tokens', async () => {
+      const outcome = await mockGateway.authorize({ amount: 5000, currency: 'PHP', method: 'credit_card', token: 'tok_insufficient_funds' });
+
+      expect(outcome.status).to.equal('declined');
+      expect(outcome.message).to.equal('Your card has insufficient funds');
+    });
+
+    it('should ask for 3-D Secure and settle the payment on confirm', async () => {
+      const passes = await mockGateway.authorize({ amount: 5000, currency: 'PHP', method: 'credit_card', token: 'tok_3ds' });
+      const fails = await mockGateway.authorize({ amount: 5000, currency: 'PHP', method: 'credit_card', token: 'tok_3ds_fail' });
+
+      expect(passes.status).to.equal('requires_action');
+      expect(passes.nextAction.type).to.equal('three_d_secure');
+      expect((await mockGateway.confirm(passes.reference)).status).to.equal('authorized');
+      expect((await mockGateway.confirm(fails.reference)).status).to.equal('declined');
+    });
+
+    it('should throw when the gateway is unreachable', async () => {
+      try {
+        await mockGateway.authorize({ amount: 5000, currency: 'PHP', method: 'paypal', token: 'tok_error' });
+        expect.fail('Expected the authorization to throw');
+      } catch (error) {
+        expect(error.message).to.equal('The payment gateway could not be reached');
+      }
+    });
+  });
+
+  describe('registerGateway', () => {
+    it('should only accept gateways with every operation', () => {
+      expect(() => registerGateway('partial', { authorize: async () => {} }))
+        .to.throw('must have confirm, capture, refund method(s)');
+      expect(getGateway()).to.equal(mockGateway);
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Unit Test for Booking Pricing Utility
+ *
+ * Tests the server-side quote calculation used by the booking endpoints
+ */
+
+const { expect } = require('chai');
+const {
+  eachNight,
+  quoteStay,
+  pricesMatch
+} = require('../../../utils/booking/pricing');
+
+describe('Booking Pricing Utility', () => {
+  const room = {
+    id: 'room-123',
+    price: '1000.50',
+    discount: '0'
+  };
+
+  describe('eachNight', () => {
+    it('should list every night except the check-out day', () => {
+      expect(eachNight('2030-01-30', '2030-02-02')).to.deep.equal([
+        '2030-01-30',
+        '2030-01-31',
+        '2030-02-01'
+      ]);
+    });
+
+    it('should return no nights when check-out is not after check-in', () => {
+      expect(eachNight('2030-01-10', '2030-01-10')).to.deep.equal([]);
+    });
+  });
+
+  describe('quoteStay', () => {
+    it('should price each night at the room rate', () => {
+      const quote = quoteStay({ room, checkIn: '2030-01-10', checkOut: '2030-01-13' });
+
+      expect(quote.nights).to.equal(3);
+      expect(quote.nightlyRates).to.have.length(3);
+      expect(quote.nightlyRates[0]).to.deep.equal({ date: '2030-01-10', rate: 1000.5, ratePlan: null });
+      expect(quote.basePrice).to.equal(3001.5);
+      expect(quote.discountTotal).to.equal(0);
+      expect(quote.totalPrice).to.equal(3001.5);
+    });
+
+    it('should apply the room discount percentage to the room charges', () => {
+      const quote = quoteStay({
+        room: { ...room, price: '100', discount: '15' },
+        checkIn: '2030-01-10',
+        checkOut: '2030-01-12'
+      });
+
+      expect(quote.basePrice).to.equal(200);
+      expect(quote.discounts).to.have.length(1);
+      expect(quote.discounts[0].amount).to.equal(30);
+      expect(quote.subtotal).to.equal(170);
+      expect(quote.totalPrice).to.equal(170);
+    });
+
+    it('should charge a nightly fee for each guest above capacity', () => {
+      const quote = quoteStay({
+        room: { ...room, price: '100', discount: '10', capacity: 2, maxOccupancy: 4, extraGuestFee: '25' },
+        checkIn: '2030-01-10',
+        checkOut: '2030-01-12',
+        guests: 3
+      });
+
+      expect(quote.extraGuests).to.deep.equal({ count: 1, feePerNight: 25, amount: 50 });
+      expect(quote.basePrice).to.equal(250);
+      expect(quote.discountTotal).to.equal(25);
+      expect(quote.totalPrice).to.equal(225);
+    });
+
+    it('should not charge extra guests up to capacity', () => {
+      const quote = quoteStay({
+        room: { ...room, price: '100', capacity: 2, maxOccupancy: 4, extraGuestFee: '25' },
+        checkIn: '2030-01-10',
+        checkOut: '2030-01-11',
+        guests: 2
+      });
+
+      expect(quote.extraGuests.amount).to.equal(0);
+      expect(quote.totalPrice).to.equal(100);
+    });
+
+    it('should reject parties larger than the room sleeps', () => {
+      expect(() => quoteStay({
+        room: { ...room, capacity: 2, maxOccupancy: 3 },
+        checkIn: '2030-01-10',
+        checkOut: '2030-01-11',
+        guests: 4
+      })).to.throw('This room sleeps at most 3 guests');
+    });
+
+    it('should use the best matching rate plan for each night', () => {
+      const ratePlans = [
+        // 2030-01-11 is a Friday, 2030-01-12 a Saturday
+        { name: 'Weekend', category: 'standard-room', price: '150', daysOfWeek: [5, 6], priority: 0 },
+        { name: 'Festival', roomId: 'room-123', price: '300', startDate: '2030-01-12', endDate: '2030-01-12', priority: 1 },
+        { name: 'Other room', roomId: 'room-999', price: '999', priority: 5 }
+      ];
+
+      const quote = quoteStay({
+        room: { ...room, price: '100', category: 'standard-room' },
+        checkIn: '2030-01-10',
+        checkOut: '2030-01-13',
+        ratePlans
+      });
+
+      expect(quote.nightlyRates.map(night => night.rate)).to.deep.equal([100, 150, 300]);
+      expect(quote.nightlyRates.map(night => night.ratePlan)).to.deep.equal([null, 'Weekend', 'Festival']);
+      expect(quote.basePrice).to.equal(550);
+    });
+
+    it('should prefer room-specific plans over category plans of equal priority', () => {
+      const ratePlans = [
+        { name: 'Category', category: 'standard-room', price: '120' },
+        { name: 'Room', roomId: 'room-123', price: '130' }
+      ];
+
+      const quote = quoteStay({
+        room: { ...room, price: '100', category: 'standard-room' },
+        checkIn: '2030-01-10',
+        checkOut: '2030-01-11',
+        ratePlans
+      });
+
+      expect(quote.nightlyRates[0].ratePlan).to.equal('Room');
+      expect(quote.totalPrice).to.equal(130);
+    });
+
+    it('should apply tax rules to the discounted room charges', () => {
+      const taxRules = [
+        { id: 'vat', name: 'VAT', type: 'percentage', amount: '12' },
+        { id: 'city', name: 'City tax', type: 'per_person_per_night', amount: '2.50' },
+        { id: 'service', name: 'Service charge', type: 'fixed', amount: '50' }
+      ];
+
+      const quote = quoteStay({
+        room: { ...room, price: '100', discount: '10' },
+        checkIn: '2030-01-10',
+        checkOut: '2030-01-12',
+        taxRules,
+        guests: 3
+      });
+
+      expect(quote.subtotal).to.equal(180);
+      expect(quote.taxes.map(tax => tax.amount)).to.deep.equal([21.6, 15, 50]);
+      expect(quote.taxAndFees).to.equal(86.6);
+      expect(quote.totalPrice).to.equal(266.6);
+    });
+
+    it('should skip inactive tax rules and rules scoped to other rooms', () => {
+      const taxRules = [
+        { id: 'a', name: 'Inactive', type: 'fixed', amount: '10', isActive: false },
+        { id: 'b', name: 'Other city', type: 'per_night', amount: '5', location: 'Cebu' },
+        { id: 'c', name: 'Suites only', type: 'fixed', amount: '20', category: 'executive-suite' },
+        { id: 'd', name: 'Manila fee', type: 'per_night', amount: '5', location: 'manila' }
+      ];
+
+      const quote = quoteStay({
+        room: { ...room, price: '100', category: 'standard-room', location: 'Manila' },
+        checkIn: '2030-01-10',
+        checkOut: '2030-01-12',
+        taxRules
+      });
+
+      expect(quote.taxes).to.have.length(1);
+      expect(quote.taxes[0]).to.include({ ruleId: 'd', amount: 10 });
+      expect(quote.totalPrice).to.equal(210);
+    });
+
+    it('should apply a promotion after the room discount and before tax', () => {
+      const quote = quoteStay({
+        room: { ...room, price: '100', discount: '10' },
+        checkIn: '2030-01-10',
+        checkOut: '2030-01-12',
+        taxRules: [{ id: 'vat', name: 'VAT', type: 'percentage', amount: '10' }],
+        promotion: { id: 'promo-1', code: 'WELCOME', discountType: 'fixed', discountValue: '30' }
+      });
+
+      expect(quote.discounts.map(discount => discount.type)).to.deep.equal(['room', 'promotion']);
+      expect(quote.discountTotal).to.equal(50);
+      expect(quote.promoCode).to.equal('WELCOME');
+      expect(quote.subtotal).to.equal(150);
+      expect(quote.taxAndFees).to.equal(15);
+      expect(quote.totalPrice).to.equal(165);
+    });
+
+    it('should reject a stay without nights', () => {
+      expect(() => quoteStay({ room, checkIn: '2030-01-10', checkOut: '2030-01-09' }))
+        .to.throw('Check-out date must be after check-in date');
+    });
+  });
+
+  describe('pricesMatch', () => {
+    it('should compare totals to the cent', () => {
+      const quote = { totalPrice: 3001.5 };
+
+      expect(pricesMatch('3001.50', quote)).to.be.true;
+      expect(pricesMatch(3001.5, quote)).to.be.true;
+      expect(pricesMatch(3001.49, quote)).to.be.false;
+    });
+  });
+});
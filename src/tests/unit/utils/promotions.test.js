@@ -0,0 +1,80 @@
+/**
+ * Unit Test for Booking Promotions Utility
+ *
+ * Tests promo code eligibility and discount calculation
+ */
+
+const { expect } = require('chai');
+const {
+  normalizeCode,
+  promotionRejection,
+  promotionDiscount
+} = require('../../../utils/booking/promotions');
+
+describe('Booking Promotions Utility', () => {
+  const room = { id: 'room-123', category: 'standard-room' };
+  const promotion = {
+    id: 'promo-1',
+    code: 'SUMMER10',
+    discountType: 'percentage',
+    discountValue: '10',
+    startsAt: '2030-06-01T00:00:00Z',
+    endsAt: '2030-08-31T23:59:59Z',
+    maxRedemptions: 5,
+    redemptionCount: 0,
+    minNights: 2,
+    eligibleCategories: ['standard-room'],
+    isActive: true
+  };
+  const at = new Date('2030-07-01T12:00:00Z');
+
+  describe('normalizeCode', () => {
+    it('should trim and upper-case codes', () => {
+      expect(normalizeCode('  summer10 ')).to.equal('SUMMER10');
+    });
+  });
+
+  describe('promotionRejection', () => {
+    it('should accept an eligible stay', () => {
+      expect(promotionRejection(promotion, { room, nights: 2, at })).to.be.null;
+    });
+
+    it('should reject codes outside the validity window', () => {
+      expect(promotionRejection(promotion, { room, nights: 2, at: new Date('2030-05-31T00:00:00Z') }))
+        .to.equal('This promo code is not valid yet');
+      expect(promotionRejection(promotion, { room, nights: 2, at: new Date('2030-09-01T00:00:00Z') }))
+        .to.equal('This promo code has expired');
+    });
+
+    it('should reject codes that reached their usage limit', () => {
+      expect(promotionRejection({ ...promotion, redemptionCount: 5 }, { room, nights: 2, at }))
+        .to.equal('This promo code has reached its usage limit');
+    });
+
+    it('should reject short stays and other room categories', () => {
+      expect(promotionRejection(promotion, { room, nights: 1, at }))
+        .to.equal('This promo code requires a stay of at least 2 nights');
+      expect(promotionRejection(promotion, { room: { ...room, category: 'family-suite' }, nights: 2, at }))
+        .to.equal('This promo code does not apply to this room');
+    });
+
+    it('should only re-check stay conditions for a redeemed code', () => {
+      const usedUp = { ...promotion, redemptionCount: 5, isActive: false };
+
+      expect(promotionRejection(usedUp, { room, nights: 3, at: new Date('2031-01-01'), redeemed: true })).to.be.null;
+      expect(promotionRejection(usedUp, { room, nights: 1, at, redeemed: true }))
+        .to.equal('This promo code requires a stay of at least 2 nights');
+    });
+  });
+
+  describe('promotionDiscount', () => {
+    it('should take a percentage of the amount', () => {
+      expect(promotionDiscount(promotion, 12345)).to.equal(1235);
+    });
+
+    it('should never discount more than the amount', () => {
+      expect(promotionDiscount({ discountType: 'fixed', discountValue: '500' }, 20000)).to.equal(20000);
+      expect(promotionDiscount({ discountType: 'fixed', discountValue: '50' }, 20000)).to.equal(5000);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit Test for Booking Revenue Utility
+ *
+ * Tests the admin dashboard's revenue totals: which bookings count, taxes,
+ * refunds and the monthly breakdown
+ */
+
+const { expect } = require('chai');
+const { summarizeRevenue } = require('../../../utils/booking/revenue');
+
+describe('Booking Revenue Utility', () => {
+  const booking = (status, totalPrice, createdAt = '2030-03-05T08:00:00Z') => ({
+    status,
+    totalPrice,
+    taxAndFees: (parseFloat(totalPrice) * 0.12).toFixed(2),
+    createdAt: new Date(createdAt)
+  });
+
+  describe('summarizeRevenue', () => {
+    it('should count confirmed, checked-in and completed bookings with their taxes', () => {
+      const summary = summarizeRevenue([
+        booking('confirmed', '1000.00'),
+        booking('checked_in', '2000.00'),
+        booking('completed', '3000.00', '2030-04-01T08:00:00Z')
+      ], [], 2030);
+
+      expect(summary.totalRevenue).to.equal(6000);
+      expect(summary.taxesCollected).to.equal(720);
+      expect(summary.netRevenue).to.equal(5280);
+      expect(summary.monthlyRevenue[2]).to.equal(3000);
+      expect(summary.monthlyRevenue[3]).to.equal(3000);
+      expect(summary.monthlyNetRevenue[2]).to.equal(2640);
+    });
+
+    it('should leave out expired holds, unconfirmed holds, no-shows and cancellations', () => {
+      const summary = summarizeRevenue([
+        booking('confirmed', '1000.00'),
+        booking('expired', '5000.00'),
+        booking('pending', '4000.00'),
+        booking('no_show', '3000.00'),
+        booking('cancelled', '2000.00')
+      ], [], 2030);
+
+      expect(summary.totalRevenue).to.equal(1000);
+      expect(summary.taxesCollected).to.equal(120);
+      expect(summary.monthlyRevenue[2]).to.equal(1000);
+    });
+
+    it('should take refunds on counted bookings off the month they were booked in', () => {
+      const refundedOn = (bookingStatus) => ({ amount: '250.00', bookingStatus, bookingCreatedAt: new Date('2030-03-05T08:00:00Z') });
+      const summary = summarizeRevenue(
+        [booking('completed', '1000.00')],
+        [refundedOn('completed'), refundedOn('cancelled')],
+        2030
+      );
+
+      expect(summary.refundsDeducted).to.equal(250);
+      expect(summary.totalRevenue).to.equal(750);
+      expect(summary.netRevenue).to.equal(630);
+      expect(summary.monthlyRevenue[2]).to.equal(750);
+    });
+
+    it('should only break down months of the requested year', () => {
+      const summary = summarizeRevenue([booking('completed', '1000.00', '2029-12-31T08:00:00Z')], [], 2030);
+
+      expect(summary.totalRevenue).to.equal(1000);
+      expect(summary.monthlyRevenue.every(amount => amount === 0)).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit Test for Room Search Utility
+ *
+ * Tests the conditions that leave out rooms booked, held or blocked for a
+ * stay or too small for the party, and the stay totals shown with each room
+ */
+
+const { expect } = require('chai');
+const { PgDialect, QueryBuilder } = require('drizzle-orm/pg-core');
+const { CURRENCY } = require('../../../utils/booking/pricing');
+const { stayAvailabilityFilters, stayTotals } = require('../../../utils/booking/room-search');
+
+describe('Room Search Utility', () => {
+  describe('stayAvailabilityFilters', () => {
+    const stay = { checkIn: '2030-07-10', checkOut: '2030-07-12' };
+    const render = (filter) => new PgDialect().sqlToQuery(filter);
+    const filtersFor = (searched) => stayAvailabilityFilters(new QueryBuilder(), searched).map(render);
+
+    it('should add no conditions when neither dates nor guests are searched on', () => {
+      expect(filtersFor({})).to.deep.equal([]);
+      expect(filtersFor({ checkIn: null, checkOut: null, guests: null })).to.deep.equal([]);
+    });
+
+    it('should keep only rooms that sleep the whole party', () => {
+      const [capacity, ...rest] = filtersFor({ guests: 3 });
+
+      expect(capacity.sql).to.equal('"rooms"."max_occupancy" >= $1');
+      expect(capacity.params).to.deep.equal([3]);
+      expect(rest).to.deep.equal([]);
+    });
+
+    it('should leave out rooms that are off sale for the dates', () => {
+      const [onSale] = filtersFor(stay);
+
+      expect(onSale.sql).to.equal('("rooms"."is_available" is null or "rooms"."is_available" = $1)');
+      expect(onSale.params).to.deep.equal([true]);
+    });
+
+    it('should leave out rooms with an active booking or live hold sharing a night', () => {
+      const booked = filtersFor(stay)[1];
+
+      expect(booked.sql).to.match(/^not exists \(select "id" from "bookings" where \("bookings"."room_id" = "rooms"."id"/);
+      // Half-open stays: a booking checking out on the check-in day does not clash
+      expect(booked.sql).to.include('"bookings"."check_in" < $1 and "bookings"."check_out" > $2');
+      expect(booked.params.slice(0, 2)).to.deep.equal(['2030-07-12', '2030-07-10']);
+      // Released bookings and lapsed checkout holds free their nights
+      expect(booked.sql).to.include('"bookings"."status" not in ($3, $4, $5)');
+      expect(booked.params.slice(2)).to.deep.equal(['cancelled', 'expired', 'no_show']);
+      expect(booked.sql).to.include('"bookings"."hold_expires_at" is null or "bookings"."hold_expires_at" > now()');
+    });
+
+    it('should leave out rooms with a maintenance or channel block sharing a night', () => {
+      const blocked = filtersFor(stay)[2];
+
+      expect(blocked.sql).to.equal(
+        'not exists (select "id" from "room_blocks" where ("room_blocks"."room_id" = "rooms"."id" and ' +
+        '("room_blocks"."start_date" < $1 and "room_blocks"."end_date" > $2)))'
+      );
+      expect(blocked.params).to.deep.equal(['2030-07-12', '2030-07-10']);
+    });
+
+    it('should combine the party size with the date conditions', () => {
+      const filters = filtersFor({ ...stay, guests: 2 });
+
+      expect(filters).to.have.length(4);
+      expect(filters[0].sql).to.equal('"rooms"."max_occupancy" >= $1');
+    });
+  });
+
+  describe('stayTotals', () => {
+    const standard = { id: 'room-1', price: '100', discount: '0', category: 'standard-room', capacity: 2, maxOccupancy: 3, extraGuestFee: '20' };
+    const suite = { id: 'room-2', price: '250', discount: '10', category: 'suite', capacity: 4, maxOccupancy: 4 };
+    // 2030-07-12 is a Friday
+    const stay = { checkIn: '2030-07-11', checkOut: '2030-07-13' };
+
+    it('should price the whole stay in every room found', () => {
+      const totals = stayTotals([standard, suite], stay);
+
+      expect(Object.keys(totals)).to.deep.equal(['room-1', 'room-2']);
+      expect(totals['room-1']).to.deep.equal({
+        checkIn: '2030-07-11',
+        checkOut: '2030-07-13',
+        nights: 2,
+        currency: CURRENCY,
+        basePrice: 200,
+        discountTotal: 0,
+        taxAndFees: 0,
+        totalPrice: 200
+      });
+      expect(totals['room-2']).to.include({ nights: 2, basePrice: 500, discountTotal: 50, totalPrice: 450 });
+    });
+
+    it('should apply rate plans, taxes and extra guest fees for the party', () => {
+      const totals = stayTotals([standard], {
+        ...stay,
+        guests: 3,
+        ratePlans: [{ name: 'Weekend', category: 'standard-room', price: '150', daysOfWeek: [5, 6], priority: 0 }],
+        taxRules: [{ id: 'vat', name: 'VAT', type: 'percentage', amount: '12' }]
+      });
+
+      // 100 + 150 for the nights, plus one extra guest at 20 a night
+      expect(totals['room-1']).to.include({ basePrice: 290, taxAndFees: 34.8, totalPrice: 324.8 });
+    });
+
+    it('should return no totals when no rooms were found', () => {
+      expect(stayTotals([], stay)).to.deep.equal({});
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Unit Test for Booking Waitlist Utility and Notifications
+ *
+ * Tests stay overlap checks, which entries a freed room is offered to, claim
+ * token hashing and notifier dispatch
+ */
+
+const { expect } = require('chai');
+const { PgDialect } = require('drizzle-orm/pg-core');
+const { staysOverlap, hashClaimToken, offerFreedRoom } = require('../../../utils/booking/waitlist');
+const { hotelDate } = require('../../../utils/booking/hotel-time');
+const notifications = require('../../../utils/notifications');
+const memoryNotifier = require('../../../utils/notifications/memoryNotifier');
+
+describe('Booking Waitlist Utility', () => {
+  describe('staysOverlap', () => {
+    const stay = { checkIn: '2030-01-10', checkOut: '2030-01-13' };
+
+    it('should detect stays sharing a night', () => {
+      expect(staysOverlap(stay, { checkIn: '2030-01-12', checkOut: '2030-01-15' })).to.be.true;
+      expect(staysOverlap(stay, { checkIn: '2030-01-08', checkOut: '2030-01-11' })).to.be.true;
+      expect(staysOverlap(stay, { checkIn: '2030-01-11', checkOut: '2030-01-12' })).to.be.true;
+    });
+
+    it('should allow back-to-back stays', () => {
+      expect(staysOverlap(stay, { checkIn: '2030-01-13', checkOut: '2030-01-15' })).to.be.false;
+      expect(staysOverlap(stay, { checkIn: '2030-01-08', checkOut: '2030-01-10' })).to.be.false;
+    });
+  });
+
+  describe('offerFreedRoom', () => {
+    // Each query resolves to the next queued list of rows; where() conditions are kept
+    const fakeDb = (results) => {
+      const db = { conditions: [] };
+      const query = () => {
+        const chain = {
+          from: () => chain,
+          innerJoin: () => chain,
+          orderBy: () => chain,
+          where: (condition) => {
+            db.conditions.push(condition);
+            return chain;
+          },
+          then: (resolve, reject) => Promise.resolve(results.shift() || []).then(resolve, reject)
+        };
+        return chain;
+      };
+      db.select = query;
+      return db;
+    };
+
+    it('should look for waiting entries no larger than the room sleeps, from the hotel\'s today', async () => {
+      const room = { id: 'room-1', title: 'Deluxe', category: 'deluxe', capacity: 2, maxOccupancy: 3 };
+      const db = fakeDb([[room], [], []]);
+
+      expect(await offerFreedRoom(db, 'room-1')).to.deep.equal([]);
+
+      const { sql, params } = new PgDialect().sqlToQuery(db.conditions[1]);
+      expect(sql).to.include('"waitlist_entries"."check_in" >= $');
+      expect(sql).to.include('"waitlist_entries"."guests" <= $');
+      expect(params).to.include(hotelDate());
+      expect(params[params.length - 1]).to.equal(3);
+    });
+
+    it('should offer nothing for a room taken off sale', async () => {
+      const db = fakeDb([[{ id: 'room-1', isAvailable: false }]]);
+
+      expect(await offerFreedRoom(db, 'room-1')).to.deep.equal([]);
+      expect(db.conditions).to.have.length(1);
+    });
+  });
+
+  describe('hashClaimToken', () => {
+    it('should hash tokens deterministically without exposing them', () => {
+      const hash = hashClaimToken('abc123');
+      expect(hash).to.equal(hashClaimToken('abc123'));
+      expect(hash).to.match(/^[0-9a-f]{64}$/);
+      expect(hash).to.not.include('abc123');
+      expect(hashClaimToken('abc124')).to.not.equal(hash);
+    });
+  });
+
+  describe('notify', () => {
+    const original = notifications.getNotifier();
+
+    beforeEach(() => {
+      memoryNotifier.clear();
+      notifications.setNotifier(memoryNotifier);
+    });
+
+    afterEach(() => {
+      notifications.setNotifier(original);
+    });
+
+    it('should deliver messages through the active notifier', async () => {
+      const delivered = await notifications.notify({ type: 'waitlist_offer', to: 'guest@example.com', subject: 'Room free' });
+
+      expect(delivered).to.be.true;
+      expect(memoryNotifier.sent).to.have.lengthOf(1);
+      expect(memoryNotifier.sent[0].to).to.equal('guest@example.com');
+    });
+
+    it('should report a failed delivery instead of throwing', async () => {
+      notifications.setNotifier({ name: 'broken', send: async () => { throw new Error('SMTP down'); } });
+
+      const delivered = await notifications.notify({ type: 'waitlist_offer', to: 'guest@example.com' });
+
+      expect(delivered).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Booking Availability Utility
+ * Shared overlap rules and row locking used when creating or moving bookings.
+ * A room's nights are taken by its active bookings and by room blocks
+ * (e.g. nights sold on another platform, imported from an iCal feed).
+ */
+
+const { bookings, roomBlocks } = require('../../db/schema');
+const { and, or, eq, ne, lt, gt, isNull, notInArray, sql } = require('drizzle-orm');
+const AppError = require('../appError');
+const { expireLapsedHolds } = require('./lifecycle');
+
+// Postgres SQLSTATE raised when the bookings_no_overlap constraint rejects a row
+const EXCLUSION_VIOLATION = '23P01';
+
+// Statuses that no longer occupy the room's nights
+const RELEASED_STATUSES = ['cancelled', 'expired', 'no_show'];
+
+/**
+ * Error raised when a stay clashes with existing bookings
+ * @class BookingConflictError
+ * @extends AppError
+ */
+class BookingConflictError extends AppError {
+  /**
+   * @param {Array<{checkIn: string, checkOut: string}>} conflicts - Clashing date ranges
+   * @param {string} [message] - Error message
+   */
+  constructor(conflicts = [], message = 'The room is already booked for these dates') {
+    super(message, 409);
+    this.conflicts = conflicts;
+  }
+}
+
+/**
+ * Normalize a date input to a YYYY-MM-DD string
+ * @param {string|Date} value - Date value
+ * @returns {string} Date string
+ */
+const toDateString = (value) => new Date(value).toISOString().split('T')[0];
+
+/**
+ * Build the condition matching bookings that still occupy their nights:
+ * not cancelled or expired, and not a checkout hold past its deadline
+ * (the sweeper may not have marked it expired yet)
+ * @returns {SQL} Drizzle condition
+ */
+const occupiesRoom = () => and(
+  notInArray(bookings.status, RELEASED_STATUSES),
+  or(isNull(bookings.holdExpiresAt), gt(bookings.holdExpiresAt, sql`now()`))
+);
+
+/**
+ * Build the condition matching active bookings that share a night with a stay.
+ * Stays are half-open: checking out on a day frees it for the next check-in.
+ * @param {string} checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} checkOut - Check-out date (YYYY-MM-DD)
+ * @returns {SQL} Drizzle condition
+ */
+const overlapsStay = (checkIn, checkOut) => and(
+  lt(bookings.checkIn, checkOut),
+  gt(bookings.checkOut, checkIn),
+  occupiesRoom()
+);
+
+/**
+ * Build the condition matching room blocks that share a night with a stay
+ * @param {string} checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} checkOut - Check-out date (YYYY-MM-DD)
+ * @returns {SQL} Drizzle condition
+ */
+const blockOverlapsStay = (checkIn, checkOut) => and(
+  lt(roomBlocks.startDate, checkOut),
+  gt(roomBlocks.endDate, checkIn)
+);
+
+/**
+ * Find active bookings and room blocks on a room that overlap the given stay
+ * @param {object} executor - Drizzle db or transaction
+ * @param {object} stay - Stay to check
+ * @param {string} stay.roomId - Room ID
+ * @param {string} stay.checkIn - Check-in date
+ * @param {string} stay.checkOut - Check-out date
+ * @param {string} [stay.excludeId] - Booking ID to ignore (when moving a booking)
+ * @returns {Promise<Array<{id: string, checkIn: string, checkOut: string, blocked?: boolean}>>}
+ *   Overlapping bookings, and blocks (flagged blocked) in the same shape
+ */
+const findOverlappingBookings = async (executor, { roomId, checkIn, checkOut, excludeId }) => {
+  const from = toDateString(checkIn);
+  const to = toDateString(checkOut);
+  const conditions = [
+    eq(bookings.roomId, roomId),
+    overlapsStay(from, to)
+  ];
+
+  if (excludeId) {
+    conditions.push(ne(bookings.id, excludeId));
+  }
+
+  const overlaps = await executor
+    .select({ id: bookings.id, checkIn: bookings.checkIn, checkOut: bookings.checkOut })
+    .from(bookings)
+    .where(and(...conditions));
+
+  const blocks = await executor
+    .select({ id: roomBlocks.id, checkIn: roomBlocks.startDate, checkOut: roomBlocks.endDate })
+    .from(roomBlocks)
+    .where(and(eq(roomBlocks.roomId, roomId), blockOverlapsStay(from, to)));
+
+  return [...overlaps, ...blocks.map(block => ({ ...block, blocked: true }))]
+    .sort((a, b) => a.checkIn.localeCompare(b.checkIn));
+};
+
+/**
+ * Work out the state of each night from the stays and blocks that cover it.
+ * A booking wins over a hold, and both over a block, since they are the
+ * hotel's own guests.
+ * @param {string[]} nights - Night dates (YYYY-MM-DD)
+ * @param {Array<{checkIn: string, checkOut: string, holdExpiresAt?: Date|null}>} stays - Active bookings
+ * @param {Array<{startDate: string, endDate: string}>} blocks - Room blocks
+ * @returns {Object<string, string>} State by night: free, held, booked or blocked
+ */
+const nightStatuses = (nights, stays, blocks) => Object.fromEntries(nights.map(night => {
+  const covering = stays.filter(stay => stay.checkIn <= night && night < stay.checkOut);
+
+  if (covering.some(stay => !stay.holdExpiresAt)) return [night, 'booked'];
+  if (covering.length > 0) return [night, 'held'];
+  if (blocks.some(block => block.startDate <= night && night < block.endDate)) return [night, 'blocked'];
+  return [night, 'free'];
+}));
+
+/**
+ * Lock a room row for the rest of the transaction so concurrent bookings
+ * for the same room are serialized
+ * @param {object} tx - Drizzle transaction
+ * @param {string} roomId - Room ID
+ */
+const lockRoom = async (tx, roomId) => {
+  await tx.execute(sql`SELECT id FROM rooms WHERE id = ${roomId} FOR UPDATE`);
+};
+
+/**
+ * Lock the room and fail with a BookingConflictError if the stay is taken.
+ * Lapsed holds on the room are expired first so the overlap constraint
+ * does not reject the write on their account.
+ * @param {object} tx - Drizzle transaction
+ * @param {object} stay - Stay to reserve (see findOverlappingBookings)
+ */
+const assertRoomAvailable = async (tx, stay) => {
+  await lockRoom(tx, stay.roomId);
+  await expireLapsedHolds(tx, stay.roomId);
+
+  const overlaps = await findOverlappingBookings(tx, stay);
+  if (overlaps.length > 0) {
+    throw new BookingConflictError(overlaps.map(({ checkIn, checkOut }) => ({ checkIn, checkOut })));
+  }
+};
+
+/**
+ * Lock several rooms and fail with a BookingConflictError if any stay is taken.
+ * Rooms are locked in a fixed (sorted) order so two group bookings sharing
+ * rooms cannot deadlock each other.
+ * @param {object} tx - Drizzle transaction
+ * @param {object[]} stays - Stays to reserve (see findOverlappingBookings)
+ */
+const assertRoomsAvailable = async (tx, stays) => {
+  const ordered = [...stays].sort((a, b) => a.roomId.localeCompare(b.roomId));
+
+  for (const stay of ordered) {
+    await lockRoom(tx, stay.roomId);
+    await expireLapsedHolds(tx, stay.roomId);
+  }
+
+  const conflicts = await findConflicts(tx, ordered);
+  if (conflicts.length > 0) {
+    throw new BookingConflictError(conflicts, 'One or more rooms are already booked for these dates');
+  }
+};
+
+/**
+ * List the clashing stays for several rooms, tagged with the room they belong to
+ * @param {object} executor - Drizzle db or transaction
+ * @param {object[]} stays - Stays to check (see findOverlappingBookings)
+ * @returns {Promise<Array<{roomId: string, checkIn: string, checkOut: string}>>} Conflicts
+ */
+const findConflicts = async (executor, stays) => {
+  const conflicts = [];
+
+  for (const stay of stays) {
+    const overlaps = await findOverlappingBookings(executor, stay);
+    overlaps.forEach(({ checkIn, checkOut }) => conflicts.push({ roomId: stay.roomId, checkIn, checkOut }));
+  }
+
+  return conflicts;
+};
+
+/**
+ * Check whether an error is the database rejecting an overlapping booking
+ * @param {Error} error - Error thrown by a query
+ * @returns {boolean} True for exclusion constraint violations
+ */
+const isOverlapViolation = (error) =>
+  error?.code === EXCLUSION_VIOLATION || error?.cause?.code === EXCLUSION_VIOLATION;
+
+/**
+ * Translate an error from a booking write into a BookingConflictError.
+ * Constraint violations carry no details, so the clashing stays are looked up.
+ * @param {object} executor - Drizzle db (outside the failed transaction)
+ * @param {Error} error - Error thrown by the write
+ * @param {object|object[]} stay - Stay(s) that were being reserved (see findOverlappingBookings);
+ *   with several stays each conflict is tagged with its room
+ * @returns {Promise<BookingConflictError|null>} Conflict error, or null for unrelated errors
+ */
+const toConflictError = async (executor, error, stay) => {
+  if (error instanceof BookingConflictError) {
+    return error;
+  }
+
+  if (!isOverlapViolation(error)) {
+    return null;
+  }
+
+  if (Array.isArray(stay)) {
+    const conflicts = await findConflicts(executor, stay);
+    return new BookingConflictError(conflicts, 'One or more rooms are already booked for these dates');
+  }
+
+  const overlaps = await findOverlappingBookings(executor, stay);
+  return new BookingConflictError(overlaps.map(({ checkIn, checkOut }) => ({ checkIn, checkOut })));
+};
+
+/**
+ * Send the standard 409 response for a booking conflict
+ * @param {object} res - Express response
+ * @param {BookingConflictError} [error] - Conflict details, if known
+ */
+const sendConflict = (res, error) => res.status(409).json({
+  success: false,
+  message: error?.message || 'The room is already booked for these dates',
+  available: false,
+  conflicts: error?.conflicts || []
+});
+
+module.exports = {
+  BookingConflictError,
+  RELEASED_STATUSES,
+  toDateString,
+  occupiesRoom,
+  overlapsStay,
+  blockOverlapsStay,
+  findOverlappingBookings,
+  nightStatuses,
+  lockRoom,
+  assertRoomAvailable,
+  assertRoomsAvailable,
+  isOverlapViolation,
+  toConflictError,
+  sendConflict
+};
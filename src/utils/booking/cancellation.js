@@ -0,0 +1,191 @@
+/**
+ * Cancellation Policy Utility
+ * Works out the penalty and refund for cancelling a booking. A policy is a
+ * list of tiers, each giving the penalty (percent of the booking total) for
+ * cancelling at least `minHoursBefore` hours before check-in. The tier with
+ * the largest threshold the cancellation still meets applies; cancelling
+ * later than every tier (or after check-in) costs the full total.
+ *
+ * Bookings keep a snapshot of the policy they were made under, so editing a
+ * policy never changes the terms of existing bookings.
+ */
+
+const { cancellationPolicies } = require('../../db/schema');
+const { eq } = require('drizzle-orm');
+const { resolveNightlyRate } = require('./rates');
+const { checkInMoment } = require('./hotel-time');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Check a list of policy tiers
+ * @param {*} tiers - Tiers to check
+ * @returns {string|null} Problem with the tiers, or null if they are valid
+ */
+const tiersProblem = (tiers) => {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return 'Tiers must be a non-empty array';
+  }
+
+  const thresholds = new Set();
+  for (const tier of tiers) {
+    const hours = Number(tier && tier.minHoursBefore);
+    const percent = Number(tier && tier.penaltyPercent);
+
+    if (!Number.isInteger(hours) || hours < 0) {
+      return 'Each tier needs minHoursBefore as a whole number of hours (0 or more)';
+    }
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+      return 'Each tier needs penaltyPercent between 0 and 100';
+    }
+    if (thresholds.has(hours)) {
+      return 'Tiers must have distinct minHoursBefore values';
+    }
+    thresholds.add(hours);
+  }
+
+  return null;
+};
+
+/**
+ * Normalize tiers for storage: numeric values, longest notice first
+ * @param {object[]} tiers - Valid tiers
+ * @returns {Array<{minHoursBefore: number, penaltyPercent: number}>} Sorted tiers
+ */
+const normalizeTiers = (tiers) => tiers
+  .map(tier => ({
+    minHoursBefore: Number(tier.minHoursBefore),
+    penaltyPercent: Number(tier.penaltyPercent)
+  }))
+  .sort((a, b) => b.minHoursBefore - a.minHoursBefore);
+
+/**
+ * Snapshot of a policy as stored on a booking
+ * @param {object|null} policy - Cancellation policy row
+ * @returns {object|null} Snapshot ({ id, name, tiers })
+ */
+const policySnapshot = (policy) => (policy
+  ? { id: policy.id, name: policy.name, tiers: normalizeTiers(policy.tiers || []) }
+  : null);
+
+/**
+ * Hours between a moment and check-in (negative once check-in has passed)
+ * @param {string} checkIn - Check-in date (YYYY-MM-DD)
+ * @param {Date} [at] - Moment of cancellation
+ * @returns {number} Hours of notice
+ */
+const hoursBeforeCheckIn = (checkIn, at = new Date()) => {
+  return (checkInMoment(checkIn).getTime() - at.getTime()) / HOUR_MS;
+};
+
+/**
+ * Penalty percentage a policy charges for a given notice period
+ * @param {object} policy - Policy or snapshot with tiers
+ * @param {number} hoursBefore - Hours of notice before check-in
+ * @returns {number} Penalty percent (0-100)
+ */
+const penaltyPercentFor = (policy, hoursBefore) => {
+  const tier = normalizeTiers(policy.tiers || [])
+    .find(candidate => hoursBefore >= candidate.minHoursBefore);
+  return tier ? tier.penaltyPercent : 100;
+};
+
+/**
+ * Work out what cancelling a booking would cost
+ * @param {object} booking - Booking row
+ * @param {Date} [at] - Moment of cancellation
+ * @returns {object} Penalty, refund and the policy terms that produced them
+ */
+const computeCancellation = (booking, at = new Date()) => {
+  // Worked out in cents like the pricing utility (which builds on this module)
+  const totalCents = Math.round((parseFloat(booking.totalPrice) || 0) * 100);
+  const policy = booking.cancellationPolicy || null;
+  const hoursBefore = hoursBeforeCheckIn(booking.checkIn, at);
+
+  // Checkout holds were never confirmed, and bookings made before policies
+  // existed keep their original free cancellation
+  const isHold = booking.status === 'pending' && Boolean(booking.holdExpiresAt);
+  const penaltyPercent = policy && !isHold ? penaltyPercentFor(policy, hoursBefore) : 0;
+  const penaltyCents = Math.round(totalCents * penaltyPercent / 100);
+
+  return {
+    policy: policy ? { id: policy.id, name: policy.name, tiers: policy.tiers } : null,
+    hoursBeforeCheckIn: Math.floor(hoursBefore),
+    penaltyPercent,
+    totalPrice: totalCents / 100,
+    penalty: penaltyCents / 100,
+    refundAmount: (totalCents - penaltyCents) / 100
+  };
+};
+
+/**
+ * Drop the penalty from a cancellation (admin goodwill or hotel-side cancellations)
+ * @param {object} cancellation - Result of computeCancellation
+ * @returns {object} Cancellation with a full refund
+ */
+const waiveCancellationPenalty = (cancellation) => ({
+  ...cancellation,
+  penaltyPercent: 0,
+  penalty: 0,
+  refundAmount: cancellation.totalPrice,
+  waived: true
+});
+
+/**
+ * Columns to write when a booking is cancelled
+ * @param {object} cancellation - Result of computeCancellation
+ * @param {Date} [at] - Moment of cancellation
+ * @returns {object} Booking update values
+ */
+const cancellationValues = (cancellation, at = new Date()) => ({
+  status: 'cancelled',
+  cancellationPenalty: cancellation.penalty.toString(),
+  refundAmount: cancellation.refundAmount.toString(),
+  cancelledAt: at,
+  updatedAt: at
+});
+
+/**
+ * Load a cancellation policy by ID
+ * @param {object} executor - Drizzle db or transaction
+ * @param {string} policyId - Policy ID
+ * @returns {Promise<object|undefined>} Policy row
+ */
+const findCancellationPolicy = async (executor, policyId) => {
+  const [policy] = await executor
+    .select()
+    .from(cancellationPolicies)
+    .where(eq(cancellationPolicies.id, policyId));
+  return policy;
+};
+
+/**
+ * Find the policy a new stay is booked under: the one on the rate plan that
+ * prices the check-in night, otherwise the room's own policy
+ * @param {object} executor - Drizzle db or transaction
+ * @param {object} room - Room row
+ * @param {object[]} ratePlans - Rate plans loaded for the stay
+ * @param {string} firstNight - Check-in night (YYYY-MM-DD)
+ * @returns {Promise<object|null>} Policy snapshot, or null for free cancellation
+ */
+const resolveCancellationPolicy = async (executor, room, ratePlans, firstNight) => {
+  const { plan } = resolveNightlyRate(room, ratePlans, firstNight);
+  const policyId = (plan && plan.cancellationPolicyId) || room.cancellationPolicyId;
+  if (!policyId) return null;
+
+  const policy = await findCancellationPolicy(executor, policyId);
+  return policy && policy.isActive !== false ? policySnapshot(policy) : null;
+};
+
+module.exports = {
+  tiersProblem,
+  normalizeTiers,
+  policySnapshot,
+  hoursBeforeCheckIn,
+  penaltyPercentFor,
+  computeCancellation,
+  waiveCancellationPenalty,
+  cancellationValues,
+  findCancellationPolicy,
+  resolveCancellationPolicy
+};
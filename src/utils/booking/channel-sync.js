@@ -0,0 +1,321 @@
+/**
+ * Channel Sync Utility
+ * Keeps rooms listed on booking platforms in step through iCal feeds:
+ *  - each room publishes its taken dates at a public feed URL, protected by
+ *    a token derived from the room ID (so it never needs storing)
+ *  - each room can import feeds from the platforms, whose events become
+ *    room blocks. Blocks are keyed by the feed and the event UID, so a sync
+ *    updates events it has seen before and removes the ones that are gone.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { bookings, icalFeeds, roomBlocks } = require('../../db/schema');
+const { and, eq, gte, notInArray, asc } = require('drizzle-orm');
+const { getEnv } = require('../env-validator');
+const { lockRoom, occupiesRoom, findOverlappingBookings } = require('./availability');
+const { hotelDate } = require('./hotel-time');
+const { parseCalendar } = require('./ical');
+
+const FEED_SECRET = getEnv('ICAL_FEED_SECRET', getEnv('JWT_SECRET', 'your-secret-key'));
+const FETCH_TIMEOUT_SECONDS = parseInt(getEnv('ICAL_FETCH_TIMEOUT_SECONDS', '15')) || 15;
+
+// Hosts feeds may be fetched from even on a private address (e.g. on the hotel's own network)
+const ALLOWED_HOSTS = new Set(getEnv('ICAL_ALLOWED_HOSTS', '')
+  .split(',')
+  .map(host => host.trim().toLowerCase().replace(/^\[|\]$/g, ''))
+  .filter(Boolean));
+
+// Largest feed accepted, from a URL or an upload
+const MAX_FEED_BYTES = 2 * 1024 * 1024;
+
+// Redirects followed when downloading a feed
+const MAX_FEED_REDIRECTS = 3;
+
+// Addresses a feed URL may not reach: loopback, private, link-local (which
+// includes cloud metadata endpoints), shared, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Token that opens a room's public availability feed
+ * @param {string} roomId - Room ID
+ * @returns {string} Token (hex)
+ */
+const feedToken = (roomId) => crypto.createHmac('sha256', FEED_SECRET).update(`availability:${roomId}`).digest('hex');
+
+/**
+ * Check a feed token in constant time
+ * @param {string} roomId - Room ID
+ * @param {string} token - Token from the request
+ * @returns {boolean} True if the token opens this room's feed
+ */
+const verifyFeedToken = (roomId, token) => {
+  const expected = Buffer.from(feedToken(roomId));
+  const given = Buffer.from(String(token || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+/**
+ * Date ranges a room is booked for, from today on. Room blocks are left
+ * out so a platform never gets its own bookings echoed back.
+ * @param {object} executor - Drizzle db or transaction
+ * @param {string} roomId - Room ID
+ * @param {Date} [at] - Moment to list from
+ * @returns {Promise<Array<{id: string, checkIn: string, checkOut: string}>>} Taken ranges
+ */
+const loadTakenRanges = async (executor, roomId, at = new Date()) => executor
+  .select({ id: bookings.id, checkIn: bookings.checkIn, checkOut: bookings.checkOut })
+  .from(bookings)
+  .where(and(eq(bookings.roomId, roomId), gte(bookings.checkOut, hotelDate(at)), occupiesRoom()))
+  .orderBy(asc(bookings.checkIn));
+
+/**
+ * Check whether an address is one a feed URL may not reach
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for loopback, private, link-local and other non-public addresses
+ */
+const isPrivateAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return isPrivateAddress(mapped[1]);
+  }
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Check whether a feed host is allowed on a private address (ICAL_ALLOWED_HOSTS)
+ * @param {string} hostname - Host name or IP address (IPv6 without brackets)
+ * @returns {boolean} True if the host is allowed
+ */
+const isAllowedHost = (hostname) => ALLOWED_HOSTS.has(String(hostname).toLowerCase());
+
+/**
+ * DNS lookup for feed requests that refuses hosts resolving to a private
+ * address, unless the host is allowed. Used as the socket's lookup, so the
+ * address checked is the one connected to.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const refused = !isAllowedHost(hostname) && addresses.some(({ address }) => isPrivateAddress(address));
+    if (addresses.length === 0 || refused) {
+      return callback(new Error(`Feed host ${hostname} resolves to a private address`));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Send a GET request for a feed
+ * @param {URL} url - Feed URL
+ * @param {AbortSignal} signal - Aborts the request and the body download
+ * @returns {Promise<object>} Response stream (http.IncomingMessage)
+ * @throws {Error} If the URL is not http(s) or names a private address that is not allowed
+ */
+const requestFeed = (url, signal) => {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return Promise.reject(new Error('Only http and https feed URLs are supported'));
+  }
+
+  // Address literals are connected to without a lookup
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host) && !isAllowedHost(host)) {
+    return Promise.reject(new Error('Feed URLs may not point to a private address'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.get(url, {
+      headers: { Accept: 'text/calendar' },
+      lookup: publicLookup,
+      signal
+    }, resolve);
+    request.on('error', reject);
+  });
+};
+
+/**
+ * Download a feed from its URL. Feeds may only be fetched from public
+ * addresses or hosts listed in ICAL_ALLOWED_HOSTS, and the download stops as
+ * soon as it passes MAX_FEED_BYTES.
+ * @param {string} url - http(s) URL reachable from the server
+ * @returns {Promise<string>} iCalendar text
+ * @throws {Error} If the URL is not http(s) or is private, the request fails or the feed is too large
+ */
+const fetchFeed = async (url) => {
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT_SECONDS * 1000);
+  let target = new URL(url);
+  let response = await requestFeed(target, signal);
+
+  for (let redirects = 0; response.statusCode >= 300 && response.statusCode < 400 && response.headers.location; redirects++) {
+    response.resume();
+    if (redirects === MAX_FEED_REDIRECTS) {
+      throw new Error('Feed request was redirected too many times');
+    }
+    target = new URL(response.headers.location, target);
+    response = await requestFeed(target, signal);
+  }
+
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    response.resume();
+    throw new Error(`Feed request failed with status ${response.statusCode}`);
+  }
+
+  if (parseInt(response.headers['content-length']) > MAX_FEED_BYTES) {
+    response.destroy();
+    throw new Error('Feed is larger than 2 MB');
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response) {
+    size += chunk.length;
+    if (size > MAX_FEED_BYTES) {
+      response.destroy();
+      throw new Error('Feed is larger than 2 MB');
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * Turn a feed's events into the blocks it should produce. Cancelled and
+ * undated events are skipped, and a UID repeated in the feed keeps its
+ * last occurrence.
+ * @param {string} text - iCalendar text
+ * @returns {{blocks: object[], skipped: number}} Blocks by UID and the number of events skipped
+ */
+const eventsToBlocks = (text) => {
+  const byUid = new Map();
+  let skipped = 0;
+
+  for (const event of parseCalendar(text)) {
+    if (!event.uid || !event.startDate || !event.endDate || event.endDate <= event.startDate || event.status === 'CANCELLED') {
+      skipped++;
+      continue;
+    }
+    byUid.set(event.uid, {
+      uid: event.uid,
+      startDate: event.startDate,
+      endDate: event.endDate,
+      summary: event.summary
+    });
+  }
+
+  return { blocks: [...byUid.values()], skipped };
+};
+
+/**
+ * Import a feed's events as blocks on its room. Runs under the room lock, so
+ * it cannot interleave with a booking being made. Blocks that clash with a
+ * booking are still saved (the platform has already sold those nights) and
+ * reported as conflicts for staff to resolve.
+ * @param {object} db - Drizzle db
+ * @param {object} feed - Feed row
+ * @param {string} text - iCalendar text
+ * @returns {Promise<{created: number, updated: number, unchanged: number, removed: number, skipped: number, conflicts: object[]}>} Sync result
+ */
+const syncFeed = async (db, feed, text) => {
+  const { blocks, skipped } = eventsToBlocks(text);
+  const now = new Date();
+
+  return db.transaction(async (tx) => {
+    await lockRoom(tx, feed.roomId);
+
+    const existing = await tx.select().from(roomBlocks).where(eq(roomBlocks.feedId, feed.id));
+    const existingByUid = new Map(existing.map(block => [block.uid, block]));
+    const result = { created: 0, updated: 0, unchanged: 0, removed: 0, skipped, conflicts: [] };
+
+    for (const block of blocks) {
+      const previous = existingByUid.get(block.uid);
+      if (previous && previous.startDate === block.startDate && previous.endDate === block.endDate &&
+        previous.summary === block.summary) {
+        result.unchanged++;
+        continue;
+      }
+
+      await tx
+        .insert(roomBlocks)
+        .values({ ...block, roomId: feed.roomId, feedId: feed.id })
+        .onConflictDoUpdate({
+          target: [roomBlocks.feedId, roomBlocks.uid],
+          set: { startDate: block.startDate, endDate: block.endDate, summary: block.summary, updatedAt: now }
+        });
+      result[previous ? 'updated' : 'created']++;
+    }
+
+    // Events no longer in the feed were cancelled on the platform
+    const uids = blocks.map(block => block.uid);
+    const removed = await tx
+      .delete(roomBlocks)
+      .where(uids.length > 0
+        ? and(eq(roomBlocks.feedId, feed.id), notInArray(roomBlocks.uid, uids))
+        : eq(roomBlocks.feedId, feed.id))
+      .returning({ id: roomBlocks.id });
+    result.removed = removed.length;
+
+    for (const block of blocks) {
+      const overlaps = await findOverlappingBookings(tx, { roomId: feed.roomId, checkIn: block.startDate, checkOut: block.endDate });
+      overlaps
+        .filter(overlap => !overlap.blocked)
+        .forEach(({ id, checkIn, checkOut }) => result.conflicts.push({ uid: block.uid, bookingId: id, checkIn, checkOut }));
+    }
+
+    await tx
+      .update(icalFeeds)
+      .set({
+        lastSyncedAt: now,
+        lastSyncStatus: 'ok',
+        lastSyncError: null,
+        eventCount: blocks.length,
+        updatedAt: now
+      })
+      .where(eq(icalFeeds.id, feed.id));
+
+    return result;
+  });
+};
+
+/**
+ * Record a failed sync on the feed
+ * @param {object} db - Drizzle db
+ * @param {object} feed - Feed row
+ * @param {Error} error - What went wrong
+ */
+const recordSyncFailure = async (db, feed, error) => {
+  await db
+    .update(icalFeeds)
+    .set({ lastSyncedAt: new Date(), lastSyncStatus: 'failed', lastSyncError: error.message, updatedAt: new Date() })
+    .where(eq(icalFeeds.id, feed.id));
+};
+
+module.exports = {
+  MAX_FEED_BYTES,
+  feedToken,
+  verifyFeedToken,
+  loadTakenRanges,
+  isPrivateAddress,
+  fetchFeed,
+  eventsToBlocks,
+  syncFeed,
+  recordSyncFailure
+};
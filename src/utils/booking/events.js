@@ -0,0 +1,163 @@
+/**
+ * Booking Events Utility
+ * Keeps the audit trail of a booking: every create, update, cancellation,
+ * status change and payment change is written to booking_events with who
+ * made it and what changed, in the same transaction as the change itself.
+ *
+ * Actors are recorded as:
+ *   user   - a signed-in guest changing their own booking
+ *   guest  - a guest using a booking magic link (no account)
+ *   staff  - front-desk staff
+ *   admin  - an administrator
+ *   system - background jobs (hold expiry, stay processing)
+ */
+
+const { bookingEvents, users } = require('../../db/schema');
+const { asc, eq } = require('drizzle-orm');
+
+const EVENT_TYPES = ['created', 'updated', 'status_changed', 'cancelled', 'payment_changed'];
+
+// Booking columns worth auditing (timestamps like updatedAt are left out)
+const TRACKED_FIELDS = [
+  'status', 'roomId', 'checkIn', 'checkOut', 'nights', 'guests', 'adults', 'children',
+  'firstName', 'lastName', 'email', 'phone', 'specialRequests',
+  'basePrice', 'taxAndFees', 'discountAmount', 'totalPrice', 'promoCode',
+  'paymentStatus', 'paymentMethod', 'holdExpiresAt', 'cancellationPenalty', 'refundAmount',
+  'checkedInAt', 'idVerificationNotes', 'checkedOutAt'
+];
+
+/**
+ * Make a column value comparable and JSON-friendly
+ * @param {*} value - Column value
+ * @returns {*} Normalized value
+ */
+const normalizeValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+/**
+ * Work out which tracked fields differ between two versions of a booking
+ * @param {object|null} before - Booking before the change (null when created)
+ * @param {object} after - Booking after the change
+ * @returns {object} Changes as { field: { from, to } }
+ */
+const diffBooking = (before, after) => {
+  const changes = {};
+
+  for (const field of TRACKED_FIELDS) {
+    const from = normalizeValue(before ? before[field] : null);
+    const to = normalizeValue(after[field]);
+    if (String(from) !== String(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Describe who is making a request, for the audit trail
+ * @param {object} req - Express request
+ * @returns {{actorType: string, actorId: string|null}} Actor
+ */
+const actorFromRequest = (req) => {
+  if (req.bookingAccess || !req.user) {
+    return { actorType: 'guest', actorId: null };
+  }
+  const role = req.user.role;
+  return {
+    actorType: role === 'admin' || role === 'staff' ? role : 'user',
+    actorId: req.user.id || null
+  };
+};
+
+/**
+ * Record one or more changes to bookings
+ * @param {object} executor - Drizzle db or transaction (use the one that made the change)
+ * @param {object|object[]} events - Event or events to record
+ * @param {string} events.type - created, updated, status_changed, cancelled or payment_changed
+ * @param {object|null} events.before - Booking before the change (null when created)
+ * @param {object} events.after - Booking after the change
+ * @param {string} events.actorType - user, guest, staff, admin or system
+ * @param {string|null} [events.actorId] - User who made the change
+ * @param {string} [events.note] - Free-text context (e.g. a reason)
+ * @returns {Promise<object[]>} Recorded events
+ */
+const recordBookingEvents = async (executor, events) => {
+  const rows = (Array.isArray(events) ? events : [events]).map(event => ({
+    bookingId: event.after.id,
+    type: event.type,
+    actorType: event.actorType,
+    actorId: event.actorId || null,
+    changes: diffBooking(event.before, event.after),
+    note: event.note || null
+  }));
+
+  if (rows.length === 0) return [];
+  return executor.insert(bookingEvents).values(rows).returning();
+};
+
+/**
+ * Load a booking's history, oldest first, with the acting user's name
+ * @param {object} executor - Drizzle db or transaction
+ * @param {string} bookingId - Booking ID (uuid)
+ * @returns {Promise<object[]>} Events
+ */
+const loadBookingEvents = async (executor, bookingId) => {
+  const rows = await executor
+    .select({ event: bookingEvents, actorName: users.name })
+    .from(bookingEvents)
+    .leftJoin(users, eq(bookingEvents.actorId, users.id))
+    .where(eq(bookingEvents.bookingId, bookingId))
+    .orderBy(asc(bookingEvents.createdAt));
+
+  return rows.map(({ event, actorName }) => ({ ...event, actorName: actorName || null }));
+};
+
+/**
+ * One-line description of an event
+ * @param {object} event - Booking event
+ * @returns {string} Summary
+ */
+const describeEvent = (event) => {
+  const changes = event.changes || {};
+  const fields = Object.keys(changes);
+
+  if (event.type === 'created') return 'Booking created';
+  if (event.type === 'cancelled') return 'Booking cancelled';
+  if (changes.status && (event.type === 'status_changed' || fields.length === 1)) {
+    return `Status changed from ${changes.status.from} to ${changes.status.to}`;
+  }
+  if (changes.paymentStatus && event.type === 'payment_changed') {
+    return `Payment status changed from ${changes.paymentStatus.from} to ${changes.paymentStatus.to}`;
+  }
+  if (event.type === 'payment_changed' && fields.length === 0 && event.note) {
+    return event.note;
+  }
+  return fields.length > 0 ? `Changed ${fields.join(', ')}` : 'No tracked fields changed';
+};
+
+/**
+ * Condensed timeline of a booking's history
+ * @param {object[]} events - Events from loadBookingEvents
+ * @returns {Array<{at: Date, type: string, actor: string, summary: string}>} Timeline
+ */
+const summarizeTimeline = (events) => events.map(event => ({
+  at: event.createdAt,
+  type: event.type,
+  actor: event.actorName ? `${event.actorType} (${event.actorName})` : event.actorType,
+  summary: describeEvent(event)
+}));
+
+module.exports = {
+  EVENT_TYPES,
+  TRACKED_FIELDS,
+  diffBooking,
+  actorFromRequest,
+  recordBookingEvents,
+  loadBookingEvents,
+  describeEvent,
+  summarizeTimeline
+};
@@ -0,0 +1,291 @@
+/**
+ * Booking Folio Utility
+ * Builds the guest folio: the itemised statement of a stay, printed at
+ * check-out. It lists, in order:
+ *   - the stay itself (room, discounts, taxes), from the prices stored on the
+ *     booking so it always matches what the guest was quoted
+ *   - charges staff post during the stay (minibar, room service, laundry,
+ *     damages) and adjustments (credits or corrections)
+ *   - payments captured and refunds sent back
+ * with the balance running down each line. As with the booking's payment
+ * summary, a refund is shown but does not reopen the balance: money goes
+ * back because the guest no longer owes it. Posted items are never deleted;
+ * a mistake is voided with a reason and stays on the folio, uncounted.
+ */
+
+const { folioItems } = require('../../db/schema');
+const { and, eq, isNull } = require('drizzle-orm');
+const AppError = require('../appError');
+const { CURRENCY, toCents, fromCents } = require('./pricing');
+const { loadPayments, loadRefunds, loadFolioItems, lockBooking, syncBookingPaymentStatus } = require('./payments');
+
+const FOLIO_ITEM_TYPES = ['charge', 'adjustment'];
+const CHARGE_CATEGORIES = ['minibar', 'room_service', 'laundry', 'damages', 'other'];
+
+// Charges can be posted from confirmation until after check-out (e.g. damages found when turning the room)
+const POSTABLE_BOOKING_STATUSES = ['confirmed', 'checked_in', 'completed'];
+
+// Lines that add to what the guest owes
+const CHARGE_LINE_TYPES = ['room', 'discount', 'tax', 'charge', 'adjustment'];
+
+/**
+ * Itemised stay charges on a booking, in cents
+ * @param {object} booking - Booking row
+ * @returns {Array<{type: string, description: string, amount: number}>} Stay lines
+ */
+const stayItems = (booking) => {
+  const nights = booking.nights || 0;
+  const discountCents = toCents(booking.discountAmount);
+  const items = [{
+    type: 'room',
+    description: `${booking.roomTitle} (${nights} night${nights === 1 ? '' : 's'})`,
+    amount: toCents(booking.basePrice) + discountCents
+  }];
+
+  if (discountCents > 0) {
+    items.push({
+      type: 'discount',
+      description: booking.promoCode ? `Discounts (promo code ${booking.promoCode})` : 'Discounts',
+      amount: -discountCents
+    });
+  }
+
+  for (const tax of booking.taxBreakdown || []) {
+    items.push({ type: 'tax', description: tax.name, amount: toCents(tax.amount) });
+  }
+
+  return items;
+};
+
+/**
+ * Name a posted item for the booking history (e.g. "room service charge")
+ * @param {object} item - Folio item row
+ * @returns {string} Label
+ */
+const folioItemLabel = (item) => (item.type === 'charge' ? `${item.category.replace('_', ' ')} charge` : 'adjustment');
+
+/**
+ * Folio lines after the stay itself, in cents and in the order they happened
+ * @param {object} booking - Booking row
+ * @param {object[]} bookingPayments - The booking's payments
+ * @param {object[]} bookingRefunds - The booking's refunds
+ * @param {object[]} bookingFolioItems - Charges and adjustments posted to the booking
+ * @returns {object[]} Folio lines
+ */
+const ledgerLines = (booking, bookingPayments, bookingRefunds, bookingFolioItems) => {
+  const lines = bookingFolioItems.map(item => ({
+    id: item.id,
+    type: item.type,
+    category: item.category,
+    description: item.description,
+    quantity: item.quantity,
+    unitPrice: parseFloat(item.unitPrice),
+    amount: toCents(item.amount),
+    postedAt: item.createdAt,
+    voided: Boolean(item.voidedAt),
+    voidedAt: item.voidedAt || null,
+    voidReason: item.voidReason || null
+  }));
+
+  for (const payment of bookingPayments.filter(p => p.status === 'captured')) {
+    lines.push({
+      id: payment.id,
+      type: 'payment',
+      description: `Payment (${payment.method.replace('_', ' ')})`,
+      amount: -toCents(payment.amount),
+      postedAt: payment.capturedAt || payment.updatedAt
+    });
+  }
+
+  // Bookings marked paid before the ledger existed have no payments
+  if (bookingPayments.length === 0 && booking.paymentStatus === 'paid') {
+    lines.push({ type: 'payment', description: 'Payment', amount: -toCents(booking.totalPrice), postedAt: booking.createdAt });
+  }
+
+  for (const refund of bookingRefunds.filter(r => r.status === 'succeeded')) {
+    lines.push({
+      id: refund.id,
+      type: 'refund',
+      description: `Refund (${refund.reason})`,
+      amount: toCents(refund.amount),
+      postedAt: refund.updatedAt
+    });
+  }
+
+  return lines.sort((a, b) => new Date(a.postedAt) - new Date(b.postedAt));
+};
+
+/**
+ * Build the folio for a booking
+ * @param {object} booking - Booking row
+ * @param {object[]} [bookingPayments] - The booking's payments (captured ones count as paid)
+ * @param {object[]} [bookingRefunds] - The booking's refunds (succeeded ones are owed back)
+ * @param {object[]} [bookingFolioItems] - Charges and adjustments posted to the booking
+ * @returns {object} Folio with items, each with the balance after it, and the totals
+ */
+const buildFolio = (booking, bookingPayments = [], bookingRefunds = [], bookingFolioItems = []) => {
+  const stay = stayItems(booking).map(item => ({ ...item, postedAt: booking.createdAt }));
+  const lines = [...stay, ...ledgerLines(booking, bookingPayments, bookingRefunds, bookingFolioItems)];
+
+  let balanceCents = 0;
+  let totalCents = 0;
+  let paidCents = 0;
+  let refundedCents = 0;
+
+  const items = lines.map(line => {
+    if (line.type === 'refund') {
+      refundedCents += line.amount;
+    } else if (!line.voided) {
+      balanceCents += line.amount;
+      if (CHARGE_LINE_TYPES.includes(line.type)) totalCents += line.amount;
+      if (line.type === 'payment') paidCents -= line.amount;
+    }
+    return { ...line, amount: fromCents(line.amount), balance: fromCents(balanceCents) };
+  });
+
+  return {
+    bookingId: booking.bookingId,
+    guestName: `${booking.firstName} ${booking.lastName}`,
+    roomTitle: booking.roomTitle,
+    checkIn: booking.checkIn,
+    checkOut: booking.checkOut,
+    nights: booking.nights,
+    checkedInAt: booking.checkedInAt || null,
+    checkedOutAt: booking.checkedOutAt || null,
+    currency: CURRENCY,
+    items,
+    total: fromCents(totalCents),
+    paymentStatus: booking.paymentStatus,
+    amountPaid: fromCents(paidCents),
+    amountRefunded: fromCents(refundedCents),
+    balanceDue: fromCents(balanceCents)
+  };
+};
+
+/**
+ * Load everything on a booking's folio and build it
+ * @param {object} executor - Drizzle db or transaction
+ * @param {object} booking - Booking row
+ * @returns {Promise<object>} Folio (see buildFolio)
+ */
+const loadFolio = async (executor, booking) => buildFolio(
+  booking,
+  await loadPayments(executor, booking.id),
+  await loadRefunds(executor, booking.id),
+  await loadFolioItems(executor, booking.id)
+);
+
+/**
+ * Check a stay can be closed (checked out or completed) with what is left on
+ * its folio. Nothing owed closes as usual; a balance due needs a manager's
+ * override and reason, which the booking history records.
+ * @param {object} folio - Folio (see buildFolio)
+ * @param {object} [params] - Override
+ * @param {boolean} [params.override=false] - Close it even though the guest still owes money
+ * @param {string} [params.overrideReason] - Why
+ * @returns {string|null} Note for the booking history when a balance was overridden
+ * @throws {AppError} 409 while a balance is due and not overridden
+ */
+const closingBalanceNote = (folio, { override = false, overrideReason } = {}) => {
+  if (folio.balanceDue <= 0) return null;
+
+  const outstanding = `${folio.currency} ${folio.balanceDue.toFixed(2)}`;
+  if (!override) {
+    throw new AppError(`The guest still owes ${outstanding}; settle the folio before checking out`, 409);
+  }
+  return `Checked out with ${outstanding} outstanding: ${overrideReason}`;
+};
+
+/**
+ * Post a charge or adjustment to a booking's folio
+ * @param {object} db - Drizzle db
+ * @param {object} booking - Booking row
+ * @param {object} params - What to post
+ * @param {string} params.type - charge or adjustment
+ * @param {string} [params.category] - Charge category (charges only)
+ * @param {string} params.description - What the guest sees on the folio
+ * @param {number} [params.quantity=1] - Number of units
+ * @param {number} params.unitPrice - Price per unit in currency units (negative for a credit adjustment)
+ * @param {object} params.actor - Who is posting ({ actorType, actorId })
+ * @returns {Promise<{item: object, booking: object}>} Posted item and the booking as it is now
+ * @throws {AppError} 400 if the booking no longer takes charges
+ */
+const postFolioItem = async (db, booking, { type, category, description, quantity = 1, unitPrice, actor }) => db.transaction(async (tx) => {
+  const locked = await lockBooking(tx, booking.id);
+
+  if (!POSTABLE_BOOKING_STATUSES.includes(locked.status)) {
+    throw new AppError(`Charges cannot be posted to a ${locked.status.replace('_', ' ')} booking`, 400);
+  }
+
+  const [item] = await tx.insert(folioItems).values({
+    bookingId: locked.id,
+    type,
+    category: type === 'charge' ? category : null,
+    description,
+    quantity,
+    unitPrice: fromCents(toCents(unitPrice)).toString(),
+    amount: fromCents(toCents(unitPrice) * quantity).toString(),
+    currency: CURRENCY,
+    postedBy: actor.actorId || null
+  }).returning();
+
+  const updated = await syncBookingPaymentStatus(tx, locked, actor, {
+    alwaysRecord: true,
+    note: `Posted ${folioItemLabel(item)} of ${item.currency} ${parseFloat(item.amount).toFixed(2)}: ${item.description}`
+  });
+
+  return { item, booking: updated };
+});
+
+/**
+ * Void a posted charge or adjustment. It stays on the folio but no longer
+ * counts towards the balance.
+ * @param {object} db - Drizzle db
+ * @param {object} booking - Booking row
+ * @param {string} itemId - Folio item ID (uuid)
+ * @param {object} params - Void details
+ * @param {string} params.reason - Why the item is voided
+ * @param {object} params.actor - Who is voiding ({ actorType, actorId })
+ * @returns {Promise<{item: object, booking: object}>} Voided item and the booking as it is now
+ * @throws {AppError} 404 if the booking has no such item, 400 if it is already voided
+ */
+const voidFolioItem = async (db, booking, itemId, { reason, actor }) => db.transaction(async (tx) => {
+  const locked = await lockBooking(tx, booking.id);
+
+  const [item] = await tx
+    .select()
+    .from(folioItems)
+    .where(and(eq(folioItems.id, itemId), eq(folioItems.bookingId, locked.id)));
+
+  if (!item) {
+    throw new AppError('Folio item not found', 404);
+  }
+  if (item.voidedAt) {
+    throw new AppError('This item has already been voided', 400);
+  }
+
+  const now = new Date();
+  const [voided] = await tx
+    .update(folioItems)
+    .set({ voidedAt: now, voidedBy: actor.actorId || null, voidReason: reason, updatedAt: now })
+    .where(and(eq(folioItems.id, item.id), isNull(folioItems.voidedAt)))
+    .returning();
+
+  const updated = await syncBookingPaymentStatus(tx, locked, actor, {
+    alwaysRecord: true,
+    note: `Voided ${folioItemLabel(voided)} of ${voided.currency} ${parseFloat(voided.amount).toFixed(2)}: ${reason}`
+  });
+
+  return { item: voided, booking: updated };
+});
+
+module.exports = {
+  FOLIO_ITEM_TYPES,
+  CHARGE_CATEGORIES,
+  stayItems,
+  buildFolio,
+  loadFolio,
+  closingBalanceNote,
+  postFolioItem,
+  voidFolioItem
+};
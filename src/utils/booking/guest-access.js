@@ -0,0 +1,124 @@
+/**
+ * Guest Booking Access Utility
+ * Lets guests without an account get back to their booking. The booking
+ * reference plus the booking email gives a limited, read-only summary. A
+ * magic link emailed to the booking's address carries a signed token that
+ * lets whoever holds it view, change or cancel that one booking until the
+ * token expires (or the booking email changes).
+ */
+
+const jwt = require('jsonwebtoken');
+const { bookings } = require('../../db/schema');
+const { and, eq, sql } = require('drizzle-orm');
+const { getEnv } = require('../env-validator');
+
+const JWT_SECRET = getEnv('JWT_SECRET', 'your-secret-key');
+const BOOKING_LINK_EXPIRES_IN = getEnv('BOOKING_LINK_EXPIRES_IN', '48h');
+const FRONTEND_URL = getEnv('FRONTEND_URL', getEnv('CORS_ORIGIN', 'http://localhost:3000'));
+
+// Marks tokens as booking links so login tokens can never be used in their place
+const TOKEN_PURPOSE = 'booking_access';
+
+/**
+ * Normalize an email for comparison
+ * @param {string} email - Email address
+ * @returns {string} Trimmed, lower-cased email
+ */
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Find a booking by its reference and the email it was made with
+ * @param {object} executor - Drizzle db or transaction
+ * @param {string} reference - Booking reference (BK-xxxxxx-XXX)
+ * @param {string} email - Booking email (any case)
+ * @returns {Promise<object|undefined>} Booking row
+ */
+const findBookingByReference = async (executor, reference, email) => {
+  const [booking] = await executor
+    .select()
+    .from(bookings)
+    .where(and(
+      eq(bookings.bookingId, String(reference).trim().toUpperCase()),
+      eq(sql`lower(${bookings.email})`, normalizeEmail(email))
+    ));
+  return booking;
+};
+
+/**
+ * Sign a magic-link token for one booking
+ * @param {object} booking - Booking row
+ * @returns {string} Signed token
+ */
+const signBookingAccessToken = (booking) => jwt.sign(
+  { purpose: TOKEN_PURPOSE, bookingId: booking.id, email: normalizeEmail(booking.email) },
+  JWT_SECRET,
+  { expiresIn: BOOKING_LINK_EXPIRES_IN }
+);
+
+/**
+ * Verify a magic-link token
+ * @param {string} token - Signed token
+ * @returns {object|null} Decoded token ({ bookingId, email }), or null if invalid or expired
+ */
+const verifyBookingAccessToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded && decoded.purpose === TOKEN_PURPOSE ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the magic link for a booking's token. The token goes in the URL
+ * fragment, which browsers never send to a server, so it stays out of
+ * access logs; the page passes it to the API in the X-Booking-Token header.
+ * @param {string} token - Signed token
+ * @returns {string} Link to the booking management page
+ */
+const buildMagicLinkUrl = (token) => `${FRONTEND_URL.replace(/\/$/, '')}/bookings/manage#token=${encodeURIComponent(token)}`;
+
+/**
+ * Condition limiting a booking query to a booking the requester owns: the
+ * one booking a magic link grants, otherwise the user's own bookings
+ * @param {object} req - Express request
+ * @param {string} id - Booking ID
+ * @returns {object} Drizzle condition
+ */
+const ownBookingCondition = (req, id) => (req.bookingAccess
+  ? and(eq(bookings.id, id), eq(bookings.id, req.bookingAccess.bookingId))
+  : and(eq(bookings.id, id), eq(bookings.userId, req.user.id)));
+
+/**
+ * Limited view of a booking for a reference-and-email lookup
+ * @param {object} booking - Booking row
+ * @returns {object} Booking summary without contact or payment details
+ */
+const formatBookingSummary = (booking) => ({
+  bookingId: booking.bookingId,
+  status: booking.status,
+  guestName: `${booking.firstName} ${booking.lastName.charAt(0)}.`,
+  roomTitle: booking.roomTitle,
+  roomCategory: booking.roomCategory,
+  checkIn: booking.checkIn,
+  checkOut: booking.checkOut,
+  nights: booking.nights,
+  guests: booking.guests,
+  adults: booking.adults,
+  children: booking.children,
+  totalPrice: parseFloat(booking.totalPrice) || 0,
+  holdExpiresAt: booking.holdExpiresAt,
+  cancellationPolicy: booking.cancellationPolicy ? booking.cancellationPolicy.name : null,
+  createdAt: booking.createdAt
+});
+
+module.exports = {
+  BOOKING_LINK_EXPIRES_IN,
+  normalizeEmail,
+  findBookingByReference,
+  signBookingAccessToken,
+  verifyBookingAccessToken,
+  buildMagicLinkUrl,
+  ownBookingCondition,
+  formatBookingSummary
+};
@@ -0,0 +1,91 @@
+/**
+ * Booking Holds Utility
+ * Places time-limited checkout holds: pending bookings that reserve a room
+ * until hold_expires_at, after which they are released
+ */
+
+const { bookings } = require('../../db/schema');
+const { getEnv } = require('../env-validator');
+const { assertRoomAvailable, toConflictError, toDateString } = require('./availability');
+const { priceStay } = require('./pricing');
+const { generateBookingId } = require('./reference');
+const { recordBookingEvents } = require('./events');
+
+// How long a room stays held for a guest in checkout
+const HOLD_MINUTES = parseInt(getEnv('BOOKING_HOLD_MINUTES', '15')) || 15;
+
+/**
+ * Hold a room for a user
+ * @param {object} db - Drizzle db
+ * @param {object} params - Hold parameters
+ * @param {object} params.room - Room row
+ * @param {object} params.user - User the hold belongs to (id, name, email)
+ * @param {string|Date} params.checkIn - Check-in date
+ * @param {string|Date} params.checkOut - Check-out date
+ * @param {number} [params.adults=1] - Number of adults
+ * @param {number} [params.children=0] - Number of children
+ * @param {string} [params.promoCode] - Promo code (redeemed when the hold is confirmed)
+ * @param {object} [params.details] - Guest details overriding the user's (firstName, lastName, email, phone, specialRequests)
+ * @param {string} [params.note] - Context for the booking history (e.g. where the hold came from)
+ * @returns {Promise<{hold: object, quote: object}>} Hold booking row and its price quote
+ * @throws {BookingConflictError} If the room is taken for any night of the stay
+ */
+const placeHold = async (db, { room, user, checkIn, checkOut, adults, children, promoCode, details = {}, note }) => {
+  const adultCount = parseInt(adults) || 1;
+  const childCount = parseInt(children) || 0;
+  const guestCount = adultCount + childCount;
+  const quote = await priceStay(db, { room, checkIn, checkOut, guests: guestCount, promoCode });
+
+  const [defaultFirstName, ...defaultLastNames] = (user.name || 'Guest User').split(' ');
+
+  const holdData = {
+    bookingId: generateBookingId(),
+    userId: user.id,
+    roomId: room.id,
+    firstName: details.firstName || defaultFirstName,
+    lastName: details.lastName || defaultLastNames.join(' ') || 'User',
+    email: details.email || user.email,
+    phone: details.phone || 'N/A',
+    roomType: room.type || 'standard',
+    roomTitle: room.title,
+    roomCategory: room.category,
+    roomImage: room.imageUrl,
+    checkIn: toDateString(checkIn),
+    checkOut: toDateString(checkOut),
+    nights: quote.nights,
+    guests: guestCount,
+    adults: adultCount,
+    children: childCount,
+    specialRequests: details.specialRequests || '',
+    basePrice: quote.subtotal.toString(),
+    taxAndFees: quote.taxAndFees.toString(),
+    taxBreakdown: quote.taxes,
+    totalPrice: quote.totalPrice.toString(),
+    promotionId: quote.promotionId,
+    promoCode: quote.promoCode,
+    discountAmount: quote.discountTotal.toString(),
+    cancellationPolicy: quote.cancellationPolicy,
+    status: 'pending',
+    paymentStatus: 'pending',
+    holdExpiresAt: new Date(Date.now() + HOLD_MINUTES * 60 * 1000),
+    location: room.location
+  };
+
+  const stay = { roomId: room.id, checkIn: holdData.checkIn, checkOut: holdData.checkOut };
+  try {
+    const hold = await db.transaction(async (tx) => {
+      await assertRoomAvailable(tx, stay);
+      const [inserted] = await tx.insert(bookings).values(holdData).returning();
+      await recordBookingEvents(tx, { type: 'created', before: null, after: inserted, actorType: 'user', actorId: user.id, note });
+      return inserted;
+    });
+    return { hold, quote };
+  } catch (writeError) {
+    throw (await toConflictError(db, writeError, stay)) || writeError;
+  }
+};
+
+module.exports = {
+  HOLD_MINUTES,
+  placeHold
+};
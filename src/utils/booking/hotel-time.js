@@ -0,0 +1,52 @@
+/**
+ * Hotel Time Utility
+ * Booking dates are calendar dates at the hotel. These helpers place them in
+ * time using the hotel's check-in/check-out times and UTC offset.
+ */
+
+const { getEnv } = require('../env-validator');
+
+const CHECK_IN_TIME = getEnv('CHECK_IN_TIME', '14:00');
+const CHECK_OUT_TIME = getEnv('CHECK_OUT_TIME', '12:00');
+const HOTEL_UTC_OFFSET = getEnv('HOTEL_UTC_OFFSET', '+08:00');
+
+/**
+ * Offset of hotel time from UTC in milliseconds
+ * @returns {number} Offset
+ */
+const offsetMs = () => {
+  const match = /^([+-])(\d{2}):?(\d{2})$/.exec(HOTEL_UTC_OFFSET);
+  if (!match) return 0;
+  const minutes = parseInt(match[2]) * 60 + parseInt(match[3]);
+  return (match[1] === '-' ? -minutes : minutes) * 60 * 1000;
+};
+
+/**
+ * The hotel's calendar date at a given moment
+ * @param {Date} [at] - Moment
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+const hotelDate = (at = new Date()) => new Date(at.getTime() + offsetMs()).toISOString().split('T')[0];
+
+/**
+ * Moment a guest may check in on a date
+ * @param {string} date - Check-in date (YYYY-MM-DD)
+ * @returns {Date} Check-in moment
+ */
+const checkInMoment = (date) => new Date(`${date}T${CHECK_IN_TIME}:00${HOTEL_UTC_OFFSET}`);
+
+/**
+ * Moment a guest must check out on a date
+ * @param {string} date - Check-out date (YYYY-MM-DD)
+ * @returns {Date} Check-out moment
+ */
+const checkOutMoment = (date) => new Date(`${date}T${CHECK_OUT_TIME}:00${HOTEL_UTC_OFFSET}`);
+
+module.exports = {
+  CHECK_IN_TIME,
+  CHECK_OUT_TIME,
+  HOTEL_UTC_OFFSET,
+  hotelDate,
+  checkInMoment,
+  checkOutMoment
+};
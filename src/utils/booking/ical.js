@@ -0,0 +1,270 @@
+/**
+ * Booking iCalendar Utility
+ * Reads and writes RFC 5545 calendars:
+ *  - a guest's stay, running from check-in time on the arrival date to
+ *    check-out time on the departure date at the hotel (see hotel-time.js)
+ *  - a room's availability feed for booking platforms, where each taken
+ *    range is an all-day event ending on the (exclusive) check-out date
+ *  - external feeds, parsed into date ranges to block
+ */
+
+const { getEnv } = require('../env-validator');
+const { CHECK_IN_TIME, CHECK_OUT_TIME, hotelDate, checkInMoment, checkOutMoment } = require('./hotel-time');
+
+const HOTEL_NAME = getEnv('HOTEL_NAME', 'Our Hotel');
+
+// Lines longer than this many octets are folded (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+const EVENT_STATUSES = {
+  pending: 'TENTATIVE',
+  cancelled: 'CANCELLED',
+  expired: 'CANCELLED',
+  no_show: 'CANCELLED'
+};
+
+/**
+ * Format a moment as a UTC date-time (e.g. 20300710T060000Z)
+ * @param {Date|string} date - Moment
+ * @returns {string} iCalendar date-time
+ */
+const formatIcalDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Format a calendar date as an iCalendar DATE (e.g. 20300710)
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string} iCalendar date
+ */
+const formatIcalDay = (date) => date.replace(/-/g, '');
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ * @param {*} value - Value
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line so no line is longer than 75 octets, without
+ * splitting a multi-byte character
+ * @param {string} line - Content line
+ * @returns {string} Folded line (continuations start with a space)
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one octet to their leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Build the calendar for a booking
+ * @param {object} booking - Booking row
+ * @param {Date} [at] - Moment the calendar is generated (DTSTAMP)
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+const buildBookingCalendar = (booking, at = new Date()) => {
+  const description = [
+    `Booking reference: ${booking.bookingId}`,
+    `Room: ${booking.roomTitle}`,
+    `Check-in from ${CHECK_IN_TIME} on ${booking.checkIn}`,
+    `Check-out by ${CHECK_OUT_TIME} on ${booking.checkOut}`,
+    `Guests: ${booking.guests}`
+  ].join('\n');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${escapeText(HOTEL_NAME)}//Bookings//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${booking.id}`,
+    `DTSTAMP:${formatIcalDate(at)}`,
+    `DTSTART:${formatIcalDate(checkInMoment(booking.checkIn))}`,
+    `DTEND:${formatIcalDate(checkOutMoment(booking.checkOut))}`,
+    `SUMMARY:${escapeText(`${HOTEL_NAME}: ${booking.roomTitle}`)}`,
+    ...(booking.location ? [`LOCATION:${escapeText(booking.location)}`] : []),
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${EVENT_STATUSES[booking.status] || 'CONFIRMED'}`,
+    ...(booking.updatedAt ? [`LAST-MODIFIED:${formatIcalDate(booking.updatedAt)}`] : []),
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Build a room's availability feed: one all-day event per taken range,
+ * without any guest details
+ * @param {object} room - Room row
+ * @param {Array<{id: string, checkIn: string, checkOut: string}>} ranges - Taken ranges (check-out exclusive)
+ * @param {Date} [at] - Moment the feed is generated (DTSTAMP)
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+const buildAvailabilityCalendar = (room, ranges, at = new Date()) => {
+  const events = ranges.flatMap(range => [
+    'BEGIN:VEVENT',
+    `UID:availability-${range.id}`,
+    `DTSTAMP:${formatIcalDate(at)}`,
+    `DTSTART;VALUE=DATE:${formatIcalDay(range.checkIn)}`,
+    `DTEND;VALUE=DATE:${formatIcalDay(range.checkOut)}`,
+    'SUMMARY:Not available',
+    'TRANSP:OPAQUE',
+    'END:VEVENT'
+  ]);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${escapeText(HOTEL_NAME)}//Availability//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`${HOTEL_NAME}: ${room.title}`)}`,
+    ...events,
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Undo TEXT escaping (RFC 5545 section 3.3.11)
+ * @param {string} value - Escaped text
+ * @returns {string} Text
+ */
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) =>
+  (char === 'n' || char === 'N' ? '\n' : char));
+
+/**
+ * Split a content line into its property name and value, ignoring its
+ * parameters (which may be quoted and contain colons, e.g. TZID)
+ * @param {string} line - Unfolded content line
+ * @returns {{name: string, value: string}|null} Parsed line, or null if malformed
+ */
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') inQuotes = !inQuotes;
+    if (char === ':' && !inQuotes) {
+      return { name: line.slice(0, i).split(';')[0].toUpperCase(), value: line.slice(i + 1) };
+    }
+  }
+  return null;
+};
+
+/**
+ * Read a DTSTART/DTEND value as a hotel calendar date. UTC times are moved
+ * to hotel time; floating and TZID times keep their own date.
+ * @param {string} value - iCalendar DATE or DATE-TIME
+ * @returns {string|null} Date (YYYY-MM-DD), or null if unreadable
+ */
+const parseIcalDay = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (utc) {
+    return hotelDate(new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds)));
+  }
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * The day after a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string} Next date (YYYY-MM-DD)
+ */
+const nextDay = (date) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().split('T')[0];
+};
+
+/**
+ * Parse the events of an external calendar into date ranges. Recurrence
+ * rules are not expanded (booking platforms send one event per stay), and
+ * components nested in an event (alarms) are skipped.
+ * @param {string} text - iCalendar text
+ * @returns {Array<{uid: string|null, summary: string|null, status: string|null, startDate: string|null, endDate: string|null}>} Events
+ */
+const parseCalendar = (text) => {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let event = null;
+  let nested = 0;
+
+  for (const line of lines) {
+    const parsed = parseContentLine(line);
+    if (!parsed) continue;
+    const { name, value } = parsed;
+
+    if (name === 'BEGIN') {
+      if (event) nested++;
+      else if (value.trim().toUpperCase() === 'VEVENT') event = { uid: null, summary: null, status: null, startDate: null, endDate: null };
+      continue;
+    }
+
+    if (name === 'END') {
+      if (event && nested > 0) {
+        nested--;
+      } else if (event && value.trim().toUpperCase() === 'VEVENT') {
+        // An event without an end lasts one day (RFC 5545 section 3.6.1)
+        if (event.startDate && !event.endDate) event.endDate = nextDay(event.startDate);
+        events.push(event);
+        event = null;
+      }
+      continue;
+    }
+
+    if (!event || nested > 0) continue;
+
+    if (name === 'UID') event.uid = value.trim();
+    if (name === 'SUMMARY') event.summary = unescapeText(value);
+    if (name === 'STATUS') event.status = value.trim().toUpperCase();
+    if (name === 'DTSTART') event.startDate = parseIcalDay(value);
+    if (name === 'DTEND') event.endDate = parseIcalDay(value);
+  }
+
+  return events;
+};
+
+/**
+ * File name for a booking's calendar
+ * @param {object} booking - Booking row
+ * @returns {string} e.g. BK-123456-ABC.ics
+ */
+const calendarFileName = (booking) => `${booking.bookingId}.ics`;
+
+module.exports = {
+  formatIcalDate,
+  formatIcalDay,
+  escapeText,
+  unescapeText,
+  foldLine,
+  buildBookingCalendar,
+  buildAvailabilityCalendar,
+  parseCalendar,
+  calendarFileName
+};
@@ -0,0 +1,526 @@
+/**
+ * Booking Invoices Utility
+ * Issues invoices for stays and credit notes that cancel them, and renders
+ * both as PDF.
+ *
+ * An invoice is a snapshot of the booking's folio (see folio.js) when it was
+ * issued: the hotel's details from the hotels table, who is billed, each
+ * line, the taxes and the payments received. It is never changed afterwards
+ * (the database refuses updates). To correct one, issue a credit note for it
+ * and then a new invoice; a booking's current invoice is the latest one that
+ * has not been credited.
+ *
+ * Numbers run without gaps per series and calendar year at the hotel, e.g.
+ * INV-2030-000001 and CN-2030-000001. A number is taken in the same
+ * transaction as its invoice, so an issue that fails does not use one up.
+ */
+
+const { invoices, invoiceSequences, hotels } = require('../../db/schema');
+const { and, asc, eq, sql } = require('drizzle-orm');
+const AppError = require('../appError');
+const { getEnv } = require('../env-validator');
+const { toCents, fromCents } = require('./pricing');
+const { hotelDate } = require('./hotel-time');
+const { loadFolio } = require('./folio');
+const { lockBooking } = require('./payments');
+const { createPdfDocument, fitText } = require('../pdf');
+
+// Which hotels row to invoice as (default: the first one created)
+const HOTEL_ID = getEnv('HOTEL_ID', '');
+
+const INVOICE_PREFIXES = {
+  invoice: 'INV',
+  credit_note: 'CN'
+};
+
+// Bookings that can be invoiced: the stay is (or was) going ahead
+const INVOICEABLE_BOOKING_STATUSES = ['confirmed', 'checked_in', 'completed'];
+
+// Folio lines that are billed; taxes are listed separately
+const BILLED_LINE_TYPES = ['room', 'discount', 'charge', 'adjustment'];
+
+/**
+ * Load the hotel invoices are issued by
+ * @param {object} executor - Drizzle db or transaction
+ * @returns {Promise<object>} Hotel row
+ * @throws {AppError} 503 if the hotel's details have not been set up
+ */
+const loadHotel = async (executor) => {
+  const [hotel] = HOTEL_ID
+    ? await executor.select().from(hotels).where(eq(hotels.id, HOTEL_ID))
+    : await executor.select().from(hotels).orderBy(asc(hotels.createdAt)).limit(1);
+
+  if (!hotel) {
+    throw new AppError('The hotel\'s details have not been set up, so invoices cannot be issued yet', 503);
+  }
+  return hotel;
+};
+
+/**
+ * Who an invoice is billed to: the guest on the booking unless other
+ * billing details (e.g. a company) are given
+ * @param {object} booking - Booking row
+ * @param {object} [billTo] - Billing details ({ name, company, address, taxId, email })
+ * @returns {object} Billing details
+ */
+const billingDetails = (booking, billTo = {}) => ({
+  name: billTo.name || `${booking.firstName} ${booking.lastName}`,
+  company: billTo.company || null,
+  address: billTo.address || null,
+  taxId: billTo.taxId || null,
+  email: billTo.email || booking.email,
+  phone: booking.phone || null
+});
+
+/**
+ * What goes on an invoice for a folio
+ * @param {object} folio - Folio (see buildFolio)
+ * @returns {object} Invoice lines, taxes, payments and totals in currency units
+ */
+const invoiceContent = (folio) => {
+  const billed = folio.items.filter(item => BILLED_LINE_TYPES.includes(item.type) && !item.voided);
+  const taxLines = folio.items.filter(item => item.type === 'tax');
+
+  const lines = billed.map(item => ({
+    description: item.description,
+    quantity: item.quantity || 1,
+    unitPrice: item.unitPrice !== undefined ? item.unitPrice : item.amount,
+    amount: item.amount
+  }));
+  const taxes = taxLines.map(item => ({ name: item.description, amount: item.amount }));
+
+  // Money received is positive and money sent back negative
+  const received = folio.items
+    .filter(item => item.type === 'payment' || item.type === 'refund')
+    .map(item => ({
+      type: item.type,
+      description: item.description,
+      date: hotelDate(new Date(item.postedAt)),
+      amount: fromCents(-toCents(item.amount))
+    }));
+
+  const subtotalCents = lines.reduce((sum, line) => sum + toCents(line.amount), 0);
+  const taxCents = taxes.reduce((sum, tax) => sum + toCents(tax.amount), 0);
+
+  return {
+    stay: {
+      bookingId: folio.bookingId,
+      roomTitle: folio.roomTitle,
+      checkIn: folio.checkIn,
+      checkOut: folio.checkOut,
+      nights: folio.nights
+    },
+    lines,
+    taxes,
+    payments: received,
+    currency: folio.currency,
+    subtotal: fromCents(subtotalCents),
+    taxTotal: fromCents(taxCents),
+    total: fromCents(subtotalCents + taxCents),
+    amountPaid: fromCents(received.reduce((sum, payment) => sum + toCents(payment.amount), 0)),
+    balanceDue: folio.balanceDue
+  };
+};
+
+/**
+ * What goes on a credit note for an invoice: every line and tax reversed
+ * @param {object} invoice - Invoice row
+ * @returns {object} Credit note lines, taxes and totals in currency units
+ */
+const creditNoteContent = (invoice) => {
+  const negate = (amount) => fromCents(-toCents(amount));
+
+  return {
+    stay: invoice.stay,
+    lines: invoice.lines.map(line => ({ ...line, unitPrice: negate(line.unitPrice), amount: negate(line.amount) })),
+    taxes: invoice.taxes.map(tax => ({ ...tax, amount: negate(tax.amount) })),
+    payments: [],
+    currency: invoice.currency,
+    subtotal: negate(invoice.subtotal),
+    taxTotal: negate(invoice.taxTotal),
+    total: negate(invoice.total),
+    amountPaid: 0,
+    balanceDue: negate(invoice.total)
+  };
+};
+
+/**
+ * Take the next number in a series
+ * @param {object} tx - Drizzle transaction
+ * @param {string} type - invoice or credit_note
+ * @param {Date} [at] - When the document is issued (picks the year)
+ * @returns {Promise<string>} Invoice number
+ */
+const nextInvoiceNumber = async (tx, type, at = new Date()) => {
+  const series = `${INVOICE_PREFIXES[type]}-${hotelDate(at).slice(0, 4)}`;
+
+  // The upsert locks the series row until the transaction ends, so numbers are handed out one at a time
+  const [sequence] = await tx
+    .insert(invoiceSequences)
+    .values({ series, lastNumber: 1 })
+    .onConflictDoUpdate({
+      target: invoiceSequences.series,
+      set: { lastNumber: sql`${invoiceSequences.lastNumber} + 1` }
+    })
+    .returning();
+
+  return `${series}-${String(sequence.lastNumber).padStart(6, '0')}`;
+};
+
+/**
+ * Load a booking's invoices and credit notes, oldest first
+ * @param {object} executor - Drizzle db or transaction
+ * @param {string} bookingId - Booking ID (uuid)
+ * @returns {Promise<object[]>} Invoices
+ */
+const loadInvoices = async (executor, bookingId) => executor
+  .select()
+  .from(invoices)
+  .where(eq(invoices.bookingId, bookingId))
+  .orderBy(asc(invoices.issuedAt));
+
+/**
+ * Find the invoice that stands for a booking: the latest one not credited
+ * @param {object[]} bookingInvoices - The booking's invoices and credit notes, oldest first
+ * @returns {object|null} Invoice
+ */
+const currentInvoice = (bookingInvoices) => {
+  const credited = new Set(bookingInvoices.map(invoice => invoice.creditedInvoiceId).filter(Boolean));
+  const open = bookingInvoices.filter(invoice => invoice.type === 'invoice' && !credited.has(invoice.id));
+  return open.length > 0 ? open[open.length - 1] : null;
+};
+
+/**
+ * Issue an invoice for a booking's folio as it is now
+ * @param {object} db - Drizzle db
+ * @param {object} booking - Booking row
+ * @param {object} params - Invoice details
+ * @param {object} [params.billTo] - Billing details (default: the guest on the booking)
+ * @param {boolean} [params.reuseCurrent=false] - Return the current invoice if there is one instead of refusing
+ * @param {object} params.actor - Who is issuing it ({ actorType, actorId })
+ * @returns {Promise<{invoice: object, created: boolean}>} The invoice and whether it was just issued
+ * @throws {AppError} 400 if the booking cannot be invoiced, 409 if it already has a current invoice
+ */
+const issueInvoice = async (db, booking, { billTo, reuseCurrent = false, actor }) => db.transaction(async (tx) => {
+  const locked = await lockBooking(tx, booking.id);
+
+  const existing = currentInvoice(await loadInvoices(tx, locked.id));
+  if (existing) {
+    if (reuseCurrent) return { invoice: existing, created: false };
+    throw new AppError(`This booking already has invoice ${existing.invoiceNumber}; issue a credit note for it before invoicing again`, 409);
+  }
+
+  if (!INVOICEABLE_BOOKING_STATUSES.includes(locked.status)) {
+    throw new AppError(`Only confirmed, checked-in or completed bookings can be invoiced; this one is ${locked.status.replace('_', ' ')}`, 400);
+  }
+
+  const hotel = await loadHotel(tx);
+  const content = invoiceContent(await loadFolio(tx, locked));
+  const issuedAt = new Date();
+
+  const [invoice] = await tx.insert(invoices).values({
+    invoiceNumber: await nextInvoiceNumber(tx, 'invoice', issuedAt),
+    type: 'invoice',
+    bookingId: locked.id,
+    seller: {
+      name: hotel.name,
+      address: hotel.address,
+      city: hotel.city,
+      state: hotel.state,
+      zipCode: hotel.zipCode,
+      phone: hotel.phone,
+      email: hotel.email,
+      website: hotel.website || null
+    },
+    billTo: billingDetails(locked, billTo),
+    ...content,
+    subtotal: content.subtotal.toString(),
+    taxTotal: content.taxTotal.toString(),
+    total: content.total.toString(),
+    amountPaid: content.amountPaid.toString(),
+    balanceDue: content.balanceDue.toString(),
+    issuedAt,
+    issuedBy: actor.actorId || null
+  }).returning();
+
+  return { invoice, created: true };
+});
+
+/**
+ * Cancel an invoice with a credit note for its full amount
+ * @param {object} db - Drizzle db
+ * @param {object} booking - Booking row
+ * @param {string} invoiceId - Invoice to credit (uuid)
+ * @param {object} params - Credit note details
+ * @param {string} params.reason - Why the invoice is being corrected
+ * @param {object} params.actor - Who is issuing it ({ actorType, actorId })
+ * @returns {Promise<object>} Credit note
+ * @throws {AppError} 404 if the booking has no such invoice, 400 if it is a credit note, 409 if already credited
+ */
+const issueCreditNote = async (db, booking, invoiceId, { reason, actor }) => db.transaction(async (tx) => {
+  const locked = await lockBooking(tx, booking.id);
+  const bookingInvoices = await loadInvoices(tx, locked.id);
+  const invoice = bookingInvoices.find(document => document.id === invoiceId);
+
+  if (!invoice) {
+    throw new AppError('Invoice not found', 404);
+  }
+  if (invoice.type !== 'invoice') {
+    throw new AppError('Only invoices can be credited', 400);
+  }
+
+  const creditNote = bookingInvoices.find(document => document.creditedInvoiceId === invoice.id);
+  if (creditNote) {
+    throw new AppError(`Invoice ${invoice.invoiceNumber} has already been credited by ${creditNote.invoiceNumber}`, 409);
+  }
+
+  const content = creditNoteContent(invoice);
+  const issuedAt = new Date();
+
+  const [created] = await tx.insert(invoices).values({
+    invoiceNumber: await nextInvoiceNumber(tx, 'credit_note', issuedAt),
+    type: 'credit_note',
+    bookingId: locked.id,
+    creditedInvoiceId: invoice.id,
+    reason,
+    seller: invoice.seller,
+    billTo: invoice.billTo,
+    ...content,
+    subtotal: content.subtotal.toString(),
+    taxTotal: content.taxTotal.toString(),
+    total: content.total.toString(),
+    amountPaid: content.amountPaid.toString(),
+    balanceDue: content.balanceDue.toString(),
+    issuedAt,
+    issuedBy: actor.actorId || null
+  }).returning();
+
+  return created;
+});
+
+/**
+ * Load one of a booking's invoices or credit notes
+ * @param {object} executor - Drizzle db or transaction
+ * @param {string} bookingId - Booking ID (uuid)
+ * @param {string} invoiceId - Invoice ID (uuid)
+ * @returns {Promise<object|undefined>} Invoice
+ */
+const loadInvoice = async (executor, bookingId, invoiceId) => {
+  const [invoice] = await executor
+    .select()
+    .from(invoices)
+    .where(and(eq(invoices.id, invoiceId), eq(invoices.bookingId, bookingId)));
+  return invoice;
+};
+
+/**
+ * Invoice as returned by the API
+ * @param {object} invoice - Invoice row
+ * @param {object[]} [bookingInvoices] - The booking's other invoices (to tell which credit note cancels this one)
+ * @returns {object} Invoice
+ */
+const formatInvoice = (invoice, bookingInvoices = []) => {
+  const creditNote = bookingInvoices.find(document => document.creditedInvoiceId === invoice.id);
+  const credited = bookingInvoices.find(document => document.id === invoice.creditedInvoiceId);
+
+  return {
+    id: invoice.id,
+    invoiceNumber: invoice.invoiceNumber,
+    type: invoice.type,
+    bookingId: invoice.bookingId,
+    credits: credited ? credited.invoiceNumber : null,
+    creditedBy: creditNote ? creditNote.invoiceNumber : null,
+    reason: invoice.reason,
+    billTo: invoice.billTo,
+    currency: invoice.currency,
+    subtotal: parseFloat(invoice.subtotal),
+    taxTotal: parseFloat(invoice.taxTotal),
+    total: parseFloat(invoice.total),
+    amountPaid: parseFloat(invoice.amountPaid),
+    balanceDue: parseFloat(invoice.balanceDue),
+    issuedAt: invoice.issuedAt
+  };
+};
+
+/**
+ * Format an amount with thousands separators (e.g. 12,345.60)
+ * @param {number|string} amount - Amount in currency units
+ * @returns {string} Formatted amount
+ */
+const formatAmount = (amount) => (parseFloat(amount) || 0).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+// Page layout, in points
+const MARGIN = 50;
+const TOP = 60;
+const LINE_HEIGHT = 14;
+
+/**
+ * Render an invoice or credit note as a PDF
+ * @param {object} invoice - Invoice row
+ * @param {object} [options] - Rendering options
+ * @param {string} [options.creditedInvoiceNumber] - Number of the invoice a credit note cancels
+ * @returns {Buffer} PDF file
+ */
+const renderInvoicePdf = (invoice, { creditedInvoiceNumber = null } = {}) => {
+  const pdf = createPdfDocument();
+  const right = pdf.width - MARGIN;
+  const columns = { quantity: 360, unitPrice: 450, amount: right };
+  const { seller, billTo, stay, currency } = invoice;
+  let y = TOP;
+
+  const tableHeader = () => {
+    pdf.text('Description', MARGIN, y, { size: 9, bold: true });
+    pdf.text('Qty', columns.quantity, y, { size: 9, bold: true, align: 'right' });
+    pdf.text(`Unit price (${currency})`, columns.unitPrice, y, { size: 9, bold: true, align: 'right' });
+    pdf.text(`Amount (${currency})`, columns.amount, y, { size: 9, bold: true, align: 'right' });
+    pdf.line(MARGIN, y + 5, right, y + 5);
+    y += LINE_HEIGHT + 4;
+  };
+
+  // Start a new page when the next block would run off this one
+  const ensureSpace = (height, repeatHeader = false) => {
+    if (y + height <= pdf.height - MARGIN) return;
+    pdf.addPage();
+    y = TOP;
+    if (repeatHeader) tableHeader();
+  };
+
+  const totalRow = (label, amount, bold = false) => {
+    ensureSpace(LINE_HEIGHT);
+    pdf.text(label, columns.unitPrice, y, { size: 10, bold, align: 'right' });
+    pdf.text(formatAmount(amount), columns.amount, y, { size: 10, bold, align: 'right' });
+    y += LINE_HEIGHT;
+  };
+
+  // Hotel and document details side by side
+  pdf.text(fitText(seller.name, 300, 18, true), MARGIN, y, { size: 18, bold: true });
+  pdf.text(invoice.type === 'credit_note' ? 'CREDIT NOTE' : 'INVOICE', right, y, { size: 18, bold: true, align: 'right' });
+  y += 22;
+
+  const sellerLines = [
+    seller.address,
+    [seller.city, seller.state, seller.zipCode].filter(Boolean).join(', '),
+    seller.phone,
+    seller.email,
+    seller.website
+  ].filter(Boolean);
+  const documentLines = [
+    `Number: ${invoice.invoiceNumber}`,
+    `Date: ${hotelDate(new Date(invoice.issuedAt))}`,
+    `Booking: ${stay.bookingId}`,
+    creditedInvoiceNumber ? `Credits invoice: ${creditedInvoiceNumber}` : null
+  ].filter(Boolean);
+
+  for (let i = 0; i < Math.max(sellerLines.length, documentLines.length); i++) {
+    if (sellerLines[i]) pdf.text(fitText(sellerLines[i], 300, 9), MARGIN, y, { size: 9, gray: 0.3 });
+    if (documentLines[i]) pdf.text(documentLines[i], right, y, { size: 9, align: 'right' });
+    y += 12;
+  }
+  y += 16;
+
+  // Who is billed and for which stay
+  pdf.text('Bill to', MARGIN, y, { size: 9, bold: true, gray: 0.3 });
+  pdf.text('Stay', 330, y, { size: 9, bold: true, gray: 0.3 });
+  y += LINE_HEIGHT;
+
+  const billToLines = [
+    billTo.company,
+    billTo.name,
+    billTo.address,
+    billTo.taxId ? `Tax ID: ${billTo.taxId}` : null,
+    billTo.email,
+    billTo.phone
+  ].filter(Boolean);
+  const stayLines = [
+    stay.roomTitle,
+    `${stay.checkIn} to ${stay.checkOut}`,
+    `${stay.nights} night${stay.nights === 1 ? '' : 's'}`
+  ];
+
+  for (let i = 0; i < Math.max(billToLines.length, stayLines.length); i++) {
+    if (billToLines[i]) pdf.text(fitText(billToLines[i], 260, 10, i === 0), MARGIN, y, { size: 10, bold: i === 0 });
+    if (stayLines[i]) pdf.text(fitText(stayLines[i], pdf.width - MARGIN - 330, 10), 330, y, { size: 10 });
+    y += LINE_HEIGHT;
+  }
+  y += 10;
+
+  if (invoice.reason) {
+    pdf.text(fitText(`Reason: ${invoice.reason}`, right - MARGIN, 10), MARGIN, y, { size: 10 });
+    y += LINE_HEIGHT + 10;
+  }
+
+  // Lines
+  tableHeader();
+  for (const line of invoice.lines) {
+    ensureSpace(LINE_HEIGHT, true);
+    pdf.text(fitText(line.description, columns.quantity - MARGIN - 40, 10), MARGIN, y, { size: 10 });
+    pdf.text(String(line.quantity), columns.quantity, y, { size: 10, align: 'right' });
+    pdf.text(formatAmount(line.unitPrice), columns.unitPrice, y, { size: 10, align: 'right' });
+    pdf.text(formatAmount(line.amount), columns.amount, y, { size: 10, align: 'right' });
+    y += LINE_HEIGHT;
+  }
+  pdf.line(columns.quantity - 40, y - 6, right, y - 6, { gray: 0.6 });
+  y += 6;
+
+  // Totals
+  totalRow('Subtotal', invoice.subtotal);
+  for (const tax of invoice.taxes) {
+    totalRow(tax.name, tax.amount);
+  }
+  totalRow(`Total (${currency})`, invoice.total, true);
+  y += 10;
+
+  // Payments
+  if (invoice.payments.length > 0) {
+    ensureSpace(LINE_HEIGHT * 2);
+    pdf.text('Payments', MARGIN, y, { size: 9, bold: true, gray: 0.3 });
+    y += LINE_HEIGHT;
+    for (const payment of invoice.payments) {
+      ensureSpace(LINE_HEIGHT);
+      pdf.text(payment.date, MARGIN, y, { size: 10 });
+      pdf.text(fitText(payment.description, columns.unitPrice - MARGIN - 80, 10), MARGIN + 80, y, { size: 10 });
+      pdf.text(formatAmount(payment.amount), columns.amount, y, { size: 10, align: 'right' });
+      y += LINE_HEIGHT;
+    }
+    y += 6;
+    totalRow('Amount paid', invoice.amountPaid);
+  }
+  if (invoice.type === 'invoice') {
+    totalRow(`Balance due (${currency})`, invoice.balanceDue, true);
+  }
+
+  y += 20;
+  ensureSpace(LINE_HEIGHT);
+  const footer = invoice.type === 'credit_note'
+    ? (creditedInvoiceNumber ? `This credit note cancels invoice ${creditedInvoiceNumber} in full.` : 'This credit note cancels the invoice it credits in full.')
+    : 'Thank you for staying with us.';
+  pdf.text(footer, MARGIN, y, { size: 9, gray: 0.4 });
+
+  return pdf.toBuffer();
+};
+
+/**
+ * File name for an invoice PDF
+ * @param {object} invoice - Invoice row
+ * @returns {string} File name
+ */
+const invoiceFileName = (invoice) => `${invoice.invoiceNumber}.pdf`;
+
+module.exports = {
+  INVOICEABLE_BOOKING_STATUSES,
+  billingDetails,
+  invoiceContent,
+  creditNoteContent,
+  currentInvoice,
+  loadInvoices,
+  loadInvoice,
+  issueInvoice,
+  issueCreditNote,
+  formatInvoice,
+  formatAmount,
+  renderInvoicePdf,
+  invoiceFileName
+};
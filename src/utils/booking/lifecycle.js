@@ -0,0 +1,285 @@
+/**
+ * Booking Lifecycle Utility
+ * The one place booking statuses change. Each status lists the statuses it
+ * may move to; guards add rules that depend on the booking or the date, and
+ * side effects (cancellation penalties, promo redemption) are applied in the
+ * same write as the status change.
+ *
+ *   pending ──▶ confirmed ──▶ checked_in ──▶ completed
+ *      │            │                            ▲
+ *      │            ├────────────────────────────┘
+ *      │            ├──▶ no_show
+ *      │            └──▶ cancelled
+ *      ├──▶ expired
+ *      └──▶ cancelled
+ *
+ * Every change is recorded in the booking's history (booking_events) in the
+ * same transaction. Freeing rooms for the waitlist happens after the
+ * caller's transaction commits, so it is left to the caller.
+ */
+
+const { bookings } = require('../../db/schema');
+const { and, eq, gt, lte, sql } = require('drizzle-orm');
+const AppError = require('../appError');
+const { computeCancellation, waiveCancellationPenalty, cancellationValues } = require('./cancellation');
+const { redeemPromotion } = require('./promotions');
+const { noShowCutoff, computeNoShowPenalty } = require('./no-show');
+const { hotelDate } = require('./hotel-time');
+const { recordBookingEvents } = require('./events');
+
+const BOOKING_STATUSES = ['pending', 'confirmed', 'checked_in', 'cancelled', 'completed', 'expired', 'no_show'];
+
+// Allowed transitions: status -> statuses it may move to
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled', 'expired'],
+  confirmed: ['checked_in', 'cancelled', 'completed', 'no_show'],
+  checked_in: ['completed'],
+  cancelled: [],
+  completed: [],
+  expired: [],
+  no_show: []
+};
+
+/**
+ * Error raised when a booking cannot move to the requested status
+ * @class BookingTransitionError
+ * @extends AppError
+ */
+class BookingTransitionError extends AppError {
+  /**
+   * @param {object} booking - Booking row
+   * @param {string} to - Requested status
+   * @param {string} reason - Why the transition is not allowed
+   */
+  constructor(booking, to, reason) {
+    super(`Cannot change booking ${booking.bookingId} from ${booking.status} to ${to}: ${reason}`, 409);
+    this.from = booking.status;
+    this.to = to;
+    this.allowed = TRANSITIONS[booking.status] || [];
+  }
+}
+
+/**
+ * Check whether a pending booking is a checkout hold past its deadline
+ * @param {object} booking - Booking row
+ * @param {Date} at - Moment to check at
+ * @returns {boolean} True if the hold has lapsed
+ */
+const isLapsedHold = (booking, at) =>
+  booking.status === 'pending' && Boolean(booking.holdExpiresAt) && new Date(booking.holdExpiresAt) <= at;
+
+// Extra rules for individual transitions; each returns a reason to refuse, or null
+const GUARDS = {
+  'pending:confirmed': (booking, { at }) =>
+    (isLapsedHold(booking, at) ? 'the checkout hold has expired' : null),
+
+  'pending:expired': (booking, { at, actor }) => {
+    if (actor !== 'system') return 'holds expire on their own when their deadline passes';
+    return isLapsedHold(booking, at) ? null : 'only checkout holds past their deadline can expire';
+  },
+
+  'confirmed:checked_in': (booking, { at }) => {
+    const today = hotelDate(at);
+    if (today < booking.checkIn) return `the stay does not start until ${booking.checkIn}`;
+    return today >= booking.checkOut ? 'the stay has already ended' : null;
+  },
+
+  'confirmed:no_show': (booking, { at, actor }) => {
+    if (actor === 'guest') return 'only the hotel can mark a guest as a no-show';
+    const cutoff = noShowCutoff(booking);
+    return at < cutoff ? `the guest has until ${cutoff.toISOString()} to check in` : null;
+  },
+
+  'confirmed:completed': (booking, { at }) =>
+    (hotelDate(at) < booking.checkOut ? `the stay does not end until ${booking.checkOut}` : null),
+
+  'confirmed:cancelled': (booking, { at }) =>
+    (hotelDate(at) >= booking.checkOut ? 'the stay has already ended' : null)
+};
+
+/**
+ * Check whether a status has no way out
+ * @param {string} status - Booking status
+ * @returns {boolean} True for cancelled, completed, expired and no_show
+ */
+const isFinalStatus = (status) => (TRANSITIONS[status] || []).length === 0;
+
+/**
+ * Check whether a status may ever move to another (ignoring guards)
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition exists
+ */
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Fail with a BookingTransitionError unless the booking may move to a status now
+ * @param {object} booking - Booking row
+ * @param {string} to - Requested status
+ * @param {object} [context] - Transition context
+ * @param {string} [context.actor='guest'] - guest, staff, admin or system
+ * @param {Date} [context.at] - Moment of the change
+ */
+const assertTransition = (booking, to, { actor = 'guest', at = new Date() } = {}) => {
+  if (!BOOKING_STATUSES.includes(to)) {
+    throw new AppError(`Unknown booking status: ${to}`, 400);
+  }
+
+  if (booking.status === to) {
+    throw new BookingTransitionError(booking, to, `the booking is already ${to}`);
+  }
+
+  if (!canTransition(booking.status, to)) {
+    const allowed = TRANSITIONS[booking.status] || [];
+    throw new BookingTransitionError(
+      booking,
+      to,
+      allowed.length > 0 ? `a ${booking.status} booking can only become ${allowed.join(' or ')}` : `${booking.status} is a final status`
+    );
+  }
+
+  const guard = GUARDS[`${booking.status}:${to}`];
+  const reason = guard ? guard(booking, { actor, at }) : null;
+  if (reason) {
+    throw new BookingTransitionError(booking, to, reason);
+  }
+};
+
+/**
+ * Move a booking to a new status, applying the transition's side effects.
+ * The write only succeeds if the booking still has the status it was read
+ * with, so two concurrent changes cannot both apply. The change, its side
+ * effects and its history event are written in one transaction (a savepoint
+ * when the executor is already a transaction).
+ * @param {object} executor - Drizzle db or transaction
+ * @param {object} booking - Booking row as last read
+ * @param {string} to - Requested status
+ * @param {object} [options] - Transition options
+ * @param {string} [options.actor='guest'] - guest, staff, admin or system
+ * @param {string} [options.actorId] - User making the change, for the booking history
+ * @param {string} [options.note] - Context for the booking history (e.g. a reason)
+ * @param {Date} [options.at] - Moment of the change
+ * @param {boolean} [options.waivePenalty] - Cancel without a penalty (admins only)
+ * @param {object} [options.values] - Other booking columns to update in the same write
+ * @returns {Promise<{booking: object, previousStatus: string, cancellation: object|null, noShow: object|null}>} Result
+ * @throws {BookingTransitionError} If the transition is not allowed
+ */
+const transitionBooking = async (executor, booking, to, options = {}) => {
+  const { actor = 'guest', actorId = null, note = null, at = new Date(), waivePenalty = false, values = {} } = options;
+  assertTransition(booking, to, { actor, at });
+
+  let updateData = { ...values, status: to, updatedAt: at };
+  let cancellation = null;
+  let noShow = null;
+  const conditions = [eq(bookings.id, booking.id), eq(bookings.status, booking.status)];
+
+  if (to === 'cancelled') {
+    cancellation = computeCancellation(booking, at);
+    if (waivePenalty && actor === 'admin') {
+      cancellation = waiveCancellationPenalty(cancellation);
+    }
+    updateData = { ...values, ...cancellationValues(cancellation, at) };
+  }
+
+  // A no-show keeps the charge its penalty policy allows and the rest is refundable
+  if (to === 'no_show') {
+    noShow = computeNoShowPenalty(booking);
+    updateData.cancellationPenalty = noShow.penalty.toString();
+    updateData.refundAmount = noShow.refundAmount.toString();
+  }
+
+  // Arrival and departure are stamped however the guest got there, so the
+  // front desk and an admin status change leave the same record
+  if (to === 'checked_in') {
+    updateData.checkedInAt = at;
+  }
+  if (to === 'completed' && booking.status === 'checked_in') {
+    updateData.checkedOutAt = at;
+  }
+
+  // A hold is confirmed only while its deadline is still ahead, and its
+  // promo code is used up at this point rather than when the hold was placed
+  const confirmingHold = to === 'confirmed' && Boolean(booking.holdExpiresAt);
+  if (confirmingHold) {
+    updateData.holdExpiresAt = null;
+    conditions.push(gt(bookings.holdExpiresAt, sql`now()`));
+  }
+
+  const updated = await executor.transaction(async (tx) => {
+    if (confirmingHold && booking.promotionId) {
+      await redeemPromotion(tx, booking.promotionId);
+    }
+
+    const [row] = await tx
+      .update(bookings)
+      .set(updateData)
+      .where(and(...conditions))
+      .returning();
+
+    if (!row) {
+      throw new BookingTransitionError(booking, to, 'the booking was changed by another request; reload it and try again');
+    }
+
+    // A signed-in guest acting on their own booking is recorded as a user
+    await recordBookingEvents(tx, {
+      type: to === 'cancelled' ? 'cancelled' : 'status_changed',
+      before: booking,
+      after: row,
+      actorType: actor === 'guest' && actorId ? 'user' : actor,
+      actorId,
+      note
+    });
+
+    return row;
+  });
+
+  return { booking: updated, previousStatus: booking.status, cancellation, noShow };
+};
+
+/**
+ * Expire every checkout hold past its deadline (the system's pending ->
+ * expired transition, done in bulk so the sweeper and booking writes can
+ * free lapsed nights in one statement)
+ * @param {object} executor - Drizzle db or transaction
+ * @param {string} [roomId] - Only expire holds on this room
+ * @returns {Promise<object[]>} Expired holds
+ */
+const expireLapsedHolds = async (executor, roomId) => {
+  const conditions = [
+    eq(bookings.status, 'pending'),
+    lte(bookings.holdExpiresAt, sql`now()`)
+  ];
+
+  if (roomId) {
+    conditions.push(eq(bookings.roomId, roomId));
+  }
+
+  return executor.transaction(async (tx) => {
+    const expired = await tx
+      .update(bookings)
+      .set({ status: 'expired', updatedAt: new Date() })
+      .where(and(...conditions))
+      .returning();
+
+    await recordBookingEvents(tx, expired.map(hold => ({
+      type: 'status_changed',
+      before: { ...hold, status: 'pending' },
+      after: hold,
+      actorType: 'system',
+      note: 'Checkout hold lapsed'
+    })));
+
+    return expired;
+  });
+};
+
+module.exports = {
+  BOOKING_STATUSES,
+  TRANSITIONS,
+  BookingTransitionError,
+  isFinalStatus,
+  canTransition,
+  assertTransition,
+  transitionBooking,
+  expireLapsedHolds
+};
@@ -0,0 +1,68 @@
+/**
+ * No-Show Utility
+ * A confirmed guest who has not checked in by the cutoff is a no-show. The
+ * cutoff is a number of hours after check-in time (never later than the
+ * check-out time), and the penalty follows the configured policy:
+ *
+ *   first_night - charge one night of the stay (the usual hotel practice)
+ *   full_stay   - charge the whole booking
+ *   none        - charge nothing
+ */
+
+const { getEnv } = require('../env-validator');
+const { checkInMoment, checkOutMoment } = require('./hotel-time');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NO_SHOW_POLICIES = ['first_night', 'full_stay', 'none'];
+
+const NO_SHOW_CUTOFF_HOURS = parseInt(getEnv('NO_SHOW_CUTOFF_HOURS', '12')) || 12;
+
+const configuredPolicy = getEnv('NO_SHOW_PENALTY_POLICY', 'first_night');
+if (!NO_SHOW_POLICIES.includes(configuredPolicy)) {
+  console.warn(`Unknown NO_SHOW_PENALTY_POLICY "${configuredPolicy}", using first_night`);
+}
+const NO_SHOW_PENALTY_POLICY = NO_SHOW_POLICIES.includes(configuredPolicy) ? configuredPolicy : 'first_night';
+
+/**
+ * Moment after which a confirmed guest who has not arrived is a no-show
+ * @param {object} booking - Booking row
+ * @returns {Date} Cutoff
+ */
+const noShowCutoff = (booking) => {
+  const cutoff = checkInMoment(booking.checkIn).getTime() + NO_SHOW_CUTOFF_HOURS * HOUR_MS;
+  return new Date(Math.min(cutoff, checkOutMoment(booking.checkOut).getTime()));
+};
+
+/**
+ * Work out what a no-show is charged
+ * @param {object} booking - Booking row
+ * @param {string} [policy] - Penalty policy (defaults to NO_SHOW_PENALTY_POLICY)
+ * @returns {object} Penalty, refund and the policy that produced them
+ */
+const computeNoShowPenalty = (booking, policy = NO_SHOW_PENALTY_POLICY) => {
+  // Worked out in cents like the pricing utility
+  const totalCents = Math.round((parseFloat(booking.totalPrice) || 0) * 100);
+  const nights = Math.max(parseInt(booking.nights) || 1, 1);
+
+  let penaltyCents = 0;
+  if (policy === 'full_stay') {
+    penaltyCents = totalCents;
+  } else if (policy === 'first_night') {
+    penaltyCents = Math.round(totalCents / nights);
+  }
+
+  return {
+    policy,
+    totalPrice: totalCents / 100,
+    penalty: penaltyCents / 100,
+    refundAmount: (totalCents - penaltyCents) / 100
+  };
+};
+
+module.exports = {
+  NO_SHOW_POLICIES,
+  NO_SHOW_CUTOFF_HOURS,
+  NO_SHOW_PENALTY_POLICY,
+  noShowCutoff,
+  computeNoShowPenalty
+};
@@ -0,0 +1,590 @@
+/**
+ * Booking Payments Utility
+ * Takes payments for bookings and keeps the ledger (the payments table) and
+ * the booking's payment_status in step. Card and PayPal payments go through
+ * the payment gateway (see utils/payments); cash and bank transfers are
+ * recorded by staff as already captured.
+ *
+ * A payment moves through:
+ *   pending -> requires_action -> authorized -> captured
+ *                                    \-> declined / failed
+ * Captured payments can be refunded, in full or in part, through the gateway
+ * that took them (manual payments are refunded by hand and just recorded).
+ * What a booking owes is its price plus any charges and adjustments posted
+ * to its folio during the stay (see folio.js).
+ * The booking's payment status follows from all of its payments and refunds:
+ *   refunded           - everything captured has been refunded
+ *   partially_refunded - some of it has
+ *   paid               - captured payments cover the price and folio charges
+ *   authorized         - captured and authorized payments cover the total
+ *   failed             - nothing is captured or in progress and the last attempt failed
+ *   pending            - otherwise
+ *
+ * Gateway calls are made outside any transaction; each change to a payment
+ * is then written with the booking locked, so concurrent payments (or a
+ * later webhook) cannot race on the booking's status.
+ */
+
+const { bookings, payments, refunds, folioItems } = require('../../db/schema');
+const { and, asc, eq } = require('drizzle-orm');
+const AppError = require('../appError');
+const { GATEWAY_METHODS, getGateway, activeGatewayName } = require('../payments');
+const { CURRENCY, toCents, fromCents } = require('./pricing');
+const { recordBookingEvents } = require('./events');
+
+const PAYMENT_STATUSES = ['pending', 'requires_action', 'authorized', 'captured', 'declined', 'failed'];
+
+// Payments that may still turn into money
+const OPEN_PAYMENT_STATUSES = ['pending', 'requires_action', 'authorized'];
+
+// Refunds that count against what can still be refunded
+const COMMITTED_REFUND_STATUSES = ['pending', 'succeeded'];
+
+// Bookings that no longer take payments
+const UNPAYABLE_BOOKING_STATUSES = ['cancelled', 'expired'];
+
+/**
+ * Add up a booking's payments and refunds
+ * @param {object} booking - Booking row
+ * @param {object[]} bookingPayments - The booking's payments
+ * @param {object[]} [bookingRefunds] - The booking's refunds
+ * @param {object[]} [bookingFolioItems] - Charges and adjustments posted to the booking's folio
+ * @returns {{totalCents: number, capturedCents: number, openCents: number, refundedCents: number, balanceCents: number, outstandingCents: number}}
+ *   Totals in cents: balance is what is still owed, outstanding what is
+ *   owed and not already being paid. Refunds do not reopen the balance.
+ */
+const summarizePayments = (booking, bookingPayments, bookingRefunds = [], bookingFolioItems = []) => {
+  const priceCents = toCents(booking.totalPrice);
+  const totalCents = priceCents + bookingFolioItems
+    .filter(item => !item.voidedAt)
+    .reduce((sum, item) => sum + toCents(item.amount), 0);
+  let capturedCents = 0;
+  let openCents = 0;
+
+  for (const payment of bookingPayments) {
+    if (payment.status === 'captured') capturedCents += toCents(payment.amount);
+    if (OPEN_PAYMENT_STATUSES.includes(payment.status)) openCents += toCents(payment.amount);
+  }
+
+  const refundedCents = bookingRefunds
+    .filter(refund => refund.status === 'succeeded')
+    .reduce((sum, refund) => sum + toCents(refund.amount), 0);
+
+  // Bookings marked paid before the ledger existed have no payments
+  if (bookingPayments.length === 0 && booking.paymentStatus === 'paid') {
+    capturedCents = priceCents;
+  }
+
+  const balanceCents = Math.max(totalCents - capturedCents, 0);
+  return {
+    totalCents,
+    capturedCents,
+    openCents,
+    refundedCents,
+    balanceCents,
+    outstandingCents: Math.max(balanceCents - openCents, 0)
+  };
+};
+
+/**
+ * Work out a booking's payment status from its payments and refunds
+ * @param {object} booking - Booking row
+ * @param {object[]} bookingPayments - The booking's payments, oldest first
+ * @param {object[]} [bookingRefunds] - The booking's refunds
+ * @param {object[]} [bookingFolioItems] - The booking's folio charges and adjustments
+ * @returns {string} pending, authorized, paid, failed, partially_refunded or refunded
+ */
+const bookingPaymentStatus = (booking, bookingPayments, bookingRefunds = [], bookingFolioItems = []) => {
+  const { totalCents, capturedCents, refundedCents } = summarizePayments(booking, bookingPayments, bookingRefunds, bookingFolioItems);
+
+  if (refundedCents > 0) {
+    return refundedCents >= capturedCents ? 'refunded' : 'partially_refunded';
+  }
+
+  const authorizedCents = bookingPayments
+    .filter(payment => payment.status === 'authorized')
+    .reduce((sum, payment) => sum + toCents(payment.amount), 0);
+
+  if (totalCents > 0 && capturedCents >= totalCents) return 'paid';
+  if (totalCents > 0 && capturedCents + authorizedCents >= totalCents) return 'authorized';
+
+  const last = bookingPayments[bookingPayments.length - 1];
+  const inProgress = bookingPayments.some(payment => payment.status === 'captured' || OPEN_PAYMENT_STATUSES.includes(payment.status));
+  if (last && !inProgress && (last.status === 'declined' || last.status === 'failed')) return 'failed';
+
+  return 'pending';
+};
+
+/**
+ * Payment as returned by the API
+ * @param {object} payment - Payment row
+ * @returns {object} Payment
+ */
+const formatPayment = (payment) => ({
+  id: payment.id,
+  bookingId: payment.bookingId,
+  amount: parseFloat(payment.amount) || 0,
+  currency: payment.currency,
+  method: payment.method,
+  provider: payment.provider,
+  providerReference: payment.providerReference,
+  status: payment.status,
+  captureMethod: payment.captureMethod,
+  failureReason: payment.failureReason,
+  authorizedAt: payment.authorizedAt,
+  capturedAt: payment.capturedAt,
+  createdAt: payment.createdAt
+});
+
+/**
+ * Refund as returned by the API
+ * @param {object} refund - Refund row
+ * @returns {object} Refund
+ */
+const formatRefund = (refund) => ({
+  id: refund.id,
+  bookingId: refund.bookingId,
+  paymentId: refund.paymentId,
+  amount: parseFloat(refund.amount) || 0,
+  currency: refund.currency,
+  reason: refund.reason,
+  status: refund.status,
+  providerReference: refund.providerReference,
+  failureReason: refund.failureReason,
+  actorType: refund.actorType,
+  createdBy: refund.createdBy,
+  createdAt: refund.createdAt
+});
+
+/**
+ * Amounts owed, paid and refunded on a booking, as returned by the API
+ * @param {object} booking - Booking row
+ * @param {object[]} bookingPayments - The booking's payments
+ * @param {object[]} [bookingRefunds] - The booking's refunds
+ * @param {object[]} [bookingFolioItems] - The booking's folio charges and adjustments
+ * @returns {object} Summary in currency units
+ */
+const formatPaymentSummary = (booking, bookingPayments, bookingRefunds = [], bookingFolioItems = []) => {
+  const summary = summarizePayments(booking, bookingPayments, bookingRefunds, bookingFolioItems);
+  return {
+    currency: CURRENCY,
+    paymentStatus: booking.paymentStatus,
+    total: fromCents(summary.totalCents),
+    amountPaid: fromCents(summary.capturedCents),
+    amountPending: fromCents(summary.openCents),
+    amountRefunded: fromCents(summary.refundedCents),
+    balanceDue: fromCents(summary.balanceCents)
+  };
+};
+
+/**
+ * Load a booking's payments, oldest first
+ * @param {object} executor - Drizzle db or transaction
+ * @param {string} bookingId - Booking ID (uuid)
+ * @returns {Promise<object[]>} Payments
+ */
+const loadPayments = async (executor, bookingId) => executor
+  .select()
+  .from(payments)
+  .where(eq(payments.bookingId, bookingId))
+  .orderBy(asc(payments.createdAt));
+
+/**
+ * Load a booking's refunds, oldest first
+ * @param {object} executor - Drizzle db or transaction
+ * @param {string} bookingId - Booking ID (uuid)
+ * @returns {Promise<object[]>} Refunds
+ */
+const loadRefunds = async (executor, bookingId) => executor
+  .select()
+  .from(refunds)
+  .where(eq(refunds.bookingId, bookingId))
+  .orderBy(asc(refunds.createdAt));
+
+/**
+ * Load the charges and adjustments posted to a booking's folio (voided ones
+ * included), oldest first
+ * @param {object} executor - Drizzle db or transaction
+ * @param {string} bookingId - Booking ID (uuid)
+ * @returns {Promise<object[]>} Folio items
+ */
+const loadFolioItems = async (executor, bookingId) => executor
+  .select()
+  .from(folioItems)
+  .where(eq(folioItems.bookingId, bookingId))
+  .orderBy(asc(folioItems.createdAt));
+
+/**
+ * Lock a booking row for the rest of the transaction
+ * @param {object} tx - Drizzle transaction
+ * @param {string} bookingId - Booking ID (uuid)
+ * @returns {Promise<object|undefined>} Booking
+ */
+const lockBooking = async (tx, bookingId) => {
+  const [booking] = await tx.select().from(bookings).where(eq(bookings.id, bookingId)).for('update');
+  return booking;
+};
+
+/**
+ * Bring the booking's payment status (and method) in line with its
+ * payments, refunds and folio, recording the change in its history
+ * @param {object} tx - Drizzle transaction holding the booking lock
+ * @param {object} booking - Booking row, read under the lock
+ * @param {object} actor - Who made the change ({ actorType, actorId })
+ * @param {object} change - What changed
+ * @param {string} [change.paymentMethod] - Method the guest has now paid with
+ * @param {string} change.note - Description for the booking history
+ * @param {boolean} [change.alwaysRecord] - Record the change even if the booking's status stays the same
+ * @returns {Promise<object>} Booking as it is now
+ */
+const syncBookingPaymentStatus = async (tx, booking, { actorType, actorId = null }, { paymentMethod = booking.paymentMethod, note, alwaysRecord = false }) => {
+  const paymentStatus = bookingPaymentStatus(
+    booking,
+    await loadPayments(tx, booking.id),
+    await loadRefunds(tx, booking.id),
+    await loadFolioItems(tx, booking.id)
+  );
+
+  if (paymentStatus === booking.paymentStatus && paymentMethod === booking.paymentMethod && !alwaysRecord) {
+    return booking;
+  }
+
+  const [updated] = await tx
+    .update(bookings)
+    .set({ paymentStatus, paymentMethod, updatedAt: new Date() })
+    .where(eq(bookings.id, booking.id))
+    .returning();
+
+  await recordBookingEvents(tx, {
+    type: 'payment_changed',
+    before: booking,
+    after: updated,
+    actorType,
+    actorId,
+    note
+  });
+
+  return updated;
+};
+
+/**
+ * Move a payment to a new status and update its booking to match. The write
+ * only applies if the payment still has the status it was read with.
+ * @param {object} db - Drizzle db
+ * @param {object} payment - Payment row as last read
+ * @param {object} values - Payment columns to set (including status)
+ * @param {object} actor - Who made the change ({ actorType, actorId })
+ * @returns {Promise<{payment: object, booking: object}>} Payment and booking as they are now
+ * @throws {AppError} 409 if the payment was changed by another request
+ */
+const settlePayment = async (db, payment, values, actor) => db.transaction(async (tx) => {
+  const booking = await lockBooking(tx, payment.bookingId);
+  const now = new Date();
+
+  const [updated] = await tx
+    .update(payments)
+    .set({
+      ...values,
+      authorizedAt: values.status === 'authorized' || values.status === 'captured' ? payment.authorizedAt || now : payment.authorizedAt,
+      capturedAt: values.status === 'captured' ? now : payment.capturedAt,
+      updatedAt: now
+    })
+    .where(and(eq(payments.id, payment.id), eq(payments.status, payment.status)))
+    .returning();
+
+  if (!updated) {
+    throw new AppError('The payment was changed by another request; reload it and try again', 409);
+  }
+
+  const settled = updated.status === 'authorized' || updated.status === 'captured';
+  const synced = await syncBookingPaymentStatus(tx, booking, actor, {
+    paymentMethod: settled ? updated.method : booking.paymentMethod,
+    note: `${updated.currency} ${parseFloat(updated.amount).toFixed(2)} ${updated.method.replace('_', ' ')} payment ${updated.status.replace('_', ' ')}`
+  });
+
+  return { payment: updated, booking: synced };
+});
+
+/**
+ * Apply what the gateway said about a payment. An authorization on a payment
+ * that captures automatically is captured straight away; if the capture
+ * fails the money stays authorized for staff to capture later.
+ * @param {object} db - Drizzle db
+ * @param {object} payment - Payment row as last read
+ * @param {object} outcome - Gateway outcome ({ status, reference, message })
+ * @param {object} actor - Who made the change
+ * @returns {Promise<{payment: object, booking: object}>} Payment and booking as they are now
+ */
+const applyGatewayOutcome = async (db, payment, outcome, actor) => {
+  const values = {
+    status: outcome.status,
+    providerReference: outcome.reference || payment.providerReference,
+    failureReason: outcome.status === 'declined' ? outcome.message || 'The payment was declined' : null
+  };
+
+  if (outcome.status === 'authorized' && payment.captureMethod === 'automatic') {
+    try {
+      await getGateway(payment.provider).capture(values.providerReference, toCents(payment.amount));
+      values.status = 'captured';
+    } catch (error) {
+      values.failureReason = `Capture failed: ${error.message}`;
+    }
+  }
+
+  return settlePayment(db, payment, values, actor);
+};
+
+/**
+ * Take a payment for a booking. Card and PayPal payments go through the
+ * gateway; cash and bank transfers are recorded as captured.
+ * @param {object} db - Drizzle db
+ * @param {object} booking - Booking row
+ * @param {object} params - Payment details
+ * @param {string} params.method - credit_card, paypal, cash or bank_transfer
+ * @param {string} [params.token] - Gateway payment token
+ * @param {number} [params.amount] - Amount in currency units (default: everything outstanding)
+ * @param {string} [params.captureMethod='automatic'] - automatic or manual (authorize only)
+ * @param {object} params.actor - Who is paying ({ actorType, actorId })
+ * @returns {Promise<{payment: object, booking: object, nextAction: object|null}>} Result
+ * @throws {AppError} 400 if the booking cannot take this payment
+ */
+const takePayment = async (db, booking, { method, token, amount, captureMethod = 'automatic', actor }) => {
+  if (UNPAYABLE_BOOKING_STATUSES.includes(booking.status)) {
+    throw new AppError(`This booking is ${booking.status} and can no longer be paid`, 400);
+  }
+
+  const viaGateway = GATEWAY_METHODS.includes(method);
+
+  const payment = await db.transaction(async (tx) => {
+    const locked = await lockBooking(tx, booking.id);
+    const { outstandingCents } = summarizePayments(locked, await loadPayments(tx, locked.id), [], await loadFolioItems(tx, locked.id));
+
+    if (outstandingCents <= 0) {
+      throw new AppError('This booking has nothing left to pay', 400);
+    }
+
+    const amountCents = amount !== undefined && amount !== null ? toCents(amount) : outstandingCents;
+    if (amountCents <= 0 || amountCents > outstandingCents) {
+      throw new AppError(`The amount must be more than 0 and at most the ${fromCents(outstandingCents).toFixed(2)} outstanding`, 400);
+    }
+
+    const [created] = await tx.insert(payments).values({
+      bookingId: locked.id,
+      amount: fromCents(amountCents).toString(),
+      currency: CURRENCY,
+      method,
+      provider: viaGateway ? activeGatewayName() : 'manual',
+      captureMethod: viaGateway ? captureMethod : 'automatic',
+      createdBy: actor.actorId || null
+    }).returning();
+
+    return created;
+  });
+
+  if (!viaGateway) {
+    return { ...(await settlePayment(db, payment, { status: 'captured' }, actor)), nextAction: null };
+  }
+
+  let outcome;
+  try {
+    outcome = await getGateway(payment.provider).authorize({
+      amount: toCents(payment.amount),
+      currency: payment.currency,
+      method,
+      token
+    });
+  } catch (error) {
+    return { ...(await settlePayment(db, payment, { status: 'failed', failureReason: error.message }, actor)), nextAction: null };
+  }
+
+  const result = await applyGatewayOutcome(db, payment, outcome, actor);
+  return { ...result, nextAction: outcome.status === 'requires_action' ? outcome.nextAction || null : null };
+};
+
+/**
+ * Finish a payment that is waiting on 3-D Secure
+ * @param {object} db - Drizzle db
+ * @param {object} payment - Payment row
+ * @param {object} actor - Who is confirming
+ * @returns {Promise<{payment: object, booking: object}>} Result
+ * @throws {AppError} 400 if the payment is not waiting on authentication
+ */
+const confirmPayment = async (db, payment, actor) => {
+  if (payment.status !== 'requires_action') {
+    throw new AppError(`Only payments waiting on 3-D Secure can be confirmed; this one is ${payment.status.replace('_', ' ')}`, 400);
+  }
+
+  let outcome;
+  try {
+    outcome = await getGateway(payment.provider).confirm(payment.providerReference);
+  } catch (error) {
+    return settlePayment(db, payment, { status: 'failed', failureReason: error.message }, actor);
+  }
+
+  return applyGatewayOutcome(db, payment, outcome, actor);
+};
+
+/**
+ * Capture a payment that was only authorized
+ * @param {object} db - Drizzle db
+ * @param {object} payment - Payment row
+ * @param {object} actor - Who is capturing
+ * @returns {Promise<{payment: object, booking: object}>} Result
+ * @throws {AppError} 400 if the payment is not authorized, 502 if the gateway refuses
+ */
+const capturePayment = async (db, payment, actor) => {
+  if (payment.status !== 'authorized') {
+    throw new AppError(`Only authorized payments can be captured; this one is ${payment.status.replace('_', ' ')}`, 400);
+  }
+
+  try {
+    await getGateway(payment.provider).capture(payment.providerReference, toCents(payment.amount));
+  } catch (error) {
+    throw new AppError(`The payment gateway could not capture the payment: ${error.message}`, 502);
+  }
+
+  return settlePayment(db, payment, { status: 'captured', failureReason: null }, actor);
+};
+
+/**
+ * How much can still be refunded from each captured payment, newest first
+ * @param {object[]} bookingPayments - The booking's payments
+ * @param {object[]} bookingRefunds - The booking's refunds
+ * @returns {Array<{payment: object, refundableCents: number}>} Refundable payments
+ */
+const refundablePayments = (bookingPayments, bookingRefunds) => bookingPayments
+  .filter(payment => payment.status === 'captured')
+  .map(payment => ({
+    payment,
+    refundableCents: toCents(payment.amount) - bookingRefunds
+      .filter(refund => refund.paymentId === payment.id && COMMITTED_REFUND_STATUSES.includes(refund.status))
+      .reduce((sum, refund) => sum + toCents(refund.amount), 0)
+  }))
+  .filter(({ refundableCents }) => refundableCents > 0)
+  .reverse();
+
+/**
+ * Split a refund across captured payments, newest first
+ * @param {Array<{payment: object, refundableCents: number}>} refundable - From refundablePayments
+ * @param {number} amountCents - Amount to refund in cents
+ * @returns {Array<{payment: object, amountCents: number}>} Amount to refund from each payment
+ */
+const allocateRefund = (refundable, amountCents) => {
+  const allocation = [];
+  let remaining = amountCents;
+
+  for (const { payment, refundableCents } of refundable) {
+    if (remaining <= 0) break;
+    const take = Math.min(remaining, refundableCents);
+    allocation.push({ payment, amountCents: take });
+    remaining -= take;
+  }
+
+  return allocation;
+};
+
+/**
+ * Refund money on a booking. The refunds are recorded as pending first,
+ * under the booking lock, so two refunds at once can never send back more
+ * than was captured; each is then sent to the gateway that took the payment
+ * and marked succeeded or failed.
+ * @param {object} db - Drizzle db
+ * @param {object} booking - Booking row
+ * @param {object} params - Refund details
+ * @param {number} [params.amount] - Amount in currency units (default: everything refundable)
+ * @param {string} params.reason - Why the money is going back
+ * @param {string} [params.paymentId] - Only refund this payment
+ * @param {object} params.actor - Who is refunding ({ actorType, actorId })
+ * @returns {Promise<{refunds: object[], booking: object}>} Refunds made (succeeded or failed) and the booking as it is now
+ * @throws {AppError} 400 if nothing or not that much can be refunded
+ */
+const refundBooking = async (db, booking, { amount, reason, paymentId, actor }) => {
+  const pending = await db.transaction(async (tx) => {
+    const locked = await lockBooking(tx, booking.id);
+    const bookingPayments = (await loadPayments(tx, locked.id))
+      .filter(payment => !paymentId || payment.id === paymentId);
+    const refundable = refundablePayments(bookingPayments, await loadRefunds(tx, locked.id));
+    const refundableCents = refundable.reduce((sum, { refundableCents: cents }) => sum + cents, 0);
+
+    if (refundableCents <= 0) {
+      throw new AppError(paymentId ? 'This payment has nothing left to refund' : 'This booking has nothing left to refund', 400);
+    }
+
+    const amountCents = amount !== undefined && amount !== null ? toCents(amount) : refundableCents;
+    if (amountCents <= 0 || amountCents > refundableCents) {
+      throw new AppError(`Refunds cannot exceed the ${fromCents(refundableCents).toFixed(2)} captured and not yet refunded`, 400);
+    }
+
+    return tx.insert(refunds).values(allocateRefund(refundable, amountCents).map(({ payment, amountCents: cents }) => ({
+      bookingId: locked.id,
+      paymentId: payment.id,
+      amount: fromCents(cents).toString(),
+      currency: payment.currency,
+      reason,
+      actorType: actor.actorType,
+      createdBy: actor.actorId || null
+    }))).returning();
+  });
+
+  const paymentsById = new Map((await loadPayments(db, booking.id)).map(payment => [payment.id, payment]));
+  const results = [];
+
+  for (const refund of pending) {
+    const payment = paymentsById.get(refund.paymentId);
+    let values;
+
+    if (payment.provider === 'manual') {
+      values = { status: 'succeeded' };
+    } else {
+      try {
+        const outcome = await getGateway(payment.provider).refund(payment.providerReference, toCents(refund.amount));
+        values = { status: 'succeeded', providerReference: outcome.reference || null };
+      } catch (error) {
+        values = { status: 'failed', failureReason: error.message };
+      }
+    }
+
+    results.push(await db.transaction(async (tx) => {
+      const locked = await lockBooking(tx, booking.id);
+      const [updated] = await tx
+        .update(refunds)
+        .set({ ...values, updatedAt: new Date() })
+        .where(eq(refunds.id, refund.id))
+        .returning();
+
+      if (updated.status === 'succeeded') {
+        // Every refund goes in the history, even one that leaves the status as it was
+        await syncBookingPaymentStatus(tx, locked, actor, {
+          alwaysRecord: true,
+          note: `Refunded ${updated.currency} ${parseFloat(updated.amount).toFixed(2)} to ${payment.method.replace('_', ' ')}: ${reason}`
+        });
+      }
+
+      return updated;
+    }));
+  }
+
+  const [current] = await db.select().from(bookings).where(eq(bookings.id, booking.id));
+  return { refunds: results, booking: current };
+};
+
+module.exports = {
+  PAYMENT_STATUSES,
+  summarizePayments,
+  bookingPaymentStatus,
+  formatPayment,
+  formatRefund,
+  formatPaymentSummary,
+  loadPayments,
+  loadRefunds,
+  loadFolioItems,
+  lockBooking,
+  syncBookingPaymentStatus,
+  settlePayment,
+  takePayment,
+  confirmPayment,
+  capturePayment,
+  refundablePayments,
+  allocateRefund,
+  refundBooking
+};
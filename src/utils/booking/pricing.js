@@ -0,0 +1,235 @@
+/**
+ * Booking Pricing Utility
+ * Computes server-side price quotes for a stay. Amounts are worked out in
+ * integer cents and only converted back to currency units in the quote.
+ */
+
+const AppError = require('../appError');
+const { getEnv } = require('../env-validator');
+const { toDateString } = require('./availability');
+const { resolveNightlyRate, loadRatePlans } = require('./rates');
+const { computeTaxes, loadTaxRules } = require('./taxes');
+const { promotionRejection, promotionDiscount, findPromotionByCode } = require('./promotions');
+const { resolveCancellationPolicy } = require('./cancellation');
+const { promotions } = require('../../db/schema');
+const { eq } = require('drizzle-orm');
+
+const CURRENCY = getEnv('CURRENCY', 'PHP');
+
+// Ways a guest can pay (bookings.payment_method)
+const PAYMENT_METHODS = ['credit_card', 'paypal', 'cash', 'bank_transfer'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Convert a currency amount to integer cents
+ * @param {string|number} amount - Amount in currency units
+ * @returns {number} Amount in cents
+ */
+const toCents = (amount) => Math.round((parseFloat(amount) || 0) * 100);
+
+/**
+ * Convert integer cents to a currency amount
+ * @param {number} cents - Amount in cents
+ * @returns {number} Amount in currency units
+ */
+const fromCents = (cents) => cents / 100;
+
+/**
+ * List every night of a stay as YYYY-MM-DD strings (check-out day excluded)
+ * @param {string|Date} checkIn - Check-in date
+ * @param {string|Date} checkOut - Check-out date
+ * @returns {string[]} Night dates
+ */
+const eachNight = (checkIn, checkOut) => {
+  const start = Date.parse(toDateString(checkIn));
+  const end = Date.parse(toDateString(checkOut));
+  const nights = [];
+
+  for (let time = start; time < end; time += DAY_MS) {
+    nights.push(new Date(time).toISOString().split('T')[0]);
+  }
+
+  return nights;
+};
+
+/**
+ * Check that a party fits in a room
+ * @param {object} room - Room row (maxOccupancy)
+ * @param {number} guests - Adults plus children
+ * @throws {AppError} 400 if the party is larger than the room sleeps
+ */
+const assertOccupancy = (room, guests) => {
+  const maxOccupancy = parseInt(room.maxOccupancy);
+  if (maxOccupancy > 0 && guests > maxOccupancy) {
+    throw new AppError(`This room sleeps at most ${maxOccupancy} guest${maxOccupancy === 1 ? '' : 's'}`, 400);
+  }
+};
+
+/**
+ * Build a price quote for a stay in a room
+ * @param {object} params - Quote parameters
+ * @param {object} params.room - Room row (price, discount, capacity, maxOccupancy, extraGuestFee)
+ * @param {string|Date} params.checkIn - Check-in date
+ * @param {string|Date} params.checkOut - Check-out date
+ * @param {object[]} [params.ratePlans] - Rate plans that may override rooms.price
+ * @param {object[]} [params.taxRules] - Tax and fee rules to apply
+ * @param {number} [params.guests=1] - Number of guests, adults plus children (for
+ *   occupancy, extra guest fees and per-person taxes)
+ * @param {object} [params.promotion] - Promotion to apply (already checked for eligibility)
+ * @param {object} [params.cancellationPolicy] - Snapshot of the policy the stay is booked under
+ * @returns {object} Quote with per-night breakdown, discounts, taxes and total
+ * @throws {AppError} 400 if the stay has no nights or the party does not fit the room
+ */
+const quoteStay = ({ room, checkIn, checkOut, ratePlans = [], taxRules = [], guests = 1, promotion = null, cancellationPolicy = null }) => {
+  const nights = eachNight(checkIn, checkOut);
+
+  if (nights.length === 0) {
+    throw new AppError('Check-out date must be after check-in date', 400);
+  }
+
+  const guestCount = Math.max(parseInt(guests) || 1, 1);
+  assertOccupancy(room, guestCount);
+
+  const nightlyRates = nights.map(date => {
+    const { price, plan } = resolveNightlyRate(room, ratePlans, date);
+    return { date, rate: toCents(price), ratePlan: plan ? plan.name : null };
+  });
+
+  // Guests above the room's capacity pay a flat fee per night, which counts
+  // as a room charge (discounts apply to it)
+  const extraGuestCount = Math.max(guestCount - (parseInt(room.capacity) || guestCount), 0);
+  const extraGuestFeeCents = toCents(room.extraGuestFee);
+  const extraGuestCents = extraGuestCount * extraGuestFeeCents * nights.length;
+
+  const baseCents = nightlyRates.reduce((sum, night) => sum + night.rate, 0) + extraGuestCents;
+
+  // Room discount is a percentage off the room charges
+  const discountPercent = Math.min(Math.max(parseFloat(room.discount) || 0, 0), 100);
+  const discounts = [];
+  if (discountPercent > 0) {
+    discounts.push({
+      type: 'room',
+      label: `Room discount (${discountPercent}%)`,
+      amount: Math.round(baseCents * discountPercent / 100)
+    });
+  }
+
+  // Promo codes apply to what is left after the room discount
+  if (promotion) {
+    const remainingCents = baseCents - discounts.reduce((sum, discount) => sum + discount.amount, 0);
+    discounts.push({
+      type: 'promotion',
+      label: `Promo code ${promotion.code}`,
+      code: promotion.code,
+      amount: promotionDiscount(promotion, remainingCents)
+    });
+  }
+  const discountCents = discounts.reduce((sum, discount) => sum + discount.amount, 0);
+
+  const subtotalCents = baseCents - discountCents;
+  const taxes = computeTaxes({
+    rules: taxRules,
+    room,
+    subtotalCents,
+    nights: nights.length,
+    guests: guestCount
+  });
+  const taxCents = taxes.reduce((sum, tax) => sum + tax.amount, 0);
+
+  return {
+    roomId: room.id,
+    checkIn: nights[0],
+    checkOut: toDateString(checkOut),
+    nights: nights.length,
+    currency: CURRENCY,
+    nightlyRates: nightlyRates.map(night => ({ ...night, rate: fromCents(night.rate) })),
+    guests: guestCount,
+    extraGuests: {
+      count: extraGuestCount,
+      feePerNight: fromCents(extraGuestFeeCents),
+      amount: fromCents(extraGuestCents)
+    },
+    basePrice: fromCents(baseCents),
+    discounts: discounts.map(discount => ({ ...discount, amount: fromCents(discount.amount) })),
+    discountTotal: fromCents(discountCents),
+    promotionId: promotion ? promotion.id : null,
+    promoCode: promotion ? promotion.code : null,
+    subtotal: fromCents(subtotalCents),
+    taxes: taxes.map(tax => ({ ...tax, amount: fromCents(tax.amount) })),
+    taxAndFees: fromCents(taxCents),
+    totalPrice: fromCents(subtotalCents + taxCents),
+    cancellationPolicy
+  };
+};
+
+/**
+ * Resolve the promotion for a quote and check that it applies to the stay
+ * @param {object} executor - Drizzle db or transaction
+ * @param {object} params - Quote parameters
+ * @param {string} [params.promoCode] - Code entered by the guest
+ * @param {string} [params.promotionId] - Promotion already redeemed by the booking
+ * @param {number} nights - Number of nights in the stay
+ * @returns {Promise<object|null>} Promotion row
+ * @throws {AppError} 400 if the code is unknown or does not apply
+ */
+const resolvePromotion = async (executor, { promoCode, promotionId, room }, nights) => {
+  let promotion;
+  if (promotionId) {
+    [promotion] = await executor.select().from(promotions).where(eq(promotions.id, promotionId));
+  } else if (promoCode) {
+    promotion = await findPromotionByCode(executor, promoCode);
+    if (!promotion) {
+      throw new AppError('Invalid promo code', 400);
+    }
+  }
+
+  if (!promotion) return null;
+
+  const rejection = promotionRejection(promotion, { room, nights, redeemed: Boolean(promotionId) });
+  if (rejection) {
+    throw new AppError(rejection, 400);
+  }
+
+  return promotion;
+};
+
+/**
+ * Price a stay, loading whatever pricing data the quote depends on
+ * @param {object} executor - Drizzle db or transaction
+ * @param {object} params - Quote parameters (see quoteStay), plus an optional
+ *   promoCode to look up or promotionId of a code the booking already redeemed
+ * @returns {Promise<object>} Quote
+ */
+const priceStay = async (executor, params) => {
+  const nights = eachNight(params.checkIn, params.checkOut);
+  const ratePlans = nights.length > 0
+    ? await loadRatePlans(executor, params.room, nights[0], nights[nights.length - 1])
+    : [];
+  const taxRules = await loadTaxRules(executor);
+  const promotion = await resolvePromotion(executor, params, nights.length);
+  const cancellationPolicy = nights.length > 0
+    ? await resolveCancellationPolicy(executor, params.room, ratePlans, nights[0])
+    : null;
+
+  return quoteStay({ ...params, ratePlans, taxRules, promotion, cancellationPolicy });
+};
+
+/**
+ * Check a client-supplied total against a quote (to the cent)
+ * @param {string|number} clientTotal - Total sent by the client
+ * @param {object} quote - Server quote
+ * @returns {boolean} True if the totals match
+ */
+const pricesMatch = (clientTotal, quote) => toCents(clientTotal) === toCents(quote.totalPrice);
+
+module.exports = {
+  CURRENCY,
+  PAYMENT_METHODS,
+  toCents,
+  fromCents,
+  eachNight,
+  assertOccupancy,
+  quoteStay,
+  priceStay,
+  pricesMatch
+};
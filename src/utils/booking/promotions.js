@@ -0,0 +1,118 @@
+/**
+ * Booking Promotions Utility
+ * Looks up promo codes, checks whether they apply to a stay and redeems them
+ */
+
+const { promotions } = require('../../db/schema');
+const { eq, and, or, isNull, lt, sql } = require('drizzle-orm');
+const AppError = require('../appError');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+/**
+ * Normalise a promo code as entered by a guest
+ * @param {string} code - Promo code
+ * @returns {string} Trimmed, upper-case code
+ */
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Explain why a promotion cannot be used for a stay
+ * @param {object} promotion - Promotion row
+ * @param {object} params - Stay details
+ * @param {object} params.room - Room row
+ * @param {number} params.nights - Number of nights
+ * @param {Date} [params.at] - Redemption time (defaults to now)
+ * @param {boolean} [params.redeemed] - Code was already redeemed for this booking,
+ *   so only the stay-related conditions are re-checked
+ * @returns {string|null} Reason the code is rejected, or null if it applies
+ */
+const promotionRejection = (promotion, { room, nights, at = new Date(), redeemed = false }) => {
+  if (!redeemed) {
+    if (promotion.isActive === false) return 'This promo code is no longer active';
+    if (promotion.startsAt && at < new Date(promotion.startsAt)) return 'This promo code is not valid yet';
+    if (promotion.endsAt && at > new Date(promotion.endsAt)) return 'This promo code has expired';
+    if (promotion.maxRedemptions !== null && promotion.maxRedemptions !== undefined &&
+      (promotion.redemptionCount || 0) >= promotion.maxRedemptions) {
+      return 'This promo code has reached its usage limit';
+    }
+  }
+
+  if (promotion.minNights && nights < promotion.minNights) {
+    return `This promo code requires a stay of at least ${promotion.minNights} nights`;
+  }
+
+  const categories = promotion.eligibleCategories || [];
+  if (categories.length > 0 && !categories.includes(room.category)) {
+    return 'This promo code does not apply to this room';
+  }
+
+  return null;
+};
+
+/**
+ * Work out the discount a promotion gives on an amount
+ * @param {object} promotion - Promotion row
+ * @param {number} amountCents - Discountable amount in cents
+ * @returns {number} Discount in cents (never more than the amount)
+ */
+const promotionDiscount = (promotion, amountCents) => {
+  const value = parseFloat(promotion.discountValue) || 0;
+  const discount = promotion.discountType === 'percentage'
+    ? Math.round(amountCents * Math.min(value, 100) / 100)
+    : Math.round(value * 100);
+
+  return Math.min(Math.max(discount, 0), amountCents);
+};
+
+/**
+ * Load a promotion by code
+ * @param {object} executor - Drizzle db or transaction
+ * @param {string} code - Promo code
+ * @returns {Promise<object|undefined>} Promotion row
+ */
+const findPromotionByCode = async (executor, code) => {
+  const [promotion] = await executor
+    .select()
+    .from(promotions)
+    .where(eq(promotions.code, normalizeCode(code)));
+  return promotion;
+};
+
+/**
+ * Count one redemption of a promotion. The usage limit is checked in the same
+ * UPDATE, so concurrent bookings cannot push the count past it.
+ * @param {object} tx - Drizzle transaction
+ * @param {string} promotionId - Promotion ID
+ * @returns {Promise<object>} Updated promotion row
+ * @throws {AppError} 409 if the code was used up in the meantime
+ */
+const redeemPromotion = async (tx, promotionId) => {
+  const [redeemed] = await tx
+    .update(promotions)
+    .set({
+      redemptionCount: sql`${promotions.redemptionCount} + 1`,
+      updatedAt: new Date()
+    })
+    .where(and(
+      eq(promotions.id, promotionId),
+      eq(promotions.isActive, true),
+      or(isNull(promotions.maxRedemptions), lt(promotions.redemptionCount, promotions.maxRedemptions))
+    ))
+    .returning();
+
+  if (!redeemed) {
+    throw new AppError('This promo code has reached its usage limit', 409);
+  }
+
+  return redeemed;
+};
+
+module.exports = {
+  DISCOUNT_TYPES,
+  normalizeCode,
+  promotionRejection,
+  promotionDiscount,
+  findPromotionByCode,
+  redeemPromotion
+};
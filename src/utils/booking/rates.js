@@ -0,0 +1,114 @@
+/**
+ * Room Rate Plan Utility
+ * Resolves the nightly rate of a room from its seasonal and day-of-week plans
+ */
+
+const { roomRates } = require('../../db/schema');
+const { and, or, eq, isNull, gte, lte, inArray } = require('drizzle-orm');
+
+/**
+ * Check whether a rate plan covers a given night
+ * @param {object} plan - Rate plan row
+ * @param {string} date - Night date (YYYY-MM-DD)
+ * @returns {boolean} True if the plan applies
+ */
+const planCoversNight = (plan, date) => {
+  if (plan.isActive === false) return false;
+  if (plan.startDate && date < plan.startDate) return false;
+  if (plan.endDate && date > plan.endDate) return false;
+
+  if (plan.daysOfWeek && plan.daysOfWeek.length > 0) {
+    const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+    if (!plan.daysOfWeek.includes(dayOfWeek)) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Order competing plans: higher priority first, then room-specific over
+ * category-wide, then date-bounded over open-ended, then the newest
+ * @param {object} a - Rate plan
+ * @param {object} b - Rate plan
+ * @returns {number} Sort order
+ */
+const comparePlans = (a, b) =>
+  (b.priority || 0) - (a.priority || 0) ||
+  Number(Boolean(b.roomId)) - Number(Boolean(a.roomId)) ||
+  Number(Boolean(b.startDate || b.endDate)) - Number(Boolean(a.startDate || a.endDate)) ||
+  new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
+
+/**
+ * Check whether a rate plan belongs to a room (directly or via its category)
+ * @param {object} plan - Rate plan row
+ * @param {object} room - Room row
+ * @returns {boolean} True if the plan is for this room
+ */
+const planMatchesRoom = (plan, room) =>
+  plan.roomId ? plan.roomId === room.id : plan.category === room.category;
+
+/**
+ * Resolve the rate for one night of a room
+ * @param {object} room - Room row (price is the fallback rate)
+ * @param {object[]} plans - Candidate rate plans
+ * @param {string} date - Night date (YYYY-MM-DD)
+ * @returns {{price: string, plan: object|null}} Applicable price and the plan that set it
+ */
+const resolveNightlyRate = (room, plans, date) => {
+  const [plan] = plans
+    .filter(candidate => planMatchesRoom(candidate, room) && planCoversNight(candidate, date))
+    .sort(comparePlans);
+
+  return plan ? { price: plan.price, plan } : { price: room.price, plan: null };
+};
+
+/**
+ * Build a per-night rate calendar for a room
+ * @param {object} room - Room row
+ * @param {object[]} plans - Candidate rate plans
+ * @param {string[]} dates - Night dates (YYYY-MM-DD)
+ * @returns {Array<{date: string, price: number, ratePlan: string|null}>} Calendar entries
+ */
+const buildRateCalendar = (room, plans, dates) => dates.map(date => {
+  const { price, plan } = resolveNightlyRate(room, plans, date);
+  return { date, price: parseFloat(price), ratePlan: plan ? plan.name : null };
+});
+
+/**
+ * Load the active rate plans that may apply to rooms between two dates
+ * @param {object} executor - Drizzle db or transaction
+ * @param {object|object[]} roomOrRooms - Room row(s)
+ * @param {string} from - First night (YYYY-MM-DD)
+ * @param {string} to - Last night (YYYY-MM-DD, inclusive)
+ * @returns {Promise<object[]>} Rate plans
+ */
+const loadRatePlans = async (executor, roomOrRooms, from, to) => {
+  const roomList = Array.isArray(roomOrRooms) ? roomOrRooms : [roomOrRooms];
+  if (roomList.length === 0) return [];
+
+  const roomIds = [...new Set(roomList.map(room => room.id))];
+  const categories = [...new Set(roomList.map(room => room.category).filter(Boolean))];
+
+  const scope = [inArray(roomRates.roomId, roomIds)];
+  if (categories.length > 0) {
+    scope.push(and(isNull(roomRates.roomId), inArray(roomRates.category, categories)));
+  }
+
+  return executor
+    .select()
+    .from(roomRates)
+    .where(and(
+      or(...scope),
+      eq(roomRates.isActive, true),
+      or(isNull(roomRates.startDate), lte(roomRates.startDate, to)),
+      or(isNull(roomRates.endDate), gte(roomRates.endDate, from))
+    ));
+};
+
+module.exports = {
+  planCoversNight,
+  planMatchesRoom,
+  resolveNightlyRate,
+  buildRateCalendar,
+  loadRatePlans
+};
@@ -0,0 +1,25 @@
+/**
+ * Booking Reference Utility
+ * Generates the human-readable booking references shown to guests
+ */
+
+/**
+ * Generate a booking reference such as BK-123456-ABC
+ * @returns {string} Booking reference
+ */
+const generateBookingId = () => {
+  return `BK-${Date.now().toString().slice(-6)}-${Math.random().toString(36).substring(2, 5).toUpperCase()}`;
+};
+
+/**
+ * Generate a group reservation confirmation number such as GR-123456-ABCD
+ * @returns {string} Confirmation number
+ */
+const generateConfirmationNumber = () => {
+  return `GR-${Date.now().toString().slice(-6)}-${Math.random().toString(36).substring(2, 6).toUpperCase()}`;
+};
+
+module.exports = {
+  generateBookingId,
+  generateConfirmationNumber
+};
@@ -0,0 +1,73 @@
+/**
+ * Booking Revenue Utility
+ * Totals what the hotel has earned from bookings for the admin dashboard.
+ * Only bookings that hold the guest's money count: confirmed, checked-in and
+ * completed stays. Released bookings (cancelled, expired holds, no-shows)
+ * and checkout holds that were never confirmed are left out, and money
+ * refunded on counted bookings is taken off.
+ */
+
+const { toCents, fromCents } = require('./pricing');
+
+// Statuses whose booking total counts as revenue
+const REVENUE_STATUSES = ['confirmed', 'checked_in', 'completed'];
+
+/**
+ * Total revenue, taxes and refunds, and the same by month of booking
+ * @param {object[]} bookingRows - Bookings ({ status, totalPrice, taxAndFees, createdAt })
+ * @param {object[]} refundRows - Succeeded refunds ({ amount, bookingStatus, bookingCreatedAt })
+ * @param {number} [year] - Year the monthly figures are for (default: this year)
+ * @returns {object} totalRevenue (gross of taxes, net of refunds), netRevenue (less taxes),
+ *   refundsDeducted, taxesCollected, monthlyRevenue and monthlyNetRevenue, in currency units
+ */
+const summarizeRevenue = (bookingRows, refundRows, year = new Date().getFullYear()) => {
+  const monthlyCents = Array(12).fill(0);
+  const monthlyNetCents = Array(12).fill(0);
+  let grossCents = 0;
+  let taxCents = 0;
+  let refundCents = 0;
+
+  const monthOf = (date) => {
+    const bookedAt = new Date(date);
+    return bookedAt.getFullYear() === year ? bookedAt.getMonth() : null;
+  };
+
+  for (const booking of bookingRows.filter(row => REVENUE_STATUSES.includes(row.status))) {
+    const totalCents = toCents(booking.totalPrice);
+    const taxesCents = toCents(booking.taxAndFees);
+    grossCents += totalCents;
+    taxCents += taxesCents;
+
+    const month = monthOf(booking.createdAt);
+    if (month !== null) {
+      monthlyCents[month] += totalCents;
+      monthlyNetCents[month] += totalCents - taxesCents;
+    }
+  }
+
+  // Refunds are counted against the month their booking was made in
+  for (const refund of refundRows.filter(row => REVENUE_STATUSES.includes(row.bookingStatus))) {
+    const amountCents = toCents(refund.amount);
+    refundCents += amountCents;
+
+    const month = monthOf(refund.bookingCreatedAt);
+    if (month !== null) {
+      monthlyCents[month] -= amountCents;
+      monthlyNetCents[month] -= amountCents;
+    }
+  }
+
+  return {
+    totalRevenue: fromCents(grossCents - refundCents),
+    netRevenue: fromCents(grossCents - refundCents - taxCents),
+    refundsDeducted: fromCents(refundCents),
+    taxesCollected: fromCents(taxCents),
+    monthlyRevenue: monthlyCents.map(fromCents),
+    monthlyNetRevenue: monthlyNetCents.map(fromCents)
+  };
+};
+
+module.exports = {
+  REVENUE_STATUSES,
+  summarizeRevenue
+};
@@ -0,0 +1,77 @@
+/**
+ * Room Search Utility
+ * Conditions and prices for searching rooms by stay: a room is found when it
+ * sleeps the whole party and, for given dates, is on sale with no active
+ * booking, live checkout hold or room block on any night of the stay.
+ */
+
+const { rooms, bookings, roomBlocks } = require('../../db/schema');
+const { and, or, eq, gte, isNull, notExists } = require('drizzle-orm');
+const { overlapsStay, blockOverlapsStay } = require('./availability');
+const { quoteStay } = require('./pricing');
+
+/**
+ * Build the conditions on rooms that can take a stay
+ * @param {object} executor - Drizzle db or query builder (for the subqueries)
+ * @param {object} stay - Stay searched for
+ * @param {string} [stay.checkIn] - Check-in date (YYYY-MM-DD)
+ * @param {string} [stay.checkOut] - Check-out date (YYYY-MM-DD)
+ * @param {number} [stay.guests] - Adults plus children
+ * @returns {SQL[]} Drizzle conditions on rooms (none when nothing is searched on)
+ */
+const stayAvailabilityFilters = (executor, { checkIn, checkOut, guests } = {}) => {
+  const filters = [];
+
+  if (guests) {
+    filters.push(gte(rooms.maxOccupancy, guests));
+  }
+
+  if (checkIn && checkOut) {
+    filters.push(or(isNull(rooms.isAvailable), eq(rooms.isAvailable, true)));
+
+    filters.push(notExists(
+      executor.select({ id: bookings.id })
+        .from(bookings)
+        .where(and(eq(bookings.roomId, rooms.id), overlapsStay(checkIn, checkOut)))
+    ));
+    filters.push(notExists(
+      executor.select({ id: roomBlocks.id })
+        .from(roomBlocks)
+        .where(and(eq(roomBlocks.roomId, rooms.id), blockOverlapsStay(checkIn, checkOut)))
+    ));
+  }
+
+  return filters;
+};
+
+/**
+ * Price a stay in each room found by a search
+ * @param {object[]} roomRows - Rooms found
+ * @param {object} stay - Stay searched for
+ * @param {string} stay.checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} stay.checkOut - Check-out date (YYYY-MM-DD)
+ * @param {number} [stay.guests] - Adults plus children (default 1)
+ * @param {object[]} [stay.ratePlans] - Rate plans loaded for the rooms and nights
+ * @param {object[]} [stay.taxRules] - Tax and fee rules to apply
+ * @returns {object} Stay totals by room ID (nights, currency, base price, discounts, taxes and total)
+ */
+const stayTotals = (roomRows, { checkIn, checkOut, guests, ratePlans = [], taxRules = [] }) => Object.fromEntries(
+  roomRows.map(room => {
+    const quote = quoteStay({ room, checkIn, checkOut, ratePlans, taxRules, guests: guests || 1 });
+    return [room.id, {
+      checkIn: quote.checkIn,
+      checkOut: quote.checkOut,
+      nights: quote.nights,
+      currency: quote.currency,
+      basePrice: quote.basePrice,
+      discountTotal: quote.discountTotal,
+      taxAndFees: quote.taxAndFees,
+      totalPrice: quote.totalPrice
+    }];
+  })
+);
+
+module.exports = {
+  stayAvailabilityFilters,
+  stayTotals
+};
@@ -0,0 +1,79 @@
+/**
+ * Booking Tax Utility
+ * Applies the configured tax and fee rules to a stay. Amounts are worked out
+ * in integer cents, like the rest of the pricing code.
+ */
+
+const { taxRules } = require('../../db/schema');
+const { eq } = require('drizzle-orm');
+
+const TAX_RULE_TYPES = ['percentage', 'per_night', 'per_person_per_night', 'fixed'];
+
+/**
+ * Check whether a tax rule applies to a room (by location and category)
+ * @param {object} rule - Tax rule row
+ * @param {object} room - Room row
+ * @returns {boolean} True if the rule applies
+ */
+const ruleAppliesToRoom = (rule, room) => {
+  if (rule.isActive === false) return false;
+  if (rule.location && (room.location || '').toLowerCase() !== rule.location.toLowerCase()) return false;
+  if (rule.category && room.category !== rule.category) return false;
+  return true;
+};
+
+/**
+ * Work out the tax lines for a stay
+ * @param {object} params - Tax parameters
+ * @param {object[]} params.rules - Candidate tax rules
+ * @param {object} params.room - Room row
+ * @param {number} params.subtotalCents - Room charges after discounts, in cents
+ * @param {number} params.nights - Number of nights
+ * @param {number} params.guests - Number of guests
+ * @returns {Array<{ruleId: string, name: string, type: string, rate: number, amount: number}>} Tax lines (amount in cents)
+ */
+const computeTaxes = ({ rules, room, subtotalCents, nights, guests }) => rules
+  .filter(rule => ruleAppliesToRoom(rule, room))
+  .map(rule => {
+    const rate = parseFloat(rule.amount) || 0;
+    const rateCents = Math.round(rate * 100);
+    let amount;
+
+    switch (rule.type) {
+      case 'percentage':
+        amount = Math.round(subtotalCents * rate / 100);
+        break;
+      case 'per_night':
+        amount = rateCents * nights;
+        break;
+      case 'per_person_per_night':
+        amount = rateCents * nights * guests;
+        break;
+      case 'fixed':
+        amount = rateCents;
+        break;
+      default:
+        amount = 0;
+    }
+
+    return { ruleId: rule.id, name: rule.name, type: rule.type, rate, amount };
+  })
+  .filter(line => line.amount > 0);
+
+/**
+ * Load the active tax rules
+ * @param {object} executor - Drizzle db or transaction
+ * @returns {Promise<object[]>} Tax rules
+ */
+const loadTaxRules = (executor) => executor
+  .select()
+  .from(taxRules)
+  .where(eq(taxRules.isActive, true))
+  .orderBy(taxRules.createdAt);
+
+module.exports = {
+  TAX_RULE_TYPES,
+  ruleAppliesToRoom,
+  computeTaxes,
+  loadTaxRules
+};
@@ -0,0 +1,184 @@
+/**
+ * Booking Waitlist Utility
+ * Offers freed rooms to waitlisted guests, oldest entry first. An offer
+ * comes with a claim token that is valid for a limited time; claiming it
+ * places a checkout hold on the room.
+ */
+
+const crypto = require('crypto');
+const { waitlistEntries, rooms, users } = require('../../db/schema');
+const { and, or, eq, isNull, gt, gte, lte, asc, sql } = require('drizzle-orm');
+const { getEnv } = require('../env-validator');
+const { notify } = require('../notifications');
+const { findOverlappingBookings } = require('./availability');
+const { hotelDate } = require('./hotel-time');
+
+// How long a waitlisted guest has to claim an offered room
+const CLAIM_MINUTES = parseInt(getEnv('WAITLIST_CLAIM_MINUTES', '60')) || 60;
+const FRONTEND_URL = getEnv('FRONTEND_URL', getEnv('CORS_ORIGIN', 'http://localhost:3000'));
+
+/**
+ * Hash a claim token for storage (only the guest ever sees the token itself)
+ * @param {string} token - Claim token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+const hashClaimToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Check whether two stays share a night (half-open ranges)
+ * @param {object} a - Stay with checkIn/checkOut (YYYY-MM-DD)
+ * @param {object} b - Stay with checkIn/checkOut (YYYY-MM-DD)
+ * @returns {boolean} True if the stays overlap
+ */
+const staysOverlap = (a, b) => a.checkIn < b.checkOut && a.checkOut > b.checkIn;
+
+/**
+ * Build the notification sent with a waitlist offer
+ * @param {object} entry - Offered waitlist entry
+ * @param {object} room - Room being offered
+ * @param {object} user - Guest (name, email)
+ * @param {string} token - Plain claim token
+ * @returns {object} Notification message
+ */
+const buildOfferMessage = (entry, room, user, token) => {
+  const claimUrl = `${FRONTEND_URL.replace(/\/$/, '')}/waitlist/${entry.id}/claim?token=${token}`;
+
+  return {
+    type: 'waitlist_offer',
+    to: user.email,
+    subject: `${room.title} is available for your dates`,
+    text: `Hi ${user.name}, ${room.title} is now available from ${entry.checkIn} to ${entry.checkOut}. ` +
+      `Claim it before ${entry.claimExpiresAt.toISOString()}: ${claimUrl}`,
+    data: {
+      waitlistEntryId: entry.id,
+      roomId: room.id,
+      roomTitle: room.title,
+      checkIn: entry.checkIn,
+      checkOut: entry.checkOut,
+      claimToken: token,
+      claimExpiresAt: entry.claimExpiresAt,
+      claimUrl
+    }
+  };
+};
+
+/**
+ * Offer a room that just had nights freed to the oldest matching waitlist
+ * entries. Entries are matched by room or category, must not be larger than
+ * the room sleeps, and are only offered if their whole stay is now free and does
+ * not clash with an offer that is still open.
+ * @param {object} db - Drizzle db
+ * @param {string} roomId - Room whose nights were freed
+ * @returns {Promise<object[]>} Entries that received an offer
+ */
+const offerFreedRoom = async (db, roomId) => {
+  const [room] = await db.select().from(rooms).where(eq(rooms.id, roomId));
+  if (!room || room.isAvailable === false) return [];
+
+  const today = hotelDate();
+  const matchesRoom = or(
+    eq(waitlistEntries.roomId, room.id),
+    and(isNull(waitlistEntries.roomId), eq(waitlistEntries.category, room.category))
+  );
+
+  const candidates = await db
+    .select({ entry: waitlistEntries, user: { name: users.name, email: users.email } })
+    .from(waitlistEntries)
+    .innerJoin(users, eq(waitlistEntries.userId, users.id))
+    .where(and(
+      eq(waitlistEntries.status, 'waiting'),
+      matchesRoom,
+      gte(waitlistEntries.checkIn, today),
+      lte(waitlistEntries.guests, room.maxOccupancy || room.capacity || 1)
+    ))
+    .orderBy(asc(waitlistEntries.createdAt));
+
+  const openOffers = await db
+    .select({ checkIn: waitlistEntries.checkIn, checkOut: waitlistEntries.checkOut })
+    .from(waitlistEntries)
+    .where(and(
+      eq(waitlistEntries.status, 'offered'),
+      eq(waitlistEntries.offeredRoomId, room.id),
+      gt(waitlistEntries.claimExpiresAt, sql`now()`)
+    ));
+
+  const offered = [];
+  for (const { entry, user } of candidates) {
+    if (openOffers.some(offer => staysOverlap(offer, entry))) continue;
+
+    const overlaps = await findOverlappingBookings(db, { roomId: room.id, checkIn: entry.checkIn, checkOut: entry.checkOut });
+    if (overlaps.length > 0) continue;
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const [offer] = await db
+      .update(waitlistEntries)
+      .set({
+        status: 'offered',
+        offeredRoomId: room.id,
+        claimTokenHash: hashClaimToken(token),
+        claimExpiresAt: new Date(Date.now() + CLAIM_MINUTES * 60 * 1000),
+        notifiedAt: new Date(),
+        updatedAt: new Date()
+      })
+      .where(and(eq(waitlistEntries.id, entry.id), eq(waitlistEntries.status, 'waiting')))
+      .returning();
+
+    if (!offer) continue;
+
+    openOffers.push(offer);
+    offered.push(offer);
+    await notify(buildOfferMessage(offer, room, user, token));
+  }
+
+  return offered;
+};
+
+/**
+ * Offer freed rooms to the waitlist without letting a failure affect the
+ * caller (used after cancellations, whose own change has already succeeded)
+ * @param {object} db - Drizzle db
+ * @param {...string} roomIds - Rooms whose nights were freed
+ * @returns {Promise<object[]>} Entries that received an offer
+ */
+const releaseToWaitlist = async (db, ...roomIds) => {
+  const offered = [];
+
+  for (const roomId of new Set(roomIds.filter(Boolean))) {
+    try {
+      offered.push(...await offerFreedRoom(db, roomId));
+    } catch (error) {
+      console.error(`Failed to offer room ${roomId} to the waitlist:`, error.message);
+    }
+  }
+
+  return offered;
+};
+
+/**
+ * Expire offers whose claim window has passed and pass the rooms on to the
+ * next guests in line
+ * @param {object} db - Drizzle db
+ * @returns {Promise<number>} Number of offers expired
+ */
+const expireWaitlistOffers = async (db) => {
+  const expired = await db
+    .update(waitlistEntries)
+    .set({ status: 'expired', claimTokenHash: null, updatedAt: new Date() })
+    .where(and(
+      eq(waitlistEntries.status, 'offered'),
+      lte(waitlistEntries.claimExpiresAt, sql`now()`)
+    ))
+    .returning({ offeredRoomId: waitlistEntries.offeredRoomId });
+
+  await releaseToWaitlist(db, ...expired.map(entry => entry.offeredRoomId));
+  return expired.length;
+};
+
+module.exports = {
+  CLAIM_MINUTES,
+  hashClaimToken,
+  staysOverlap,
+  offerFreedRoom,
+  releaseToWaitlist,
+  expireWaitlistOffers
+};
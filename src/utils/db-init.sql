@@ -1,6 +1,9 @@
 -- Enable UUID extension if not already enabled
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Needed to combine = and && in the bookings exclusion constraint
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
 -- ============================
 -- USERS TABLE
 -- ============================
@@ -10,7 +13,7 @@ CREATE TABLE IF NOT EXISTS users (
   email TEXT UNIQUE NOT NULL,
   password TEXT NOT NULL,
   profile_pic TEXT DEFAULT '/images/default-user.png',
-  role TEXT DEFAULT 'user' CHECK (role IN ('user', 'admin')),
+  role TEXT DEFAULT 'user' CHECK (role IN ('user', 'staff', 'admin')),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -37,6 +40,29 @@ CREATE TABLE IF NOT EXISTS hotels (
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- ============================
+-- CANCELLATION POLICIES TABLE
+-- ============================
+CREATE TABLE IF NOT EXISTS cancellation_policies (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name TEXT UNIQUE NOT NULL,
+  description TEXT,
+  tiers JSONB NOT NULL DEFAULT '[]' CHECK (jsonb_typeof(tiers) = 'array'),
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Standard policies (tiers: penalty percent for cancelling at least N hours before check-in)
+INSERT INTO cancellation_policies (name, description, tiers) VALUES
+  ('flexible', 'Free cancellation up to 24 hours before check-in, 50% refund after that',
+    '[{"minHoursBefore": 24, "penaltyPercent": 0}, {"minHoursBefore": 0, "penaltyPercent": 50}]'),
+  ('moderate', 'Free cancellation up to 5 days before check-in, 50% refund up to 24 hours before',
+    '[{"minHoursBefore": 120, "penaltyPercent": 0}, {"minHoursBefore": 24, "penaltyPercent": 50}, {"minHoursBefore": 0, "penaltyPercent": 100}]'),
+  ('non_refundable', 'No refund once booked',
+    '[{"minHoursBefore": 0, "penaltyPercent": 100}]')
+ON CONFLICT (name) DO NOTHING;
+
 -- ============================
 -- ROOMS TABLE
 -- ============================
@@ -48,6 +74,7 @@ CREATE TABLE IF NOT EXISTS rooms (
   description TEXT CHECK (char_length(description) <= 500),
   full_description TEXT,
   price NUMERIC NOT NULL CHECK (price >= 0),
+  discount NUMERIC DEFAULT 0 CHECK (discount >= 0 AND discount <= 100),
   image_url TEXT DEFAULT '/images/room-placeholder.jpg',
   images TEXT[] DEFAULT '{}',
   location TEXT DEFAULT 'Taguig, Metro Manila',
@@ -58,6 +85,7 @@ CREATE TABLE IF NOT EXISTS rooms (
   reviews INTEGER DEFAULT 0 CHECK (reviews >= 0),
   capacity INTEGER DEFAULT 1 CHECK (capacity >= 1),
   max_occupancy INTEGER DEFAULT 2 CHECK (max_occupancy >= 1),
+  extra_guest_fee NUMERIC DEFAULT 0 CHECK (extra_guest_fee >= 0),
   bed_type TEXT DEFAULT 'Queen' CHECK (bed_type IN ('Single', 'Double', 'Queen', 'King', 'Twin', 'Various')),
   room_size TEXT DEFAULT '30 sq m',
   view_type TEXT DEFAULT 'City view',
@@ -65,6 +93,8 @@ CREATE TABLE IF NOT EXISTS rooms (
   additional_amenities TEXT[] DEFAULT '{"WiFi", "Air conditioning", "Daily housekeeping", "Mini bar"}',
   features TEXT[] DEFAULT '{}',
   is_available BOOLEAN DEFAULT TRUE,
+  housekeeping_status TEXT DEFAULT 'clean' CHECK (housekeeping_status IN ('clean', 'dirty', 'in_progress')),
+  cancellation_policy_id UUID REFERENCES cancellation_policies(id) ON DELETE SET NULL,
   href TEXT,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
@@ -91,6 +121,73 @@ EXECUTE FUNCTION generate_room_href();
 CREATE INDEX IF NOT EXISTS rooms_search_idx ON rooms 
 USING gin(to_tsvector('english', title || ' ' || COALESCE(description, '') || ' ' || COALESCE(full_description, '') || ' ' || category));
 
+-- ============================
+-- ROOM RATES TABLE
+-- ============================
+CREATE TABLE IF NOT EXISTS room_rates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  room_id UUID REFERENCES rooms(id) ON DELETE CASCADE,
+  category TEXT,
+  name TEXT NOT NULL,
+  price NUMERIC NOT NULL CHECK (price >= 0),
+  start_date DATE,
+  end_date DATE,
+  days_of_week INTEGER[],
+  priority INTEGER DEFAULT 0,
+  cancellation_policy_id UUID REFERENCES cancellation_policies(id) ON DELETE SET NULL,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (room_id IS NOT NULL OR category IS NOT NULL),
+  CHECK (start_date IS NULL OR end_date IS NULL OR end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS room_rates_room_idx ON room_rates(room_id);
+CREATE INDEX IF NOT EXISTS room_rates_category_idx ON room_rates(category);
+
+-- ============================
+-- PROMOTIONS TABLE
+-- ============================
+CREATE TABLE IF NOT EXISTS promotions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  code TEXT UNIQUE NOT NULL CHECK (code = UPPER(code)),
+  description TEXT,
+  discount_type TEXT NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+  discount_value NUMERIC NOT NULL CHECK (discount_value >= 0),
+  starts_at TIMESTAMP WITH TIME ZONE,
+  ends_at TIMESTAMP WITH TIME ZONE,
+  max_redemptions INTEGER CHECK (max_redemptions IS NULL OR max_redemptions >= 0),
+  redemption_count INTEGER NOT NULL DEFAULT 0,
+  min_nights INTEGER,
+  eligible_categories TEXT[],
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (max_redemptions IS NULL OR redemption_count <= max_redemptions)
+);
+
+-- ============================
+-- RESERVATIONS TABLE
+-- ============================
+CREATE TABLE IF NOT EXISTS reservations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  confirmation_number TEXT UNIQUE NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  first_name TEXT NOT NULL,
+  last_name TEXT NOT NULL,
+  email TEXT NOT NULL,
+  phone TEXT NOT NULL,
+  check_in DATE NOT NULL,
+  check_out DATE NOT NULL,
+  status TEXT DEFAULT 'confirmed' CHECK (status IN ('confirmed', 'cancelled')),
+  special_requests TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (check_out > check_in)
+);
+
+CREATE INDEX IF NOT EXISTS reservations_user_idx ON reservations(user_id);
+
 -- ============================
 -- BOOKINGS TABLE
 -- ============================
@@ -103,6 +200,7 @@ CREATE TABLE IF NOT EXISTS bookings (
   email TEXT NOT NULL,
   phone TEXT NOT NULL,
   room_id UUID REFERENCES rooms(id) ON DELETE SET NULL,
+  reservation_id UUID REFERENCES reservations(id) ON DELETE SET NULL,
   room_type TEXT NOT NULL,
   room_title TEXT NOT NULL,
   room_category TEXT NOT NULL,
@@ -111,20 +209,290 @@ CREATE TABLE IF NOT EXISTS bookings (
   check_out DATE NOT NULL,
   nights INTEGER NOT NULL,
   guests INTEGER NOT NULL,
+  adults INTEGER NOT NULL DEFAULT 1 CHECK (adults >= 1),
+  children INTEGER NOT NULL DEFAULT 0 CHECK (children >= 0),
   special_requests TEXT,
   base_price NUMERIC NOT NULL,
   tax_and_fees NUMERIC NOT NULL,
+  tax_breakdown JSONB DEFAULT '[]',
   total_price NUMERIC NOT NULL,
-  status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'cancelled', 'completed')),
-  payment_status TEXT DEFAULT 'pending' CHECK (payment_status IN ('pending', 'paid', 'refunded')),
+  promotion_id UUID REFERENCES promotions(id) ON DELETE SET NULL,
+  promo_code TEXT,
+  discount_amount NUMERIC DEFAULT 0,
+  status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'checked_in', 'cancelled', 'completed', 'expired', 'no_show')),
+  hold_expires_at TIMESTAMP WITH TIME ZONE,
+  cancellation_policy JSONB,
+  cancellation_penalty NUMERIC CHECK (cancellation_penalty >= 0),
+  refund_amount NUMERIC CHECK (refund_amount >= 0),
+  cancelled_at TIMESTAMP WITH TIME ZONE,
+  checked_in_at TIMESTAMP WITH TIME ZONE,
+  checked_in_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  id_verification_notes TEXT CHECK (char_length(id_verification_notes) <= 500),
+  checked_out_at TIMESTAMP WITH TIME ZONE,
+  checked_out_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  payment_status TEXT DEFAULT 'pending' CHECK (payment_status IN ('pending', 'authorized', 'paid', 'failed', 'partially_refunded', 'refunded')),
+  payment_method TEXT CHECK (payment_method IN ('credit_card', 'paypal', 'cash', 'bank_transfer')),
   location TEXT,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT bookings_occupancy_check CHECK (guests = adults + children)
 );
 
 -- Booking indexes
 CREATE INDEX IF NOT EXISTS bookings_room_status_idx ON bookings(room_title, room_category, status);
 CREATE INDEX IF NOT EXISTS bookings_dates_idx ON bookings(check_in, check_out);
+CREATE INDEX IF NOT EXISTS bookings_reservation_idx ON bookings(reservation_id);
+CREATE INDEX IF NOT EXISTS bookings_check_out_idx ON bookings(check_out);
+
+-- Finds expired checkout holds for the sweeper
+CREATE INDEX IF NOT EXISTS bookings_hold_expiry_idx ON bookings(hold_expires_at) WHERE status = 'pending';
+
+-- No two active bookings may share a night in the same room (half-open stays)
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_no_overlap;
+ALTER TABLE bookings
+  ADD CONSTRAINT bookings_no_overlap
+  EXCLUDE USING gist (
+    room_id WITH =,
+    daterange(check_in, check_out, '[)') WITH &&
+  )
+  WHERE (status NOT IN ('cancelled', 'expired', 'no_show'));
+
+-- ============================
+-- BOOKING EVENTS TABLE (audit trail)
+-- ============================
+CREATE TABLE IF NOT EXISTS booking_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('created', 'updated', 'status_changed', 'cancelled', 'payment_changed')),
+  actor_type TEXT NOT NULL CHECK (actor_type IN ('user', 'guest', 'staff', 'admin', 'system')),
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  changes JSONB NOT NULL DEFAULT '{}',
+  note TEXT,
+  -- clock_timestamp() rather than now(), so events written in one transaction keep their order
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT clock_timestamp()
+);
+
+CREATE INDEX IF NOT EXISTS booking_events_booking_idx ON booking_events(booking_id, created_at);
+
+-- ============================
+-- PAYMENTS TABLE (ledger of payments taken for bookings)
+-- ============================
+CREATE TABLE IF NOT EXISTS payments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  amount NUMERIC NOT NULL CHECK (amount > 0),
+  currency TEXT NOT NULL,
+  method TEXT NOT NULL CHECK (method IN ('credit_card', 'paypal', 'cash', 'bank_transfer')),
+  provider TEXT NOT NULL,
+  provider_reference TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'requires_action', 'authorized', 'captured', 'declined', 'failed')),
+  capture_method TEXT NOT NULL DEFAULT 'automatic' CHECK (capture_method IN ('automatic', 'manual')),
+  failure_reason TEXT,
+  authorized_at TIMESTAMP WITH TIME ZONE,
+  captured_at TIMESTAMP WITH TIME ZONE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS payments_booking_idx ON payments(booking_id, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS payments_provider_reference_idx ON payments(provider, provider_reference);
+
+-- ============================
+-- REFUNDS TABLE (money sent back against captured payments)
+-- ============================
+CREATE TABLE IF NOT EXISTS refunds (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  amount NUMERIC NOT NULL CHECK (amount > 0),
+  currency TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+  provider_reference TEXT,
+  failure_reason TEXT,
+  actor_type TEXT NOT NULL CHECK (actor_type IN ('user', 'guest', 'staff', 'admin', 'system')),
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS refunds_booking_idx ON refunds(booking_id, created_at);
+CREATE INDEX IF NOT EXISTS refunds_payment_idx ON refunds(payment_id);
+
+-- ============================
+-- FOLIO ITEMS TABLE (incidental charges and adjustments on a stay)
+-- ============================
+CREATE TABLE IF NOT EXISTS folio_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('charge', 'adjustment')),
+  category TEXT CHECK (category IN ('minibar', 'room_service', 'laundry', 'damages', 'other')),
+  description TEXT NOT NULL CHECK (char_length(description) <= 200),
+  quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+  unit_price NUMERIC NOT NULL,
+  amount NUMERIC NOT NULL CHECK (amount <> 0),
+  currency TEXT NOT NULL,
+  posted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  voided_at TIMESTAMP WITH TIME ZONE,
+  voided_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  void_reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (type = 'adjustment' OR (category IS NOT NULL AND amount > 0))
+);
+
+CREATE INDEX IF NOT EXISTS folio_items_booking_idx ON folio_items(booking_id, created_at);
+
+-- ============================
+-- INVOICES TABLE (invoices and credit notes, immutable once issued)
+-- ============================
+CREATE TABLE IF NOT EXISTS invoices (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  invoice_number TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('invoice', 'credit_note')),
+  booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  credited_invoice_id UUID REFERENCES invoices(id),
+  reason TEXT,
+  seller JSONB NOT NULL,
+  bill_to JSONB NOT NULL,
+  stay JSONB NOT NULL,
+  lines JSONB NOT NULL,
+  taxes JSONB NOT NULL,
+  payments JSONB NOT NULL,
+  currency TEXT NOT NULL,
+  subtotal NUMERIC NOT NULL,
+  tax_total NUMERIC NOT NULL,
+  total NUMERIC NOT NULL,
+  amount_paid NUMERIC NOT NULL,
+  balance_due NUMERIC NOT NULL,
+  issued_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  issued_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT invoices_credit_note_check CHECK ((type = 'credit_note') = (credited_invoice_id IS NOT NULL AND reason IS NOT NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS invoices_number_idx ON invoices(invoice_number);
+CREATE INDEX IF NOT EXISTS invoices_booking_idx ON invoices(booking_id, issued_at);
+CREATE UNIQUE INDEX IF NOT EXISTS invoices_credited_invoice_idx ON invoices(credited_invoice_id);
+
+-- Trigger: an issued invoice is a legal record; corrections are made with a credit note
+CREATE OR REPLACE FUNCTION prevent_invoice_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'Invoice % has been issued and cannot be changed; issue a credit note instead', OLD.invoice_number;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS invoices_immutable ON invoices;
+CREATE TRIGGER invoices_immutable
+BEFORE UPDATE ON invoices
+FOR EACH ROW
+EXECUTE FUNCTION prevent_invoice_update();
+
+-- ============================
+-- INVOICE SEQUENCES TABLE (gapless invoice numbering per series)
+-- ============================
+CREATE TABLE IF NOT EXISTS invoice_sequences (
+  series TEXT PRIMARY KEY,
+  last_number INTEGER NOT NULL CHECK (last_number > 0)
+);
+
+-- ============================
+-- PAYMENT WEBHOOK EVENTS TABLE (deliveries from payment providers)
+-- ============================
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  provider TEXT NOT NULL,
+  event_id TEXT NOT NULL,
+  type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('processed', 'ignored')),
+  note TEXT,
+  payment_id UUID REFERENCES payments(id) ON DELETE SET NULL,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS payment_webhook_events_provider_event_idx ON payment_webhook_events(provider, event_id);
+
+-- ============================
+-- TAX RULES TABLE
+-- ============================
+CREATE TABLE IF NOT EXISTS tax_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('percentage', 'per_night', 'per_person_per_night', 'fixed')),
+  amount NUMERIC NOT NULL CHECK (amount >= 0),
+  location TEXT,
+  category TEXT,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ============================
+-- WAITLIST ENTRIES TABLE
+-- ============================
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  room_id UUID REFERENCES rooms(id) ON DELETE CASCADE,
+  category TEXT,
+  check_in DATE NOT NULL,
+  check_out DATE NOT NULL,
+  guests INTEGER NOT NULL DEFAULT 1 CHECK (guests > 0),
+  status TEXT NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'offered', 'claimed', 'expired', 'cancelled')),
+  offered_room_id UUID REFERENCES rooms(id) ON DELETE SET NULL,
+  claim_token_hash TEXT,
+  claim_expires_at TIMESTAMP WITH TIME ZONE,
+  notified_at TIMESTAMP WITH TIME ZONE,
+  hold_booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (room_id IS NOT NULL OR category IS NOT NULL),
+  CHECK (check_out > check_in)
+);
+
+CREATE INDEX IF NOT EXISTS waitlist_entries_status_idx ON waitlist_entries(status, created_at);
+CREATE INDEX IF NOT EXISTS waitlist_entries_user_idx ON waitlist_entries(user_id);
+
+-- ============================
+-- ICAL FEEDS TABLE (external calendars imported per room)
+-- ============================
+CREATE TABLE IF NOT EXISTS ical_feeds (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  room_id UUID NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  url TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  last_synced_at TIMESTAMP WITH TIME ZONE,
+  last_sync_status TEXT CHECK (last_sync_status IN ('ok', 'failed')),
+  last_sync_error TEXT,
+  event_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS ical_feeds_room_idx ON ical_feeds(room_id);
+
+-- ============================
+-- ROOM BLOCKS TABLE (nights a room cannot be booked)
+-- ============================
+CREATE TABLE IF NOT EXISTS room_blocks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  room_id UUID NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+  feed_id UUID REFERENCES ical_feeds(id) ON DELETE CASCADE,
+  uid TEXT NOT NULL,
+  reason TEXT NOT NULL DEFAULT 'channel' CHECK (reason IN ('channel', 'maintenance')),
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  summary TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (end_date > start_date)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS room_blocks_feed_uid_idx ON room_blocks(feed_id, uid);
+CREATE INDEX IF NOT EXISTS room_blocks_room_dates_idx ON room_blocks(room_id, start_date);
 
 -- ============================
 -- REFRESH TOKENS TABLE
@@ -171,10 +539,10 @@ AS $$
       ROW_NUMBER() OVER (PARTITION BY category ORDER BY rating DESC) AS rank
     FROM rooms
   )
-  SELECT id, title, room_number, type, description, full_description, price, image_url,
+  SELECT id, title, room_number, type, description, full_description, price, discount, image_url,
          images, location, category, rating, reviews, capacity, max_occupancy, bed_type,
          room_size, view_type, amenities, additional_amenities, features, is_available,
-         href, created_at, updated_at
+         housekeeping_status, cancellation_policy_id, href, created_at, updated_at
   FROM ranked_rooms 
   WHERE rank = 1;
 $$;
@@ -198,10 +566,15 @@ BEGIN
   SELECT NOT EXISTS (
     SELECT 1 FROM bookings 
     WHERE room_id = check_room_availability.room_id
-    AND status != 'cancelled'
-    AND (
-      (check_in <= check_out_date AND check_out >= check_in_date)
-    )
+    AND status NOT IN ('cancelled', 'expired', 'no_show')
+    AND (hold_expires_at IS NULL OR hold_expires_at > NOW())
+    AND check_in < check_out_date
+    AND check_out > check_in_date
+  ) AND NOT EXISTS (
+    SELECT 1 FROM room_blocks
+    WHERE room_blocks.room_id = check_room_availability.room_id
+    AND start_date < check_out_date
+    AND end_date > check_in_date
   ) INTO is_available;
 
   RETURN is_available;
@@ -217,6 +590,24 @@ ALTER TABLE bookings ENABLE ROW LEVEL SECURITY;
 ALTER TABLE refresh_tokens ENABLE ROW LEVEL SECURITY;
 ALTER TABLE password_resets ENABLE ROW LEVEL SECURITY;
 
+-- Tables below are only accessed by the backend's direct connection;
+-- RLS without policies keeps them closed to the public API keys
+ALTER TABLE room_rates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE cancellation_policies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tax_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE promotions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reservations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE waitlist_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE booking_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refunds ENABLE ROW LEVEL SECURITY;
+ALTER TABLE folio_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invoices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invoice_sequences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payment_webhook_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ical_feeds ENABLE ROW LEVEL SECURITY;
+ALTER TABLE room_blocks ENABLE ROW LEVEL SECURITY;
+
 -- USERS policy
 CREATE POLICY users_policy ON users
   USING (role = 'admin' OR id = auth.uid());
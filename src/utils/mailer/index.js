@@ -0,0 +1,157 @@
+/**
+ * Mailer Utility
+ * Sends transactional email rendered from templates (see templates.js)
+ * through a pluggable transport. A transport is any object with an async
+ * send(mail) method; the active one is chosen by MAIL_TRANSPORT:
+ *
+ *   smtp   - deliver through an SMTP server (SMTP_HOST, SMTP_PORT, ...)
+ *   json   - write JSON to MAIL_JSON_DIR, or log a summary (the default, for development)
+ *   memory - keep emails in memory (for tests)
+ *
+ * Emails are queued and sent in the background so requests never wait on
+ * delivery. A failed send is retried up to MAIL_MAX_ATTEMPTS times with a
+ * growing delay, then logged and dropped. The queue lives in memory, so
+ * emails still waiting when the process stops are not sent.
+ *
+ * Emails look like:
+ *   { template: 'booking_confirmation', from: '...', to: 'guest@example.com', subject: '...', text: '...', html: '...',
+ *     attachments: [{ filename: 'BK-123456-ABC.ics', content: '...', contentType: 'text/calendar' }] }
+ */
+
+const { getEnv } = require('../env-validator');
+const { renderTemplate } = require('./templates');
+const smtpTransport = require('./smtpTransport');
+const jsonTransport = require('./jsonTransport');
+const memoryTransport = require('./memoryTransport');
+
+const MAIL_FROM = getEnv('MAIL_FROM', 'no-reply@localhost');
+const MAIL_MAX_ATTEMPTS = parseInt(getEnv('MAIL_MAX_ATTEMPTS', '3')) || 3;
+const MAIL_RETRY_SECONDS = parseInt(getEnv('MAIL_RETRY_SECONDS', '30')) || 30;
+
+const transports = {
+  smtp: smtpTransport,
+  json: jsonTransport,
+  memory: memoryTransport
+};
+
+const configuredTransport = getEnv('MAIL_TRANSPORT', 'json');
+if (!transports[configuredTransport]) {
+  console.warn(`Unknown MAIL_TRANSPORT "${configuredTransport}", using json`);
+}
+let activeTransport = transports[configuredTransport] || jsonTransport;
+
+const queue = [];
+let draining = null;
+
+/**
+ * Make a transport available by name (selectable through MAIL_TRANSPORT)
+ * @param {string} name - Transport name
+ * @param {object} transport - Object with an async send(mail) method
+ */
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Mail transport "${name}" must have a send(mail) method`);
+  }
+  transports[name] = transport;
+};
+
+/**
+ * Switch the active transport
+ * @param {string|object} transport - Registered transport name or transport object
+ */
+const setTransport = (transport) => {
+  const resolved = typeof transport === 'string' ? transports[transport] : transport;
+
+  if (!resolved || typeof resolved.send !== 'function') {
+    throw new Error(`Unknown mail transport: ${transport}`);
+  }
+  activeTransport = resolved;
+};
+
+/**
+ * Get the active transport
+ * @returns {object} Transport
+ */
+const getTransport = () => activeTransport;
+
+/**
+ * Try one queued email, putting it back on the queue after a delay if it fails
+ * @param {object} job - Queued email ({ mail, attempts })
+ */
+const attemptDelivery = async (job) => {
+  job.attempts += 1;
+  try {
+    await activeTransport.send(job.mail);
+  } catch (error) {
+    if (job.attempts >= MAIL_MAX_ATTEMPTS) {
+      console.error(`Giving up on ${job.mail.template} email to ${job.mail.to} after ${job.attempts} attempt(s):`, error.message);
+      return;
+    }
+
+    console.warn(`Failed to send ${job.mail.template} email to ${job.mail.to} (attempt ${job.attempts}), retrying:`, error.message);
+    const timer = setTimeout(() => {
+      queue.push(job);
+      drainQueue();
+    }, MAIL_RETRY_SECONDS * job.attempts * 1000);
+    timer.unref();
+  }
+};
+
+/**
+ * Send queued emails one at a time until the queue is empty. Only one
+ * drain runs at a time; later calls share it.
+ * @returns {Promise<void>} Resolves once the queue is empty
+ */
+const drainQueue = () => {
+  if (!draining) {
+    draining = (async () => {
+      while (queue.length > 0) {
+        await attemptDelivery(queue.shift());
+      }
+    })().finally(() => {
+      draining = null;
+    });
+  }
+  return draining;
+};
+
+/**
+ * Queue a templated email. Returns straight away; delivery happens in the
+ * background and failures are logged, never thrown to the caller.
+ * @param {string} template - Template name (see templates.js)
+ * @param {string} to - Recipient address
+ * @param {object} data - Template data
+ * @returns {object|null} Queued email, or null if it could not be rendered
+ */
+const sendMail = (template, to, data) => {
+  if (!to) return null;
+
+  let mail;
+  try {
+    mail = { template, from: MAIL_FROM, to, ...renderTemplate(template, data) };
+  } catch (error) {
+    console.error(`Failed to render ${template} email to ${to}:`, error.message);
+    return null;
+  }
+
+  queue.push({ mail, attempts: 0 });
+  setImmediate(drainQueue);
+  return mail;
+};
+
+/**
+ * Wait for every queued email to be tried (retries scheduled for later are
+ * not waited for), e.g. in tests
+ * @returns {Promise<void>} Resolves once the queue is empty
+ */
+const flushMail = async () => {
+  await drainQueue();
+};
+
+module.exports = {
+  registerTransport,
+  setTransport,
+  getTransport,
+  sendMail,
+  flushMail
+};
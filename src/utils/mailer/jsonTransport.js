@@ -0,0 +1,39 @@
+/**
+ * JSON Mail Transport
+ * Development transport: writes each email as a JSON file to MAIL_JSON_DIR.
+ * When no directory is configured only who the email went to and its subject
+ * are logged, since bodies carry sign-in and booking links.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { getEnv } = require('../env-validator');
+
+const MAIL_JSON_DIR = getEnv('MAIL_JSON_DIR', '');
+
+let counter = 0;
+
+/**
+ * Write an email out as JSON, or log a summary of it
+ * @param {object} mail - Email (see mailer/index.js)
+ * @returns {Promise<{messageId: string}>} Delivery result
+ */
+const send = async (mail) => {
+  counter += 1;
+  const messageId = `json-${Date.now()}-${counter}`;
+
+  if (!MAIL_JSON_DIR) {
+    console.log(`[mail] ${mail.template} -> ${mail.to}: ${mail.subject} (${messageId})`);
+    return { messageId };
+  }
+
+  const record = { messageId, ...mail, sentAt: new Date().toISOString() };
+  await fs.mkdir(MAIL_JSON_DIR, { recursive: true });
+  await fs.writeFile(path.join(MAIL_JSON_DIR, `${messageId}.json`), JSON.stringify(record, null, 2));
+  return { messageId };
+};
+
+module.exports = {
+  name: 'json',
+  send
+};
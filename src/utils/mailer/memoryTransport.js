@@ -0,0 +1,31 @@
+/**
+ * Memory Mail Transport
+ * Keeps emails in memory instead of delivering them, so tests can inspect
+ * what would have been sent
+ */
+
+const sent = [];
+
+/**
+ * Record an email
+ * @param {object} mail - Email (see mailer/index.js)
+ * @returns {Promise<{messageId: string}>} Delivery result
+ */
+const send = async (mail) => {
+  sent.push({ ...mail, sentAt: new Date() });
+  return { messageId: `memory-${sent.length}` };
+};
+
+/**
+ * Forget all recorded emails
+ */
+const clear = () => {
+  sent.length = 0;
+};
+
+module.exports = {
+  name: 'memory',
+  send,
+  sent,
+  clear
+};
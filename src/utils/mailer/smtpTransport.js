@@ -0,0 +1,55 @@
+/**
+ * SMTP Mail Transport
+ * Delivers email through an SMTP server with nodemailer. Configured with
+ * SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASS; the connection
+ * is created on the first send.
+ */
+
+const nodemailer = require('nodemailer');
+const { getEnv } = require('../env-validator');
+
+let transporter = null;
+
+/**
+ * Create (once) the nodemailer transporter
+ * @returns {object} Nodemailer transporter
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    const host = getEnv('SMTP_HOST', '');
+    if (!host) {
+      throw new Error('SMTP_HOST is not set');
+    }
+
+    const user = getEnv('SMTP_USER', '');
+    transporter = nodemailer.createTransport({
+      host,
+      port: parseInt(getEnv('SMTP_PORT', '587')) || 587,
+      secure: getEnv('SMTP_SECURE', 'false') === 'true',
+      ...(user && { auth: { user, pass: getEnv('SMTP_PASS', '') } })
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Send an email over SMTP
+ * @param {object} mail - Email (see mailer/index.js)
+ * @returns {Promise<{messageId: string}>} Delivery result
+ */
+const send = async (mail) => {
+  const info = await getTransporter().sendMail({
+    from: mail.from,
+    to: mail.to,
+    subject: mail.subject,
+    text: mail.text,
+    html: mail.html,
+    attachments: mail.attachments
+  });
+  return { messageId: info.messageId };
+};
+
+module.exports = {
+  name: 'smtp',
+  send
+};
@@ -0,0 +1,182 @@
+/**
+ * Email Templates
+ * Each template turns its data into a subject, a plain-text body and an
+ * HTML body. Values are escaped before they go into the HTML.
+ *
+ *   welcome              { user }
+ *   booking_confirmation { booking } (with the stay attached as an .ics file)
+ *   booking_modification { booking }
+ *   booking_cancellation { booking }
+ *   booking_magic_link   { booking, manageUrl, expiresIn }
+ *   password_reset       { user, resetUrl, expiresIn }
+ *   notification         { subject, text } (a guest notification sent as-is)
+ */
+
+const { CURRENCY } = require('../booking/pricing');
+const { buildBookingCalendar, calendarFileName } = require('../booking/ical');
+const { getEnv } = require('../env-validator');
+
+const HOTEL_NAME = getEnv('HOTEL_NAME', 'Our Hotel');
+
+/**
+ * Escape a value for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Format an amount for an email
+ * @param {string|number} amount - Amount in currency units
+ * @returns {string} e.g. "PHP 5,600.00"
+ */
+const formatMoney = (amount) =>
+  `${CURRENCY} ${(parseFloat(amount) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Label/value lines describing a booking
+ * @param {object} booking - Booking row
+ * @returns {Array<[string, string]>} Lines
+ */
+const bookingLines = (booking) => [
+  ['Booking reference', booking.bookingId],
+  ['Room', booking.roomTitle],
+  ['Check-in', booking.checkIn],
+  ['Check-out', booking.checkOut],
+  ['Nights', booking.nights],
+  ['Guests', booking.guests],
+  ['Total', formatMoney(booking.totalPrice)]
+];
+
+/**
+ * Assemble an email from paragraphs and label/value lines
+ * @param {object} parts - Email parts
+ * @param {string} parts.subject - Subject line
+ * @param {string} parts.greeting - Opening line
+ * @param {string[]} parts.paragraphs - Body paragraphs
+ * @param {Array<[string, string]>} [parts.lines] - Details shown as a table
+ * @param {{label: string, url: string}} [parts.action] - Link the guest should follow
+ * @returns {{subject: string, text: string, html: string}} Rendered email
+ */
+const compose = ({ subject, greeting, paragraphs, lines = [], action }) => {
+  const text = [
+    greeting,
+    '',
+    ...paragraphs.flatMap(paragraph => [paragraph, '']),
+    ...lines.map(([label, value]) => `${label}: ${value}`),
+    ...(action ? ['', `${action.label}: ${action.url}`] : []),
+    '',
+    HOTEL_NAME
+  ].join('\n');
+
+  const table = lines.length > 0
+    ? `<table>${lines.map(([label, value]) =>
+      `<tr><th align="left">${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</table>`
+    : '';
+
+  const html = [
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`),
+    table,
+    action ? `<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>` : '',
+    `<p>${escapeHtml(HOTEL_NAME)}</p>`
+  ].filter(Boolean).join('\n');
+
+  return { subject, text, html };
+};
+
+const templates = {
+  welcome: ({ user }) => compose({
+    subject: `Welcome to ${HOTEL_NAME}`,
+    greeting: `Hi ${user.name},`,
+    paragraphs: [
+      'Thanks for creating an account. You can now book rooms and manage your stays online.'
+    ]
+  }),
+
+  booking_confirmation: ({ booking }) => ({
+    ...compose({
+      subject: `Booking confirmed: ${booking.bookingId}`,
+      greeting: `Hi ${booking.firstName},`,
+      paragraphs: ['Your booking is confirmed. Add the attached file to your calendar to keep track of your stay.'],
+      lines: bookingLines(booking)
+    }),
+    attachments: [{
+      filename: calendarFileName(booking),
+      content: buildBookingCalendar(booking),
+      contentType: 'text/calendar; charset=utf-8; method=PUBLISH'
+    }]
+  }),
+
+  booking_modification: ({ booking }) => compose({
+    subject: `Booking updated: ${booking.bookingId}`,
+    greeting: `Hi ${booking.firstName},`,
+    paragraphs: ['Your booking has been changed. These are the updated details of your stay.'],
+    lines: bookingLines(booking)
+  }),
+
+  booking_cancellation: ({ booking }) => compose({
+    subject: `Booking cancelled: ${booking.bookingId}`,
+    greeting: `Hi ${booking.firstName},`,
+    paragraphs: ['Your booking has been cancelled.'],
+    lines: [
+      ...bookingLines(booking),
+      ['Cancellation fee', formatMoney(booking.cancellationPenalty)],
+      ['Refund', formatMoney(booking.refundAmount)]
+    ]
+  }),
+
+  booking_magic_link: ({ booking, manageUrl, expiresIn }) => compose({
+    subject: `Manage your booking ${booking.bookingId}`,
+    greeting: `Hi ${booking.firstName},`,
+    paragraphs: [
+      `Use the link below to view, change or cancel your booking. It expires in ${expiresIn}.`,
+      'If you did not ask for this, you can ignore this email.'
+    ],
+    lines: bookingLines(booking),
+    action: { label: 'Manage your booking', url: manageUrl }
+  }),
+
+  password_reset: ({ user, resetUrl, expiresIn }) => compose({
+    subject: 'Reset your password',
+    greeting: `Hi ${user.name || 'there'},`,
+    paragraphs: [
+      `We received a request to reset your password. The link below expires in ${expiresIn}.`,
+      'If you did not ask for this, you can ignore this email; your password will not change.'
+    ],
+    action: { label: 'Reset your password', url: resetUrl }
+  }),
+
+  notification: ({ subject, text }) => ({
+    subject,
+    text,
+    html: `<p>${escapeHtml(text).replace(/\n/g, '<br>')}</p>`
+  })
+};
+
+/**
+ * Render a template
+ * @param {string} name - Template name
+ * @param {object} data - Template data
+ * @returns {{subject: string, text: string, html: string, attachments?: object[]}} Rendered email
+ * @throws {Error} If there is no such template
+ */
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+};
+
+module.exports = {
+  TEMPLATE_NAMES: Object.keys(templates),
+  escapeHtml,
+  formatMoney,
+  renderTemplate
+};
@@ -0,0 +1,20 @@
+/**
+ * Console Notifier
+ * Writes notifications to the server log. Used when no delivery channel is
+ * configured, e.g. in development.
+ */
+
+/**
+ * Log a notification
+ * @param {object} message - Notification (see notifications/index.js)
+ * @returns {Promise<{delivered: boolean}>} Delivery result
+ */
+const send = async (message) => {
+  console.log(`[notification] ${message.type} -> ${message.to}: ${message.subject}`);
+  return { delivered: true };
+};
+
+module.exports = {
+  name: 'console',
+  send
+};
@@ -0,0 +1,25 @@
+/**
+ * Email Notifier
+ * Sends notifications as email through the mailer, which queues them and
+ * delivers them with the configured mail transport
+ */
+
+const { sendMail } = require('../mailer');
+
+/**
+ * Queue a notification as an email
+ * @param {object} message - Notification (see notifications/index.js)
+ * @returns {Promise<{delivered: boolean}>} Delivery result (queued counts as delivered)
+ */
+const send = async (message) => {
+  const mail = sendMail('notification', message.to, { subject: message.subject, text: message.text });
+  if (!mail) {
+    throw new Error('The notification could not be queued as an email');
+  }
+  return { delivered: true };
+};
+
+module.exports = {
+  name: 'email',
+  send
+};
@@ -0,0 +1,78 @@
+/**
+ * Notification Utility
+ * Sends guest notifications through a pluggable notifier. A notifier is any
+ * object with an async send(message) method. The active notifier is chosen
+ * by the NOTIFIER environment variable (console by default; email sends
+ * through the mailer) and can be replaced at runtime with setNotifier,
+ * e.g. to plug in SMS.
+ *
+ * Messages look like:
+ *   { type: 'waitlist_offer', to: 'guest@example.com', subject: '...', text: '...', data: {...} }
+ */
+
+const { getEnv } = require('../env-validator');
+const consoleNotifier = require('./consoleNotifier');
+const memoryNotifier = require('./memoryNotifier');
+const emailNotifier = require('./emailNotifier');
+
+const notifiers = {
+  console: consoleNotifier,
+  memory: memoryNotifier,
+  email: emailNotifier
+};
+
+let activeNotifier = notifiers[getEnv('NOTIFIER', 'console')] || consoleNotifier;
+
+/**
+ * Make a notifier available by name (selectable through NOTIFIER)
+ * @param {string} name - Notifier name
+ * @param {object} notifier - Object with an async send(message) method
+ */
+const registerNotifier = (name, notifier) => {
+  if (!notifier || typeof notifier.send !== 'function') {
+    throw new Error(`Notifier "${name}" must have a send(message) method`);
+  }
+  notifiers[name] = notifier;
+};
+
+/**
+ * Switch the active notifier
+ * @param {string|object} notifier - Registered notifier name or notifier object
+ */
+const setNotifier = (notifier) => {
+  const resolved = typeof notifier === 'string' ? notifiers[notifier] : notifier;
+
+  if (!resolved || typeof resolved.send !== 'function') {
+    throw new Error(`Unknown notifier: ${notifier}`);
+  }
+  activeNotifier = resolved;
+};
+
+/**
+ * Get the active notifier
+ * @returns {object} Notifier
+ */
+const getNotifier = () => activeNotifier;
+
+/**
+ * Send a notification. Delivery problems are logged rather than thrown, so a
+ * failed notification never undoes the change that triggered it.
+ * @param {object} message - Notification
+ * @returns {Promise<boolean>} True if the notifier accepted the message
+ */
+const notify = async (message) => {
+  try {
+    await activeNotifier.send(message);
+    return true;
+  } catch (error) {
+    console.error(`Failed to send ${message.type} notification to ${message.to}:`, error.message);
+    return false;
+  }
+};
+
+module.exports = {
+  registerNotifier,
+  setNotifier,
+  getNotifier,
+  notify
+};
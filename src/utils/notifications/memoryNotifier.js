@@ -0,0 +1,31 @@
+/**
+ * Memory Notifier
+ * Keeps notifications in memory instead of delivering them, so tests and
+ * local tooling can inspect what would have been sent
+ */
+
+const sent = [];
+
+/**
+ * Record a notification
+ * @param {object} message - Notification (see notifications/index.js)
+ * @returns {Promise<{delivered: boolean}>} Delivery result
+ */
+const send = async (message) => {
+  sent.push({ ...message, sentAt: new Date() });
+  return { delivered: true };
+};
+
+/**
+ * Forget all recorded notifications
+ */
+const clear = () => {
+  sent.length = 0;
+};
+
+module.exports = {
+  name: 'memory',
+  send,
+  sent,
+  clear
+};
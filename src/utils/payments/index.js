@@ -0,0 +1,91 @@
+/**
+ * Payment Gateway Utility
+ * Takes card and PayPal payments through a pluggable gateway. A gateway is
+ * any object with a name and these async methods (amounts in cents):
+ *
+ *   authorize({ amount, currency, method, token }) - hold the money
+ *   confirm(reference)                             - finish a payment that needed 3-D Secure
+ *   capture(reference, amount)                     - take money that was held
+ *   refund(reference, amount)                      - send captured money back
+ *
+ * authorize and confirm resolve to { status, reference, message, nextAction }
+ * where status is authorized, requires_action or declined; capture and
+ * refund resolve to { status, reference }. A gateway that cannot be reached
+ * throws. The active gateway is chosen by PAYMENT_GATEWAY:
+ *
+ *   mock - simulated payments (the default, for development and tests)
+ *
+ * Cash and bank transfers never go through a gateway; staff record them
+ * (see booking/payments.js).
+ */
+
+const { getEnv } = require('../env-validator');
+const mockGateway = require('./mockGateway');
+
+// Payment methods taken through the gateway
+const GATEWAY_METHODS = ['credit_card', 'paypal'];
+
+const GATEWAY_OPERATIONS = ['authorize', 'confirm', 'capture', 'refund'];
+
+const gateways = {
+  mock: mockGateway
+};
+
+const configuredGateway = getEnv('PAYMENT_GATEWAY', 'mock');
+if (!gateways[configuredGateway]) {
+  console.warn(`Unknown PAYMENT_GATEWAY "${configuredGateway}", using mock`);
+}
+let activeGateway = gateways[configuredGateway] || mockGateway;
+
+/**
+ * Make a gateway available by name (selectable through PAYMENT_GATEWAY)
+ * @param {string} name - Gateway name, stored on each payment as its provider
+ * @param {object} gateway - Object with authorize, confirm, capture and refund methods
+ */
+const registerGateway = (name, gateway) => {
+  const missing = GATEWAY_OPERATIONS.filter(operation => !gateway || typeof gateway[operation] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Payment gateway "${name}" must have ${missing.join(', ')} method(s)`);
+  }
+  gateways[name] = gateway;
+};
+
+/**
+ * Switch the active gateway
+ * @param {string} name - Registered gateway name
+ */
+const setGateway = (name) => {
+  if (!gateways[name]) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+  activeGateway = gateways[name];
+};
+
+/**
+ * Get a gateway. Payments are always finished by the gateway that started
+ * them, so later steps pass the payment's provider.
+ * @param {string} [name] - Registered gateway name (default: the active gateway)
+ * @returns {object} Gateway
+ * @throws {Error} If no gateway has that name
+ */
+const getGateway = (name) => {
+  if (!name) return activeGateway;
+  if (!gateways[name]) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+  return gateways[name];
+};
+
+/**
+ * Name the active gateway is registered under
+ * @returns {string} Gateway name
+ */
+const activeGatewayName = () => Object.keys(gateways).find(name => gateways[name] === activeGateway);
+
+module.exports = {
+  GATEWAY_METHODS,
+  registerGateway,
+  setGateway,
+  getGateway,
+  activeGatewayName
+};
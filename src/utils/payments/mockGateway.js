@@ -0,0 +1,161 @@
+/**
+ * Mock Payment Gateway
+ * Local stand-in for a card processor, for development and tests. Nothing
+ * leaves the process; payments are kept in memory. The payment token picks
+ * the outcome, like a processor's test cards:
+ *
+ *   tok_success            - authorized (also used when no token is given)
+ *   tok_declined           - declined by the issuer
+ *   tok_insufficient_funds - declined for insufficient funds
+ *   tok_3ds                - needs 3-D Secure; authorized once confirmed
+ *   tok_3ds_fail           - needs 3-D Secure; declined once confirmed
+ *   tok_error              - the gateway is unreachable (the call throws)
+ *
+ * Every call waits MOCK_GATEWAY_DELAY_MS first, to simulate the latency of
+ * a real processor.
+ */
+
+const crypto = require('crypto');
+const { getEnv } = require('../env-validator');
+
+const DELAY_MS = parseInt(getEnv('MOCK_GATEWAY_DELAY_MS', '0')) || 0;
+
+// Issuer's answer for each test token; anything else is approved
+const DECLINES = {
+  tok_declined: 'Your card was declined',
+  tok_insufficient_funds: 'Your card has insufficient funds'
+};
+
+const charges = new Map();
+
+const wait = () => new Promise(resolve => setTimeout(resolve, DELAY_MS));
+
+/**
+ * Look up a payment made through this gateway
+ * @param {string} reference - Gateway payment reference
+ * @returns {object} Stored charge
+ * @throws {Error} If the reference is unknown
+ */
+const findCharge = (reference) => {
+  const charge = charges.get(reference);
+  if (!charge) {
+    throw new Error(`No such payment: ${reference}`);
+  }
+  return charge;
+};
+
+/**
+ * Ask for the money to be held on the guest's card or account
+ * @param {object} request - Authorization request
+ * @param {number} request.amount - Amount in cents
+ * @param {string} request.currency - Currency code
+ * @param {string} request.method - credit_card or paypal
+ * @param {string} [request.token] - Test token (see above)
+ * @returns {Promise<{status: string, reference: string, message?: string, nextAction?: object}>} Outcome
+ */
+const authorize = async ({ amount, currency, method, token = 'tok_success' }) => {
+  await wait();
+
+  if (token === 'tok_error') {
+    throw new Error('The payment gateway could not be reached');
+  }
+
+  const reference = `mock_${crypto.randomUUID()}`;
+  const charge = { reference, amount, currency, method, token, status: 'authorized', captured: 0, refunded: 0 };
+  charges.set(reference, charge);
+
+  if (token === 'tok_3ds' || token === 'tok_3ds_fail') {
+    charge.status = 'requires_action';
+    return {
+      status: 'requires_action',
+      reference,
+      nextAction: { type: 'three_d_secure', message: 'Confirm the payment with your card issuer to complete it' }
+    };
+  }
+
+  if (DECLINES[token]) {
+    charge.status = 'declined';
+    return { status: 'declined', reference, message: DECLINES[token] };
+  }
+
+  return { status: 'authorized', reference };
+};
+
+/**
+ * Finish a payment waiting on 3-D Secure
+ * @param {string} reference - Gateway payment reference
+ * @returns {Promise<{status: string, reference: string, message?: string}>} Outcome
+ */
+const confirm = async (reference) => {
+  await wait();
+  const charge = findCharge(reference);
+
+  if (charge.status !== 'requires_action') {
+    throw new Error(`Payment ${reference} is not waiting for authentication`);
+  }
+
+  if (charge.token === 'tok_3ds_fail') {
+    charge.status = 'declined';
+    return { status: 'declined', reference, message: '3-D Secure authentication failed' };
+  }
+
+  charge.status = 'authorized';
+  return { status: 'authorized', reference };
+};
+
+/**
+ * Take money that was authorized
+ * @param {string} reference - Gateway payment reference
+ * @param {number} amount - Amount in cents (at most the authorized amount)
+ * @returns {Promise<{status: string, reference: string}>} Outcome
+ */
+const capture = async (reference, amount) => {
+  await wait();
+  const charge = findCharge(reference);
+
+  if (charge.status !== 'authorized') {
+    throw new Error(`Payment ${reference} cannot be captured while ${charge.status}`);
+  }
+  if (amount > charge.amount) {
+    throw new Error(`Cannot capture more than the ${charge.amount} cents authorized`);
+  }
+
+  charge.status = 'captured';
+  charge.captured = amount;
+  return { status: 'captured', reference };
+};
+
+/**
+ * Send captured money back
+ * @param {string} reference - Gateway payment reference
+ * @param {number} amount - Amount in cents
+ * @returns {Promise<{status: string, reference: string}>} Outcome, with the refund's own reference
+ */
+const refund = async (reference, amount) => {
+  await wait();
+  const charge = findCharge(reference);
+
+  if (amount > charge.captured - charge.refunded) {
+    throw new Error(`Cannot refund more than the ${charge.captured - charge.refunded} cents captured`);
+  }
+
+  charge.refunded += amount;
+  return { status: 'refunded', reference: `mock_refund_${crypto.randomUUID()}` };
+};
+
+/**
+ * Forget all payments
+ */
+const reset = () => {
+  charges.clear();
+};
+
+module.exports = {
+  name: 'mock',
+  authorize,
+  confirm,
+  capture,
+  refund,
+  charges,
+  reset
+};
@@ -0,0 +1,169 @@
+/**
+ * Payment Webhooks Utility
+ * Applies the events payment providers send once a payment settles on their
+ * side (e.g. after 3-D Secure finishes in the guest's browser).
+ *
+ * Deliveries are signed with PAYMENT_WEBHOOK_SECRET. The signature header
+ * looks like
+ *   t=1700000000,v1=<hex HMAC-SHA256 of "<t>.<raw request body>">
+ * and is only accepted within PAYMENT_WEBHOOK_TOLERANCE_SECONDS of t, so a
+ * captured delivery cannot be replayed later. Several v1 values may be
+ * sent while the secret is being rotated.
+ *
+ * Events look like
+ *   { id: 'evt_123', type: 'payment.captured', data: { reference: '<provider payment reference>', message: '...' } }
+ * Each is stored once per provider and event ID, so a repeated delivery is
+ * acknowledged without being applied twice.
+ */
+
+const crypto = require('crypto');
+const { payments, paymentWebhookEvents } = require('../../db/schema');
+const { and, eq } = require('drizzle-orm');
+const { getEnv } = require('../env-validator');
+const { settlePayment, capturePayment } = require('../booking/payments');
+
+const WEBHOOK_SECRET = getEnv('PAYMENT_WEBHOOK_SECRET', '');
+const TOLERANCE_SECONDS = parseInt(getEnv('PAYMENT_WEBHOOK_TOLERANCE_SECONDS', '300')) || 300;
+
+// Payment status each event type reports
+const EVENT_STATUSES = {
+  'payment.authorized': 'authorized',
+  'payment.captured': 'captured',
+  'payment.declined': 'declined',
+  'payment.failed': 'failed'
+};
+
+// Statuses a payment can be in for each reported status to apply
+const REPORTABLE_FROM = {
+  authorized: ['pending', 'requires_action'],
+  captured: ['pending', 'requires_action', 'authorized'],
+  declined: ['pending', 'requires_action', 'authorized'],
+  failed: ['pending', 'requires_action', 'authorized']
+};
+
+// Webhooks change bookings on the provider's behalf
+const SYSTEM_ACTOR = { actorType: 'system', actorId: null };
+
+/**
+ * Sign a webhook body (what a provider does; used to test deliveries)
+ * @param {string|Buffer} rawBody - Request body exactly as sent
+ * @param {string} secret - Shared webhook secret
+ * @param {number} [timestamp] - Unix seconds (default: now)
+ * @returns {string} Signature header value
+ */
+const signWebhookPayload = (rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Check a webhook signature header against the raw body
+ * @param {string|Buffer} rawBody - Request body exactly as received
+ * @param {string} header - Signature header value
+ * @param {string} secret - Shared webhook secret
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} True if one of the signatures matches and is recent enough
+ */
+const verifyWebhookSignature = (rawBody, header, secret, now = Date.now()) => {
+  if (!rawBody || !header || !secret) return false;
+
+  const parts = String(header).split(',').map(part => part.trim().split('='));
+  const timestamp = parseInt((parts.find(([key]) => key === 't') || [])[1]);
+  const signatures = parts.filter(([key, value]) => key === 'v1' && value).map(([, value]) => value);
+
+  if (!Number.isFinite(timestamp) || Math.abs(now / 1000 - timestamp) > TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(rawBody, secret, timestamp).split('v1=')[1]);
+  return signatures.some(signature => {
+    const given = Buffer.from(signature);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+};
+
+/**
+ * Work out what an event does to a payment
+ * @param {object|undefined} payment - Payment the event refers to
+ * @param {object} event - Webhook event
+ * @returns {{values: object}|{ignore: string}} Payment columns to set, or why the event changes nothing
+ */
+const webhookTransition = (payment, event) => {
+  const status = EVENT_STATUSES[event.type];
+
+  if (!status) return { ignore: `Unhandled event type ${event.type}` };
+  if (!payment) return { ignore: 'No payment has this reference' };
+  if (payment.status === status) return { ignore: `The payment is already ${status}` };
+  if (!REPORTABLE_FROM[status].includes(payment.status)) {
+    return { ignore: `A ${payment.status} payment cannot become ${status}` };
+  }
+
+  const values = { status, failureReason: null };
+  if (status === 'declined' || status === 'failed') {
+    values.failureReason = (event.data && event.data.message) || `The payment ${status === 'declined' ? 'was declined' : 'failed'}`;
+  }
+  return { values };
+};
+
+/**
+ * Store a webhook event and apply it to its payment and booking, in one
+ * transaction. A payment that captures automatically and is reported
+ * authorized is captured once that transaction has committed.
+ * @param {object} db - Drizzle db
+ * @param {string} provider - Gateway the event came from
+ * @param {object} event - Verified webhook event
+ * @returns {Promise<{status: string, note: string|null, payment: object|null}>} processed, ignored or duplicate
+ */
+const processWebhookEvent = async (db, provider, event) => {
+  const reference = event.data && event.data.reference;
+
+  const result = await db.transaction(async (tx) => {
+    const [payment] = reference
+      ? await tx.select().from(payments).where(and(eq(payments.provider, provider), eq(payments.providerReference, String(reference))))
+      : [];
+    const transition = webhookTransition(payment, event);
+
+    const [recorded] = await tx
+      .insert(paymentWebhookEvents)
+      .values({
+        provider,
+        eventId: String(event.id),
+        type: event.type,
+        payload: event,
+        status: transition.ignore ? 'ignored' : 'processed',
+        note: transition.ignore || null,
+        paymentId: payment ? payment.id : null
+      })
+      .onConflictDoNothing()
+      .returning();
+
+    if (!recorded) {
+      return { status: 'duplicate', note: 'This event was already received', payment: null };
+    }
+    if (transition.ignore) {
+      return { status: 'ignored', note: transition.ignore, payment: payment || null };
+    }
+
+    const settled = await settlePayment(tx, payment, transition.values, SYSTEM_ACTOR);
+    return { status: 'processed', note: null, payment: settled.payment };
+  });
+
+  const { payment } = result;
+  if (result.status === 'processed' && payment.status === 'authorized' && payment.captureMethod === 'automatic') {
+    try {
+      result.payment = (await capturePayment(db, payment, SYSTEM_ACTOR)).payment;
+    } catch (error) {
+      console.error(`Could not capture payment ${payment.id} after webhook ${event.id}:`, error.message);
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  WEBHOOK_SECRET,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  webhookTransition,
+  processWebhookEvent
+};
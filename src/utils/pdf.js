@@ -0,0 +1,214 @@
+/**
+ * PDF Utility
+ * Writes simple text documents (invoices, receipts) as PDF 1.4 without a
+ * rendering library: pages of text in Helvetica and thin rules. The standard
+ * Helvetica fonts ship with every PDF reader, so nothing is embedded, and
+ * the same drawing always produces the same bytes.
+ *
+ * Positions are in points (1/72 inch) from the top-left corner of the page.
+ * Text is encoded as WinAnsi (Latin-1); other characters print as "?".
+ */
+
+// A4 in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+// Advance widths of the printable ASCII characters (32-126) in 1/1000 em, from the Adobe font metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+/**
+ * Keep a string to what WinAnsi can print
+ * @param {*} value - Text
+ * @returns {string} Latin-1 text
+ */
+const toLatin1 = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/[\r\n\t]+/g, ' ')
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+/**
+ * Escape text for a PDF string literal
+ * @param {string} text - Latin-1 text
+ * @returns {string} Escaped text
+ */
+const escapeText = (text) => text.replace(/[\\()]/g, match => `\\${match}`);
+
+/**
+ * Width of a line of text
+ * @param {string} text - Text
+ * @param {number} size - Font size in points
+ * @param {boolean} [bold=false] - Helvetica-Bold instead of Helvetica
+ * @returns {number} Width in points
+ */
+const textWidth = (text, size, bold = false) => {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let units = 0;
+  for (const char of toLatin1(text)) {
+    const code = char.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+  }
+  return (units * size) / 1000;
+};
+
+/**
+ * Shorten text with "..." so it fits a width
+ * @param {string} text - Text
+ * @param {number} maxWidth - Width in points
+ * @param {number} size - Font size in points
+ * @param {boolean} [bold=false] - Helvetica-Bold instead of Helvetica
+ * @returns {string} Text that fits
+ */
+const fitText = (text, maxWidth, size, bold = false) => {
+  let fitted = toLatin1(text);
+  if (textWidth(fitted, size, bold) <= maxWidth) return fitted;
+
+  while (fitted.length > 0 && textWidth(`${fitted}...`, size, bold) > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted.trimEnd()}...`;
+};
+
+/**
+ * Start a PDF document. Draw on the current page with text() and line(),
+ * start another with addPage() and finish with toBuffer().
+ * @returns {object} Document
+ */
+const createPdfDocument = () => {
+  const pages = [];
+
+  const currentPage = () => {
+    if (pages.length === 0) pages.push([]);
+    return pages[pages.length - 1];
+  };
+
+  /**
+   * Start a new page
+   */
+  const addPage = () => {
+    pages.push([]);
+  };
+
+  /**
+   * Write a line of text
+   * @param {string} value - Text
+   * @param {number} x - Left edge (or right edge when right-aligned)
+   * @param {number} y - Baseline, from the top of the page
+   * @param {object} [options] - Font options
+   * @param {number} [options.size=10] - Font size in points
+   * @param {boolean} [options.bold=false] - Helvetica-Bold instead of Helvetica
+   * @param {string} [options.align='left'] - left or right
+   * @param {number} [options.gray=0] - 0 (black) to 1 (white)
+   */
+  const text = (value, x, y, { size = 10, bold = false, align = 'left', gray = 0 } = {}) => {
+    const content = toLatin1(value);
+    const left = align === 'right' ? x - textWidth(content, size, bold) : x;
+    currentPage().push(
+      `BT ${gray} g /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${(PAGE_HEIGHT - y).toFixed(2)} Td (${escapeText(content)}) Tj ET`
+    );
+  };
+
+  /**
+   * Draw a straight rule
+   * @param {number} x1 - Start, from the left
+   * @param {number} y1 - Start, from the top
+   * @param {number} x2 - End, from the left
+   * @param {number} y2 - End, from the top
+   * @param {object} [options] - Line options
+   * @param {number} [options.width=0.5] - Thickness in points
+   * @param {number} [options.gray=0] - 0 (black) to 1 (white)
+   */
+  const line = (x1, y1, x2, y2, { width = 0.5, gray = 0 } = {}) => {
+    currentPage().push(
+      `${gray} G ${width} w ${x1.toFixed(2)} ${(PAGE_HEIGHT - y1).toFixed(2)} m ${x2.toFixed(2)} ${(PAGE_HEIGHT - y2).toFixed(2)} l S`
+    );
+  };
+
+  /**
+   * Write the document
+   * @returns {Buffer} PDF file
+   */
+  const toBuffer = () => {
+    const drawn = pages.length > 0 ? pages : [[]];
+    const firstPageObject = 5;
+    const pageRefs = drawn.map((page, i) => `${firstPageObject + i * 2} 0 R`).join(' ');
+
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [${pageRefs}] /Count ${drawn.length} >>`,
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+    ];
+
+    drawn.forEach((page, i) => {
+      const stream = Buffer.from(page.join('\n'), 'latin1');
+      objects.push(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${firstPageObject + i * 2 + 1} 0 R >>`
+      );
+      objects.push(Buffer.concat([
+        Buffer.from(`<< /Length ${stream.length} >>\nstream\n`, 'latin1'),
+        stream,
+        Buffer.from('\nendstream', 'latin1')
+      ]));
+    });
+
+    // The binary comment tells transfer tools the file is not plain text
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let offset = chunks[0].length;
+    const offsets = [];
+
+    objects.forEach((object, i) => {
+      const body = Buffer.isBuffer(object) ? object : Buffer.from(object, 'latin1');
+      const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+      offsets.push(offset);
+      offset += chunk.length;
+      chunks.push(chunk);
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(position => `${String(position).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+      'startxref',
+      String(offset),
+      '%%EOF'
+    ].join('\n');
+    chunks.push(Buffer.from(`${xref}\n`, 'latin1'));
+
+    return Buffer.concat(chunks);
+  };
+
+  return {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+    addPage,
+    text,
+    line,
+    toBuffer
+  };
+};
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  textWidth,
+  fitText,
+  createPdfDocument
+};